@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * @module complianceCheckerCli
+ * @description Command-line runner for the Compliance Readiness Checker. Reads an answers file, evaluates it, and prints
+ * or writes the report. The exit code reflects configurable minimum scores so the runner can gate a CI pipeline.
+ *
+ * Usage:
+ *   node cli.mjs <answers-file> [options]
+ *   node cli.mjs <respondent-file> <respondent-file>... [--resolve questionId=respondent]... [options]
+ *
+ * The answers file may be an answers JSON (`{"hipaa-admin-01": true, ...}` or `{answers, evidence}`), a JSON report
+ * exported by the browser app, or a CSV of `questionId,answer` rows. Several respondent files (see
+ * `createPartialAnswers`) are merged first; questions they answer differently must be settled with `--resolve`.
+ *
+ * Exit codes:
+ *   0 - The report was produced and every threshold was met.
+ *   1 - A threshold was not met (minimum score or High findings).
+ *   2 - Usage error, unreadable input, invalid answers, nothing in scope, or a Node version (14 or later) that cannot
+ *       load the checker module. Node 12 and older cannot parse this file and exit before the version check.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import util from 'node:util';
+import { pathToFileURL } from 'node:url';
+
+const USAGE = `Usage: node cli.mjs <answers-file> [options]
+       node cli.mjs <respondent-file> <respondent-file>... [options]
+
+Options:
+  -f, --format <json|markdown|text|csv|html>  Report format (default: text)
+  -o, --output <file>                         Write the report to a file instead of stdout
+      --profile <file>                        Scoring profile JSON (see createScoringProfile)
+      --org-profile <file>                    Organization profile JSON (see createOrganizationProfile);
+                                              defaults to the profile saved in the answers file
+      --target <file>                         Target profile JSON (see createTargetProfile); adds the gap to target
+      --locale <code>                         Report language: en (default), de, fr or es
+      --min-overall <percent>                 Fail when the overall score is below this value
+      --min-standard <percent|ID=percent>     Fail when a standard scores below this value; repeatable
+      --fail-on-high                          Fail when any High severity finding exists
+      --fail-on-target                        Fail when any target of the --target profile is not met
+      --strict                                Treat unknown and unanswered questions as errors
+      --resolve <questionId=respondent>       When merging respondent files, keep this respondent's answer; repeatable
+      --skip-self-tests                       Do not run the module self-tests (also CRC_SKIP_SELF_TESTS=1)
+  -h, --help                                  Show this help`;
+
+const FORMATS = ['json', 'markdown', 'text', 'csv', 'html'];
+
+/**
+ * Whether this Node can load the checker module. It is an ES module in a `.js` file without a package.json, which
+ * Node only detects from 20.19 on the 20 line and from 22.7 on. `parseArgs` is imported through the namespace so that
+ * Node 14 and later get this far and can be told so; Node 12 and older already fail on the syntax of this file.
+ * @private
+ */
+function isSupportedNode(version) {
+    const [major, minor] = version.split('.').map(Number);
+    return major >= 23 || (major === 22 && minor >= 7) || (major === 20 && minor >= 19);
+}
+
+/**
+ * Parses a percentage option value.
+ * @private
+ */
+function parsePercent(value, optionName) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < 0 || number > 100) {
+        throw new UsageError(`${optionName} expects a percentage from 0 to 100, got "${value}".`);
+    }
+    return number;
+}
+
+/**
+ * Raised for invalid command-line usage or input; reported with exit code 2.
+ * @private
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Reads and validates the command-line options.
+ * @private
+ */
+function parseOptions(argv) {
+    let parsed;
+    try {
+        parsed = util.parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'text' },
+                output: { type: 'string', short: 'o' },
+                profile: { type: 'string' },
+                'org-profile': { type: 'string' },
+                target: { type: 'string' },
+                locale: { type: 'string', default: 'en' },
+                'min-overall': { type: 'string' },
+                'min-standard': { type: 'string', multiple: true },
+                'fail-on-high': { type: 'boolean', default: false },
+                'fail-on-target': { type: 'boolean', default: false },
+                strict: { type: 'boolean', default: false },
+                resolve: { type: 'string', multiple: true },
+                'skip-self-tests': { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('Expected an answers file, or several respondent files to merge.');
+    }
+    if (values.resolve && positionals.length === 1) {
+        throw new UsageError('--resolve only applies when merging several respondent files.');
+    }
+    const resolutions = {};
+    for (const entry of values.resolve || []) {
+        const separator = entry.indexOf('=');
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new UsageError(`--resolve expects "questionId=respondent", got "${entry}".`);
+        }
+        resolutions[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+    if (values['fail-on-target'] && !values.target) {
+        throw new UsageError('--fail-on-target needs a target profile given with --target.');
+    }
+    if (!FORMATS.includes(values.format)) {
+        throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}.`);
+    }
+    if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(values.locale)) {
+        throw new UsageError(`--locale expects a language code such as "de", got "${values.locale}".`);
+    }
+
+    // A bare percentage applies to every standard; "ID=percent" overrides it for one standard.
+    const minStandard = { all: null, byId: {} };
+    for (const entry of values['min-standard'] || []) {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            minStandard.all = parsePercent(entry, '--min-standard');
+        } else {
+            minStandard.byId[entry.slice(0, separator)] = parsePercent(entry.slice(separator + 1), '--min-standard');
+        }
+    }
+
+    return {
+        help: false,
+        answersFiles: positionals,
+        resolutions,
+        format: values.format,
+        output: values.output,
+        profileFile: values.profile,
+        organizationProfileFile: values['org-profile'],
+        targetFile: values.target,
+        locale: values.locale,
+        minOverall: values['min-overall'] === undefined ? null : parsePercent(values['min-overall'], '--min-overall'),
+        minStandard,
+        failOnHigh: values['fail-on-high'],
+        failOnTarget: values['fail-on-target'],
+        strict: values.strict,
+        skipSelfTests: values['skip-self-tests']
+    };
+}
+
+/**
+ * Loads the checker module. Self-test output goes to stderr so that stdout only carries the report.
+ * @private
+ */
+async function loadChecker(skipSelfTests) {
+    if (skipSelfTests) {
+        globalThis.CRC_SKIP_SELF_TESTS = true;
+    }
+    const { log, group } = console;
+    console.log = (...args) => console.error(...args);
+    console.group = (...args) => console.error(...args);
+    try {
+        return await import('./compliance-readiness-checker.js');
+    } finally {
+        console.log = log;
+        console.group = group;
+    }
+}
+
+/**
+ * Registers the bundled translation for a locale. Region variants fall back to the language bundle (de-AT uses de).
+ * @private
+ */
+async function loadLocale(checker, locale) {
+    const language = locale.split('-')[0].toLowerCase();
+    if (language === 'en') {
+        return;
+    }
+    let bundle;
+    try {
+        bundle = await import(`./locales/${language}.js`);
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND') {
+            throw error;
+        }
+        throw new UsageError(`No translation is available for --locale "${locale}". Available: en, ${['de', 'fr', 'es'].join(', ')}.`);
+    }
+    checker.registerLocale(language, bundle.default);
+}
+
+/**
+ * Merges respondent files into one set of answers, in the shape `parseAnswersImport` returns.
+ * @private
+ */
+async function mergeRespondentFiles(checker, files, resolutions) {
+    const partials = [];
+    for (const file of files) {
+        const imported = checker.parseAnswersImport(await readFile(file, 'utf8'));
+        if (imported.source !== 'partial') {
+            throw new UsageError(`${file} is not a respondent file. Only respondent files can be merged.`);
+        }
+        partials.push(imported);
+    }
+    let merge = checker.mergePartialAnswers(partials);
+    try {
+        merge = checker.resolveAnswerConflicts(merge, resolutions);
+    } catch (error) {
+        throw new UsageError(`--resolve: ${error.message}`);
+    }
+    if (merge.conflicts.length > 0) {
+        const details = merge.conflicts.map(({ questionId, candidates }) =>
+            `  ${questionId}: ${candidates.map(c => `${c.respondent} answered ${JSON.stringify(c.answer)}`).join(', ')}`);
+        throw new UsageError(`Respondents gave different answers:\n${details.join('\n')}\nKeep one with --resolve questionId=respondent.`);
+    }
+    return {
+        answers: merge.answers,
+        evidence: merge.evidence,
+        attribution: merge.attribution,
+        migrations: partials.flatMap(partial => partial.migrations),
+        questionBank: null,
+        organizationProfile: null
+    };
+}
+
+/**
+ * Returns a description of every threshold the report fails.
+ * @private
+ */
+function checkThresholds(report, { minOverall, minStandard, failOnHigh, failOnTarget }) {
+    const failures = [];
+    if (minOverall !== null && report.overallScore < minOverall) {
+        failures.push(`Overall score ${report.overallScore.toFixed(1)}% is below the minimum of ${minOverall}%.`);
+    }
+    const outOfScope = report.scope.standards.filter(entry => !entry.inScope).map(entry => entry.standard);
+    for (const id of Object.keys(minStandard.byId)) {
+        if (outOfScope.includes(id)) {
+            console.error(`warning: ignoring --min-standard ${id} because ${id} is out of scope for these answers.`);
+        } else if (!(id in report.perStandardScores)) {
+            throw new UsageError(`--min-standard refers to unknown standard "${id}". Known: ${Object.keys(report.perStandardScores).join(', ')}.`);
+        }
+    }
+    for (const [standard, score] of Object.entries(report.perStandardScores)) {
+        const minimum = minStandard.byId[standard] ?? minStandard.all;
+        if (minimum !== null && score < minimum) {
+            failures.push(`${standard} score ${score.toFixed(1)}% is below the minimum of ${minimum}%.`);
+        }
+    }
+    const highFindings = report.findings.filter(f => f.severity === 'High');
+    if (failOnHigh && highFindings.length > 0) {
+        failures.push(`${highFindings.length} High severity finding(s): ${highFindings.map(f => f.id).join(', ')}.`);
+    }
+    if (failOnTarget) {
+        report.gapToTarget.targets
+            .filter(target => target.status === 'not_met')
+            .forEach(target => failures.push(`Target not met for ${target.label}: ${target.summary}.`));
+    }
+    return failures;
+}
+
+/**
+ * Runs the CLI and returns the process exit code.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function main(argv) {
+    if (!isSupportedNode(process.versions.node)) {
+        console.error(`The checker requires Node 20.19 or later (22.7 or later on Node 21 and 22); this is Node ${process.versions.node}.`);
+        return 2;
+    }
+    let options;
+    try {
+        options = parseOptions(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const skipSelfTests = options.skipSelfTests || ['1', 'true'].includes(process.env.CRC_SKIP_SELF_TESTS);
+    const checker = await loadChecker(skipSelfTests);
+
+    try {
+        const imported = options.answersFiles.length === 1
+            ? checker.parseAnswersImport(await readFile(options.answersFiles[0], 'utf8'))
+            : await mergeRespondentFiles(checker, options.answersFiles, options.resolutions);
+        const diagnostics = checker.validateAnswers(imported.answers, { strict: options.strict });
+        const unanswered = diagnostics.warnings.filter(warning => warning.code === 'missing_answer');
+        diagnostics.warnings
+            .filter(warning => warning.code !== 'missing_answer')
+            .forEach(warning => console.error(`warning: ${warning.message}`));
+        imported.migrations.forEach(migration => console.error(`warning: moved the answer to "${migration.from}" onto the current questions. ${migration.reason}`.trim()));
+        if (imported.questionBank) {
+            const changed = checker.compareQuestionBanks(imported.questionBank).changedQuestions.filter(id => id in imported.answers);
+            if (changed.length > 0) {
+                console.error(`warning: ${changed.length} answered question(s) changed since the answers were recorded (version ${imported.questionBank.version}): ${changed.join(', ')}.`);
+            }
+        }
+        if (imported.answerLog) {
+            const verification = await checker.verifyAnswerLog(imported.answerLog, imported);
+            verification.problems.forEach(problem => console.error(`warning: answer change log: ${problem.message}`));
+        }
+        if (unanswered.length > 0) {
+            console.error(`warning: ${unanswered.length} applicable question(s) are unanswered and score 0. Use --strict to reject incomplete answers.`);
+        }
+        if (!diagnostics.valid) {
+            diagnostics.errors.forEach(error => console.error(`error: ${error.message}`));
+            return 2;
+        }
+
+        const profile = options.profileFile
+            ? checker.createScoringProfile(JSON.parse(await readFile(options.profileFile, 'utf8')))
+            : undefined;
+        const organizationProfile = options.organizationProfileFile
+            ? checker.createOrganizationProfile(JSON.parse(await readFile(options.organizationProfileFile, 'utf8')))
+            : imported.organizationProfile || undefined;
+        const target = options.targetFile
+            ? checker.createTargetProfile(JSON.parse(await readFile(options.targetFile, 'utf8')))
+            : undefined;
+        const evaluation = checker.evaluateAnswers(imported.answers, { evidence: imported.evidence || {}, profile, organizationProfile, attribution: imported.attribution || {} });
+        if (evaluation.scope.nothingInScope) {
+            throw new UsageError('Nothing in scope: the scoping answers put every supported regulation out of scope, so there is nothing to assess.');
+        }
+        await loadLocale(checker, options.locale);
+        const report = checker.generateReport(evaluation, { locale: options.locale, answerLog: imported.answerLog || [], target });
+        const output = checker.formatReport(report, options.format);
+
+        const failures = checkThresholds(report, options);
+        if (options.output) {
+            await writeFile(options.output, output);
+            console.error(`Report written to ${options.output}.`);
+        } else {
+            process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+        }
+        failures.forEach(failure => console.error(`threshold: ${failure}`));
+        return failures.length > 0 ? 1 : 0;
+    } catch (error) {
+        console.error(error instanceof UsageError || error.code === 'ENOENT' || error instanceof SyntaxError
+            ? error.message
+            : `Unable to produce the report: ${error.message}`);
+        return 2;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = await main(process.argv.slice(2));
+}
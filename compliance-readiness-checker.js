@@ -4,7 +4,7 @@
  * It provides a questionnaire, evaluates answers with weighted scoring, and generates an actionable report.
  * This module runs entirely client-side with no external libraries or network calls.
  *
- * @version 1.0.0
+ * @version 2.0.0
  * @author Gemini
  */
 
@@ -16,6 +16,11 @@
 // - 'yes_no': 'yes' (true) receives the full weight value, 'no' (false) receives 0.
 // - 'multiple': Choices are mapped to a score multiplier (e.g., 0, 0.5, 1.0). The raw score is `weight * choice.score`.
 // - 'scale_0_2': The user's selection (0, 1, or 2) is normalized to a 0-1 scale by dividing by 2. The raw score is `weight * (answer / 2)`.
+// - 'maturity': One of five levels (initial, documented, implemented, tested, optimized) earning 0, 0.25, 0.5, 0.75, and 1
+//   of the weight. A question can give its own credit per level.
+// - 'checklist': The answer lists the sub-controls in place (e.g. encryption at rest, in transit, in backups). The raw
+//   score is the weight times the share of sub-controls ticked; a sub-control's `score` sets its share (default 1 each).
+// - 'numeric': A number (e.g. days to answer a DSAR) scored by the first band it falls in. The raw score is `weight * band.score`.
 // Final scores (overall, per-standard, per-domain) are calculated as a percentage: `(sum of raw scores / sum of max scores) * 100`.
 //
 // Severity Thresholds for Findings:
@@ -25,6 +30,112 @@
 // - Medium: Important requirement (weight 1.5-2.49) with a medium-to-low score (< 70%).
 // - Low: All other non-perfect scores. This ensures even minor gaps are noted.
 //
+// Scoring Profiles:
+// The thresholds above, the 80/50 classification bands, and the question weights are the default scoring profile.
+// A custom profile (see `createScoringProfile`) can override any of them. `evaluateAnswers` applies the weights and
+// records the profile on the evaluation; `generateReport` applies its severity rules and bands and stores the profile,
+// with a fingerprint of its rules, in `report.meta.scoringProfile`. `compareEvaluations` flags comparisons made
+// across different profiles.
+//
+// Organization Profile:
+// A three-person practice and a hospital network should not be held to identical weights. An optional organization
+// profile (size, record volume, sensitive data categories, processing scale) multiplies the weight of the domains and
+// questions each factor affects, using the fixed table in `ORGANIZATION_FACTORS`; the combined multiplier is kept within
+// 0.5-2. Because severity rules look at weights, this can move a finding to another severity. The report then records the
+// severity the unadjusted weight would have given and the factors that raised or lowered it.
+//
+// Applicability:
+// Questions may declare an `applicableWhen` rule over other answers (for example, transfer questions only apply when data
+// leaves the EU/EEA). Inapplicable questions are removed from both the raw and max totals instead of scoring 0 or 100%.
+// Scoping questions (`scored: false`) only drive these rules and never count towards a score.
+//
+// Scoping:
+// Questions marked `scoping` are asked before the questionnaire and decide whether a whole regulation (a pack's
+// `applicableWhen`) or one of its domains (`domainApplicableWhen`) applies. Out-of-scope questions are left out of
+// scores, findings, and evidence coverage, and the report states the answer behind each decision. An unanswered
+// scoping question keeps everything in scope, so answers saved before scoping existed score the same as before.
+//
+// Remediation Content:
+// Each question can carry its own remediation steps, evidence artifacts, estimated effort, and suggested owner role, so a
+// finding describes the specific control that failed. Domain-level text is only used for questions without their own.
+// Quick wins are low-effort gaps on questions weighted 2.0 or more. The 30-day plan groups findings by domain, ordered by
+// worst severity and then lowest domain score. Both link back to finding IDs and fall back to generic advice only when
+// there are no findings.
+//
+// Evidence:
+// Answers can be backed by evidence entries (artifact, location, owner, collected and expiry dates). Evidence never changes
+// the score; instead each domain gets an evidence-coverage percentage, and positively answered questions without current
+// evidence are listed in the report as unverified.
+//
+// Framework Packs:
+// HIPAA and GDPR are registered at load time as built-in framework packs. Further frameworks (SOC 2, ISO 27001, PCI DSS, ...)
+// can be added with `registerStandard(pack)`. A pack brings its own domains, questions, citations, and optional per-domain
+// remediation and evidence text; scoring, reports, and metadata pick up every registered pack automatically.
+//
+// Locales:
+// All built-in text is English. A locale bundle (see `registerLocale`) translates question text, guidance, choice labels,
+// domain names and intros, remediation and evidence lists, and the report's own sentences. Each string is looked up in
+// the most specific locale first ("de-AT", then "de") and falls back to English, so a partial translation is still usable.
+// Translations only change display text: IDs, domains, severities, and classifications stay in English so that scores,
+// comparisons, and saved answers do not depend on the language. Display labels are added alongside them instead
+// (`domainLabel`, `severityLabel`, `classificationLabel`).
+//
+// Question Bank Versioning:
+// Saved answers and reports carry the question bank they were recorded against (`getQuestionBank`): the module version,
+// a hash of all registered questions, and a fingerprint per question. Only what changes the meaning or scoring of an
+// answer is fingerprinted (text, type, choices, weight, applicability); guidance and remediation text can be edited
+// freely. `compareQuestionBanks` lists the answered questions that changed so a UI can ask for a review. When a question
+// is renamed or split, or one of its choices becomes a question of its own, the framework pack declares a migration and
+// `migrateAnswers` moves old answers onto the new questions instead of silently dropping them. Any change to the
+// questions bumps `METADATA.version`, and each migration names the version whose answers it converts (`fromVersion`).
+//
+// Respondents:
+// One person rarely knows every answer: IT answers Technical Safeguards, facilities answers Physical, and legal the GDPR
+// domains. Domains or single questions are assigned to named respondents, each of whom returns a partial answer file
+// (`createPartialAnswers`). Everything is exchanged as files, so it works offline. `mergePartialAnswers` combines the
+// files and reports questions answered differently as conflicts for a reviewer; it never picks a winner by itself. The
+// resulting attribution is carried through the evaluation into the report, where each finding names its respondent.
+//
+// Answer Change Log:
+// For audits, every answer change is recorded in an append-only log: question, old and new value, time, author, and an
+// optional justification. `recordAnswerChanges` diffs the current answers against what the log ends with, so one call
+// covers a click, an import, or a merge. Each entry's SHA-256 hash (Web Crypto) covers the previous entry's hash, so
+// editing or dropping an entry is detectable. `verifyAnswerLog` checks the chain and that a report's answers are the
+// ones the log ends with. Hashing is asynchronous, which is why these are the only async functions in the module.
+//
+// Targets:
+// A target profile (see `createTargetProfile`) states what the organization has committed to: a minimum overall,
+// per-standard, or per-domain score, or a required answer to a critical question, each optionally with a deadline.
+// Targets do not change scoring, so they are applied in `generateReport`, not `evaluateAnswers`. The report's
+// `gapToTarget` gives each target's status and points to go, and lists the findings in its scope as blocking it, the
+// one costing the most points (weight times the missing share of the answer) first. Out-of-scope targets are not counted.
+//
+// Score Explanation:
+// Every score is earned points over possible points, so `explainScores` can split each one exactly into per-question
+// contributions, and the points a question is missing are what fixing it would add (its gain). Findings carry that gain
+// and a gain per effort level so remediation can be ranked by return; gains assume every other answer stays the same, so
+// fixing a question that switches other questions on or off can move the scores by more or less.
+//
+// Charts:
+// `createReportCharts` draws the report as plain SVG strings: a radar of domain scores per standard, findings stacked by
+// severity per domain, and a score trend across the assessment's earlier reports. Each chart has a title, a description,
+// and its data as a table, so it stays usable without sight or without SVG. The same markup serves the browser UI and
+// the HTML export; colors are inline so exports need no stylesheet, and series also differ in dash pattern and marker for
+// grayscale printing.
+//
+// Breach Notification Clock:
+// `getBreachDeadlines` turns the facts of an incident (discovery time, affected counts, jurisdictions, HIPAA four-factor
+// ratings, GDPR risk) into dated notices: 72 hours to the supervisory authority under GDPR, 60 days to individuals
+// under HIPAA, and HHS and media notices from the 500-record thresholds. Unassessed risk counts as notifiable, because
+// HIPAA presumes a breach until the assessment shows otherwise. Incidents are plain objects with an append-only action
+// log. A tabletop exercise run through the same clock produces evidence entries for the breach questions it rehearsed.
+//
+// Common Controls:
+// Several questions in different frameworks test the same underlying control (a BAA and a DPA are both vendor contracts;
+// HIPAA and GDPR both expect a breach procedure). `registerCommonControl` links such questions. A questionnaire UI can
+// offer to copy an answer to the linked questions with `suggestRelatedAnswers`, which only suggests answers that score
+// the same fraction on the other question. Reports group findings by common control, so one fix can be planned once.
+//
 // --- EXAMPLE USAGE (for a UI) ---
 /*
 import {
@@ -63,22 +174,77 @@ console.log('First Finding:', report.findings[0]?.requirementSummary);
 
 const METADATA = {
     appName: 'Compliance Readiness Checker',
-    version: '1.0.0',
-    standards: ['HIPAA', 'GDPR'],
-    domains: {
-        HIPAA: ['Administrative Safeguards', 'Physical Safeguards', 'Technical Safeguards', 'Breach Notification'],
-        GDPR: ['Lawful Basis and Transparency', 'Data Subject Rights', 'DPIA and Records', 'Security of Processing', 'Processors and DPAs', 'Breach Notification', 'International Transfers'],
-    },
+    version: '2.0.0',
     disclaimer: 'This tool provides general readiness guidance and is not legal advice. Consult with qualified legal counsel for compliance advice.'
 };
 
 /**
- * The full set of compliance questions.
+ * The answer types understood by the scoring engine.
+ * @private
+ */
+const QUESTION_TYPES = ['yes_no', 'multiple', 'scale_0_2', 'maturity', 'checklist', 'numeric'];
+
+/**
+ * The levels of a 'maturity' question with their default credit. Questions may override the credit, not the levels.
+ * @private
+ */
+const MATURITY_LEVELS = [
+    { value: 'initial', label: 'Initial', score: 0 },
+    { value: 'documented', label: 'Documented', score: 0.25 },
+    { value: 'implemented', label: 'Implemented', score: 0.5 },
+    { value: 'tested', label: 'Tested', score: 0.75 },
+    { value: 'optimized', label: 'Optimized', score: 1 }
+];
+
+/**
+ * Relative remediation effort levels, from least to most work.
+ * @private
+ */
+const EFFORT_LEVELS = ['Low', 'Medium', 'High'];
+
+/**
+ * Registered framework packs, keyed by standard ID, in registration order.
+ * @private
+ * @type {Map<string, FrameworkPack>}
+ */
+const FRAMEWORKS = new Map();
+
+/**
+ * Registered common controls, keyed by control ID.
+ * @private
+ * @type {Map<string, CommonControl>}
+ */
+const COMMON_CONTROLS = new Map();
+
+/**
+ * Registered translations, keyed by canonical locale code. English is built in and never registered.
+ * @private
+ * @type {Map<string, LocaleBundle>}
+ */
+const LOCALES = new Map();
+
+/**
+ * The built-in HIPAA and GDPR questions. These are registered as framework packs below.
  * @private
  * @type {Array<Question>}
  */
 const QUESTIONS = [
     // --- HIPAA ---
+    {
+        id: 'hipaa-scope-entity',
+        standard: 'HIPAA',
+        domain: 'Administrative Safeguards',
+        text: 'Is your organization a HIPAA covered entity, or a business associate of one?',
+        guidance: 'Covered entities are health plans, health care clearinghouses, and providers that transmit health information electronically. Business associates create, receive, maintain, or transmit PHI on behalf of a covered entity.',
+        type: 'multiple',
+        choices: [
+            { value: 'covered_entity', label: 'Covered entity' },
+            { value: 'business_associate', label: 'Business associate' },
+            { value: 'neither', label: 'Neither' }
+        ],
+        scoping: true,
+        citation: '45 CFR 160.103 Definitions'
+    },
     {
         id: 'hipaa-admin-01',
         standard: 'HIPAA',
@@ -87,7 +253,19 @@ const QUESTIONS = [
         guidance: 'A specific individual must be assigned to oversee the organization\'s security program.',
         type: 'yes_no',
         weight: 3.0,
-        citation: '45 CFR 164.308(a)(2)'
+        citation: '45 CFR 164.308(a)(2)',
+        effort: 'Low',
+        ownerRole: 'Executive leadership',
+        remediation: [
+            'Formally designate a named Security Official in writing, with a documented backup.',
+            'Write a role description covering policy ownership, risk management, and incident oversight.',
+            'Communicate the appointment to the workforce and record it in the security policy manual.'
+        ],
+        evidence: [
+            'Signed designation letter or board/leadership resolution',
+            'Security Official job description',
+            'Organization chart showing the security role'
+        ]
     },
     {
         id: 'hipaa-admin-02',
@@ -102,7 +280,20 @@ const QUESTIONS = [
             { value: 2, label: 'At least Annually & Onboarding' }
         ],
         weight: 2.5,
-        citation: '45 CFR 164.308(a)(5)'
+        citation: '45 CFR 164.308(a)(5)',
+        effort: 'Medium',
+        ownerRole: 'Security Official',
+        remediation: [
+            'Define a security awareness curriculum covering phishing, passwords, malware, and incident reporting.',
+            'Require training at onboarding (before ePHI access) and at least annually thereafter.',
+            'Track completion in an LMS or training log and follow up on overdue staff.',
+            'Send periodic security reminders between formal training sessions.'
+        ],
+        evidence: [
+            'Training materials and curriculum',
+            'Training completion records with dates',
+            'Copies of periodic security reminders'
+        ]
     },
     {
         id: 'hipaa-admin-03',
@@ -112,7 +303,20 @@ const QUESTIONS = [
         guidance: 'You must conduct an accurate and thorough assessment of potential risks and vulnerabilities to ePHI.',
         type: 'yes_no',
         weight: 3.0,
-        citation: '45 CFR 164.308(a)(1)(ii)(A)'
+        citation: '45 CFR 164.308(a)(1)(ii)(A)',
+        effort: 'High',
+        ownerRole: 'Security Official',
+        remediation: [
+            'Inventory all systems, devices, and vendors that create, receive, maintain, or transmit ePHI.',
+            'Identify threats and vulnerabilities for each asset and rate likelihood and impact.',
+            'Document a risk management plan that assigns treatments, owners, and deadlines to each significant risk.',
+            'Repeat the risk analysis at least annually and after major system or business changes.'
+        ],
+        evidence: [
+            'Documented Risk Analysis Report',
+            'ePHI asset inventory',
+            'Risk management plan and risk register'
+        ]
     },
      {
         id: 'hipaa-admin-04',
@@ -122,7 +326,19 @@ const QUESTIONS = [
         guidance: 'There must be consequences for policy violations.',
         type: 'yes_no',
         weight: 1.5,
-        citation: '45 CFR 164.308(a)(1)(ii)(C)'
+        citation: '45 CFR 164.308(a)(1)(ii)(C)',
+        effort: 'Low',
+        ownerRole: 'Human Resources',
+        remediation: [
+            'Draft a sanctions policy with graduated consequences for security policy violations.',
+            'Have HR and leadership approve the policy and add it to the employee handbook.',
+            'Record each sanction applied, including the violation and action taken.'
+        ],
+        evidence: [
+            'Sanction Policy Document',
+            'Signed workforce acknowledgements',
+            'Log of sanctions applied'
+        ]
     },
     {
         id: 'hipaa-phys-01',
@@ -132,7 +348,19 @@ const QUESTIONS = [
         guidance: 'This includes door locks, alarms, and visitor sign-in procedures for sensitive areas.',
         type: 'yes_no',
         weight: 2.5,
-        citation: '45 CFR 164.310(a)(1)'
+        citation: '45 CFR 164.310(a)(1)',
+        effort: 'Medium',
+        ownerRole: 'Facilities',
+        remediation: [
+            'Install locks, badge readers, or alarms on rooms and buildings that house ePHI systems.',
+            'Introduce visitor sign-in and escort procedures for sensitive areas.',
+            'Document a facility security plan and review physical access logs regularly.'
+        ],
+        evidence: [
+            'Facility security plan',
+            'Visitor Sign-in Sheets',
+            'Photos of physical security measures (e.g., locked doors, server cages)'
+        ]
     },
     {
         id: 'hipaa-phys-02',
@@ -142,7 +370,19 @@ const QUESTIONS = [
         guidance: 'Access should be granted on a need-to-know basis.',
         type: 'yes_no',
         weight: 2.0,
-        citation: '45 CFR 164.310(a)(2)(i)'
+        citation: '45 CFR 164.310(a)(2)(i)',
+        effort: 'Low',
+        ownerRole: 'Facilities',
+        remediation: [
+            'Define which roles need access to which facilities and areas.',
+            'Grant badges or keys according to role and revoke them promptly at termination or role change.',
+            'Review facility access rights at least quarterly.'
+        ],
+        evidence: [
+            'Facility access control policy',
+            'Facility Access Control Logs',
+            'Access review records'
+        ]
     },
     {
         id: 'hipaa-phys-03',
@@ -152,7 +392,19 @@ const QUESTIONS = [
         guidance: 'Media must be rendered unreadable or indecipherable before being discarded or reused.',
         type: 'yes_no',
         weight: 2.0,
-        citation: '45 CFR 164.310(d)(1)'
+        citation: '45 CFR 164.310(d)(1)',
+        effort: 'Low',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Write a media disposal and re-use procedure requiring secure wiping or physical destruction.',
+            'Use a certified disposal vendor or approved wiping tools for all drives and devices.',
+            'Keep a log or certificate of destruction for every disposed or re-issued device.'
+        ],
+        evidence: [
+            'Media disposal and re-use policy',
+            'Media Disposal Records/Certificates of Destruction',
+            'Device re-use wiping logs'
+        ]
     },
     {
         id: 'hipaa-tech-01',
@@ -162,17 +414,48 @@ const QUESTIONS = [
         guidance: 'Shared or generic user accounts are not permitted for accessing ePHI.',
         type: 'yes_no',
         weight: 3.0,
-        citation: '45 CFR 164.312(a)(2)(i)'
+        citation: '45 CFR 164.312(a)(2)(i)',
+        effort: 'Medium',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Remove or disable shared and generic accounts on all systems that hold ePHI.',
+            'Issue every user a unique login and tie accounts to the HR joiner/mover/leaver process.',
+            'Review user accounts at least quarterly and disable inactive or orphaned ones.'
+        ],
+        evidence: [
+            'User account listings showing unique IDs',
+            'User Access Review Reports',
+            'Joiner/mover/leaver procedure'
+        ]
     },
     {
         id: 'hipaa-tech-02',
         standard: 'HIPAA',
         domain: 'Technical Safeguards',
-        text: 'Do you have mechanisms to encrypt and decrypt ePHI when it is appropriate?',
+        text: 'Where is ePHI encrypted? Select every place where encryption is in place.',
         guidance: 'Encryption is an addressable safeguard that must be implemented if reasonable and appropriate.',
-        type: 'yes_no',
+        type: 'checklist',
+        choices: [
+            { value: 'devices', label: 'Laptops, desktops, and mobile devices' },
+            { value: 'at_rest', label: 'Databases and file shares (at rest)' },
+            { value: 'in_transit', label: 'Email, APIs, and other transmissions (in transit)' },
+            { value: 'backups', label: 'Backups' }
+        ],
         weight: 2.5,
-        citation: '45 CFR 164.312(a)(2)(iv)'
+        citation: '45 CFR 164.312(a)(2)(iv)',
+        effort: 'High',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Enable full-disk encryption on all laptops, desktops, and mobile devices that store ePHI.',
+            'Encrypt ePHI in databases, file shares, and backups using current algorithms (e.g., AES-256).',
+            'Enforce TLS 1.2 or higher for ePHI in transit, including email and APIs.',
+            'Document encryption decisions, including any addressable-safeguard alternatives.'
+        ],
+        evidence: [
+            'Proof of Encryption Implementation (e.g., screenshots of configuration)',
+            'Device encryption compliance report',
+            'Encryption policy and key management procedure'
+        ]
     },
     {
         id: 'hipaa-tech-03',
@@ -182,7 +465,19 @@ const QUESTIONS = [
         guidance: 'System activity logs are crucial for detecting and responding to security incidents.',
         type: 'yes_no',
         weight: 2.5,
-        citation: '45 CFR 164.312(b)'
+        citation: '45 CFR 164.312(b)',
+        effort: 'Medium',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Enable access and activity logging on all systems that hold ePHI.',
+            'Centralize logs and protect them from alteration or deletion.',
+            'Define who reviews logs, how often, and how anomalies are escalated.'
+        ],
+        evidence: [
+            'System Audit Logs (e.g., access, modification)',
+            'Log retention configuration',
+            'Log review records'
+        ]
     },
     {
         id: 'hipaa-tech-04',
@@ -192,7 +487,19 @@ const QUESTIONS = [
         guidance: 'Implement measures to ensure the integrity of ePHI, such as checksums or digital signatures.',
         type: 'yes_no',
         weight: 2.0,
-        citation: '45 CFR 164.312(c)(1)'
+        citation: '45 CFR 164.312(c)(1)',
+        effort: 'Medium',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Identify where ePHI could be altered or destroyed without authorization.',
+            'Apply integrity controls such as checksums, database constraints, and write-protected backups.',
+            'Monitor for and alert on unexpected changes to ePHI records.'
+        ],
+        evidence: [
+            'Integrity control configuration',
+            'File integrity monitoring reports',
+            'Backup immutability settings'
+        ]
     },
     {
         id: 'hipaa-breach-01',
@@ -202,7 +509,20 @@ const QUESTIONS = [
         guidance: 'This policy must outline steps to identify, assess, and report breaches to affected individuals and HHS.',
         type: 'yes_no',
         weight: 3.0,
-        citation: '45 CFR 164.404'
+        citation: '45 CFR 164.404',
+        effort: 'Medium',
+        ownerRole: 'Privacy Officer',
+        remediation: [
+            'Draft a breach notification policy covering discovery, assessment, and notification deadlines.',
+            'Prepare notification templates for individuals, HHS, and media.',
+            'Train staff on how to recognize and internally report a suspected breach.',
+            'Run a tabletop exercise to test the procedure.'
+        ],
+        evidence: [
+            'Breach notification policy and procedure',
+            'Notification letter templates',
+            'Tabletop exercise report'
+        ]
     },
     {
         id: 'hipaa-breach-02',
@@ -212,9 +532,47 @@ const QUESTIONS = [
         guidance: 'The assessment must consider the nature of the PHI, the unauthorized person, if PHI was viewed, and mitigation extent.',
         type: 'yes_no',
         weight: 2.0,
-        citation: '45 CFR 164.402'
+        citation: '45 CFR 164.402',
+        effort: 'Low',
+        ownerRole: 'Privacy Officer',
+        remediation: [
+            'Add the four-factor risk assessment to the breach procedure as a required form.',
+            'Document how each factor is assessed and who signs off on the conclusion.',
+            'Retain completed assessments for every incident, including those found not to be breaches.'
+        ],
+        evidence: [
+            'Four-factor risk assessment template',
+            'Completed risk assessments for past incidents',
+            'Incident log'
+        ]
     },
     // --- GDPR ---
+    {
+        id: 'gdpr-scope-territorial',
+        standard: 'GDPR',
+        domain: 'Lawful Basis and Transparency',
+        text: 'Is your organization established in the EU/EEA, or does it offer goods or services to, or monitor the behaviour of, people in the EU/EEA?',
+        guidance: 'The GDPR applies to processing in the context of an EU/EEA establishment, and to organizations outside the EU/EEA that target or monitor people there, e.g. by shipping to EU customers or tracking EU website visitors.',
+        type: 'yes_no',
+        scoping: true,
+        citation: 'Art. 3 Territorial scope'
+    },
+    {
+        id: 'gdpr-scope-role',
+        standard: 'GDPR',
+        domain: 'Lawful Basis and Transparency',
+        text: 'Does your organization act as a controller, a processor, or both?',
+        guidance: 'A controller decides why and how personal data is processed. A processor only processes it on behalf of and on the instructions of a controller, e.g. as a hosting or payroll provider.',
+        type: 'multiple',
+        choices: [
+            { value: 'controller', label: 'Controller' },
+            { value: 'processor', label: 'Processor only' },
+            { value: 'both', label: 'Both' }
+        ],
+        scoping: true,
+        citation: 'Art. 4(7) and 4(8) Definitions',
+        applicableWhen: { questionId: 'gdpr-scope-territorial', equals: true }
+    },
     {
         id: 'gdpr-lawful-01',
         standard: 'GDPR',
@@ -223,7 +581,19 @@ const QUESTIONS = [
         guidance: 'The six lawful bases are consent, contract, legal obligation, vital interests, public task, and legitimate interests.',
         type: 'yes_no',
         weight: 3.0,
-        citation: 'Art. 6 Lawful basis'
+        citation: 'Art. 6 Lawful basis',
+        effort: 'Medium',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'List every processing activity and record its purpose.',
+            'Assign and document an Article 6 lawful basis for each activity.',
+            'Complete legitimate interests assessments where that basis is used.'
+        ],
+        evidence: [
+            'Record of Processing Activities (RoPA) with lawful basis column',
+            'Legitimate interests assessments',
+            'Lawful basis decision records'
+        ]
     },
     {
         id: 'gdpr-lawful-02',
@@ -233,7 +603,19 @@ const QUESTIONS = [
         guidance: 'The notice must be concise, transparent, intelligible, and provided in clear and plain language.',
         type: 'yes_no',
         weight: 2.5,
-        citation: 'Art. 13 & 14 Information to be provided'
+        citation: 'Art. 13 & 14 Information to be provided',
+        effort: 'Low',
+        ownerRole: 'Legal',
+        remediation: [
+            'Rewrite the privacy notice to cover every Article 13/14 item in plain language.',
+            'Link the notice from every collection point (website, forms, apps, contracts).',
+            'Review the notice whenever processing changes and at least annually.'
+        ],
+        evidence: [
+            'Public-facing Privacy Notice',
+            'Screenshots of notice placement at collection points',
+            'Privacy notice review log'
+        ]
     },
      {
         id: 'gdpr-lawful-03',
@@ -243,17 +625,48 @@ const QUESTIONS = [
         guidance: 'Pre-ticked boxes are not valid consent. It must be as easy to withdraw consent as to give it.',
         type: 'yes_no',
         weight: 2.5,
-        citation: 'Art. 7 Conditions for consent'
+        citation: 'Art. 7 Conditions for consent',
+        effort: 'Medium',
+        ownerRole: 'Marketing / Product',
+        remediation: [
+            'Replace pre-ticked boxes and bundled consent with separate, unticked opt-ins.',
+            'Record who consented, when, how, and to which notice version.',
+            'Provide a withdrawal mechanism as easy as giving consent and honor it promptly.'
+        ],
+        evidence: [
+            'Consent capture mechanism screenshots and records',
+            'Consent log extract',
+            'Consent withdrawal procedure'
+        ]
     },
     {
         id: 'gdpr-rights-01',
         standard: 'GDPR',
         domain: 'Data Subject Rights',
-        text: 'Do you have a clear process to respond to Data Subject Access Requests (DSARs) within one month?',
-        guidance: 'This includes requests for access, rectification, erasure ("right to be forgotten"), and data portability.',
-        type: 'yes_no',
+        text: 'How many days does it usually take you to respond to a Data Subject Access Request (DSAR)?',
+        guidance: 'Requests for access, rectification, erasure ("right to be forgotten"), and data portability must be answered within one month. Only complex or numerous requests justify extending this by up to two further months.',
+        type: 'numeric',
+        unit: 'days',
+        range: { min: 0, max: 365 },
+        bands: [
+            { max: 30, score: 1 },
+            { max: 90, score: 0.5 },
+            { score: 0 }
+        ],
         weight: 3.0,
-        citation: 'Art. 15 Right of access'
+        citation: 'Art. 15 Right of access',
+        effort: 'Medium',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Create a public-facing intake form or mailbox for data subject requests.',
+            'Write a DSAR runbook covering identity verification, search, review, and response within one month.',
+            'Track every request with its receipt date and deadline in a request register.'
+        ],
+        evidence: [
+            'DSAR procedure',
+            'Request register',
+            'Sample Data Subject Access Request response'
+        ]
     },
      {
         id: 'gdpr-rights-02',
@@ -263,7 +676,19 @@ const QUESTIONS = [
         guidance: 'This is a technical and procedural challenge. You must be able to honor the right to rectification and erasure.',
         type: 'yes_no',
         weight: 2.5,
-        citation: 'Art. 16 & 17 Rectification and erasure'
+        citation: 'Art. 16 & 17 Rectification and erasure',
+        effort: 'High',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Map where each category of personal data is stored across systems and backups.',
+            'Build or document search, correction, and deletion procedures for each system.',
+            'Test an end-to-end erasure request and record the result.'
+        ],
+        evidence: [
+            'Data map or system inventory',
+            'Erasure and rectification procedures per system',
+            'Erasure test record'
+        ]
     },
     {
         id: 'gdpr-dpia-01',
@@ -273,7 +698,19 @@ const QUESTIONS = [
         guidance: 'This internal record must detail what data you process, why, for how long, and who it is shared with.',
         type: 'yes_no',
         weight: 2.5,
-        citation: 'Art. 30 Records of processing activities'
+        citation: 'Art. 30 Records of processing activities',
+        effort: 'Medium',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Interview process owners to capture all processing activities.',
+            'Record each activity with the Article 30 fields: purposes, categories, recipients, transfers, retention, and security.',
+            'Assign an owner to keep the RoPA current and review it at least annually.'
+        ],
+        evidence: [
+            'Record of Processing Activities (RoPA)',
+            'RoPA review log',
+            'List of RoPA owners'
+        ]
     },
     {
         id: 'gdpr-dpia-02',
@@ -283,7 +720,19 @@ const QUESTIONS = [
         guidance: 'A DPIA is required before starting new projects or using new technologies that are likely to result in a high risk to individuals.',
         type: 'yes_no',
         weight: 2.0,
-        citation: 'Art. 35 DPIA'
+        citation: 'Art. 35 DPIA',
+        effort: 'Medium',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Adopt a DPIA screening checklist based on Article 35 and supervisory authority guidance.',
+            'Create a DPIA template covering necessity, risks to individuals, and mitigations.',
+            'Make DPIA screening a mandatory step in project and procurement approvals.'
+        ],
+        evidence: [
+            'DPIA screening checklist',
+            'Data Protection Impact Assessment (DPIA) reports',
+            'Project approval workflow showing the DPIA gate'
+        ]
     },
     {
         id: 'gdpr-security-01',
@@ -298,17 +747,42 @@ const QUESTIONS = [
             { value: 'full', label: 'Comprehensive, risk-based measures in place', score: 1.0 },
         ],
         weight: 3.0,
-        citation: 'Art. 32 Security of processing'
+        citation: 'Art. 32 Security of processing',
+        effort: 'High',
+        ownerRole: 'Security Officer',
+        remediation: [
+            'Perform a risk assessment of personal data processing to set the required security level.',
+            'Implement measures matched to the risk, such as encryption, pseudonymization, access control, and backups.',
+            'Document the measures in an information security policy.',
+            'Assign owners and review dates for each measure.'
+        ],
+        evidence: [
+            'Information security policy',
+            'Risk assessment for personal data processing',
+            'Technical and organizational measures (TOMs) list'
+        ]
     },
     {
         id: 'gdpr-security-02',
         standard: 'GDPR',
         domain: 'Security of Processing',
-        text: 'Do you have a process for regularly testing, assessing, and evaluating the effectiveness of your security measures?',
-        guidance: 'Security is not a one-time project; it requires ongoing validation.',
-        type: 'yes_no',
+        text: 'How mature is your process for regularly testing, assessing, and evaluating the effectiveness of your security measures?',
+        guidance: 'Security is not a one-time project; it requires ongoing validation. Initial: ad hoc. Documented: written down but not yet followed. Implemented: followed in practice. Tested: its results are checked. Optimized: improved based on those results.',
+        type: 'maturity',
         weight: 2.0,
-        citation: 'Art. 32(1)(d)'
+        citation: 'Art. 32(1)(d)',
+        effort: 'Medium',
+        ownerRole: 'Security Officer',
+        remediation: [
+            'Schedule regular vulnerability scans and an annual penetration test.',
+            'Test backup restores and incident response at least annually.',
+            'Track findings to closure and report results to management.'
+        ],
+        evidence: [
+            'Vulnerability scan and penetration test reports',
+            'Remediation tracking records',
+            'Management review minutes'
+        ]
     },
     {
         id: 'gdpr-processors-01',
@@ -318,7 +792,19 @@ const QUESTIONS = [
         guidance: 'A DPA is mandatory when a third party processes personal data on your behalf.',
         type: 'yes_no',
         weight: 3.0,
-        citation: 'Art. 28 Processor'
+        citation: 'Art. 28 Processor',
+        effort: 'Medium',
+        ownerRole: 'Legal / Procurement',
+        remediation: [
+            'Identify every third party that processes personal data on your behalf.',
+            'Sign an Article 28 Data Processing Agreement with each processor that lacks one.',
+            'Add a DPA checkpoint to procurement so no processor receives data before signing.'
+        ],
+        evidence: [
+            'Processor inventory with DPA status',
+            'Executed Data Processing Agreements',
+            'Procurement checklist including DPA review'
+        ]
     },
     {
         id: 'gdpr-processors-02',
@@ -328,7 +814,19 @@ const QUESTIONS = [
         guidance: 'The DPA must contain specific clauses outlined in Article 28(3).',
         type: 'yes_no',
         weight: 2.0,
-        citation: 'Art. 28(3)'
+        citation: 'Art. 28(3)',
+        effort: 'Low',
+        ownerRole: 'Legal',
+        remediation: [
+            'Compare existing DPAs against the Article 28(3) clause checklist.',
+            'Negotiate amendments for DPAs missing security, sub-processor, audit, or breach notification clauses.',
+            'Adopt a standard DPA template for new processors.'
+        ],
+        evidence: [
+            'Article 28(3) clause review of each DPA',
+            'Amended DPAs',
+            'Standard DPA template'
+        ]
     },
     {
         id: 'gdpr-breach-01',
@@ -338,7 +836,20 @@ const QUESTIONS = [
         guidance: 'Breaches posing a risk must be reported without undue delay, and where feasible, within 72 hours.',
         type: 'yes_no',
         weight: 3.0,
-        citation: 'Art. 33 Notification of a breach'
+        citation: 'Art. 33 Notification of a breach',
+        effort: 'Medium',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Write an incident response procedure for detecting, containing, and assessing personal data breaches.',
+            'Define who decides on notification and how the 72-hour deadline is met.',
+            'Keep a breach register recording every breach, including those not notified.',
+            'Run a tabletop exercise to test the procedure.'
+        ],
+        evidence: [
+            'Incident response and breach notification procedure',
+            'Breach register',
+            'Tabletop exercise report'
+        ]
     },
     {
         id: 'gdpr-breach-02',
@@ -348,7 +859,30 @@ const QUESTIONS = [
         guidance: 'This communication must happen without undue delay.',
         type: 'yes_no',
         weight: 2.5,
-        citation: 'Art. 34 Communication of a breach'
+        citation: 'Art. 34 Communication of a breach',
+        effort: 'Low',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Add criteria to the breach procedure for deciding when a breach poses a high risk to individuals.',
+            'Prepare plain-language notification templates for data subjects.',
+            'Define the channels (email, letter, public notice) used to reach affected individuals.'
+        ],
+        evidence: [
+            'High-risk assessment criteria',
+            'Data subject notification templates',
+            'Breach register entries showing the decision'
+        ]
+    },
+    {
+        id: 'gdpr-transfer-scope',
+        standard: 'GDPR',
+        domain: 'International Transfers',
+        text: 'Is any personal data transferred to, or accessed from, countries outside the EU/EEA?',
+        guidance: 'Include remote access by vendors or group companies and cloud services hosted outside the EU/EEA.',
+        type: 'yes_no',
+        scored: false,
+        weight: 0,
+        citation: 'Art. 44 General principle for transfers'
     },
     {
         id: 'gdpr-transfer-01',
@@ -358,7 +892,32 @@ const QUESTIONS = [
         guidance: 'Mechanisms include adequacy decisions, Standard Contractual Clauses (SCCs), or Binding Corporate Rules (BCRs).',
         type: 'yes_no',
         weight: 3.0,
-        citation: 'Art. 44 General principle for transfers'
+        citation: 'Art. 44 General principle for transfers',
+        applicableWhen: { questionId: 'gdpr-transfer-scope', equals: true },
+        effort: 'Medium',
+        ownerRole: 'Legal',
+        remediation: [
+            'Identify every transfer of personal data outside the EU/EEA.',
+            'Put a valid mechanism in place for each transfer, such as an adequacy decision, SCCs, or BCRs.',
+            'Record the mechanism used for each transfer in the RoPA.'
+        ],
+        evidence: [
+            'Transfer inventory with mechanism per transfer',
+            'Executed Standard Contractual Clauses',
+            'RoPA transfer entries'
+        ]
+    },
+    {
+        id: 'gdpr-transfer-sccs',
+        standard: 'GDPR',
+        domain: 'International Transfers',
+        text: 'Do you rely on Standard Contractual Clauses (SCCs) for any of these transfers?',
+        guidance: 'Answer "No" if all transfers rely on adequacy decisions, Binding Corporate Rules, or Article 49 derogations.',
+        type: 'yes_no',
+        scored: false,
+        weight: 0,
+        citation: 'Art. 46(2)(c) Standard data protection clauses',
+        applicableWhen: { questionId: 'gdpr-transfer-scope', equals: true }
     },
     {
         id: 'gdpr-transfer-02',
@@ -368,7 +927,20 @@ const QUESTIONS = [
         guidance: 'A TIA is required to assess whether the SCCs can be complied with in practice in the third country.',
         type: 'yes_no',
         weight: 2.5,
-        citation: 'Art. 46 Transfers subject to safeguards'
+        citation: 'Art. 46 Transfers subject to safeguards',
+        applicableWhen: { questionId: 'gdpr-transfer-sccs', equals: true },
+        effort: 'High',
+        ownerRole: 'Legal',
+        remediation: [
+            'Assess the laws and practices of each destination country for transfers relying on SCCs.',
+            'Identify supplementary measures (e.g., encryption with EU-held keys) where protection is insufficient.',
+            'Document the Transfer Impact Assessment and review it when laws or transfers change.'
+        ],
+        evidence: [
+            'Transfer Impact Assessments',
+            'Supplementary measures documentation',
+            'TIA review log'
+        ]
     },
     // Adding more questions to meet the count requirement
     {
@@ -379,7 +951,20 @@ const QUESTIONS = [
         guidance: 'You must be able to restore access to ePHI in the event of an emergency.',
         type: 'yes_no',
         weight: 2.5,
-        citation: '45 CFR 164.308(a)(7)'
+        citation: '45 CFR 164.308(a)(7)',
+        effort: 'High',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Implement automated, encrypted backups of all systems holding ePHI, with an offsite or immutable copy.',
+            'Document a disaster recovery plan with recovery time and recovery point objectives.',
+            'Write an emergency mode operations plan for continuing critical processes during an outage.',
+            'Test restores and the recovery plan at least annually and record the results.'
+        ],
+        evidence: [
+            'Contingency Plan and Test Results',
+            'Backup configuration and job reports',
+            'Restore test records'
+        ]
     },
     {
         id: 'hipaa-admin-06',
@@ -389,7 +974,19 @@ const QUESTIONS = [
         guidance: 'BAAs are required to ensure your vendors protect PHI to the same standards you do.',
         type: 'yes_no',
         weight: 3.0,
-        citation: '45 CFR 164.308(b)(1)'
+        citation: '45 CFR 164.308(b)(1)',
+        effort: 'Medium',
+        ownerRole: 'Legal / Procurement',
+        remediation: [
+            'Build an inventory of all vendors that create, receive, maintain, or transmit ePHI.',
+            'Execute a Business Associate Agreement with every vendor on the inventory that lacks one.',
+            'Add a BAA checkpoint to the procurement process so no vendor receives ePHI before signing.'
+        ],
+        evidence: [
+            'Vendor inventory with BAA status',
+            'Executed Business Associate Agreements',
+            'Procurement checklist including BAA review'
+        ]
     },
     {
         id: 'hipaa-phys-04',
@@ -399,7 +996,19 @@ const QUESTIONS = [
         guidance: 'This is a simple but effective safeguard against "shoulder surfing".',
         type: 'yes_no',
         weight: 1.0,
-        citation: '45 CFR 164.310(b)'
+        citation: '45 CFR 164.310(b)',
+        effort: 'Low',
+        ownerRole: 'Facilities',
+        remediation: [
+            'Reposition screens that display ePHI away from public and high-traffic areas.',
+            'Fit privacy filters where repositioning is not possible.',
+            'Add workstation placement to the workstation security policy and periodic walkthroughs.'
+        ],
+        evidence: [
+            'Workstation security policy',
+            'Walkthrough checklist results',
+            'Photos of workstation placement or privacy filters'
+        ]
     },
      {
         id: 'hipaa-tech-05',
@@ -409,7 +1018,19 @@ const QUESTIONS = [
         guidance: 'This prevents unauthorized access from unattended workstations.',
         type: 'yes_no',
         weight: 1.5,
-        citation: '45 CFR 164.312(a)(2)(iii)'
+        citation: '45 CFR 164.312(a)(2)(iii)',
+        effort: 'Low',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Configure session timeouts and screen locks on workstations and ePHI applications.',
+            'Set the inactivity period by risk (e.g., 5-15 minutes) and document the rationale.',
+            'Enforce the settings centrally via group policy or MDM rather than per device.'
+        ],
+        evidence: [
+            'Group policy or MDM screenshots showing timeout settings',
+            'Application session timeout configuration',
+            'Workstation security policy'
+        ]
     },
      {
         id: 'hipaa-tech-06',
@@ -419,7 +1040,19 @@ const QUESTIONS = [
         guidance: 'This can be through passwords, two-factor authentication, or other identity verification methods.',
         type: 'yes_no',
         weight: 2.5,
-        citation: '45 CFR 164.312(d)'
+        citation: '45 CFR 164.312(d)',
+        effort: 'Medium',
+        ownerRole: 'IT Operations',
+        remediation: [
+            'Require strong, unique passwords for all accounts that can access ePHI.',
+            'Enable multi-factor authentication for remote access, email, and privileged accounts.',
+            'Document identity verification steps for password resets and new account requests.'
+        ],
+        evidence: [
+            'Password Policy Document',
+            'MFA enrollment report',
+            'Identity verification procedure for the help desk'
+        ]
     },
     {
         id: 'gdpr-lawful-04',
@@ -429,7 +1062,19 @@ const QUESTIONS = [
         guidance: 'Only collect and process personal data that is adequate, relevant, and limited to what is necessary for the specified purpose.',
         type: 'yes_no',
         weight: 2.0,
-        citation: 'Art. 5(1)(b) & (c)'
+        citation: 'Art. 5(1)(b) & (c)',
+        effort: 'Medium',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Review each data collection point and remove fields not needed for the stated purpose.',
+            'Define retention periods for each category of personal data and schedule deletion.',
+            'Require a purpose-compatibility check before data is reused for a new purpose.'
+        ],
+        evidence: [
+            'Data retention schedule',
+            'Data minimization review records',
+            'Purpose compatibility assessments'
+        ]
     },
     {
         id: 'gdpr-rights-03',
@@ -439,22 +1084,57 @@ const QUESTIONS = [
         guidance: 'Individuals have the right to block or suppress processing of their personal data in certain circumstances.',
         type: 'yes_no',
         weight: 2.0,
-        citation: 'Art. 18 & 21'
+        citation: 'Art. 18 & 21',
+        effort: 'Low',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Extend the request procedure to cover restriction and objection requests.',
+            'Define how processing is technically restricted or flagged in each system.',
+            'Train request handlers on the criteria in Articles 18 and 21.'
+        ],
+        evidence: [
+            'Restriction and objection procedure',
+            'Sample handled requests',
+            'Training records for request handlers'
+        ]
     },
     {
-        id: 'gdpr-security-03',
+        id: 'gdpr-security-dpo-scope',
         standard: 'GDPR',
         domain: 'Security of Processing',
-        text: 'Have you appointed a Data Protection Officer (DPO), if required by Article 37?',
+        text: 'Is your organization required to designate a Data Protection Officer (DPO) under Article 37?',
         guidance: 'A DPO is mandatory for public authorities, or organizations whose core activities involve large-scale, regular monitoring or processing of sensitive data.',
+        type: 'yes_no',
+        scored: false,
+        weight: 0,
+        citation: 'Art. 37(1) Designation of DPO'
+    },
+    {
+        id: 'gdpr-security-03',
+        standard: 'GDPR',
+        domain: 'Security of Processing',
+        text: 'Have you appointed a Data Protection Officer (DPO)?',
+        guidance: 'The DPO must be involved in all data protection issues, report to the highest management level, and be contactable by data subjects.',
         type: 'multiple',
         choices: [
-             { value: 'not_req', label: 'Not Required for our organization', score: 1.0 },
              { value: 'yes', label: 'Yes, DPO appointed', score: 1.0 },
-             { value: 'no', label: 'No, DPO not appointed but may be required', score: 0 },
+             { value: 'no', label: 'No, DPO not appointed', score: 0 },
         ],
         weight: 2.5,
-        citation: 'Art. 37 Designation of DPO'
+        citation: 'Art. 37 Designation of DPO',
+        applicableWhen: { questionId: 'gdpr-security-dpo-scope', equals: true },
+        effort: 'Medium',
+        ownerRole: 'Executive leadership',
+        remediation: [
+            'Appoint a DPO with expert knowledge of data protection law, either internally or as a service.',
+            'Publish the DPO contact details and notify the supervisory authority.',
+            'Ensure the DPO reports to the highest management level and has no conflicting duties.'
+        ],
+        evidence: [
+            'DPO appointment letter',
+            'Supervisory authority DPO notification',
+            'Published DPO contact details'
+        ]
     },
      {
         id: 'gdpr-processors-03',
@@ -464,7 +1144,19 @@ const QUESTIONS = [
         guidance: 'You are responsible for the actions of your processors. You must verify their ability to protect the data you share.',
         type: 'yes_no',
         weight: 2.0,
-        citation: 'Art. 28(1)'
+        citation: 'Art. 28(1)',
+        effort: 'Medium',
+        ownerRole: 'Security Officer',
+        remediation: [
+            'Create a vendor security questionnaire proportionate to the data shared.',
+            'Assess each processor before onboarding and periodically afterwards.',
+            'Review processor certifications (e.g., ISO 27001, SOC 2) and audit reports.'
+        ],
+        evidence: [
+            'Completed vendor security questionnaires',
+            'Processor certifications and audit reports',
+            'Vendor risk register'
+        ]
     },
      {
         id: 'gdpr-transfer-03',
@@ -474,21 +1166,68 @@ const QUESTIONS = [
         guidance: 'Maintaining a clear inventory of international data flows is essential for compliance.',
         type: 'yes_no',
         weight: 1.5,
-        citation: 'Art. 44-50 International Transfers'
+        citation: 'Art. 44-50 International Transfers',
+        applicableWhen: { questionId: 'gdpr-transfer-scope', equals: true },
+        effort: 'Low',
+        ownerRole: 'Data Protection Officer',
+        remediation: [
+            'Build a register of international data flows with data categories, purposes, and recipient countries.',
+            'Link each flow to its transfer mechanism and TIA.',
+            'Review the register whenever vendors or systems change.'
+        ],
+        evidence: [
+            'International data flow register',
+            'Data flow diagrams',
+            'Register review log'
+        ]
     }
 ];
 
+/**
+ * @typedef {object} NumericBand
+ * A numeric answer falls in a band when it is at least `min` and at most `max`; either bound may be left out.
+ * @property {number} [min] - Lowest value in the band.
+ * @property {number} [max] - Highest value in the band.
+ * @property {number} score - The share of the weight earned (0-1).
+ * @property {string} [label] - The band in words, e.g. "30 days or less". Set on localized questions only.
+ */
+
 /**
  * @typedef {object} Question
  * @property {string} id - A unique identifier for the question.
- * @property {"HIPAA" | "GDPR"} standard - The compliance standard.
+ * @property {string} standard - The ID of the framework pack the question belongs to (e.g. "HIPAA").
  * @property {string} domain - The specific domain within the standard.
  * @property {string} text - The question text presented to the user.
  * @property {string} guidance - Helper text to explain the question.
- * @property {"yes_no" | "multiple" | "scale_0_2"} type - The type of answer expected.
- * @property {Array<{value: string | number, label: string, score?: number}>} [choices] - Answer options for 'multiple' or 'scale_0_2'.
+ * @property {"yes_no" | "multiple" | "scale_0_2" | "maturity" | "checklist" | "numeric"} type - The type of answer expected.
+ * @property {Array<{value: string | number, label: string, score?: number}>} [choices] - Answer options for 'multiple' or 'scale_0_2',
+ * the sub-controls of a 'checklist' (`score` is the sub-control's relative share, default 1), or credit overrides for
+ * 'maturity' levels (labels come from the level names).
+ * @property {Array<NumericBand>} [bands] - Scoring bands for 'numeric' questions, checked in order.
+ * @property {string} [unit] - The unit of a 'numeric' answer (e.g. "days").
+ * @property {{min?: number, max?: number}} [range] - The accepted values of a 'numeric' answer. Defaults to 0 or more.
  * @property {number} weight - The importance of the question, from 0.5 to 3.
  * @property {string} citation - The relevant article or section of the regulation.
+ * @property {boolean} [scored] - Set to false for scoping questions that only drive applicability and never count towards scores.
+ * @property {boolean} [scoping] - Asked in the scoping step before the questionnaire to decide whether the standard and its domains are in scope. Implies `scored: false`.
+ * @property {ApplicabilityRule} [applicableWhen] - The question only applies when this rule matches the other answers. `showIf` is accepted as an alias.
+ * @property {string[]} [remediation] - Control-specific remediation steps. Falls back to the domain-level text when absent.
+ * @property {string[]} [evidence] - Control-specific evidence artifacts. Falls back to the domain-level list when absent.
+ * @property {"Low" | "Medium" | "High"} [effort] - Estimated effort to close a gap on this control. Defaults to "Medium".
+ * @property {string} [ownerRole] - The role best placed to own remediation (e.g. "IT Operations").
+ */
+
+/**
+ * @typedef {object} ApplicabilityRule
+ * A rule over other answers. Either a comparison against one question, or a combination of nested rules. A rule with
+ * both `all` and `any` matches when both do.
+ * A comparison never matches while the referenced question is unanswered or itself not applicable.
+ * @property {string} [questionId] - The question whose answer is compared.
+ * @property {boolean | string | number} [equals] - Matches when the answer is strictly equal to this value.
+ * @property {boolean | string | number} [notEquals] - Matches when the answer is answered and not equal to this value.
+ * @property {Array<boolean | string | number>} [in] - Matches when the answer is one of these values.
+ * @property {Array<ApplicabilityRule>} [all] - Matches when every nested rule matches.
+ * @property {Array<ApplicabilityRule>} [any] - Matches when at least one nested rule matches.
  */
 
 /**
@@ -498,320 +1237,4774 @@ const QUESTIONS = [
 
 /**
  * @typedef {object} Evaluation
- * @property {Array<{questionId: string, weight: number, rawScore: number, maxScore: number}>} items - The scored result for each question.
- * @property {number} overallScore - The overall compliance score as a percentage.
- * @property {{HIPAA: number, GDPR: number}} perStandard - Compliance scores for each standard.
- * @property {object.<string, number>} perDomain - Compliance scores for each domain.
+ * @property {Array<{questionId: string, weight: number, baseWeight: number, factors: Array<{factor: string, value: string, multiplier: number}>, rawScore: number, maxScore: number, applicable: boolean, evidenceCount: number, evidenceStatus: "verified" | "unverified" | "expired" | "not_required"}>} items - The scored result for each scored question. Inapplicable questions have a maxScore of 0.
+ * @property {number | null} overallScore - The overall compliance score as a percentage. Null when nothing is in scope (`scope.nothingInScope`).
+ * @property {object.<string, number>} perStandard - Compliance scores keyed by standard ID, for the standards in scope.
+ * @property {object.<string, number>} perDomain - Compliance scores for each domain name (domains shared by several standards are combined).
+ * @property {object.<string, object.<string, number>>} perStandardDomain - Compliance scores for each domain, grouped by standard ID.
+ * @property {{overall: number | null, perStandard: object.<string, number | null>, perStandardDomain: object.<string, object.<string, number | null>>}} evidenceCoverage - Weighted share of positively answered questions with current evidence; null where nothing needs verifying.
+ * @property {EvidenceRegister} evidence - The well-formed evidence entries that were supplied, keyed by question ID.
+ * @property {Answers} answers - A copy of the answers that were evaluated, so reports can be re-imported.
+ * @property {ScoringProfile} scoringProfile - The scoring profile whose weights were applied.
+ * @property {OrganizationProfile | null} organizationProfile - The organization profile that adjusted the weights, if any.
+ * @property {Scope} scope - The standards and domains in scope. Scores only cover what is in scope.
+ * @property {QuestionBank} questionBank - The questions the answers were scored against.
+ * @property {AnswerAttribution} attribution - Who gave each answer, for answers given by a named respondent.
+ * @property {AnswerValidationResult} [diagnostics] - Present when evaluated with `validate: 'attach'`.
  */
 
 /**
- * Returns a deep copy of the compliance questionnaire.
- * @returns {Array<Question>} An array of all questions.
+ * @typedef {object} FrameworkPack
+ * @property {string} id - The standard ID used as `question.standard` and as the key in per-standard scores (e.g. "SOC2").
+ * @property {string} [name] - Display name for the standard. Defaults to the ID.
+ * @property {string} [description] - A short description of the framework.
+ * @property {string[]} domains - The ordered list of domains in the framework.
+ * @property {object.<string, string>} [domainIntros] - Introductory text for each domain.
+ * @property {Array<Question>} questions - The questions in the pack. `standard` is filled in from the pack ID.
+ * @property {object.<string, string[]>} [remediation] - Fallback remediation steps for questions without their own, keyed by domain.
+ * @property {object.<string, string[]>} [evidence] - Fallback evidence artifacts for questions without their own, keyed by domain.
+ * @property {Array<QuestionMigration>} [migrations] - How to carry answers from earlier versions of the pack's questions forward.
+ * @property {ApplicabilityRule} [applicableWhen] - The standard is only in scope when this rule matches the answers to scoping questions.
+ * @property {object.<string, ApplicabilityRule>} [domainApplicableWhen] - Rules over scoping answers that put single domains out of scope, keyed by domain.
  */
-export function createQuestionnaire() {
-    return JSON.parse(JSON.stringify(QUESTIONS));
-}
 
 /**
- * Returns the module's metadata.
- * @returns {{appName: string, version: string, standards: string[], domains: object, disclaimer: string}}
+ * @typedef {object} QuestionMigration
+ * Moves an answer recorded against an earlier question bank onto the current questions.
+ * @property {string} from - The question ID the answer was recorded under.
+ * @property {string} [fromVersion] - The module version whose question bank the answer was recorded against.
+ * @property {boolean | string | number} [whenAnswer] - Only migrate this answer. Without it every answer to `from` is migrated, so `from` must no longer be a question.
+ * @property {string[]} [to] - Question IDs that take over the answer: one for a rename, several for a split.
+ * @property {Answers} [answers] - Fixed answers to record instead, e.g. when a choice became a question of its own.
+ * @property {string} [reason] - A short explanation that can be shown next to the migrated answer.
  */
-export function getMetadata() {
-    return METADATA;
-}
 
 /**
- * Evaluates a set of answers against the compliance questionnaire.
- * @param {Answers} answers - A map of question IDs to user answers.
- * @returns {Evaluation} The calculated evaluation results.
+ * Registers a framework pack so its questions are included in the questionnaire, scoring, and reports.
+ * The pack is copied; later changes to the object passed in have no effect.
+ * @param {FrameworkPack} pack - The framework definition.
+ * @returns {string} The registered standard ID.
+ * @throws {Error} If the pack is malformed, the standard is already registered, or a question ID is already in use.
  */
-export function evaluateAnswers(answers) {
-    const evaluationItems = [];
-    const totals = {
-        overall: { raw: 0, max: 0 },
-        standard: { HIPAA: { raw: 0, max: 0 }, GDPR: { raw: 0, max: 0 } },
-        domain: {}
-    };
-
-    // Initialize domain totals
-    Object.values(METADATA.domains).flat().forEach(domainName => {
-        totals.domain[domainName] = { raw: 0, max: 0 };
-    });
-
-    for (const q of QUESTIONS) {
-        const answer = answers[q.id];
-        let rawScore = 0;
-        const maxScore = q.weight;
+export function registerStandard(pack) {
+    if (!pack || typeof pack.id !== 'string' || pack.id.trim() === '') {
+        throw new Error('Framework pack must have a non-empty string id.');
+    }
+    if (FRAMEWORKS.has(pack.id)) {
+        throw new Error(`Standard "${pack.id}" is already registered.`);
+    }
+    if (!Array.isArray(pack.domains) || pack.domains.length === 0) {
+        throw new Error(`Framework pack "${pack.id}" must declare at least one domain.`);
+    }
+    if (!Array.isArray(pack.questions) || pack.questions.length === 0) {
+        throw new Error(`Framework pack "${pack.id}" must contain at least one question.`);
+    }
 
-        if (answer !== undefined && answer !== null) {
-            switch (q.type) {
-                case 'yes_no':
-                    rawScore = answer === true ? q.weight : 0;
-                    break;
-                case 'scale_0_2':
-                    const numericAnswer = Number(answer);
-                    if (!isNaN(numericAnswer) && numericAnswer >= 0 && numericAnswer <= 2) {
-                        rawScore = q.weight * (numericAnswer / 2);
-                    }
-                    break;
-                case 'multiple':
-                    const choice = q.choices?.find(c => c.value === answer);
-                    if (choice && typeof choice.score === 'number') {
-                        rawScore = q.weight * choice.score;
-                    }
-                    break;
-            }
+    const existingIds = new Set(getQuestions().map(q => q.id));
+    const packIds = new Set();
+    for (const q of pack.questions) {
+        if (!q || typeof q.id !== 'string' || q.id === '') {
+            throw new Error(`Framework pack "${pack.id}" contains a question without an id.`);
         }
-        
-        evaluationItems.push({ questionId: q.id, weight: q.weight, rawScore, maxScore });
-        
-        totals.overall.raw += rawScore;
-        totals.overall.max += maxScore;
-        totals.standard[q.standard].raw += rawScore;
-        totals.standard[q.standard].max += maxScore;
-        if(totals.domain[q.domain]){
-            totals.domain[q.domain].raw += rawScore;
-            totals.domain[q.domain].max += maxScore;
+        if (existingIds.has(q.id) || packIds.has(q.id)) {
+            throw new Error(`Question ID "${q.id}" is already in use.`);
+        }
+        if (!pack.domains.includes(q.domain)) {
+            throw new Error(`Question "${q.id}" uses domain "${q.domain}", which is not declared by "${pack.id}".`);
         }
+        if (!QUESTION_TYPES.includes(q.type)) {
+            throw new Error(`Question "${q.id}" has unsupported type "${q.type}".`);
+        }
+        if (q.scored !== false && !q.scoping && !(typeof q.weight === 'number' && q.weight > 0)) {
+            throw new Error(`Question "${q.id}" must have a positive numeric weight.`);
+        }
+        if (q.effort !== undefined && !EFFORT_LEVELS.includes(q.effort)) {
+            throw new Error(`Question "${q.id}" has unsupported effort "${q.effort}". Use one of: ${EFFORT_LEVELS.join(', ')}.`);
+        }
+        assertValidAnswerShape(q);
+        packIds.add(q.id);
     }
-
-    const calculatePercent = (raw, max) => (max > 0 ? (raw / max) * 100 : 100);
-
-    const overallScore = calculatePercent(totals.overall.raw, totals.overall.max);
-    const perStandard = {
-        HIPAA: calculatePercent(totals.standard.HIPAA.raw, totals.standard.HIPAA.max),
-        GDPR: calculatePercent(totals.standard.GDPR.raw, totals.standard.GDPR.max),
-    };
-    const perDomain = {};
-    for (const domainName in totals.domain) {
-        perDomain[domainName] = calculatePercent(totals.domain[domainName].raw, totals.domain[domainName].max);
+    for (const q of pack.questions) {
+        const rule = q.applicableWhen || q.showIf;
+        if (rule) {
+            assertValidRule(rule, q.id, id => existingIds.has(id) || packIds.has(id));
+        }
+    }
+    // Scope rules may only refer to scoping questions, which are never out of scope themselves.
+    const scopingIds = new Set([...getQuestions(), ...pack.questions].filter(q => q.scoping).map(q => q.id));
+    if (pack.applicableWhen) {
+        assertValidRule(pack.applicableWhen, pack.id, id => scopingIds.has(id), `The scope of "${pack.id}"`);
+    }
+    for (const [domain, rule] of Object.entries(pack.domainApplicableWhen || {})) {
+        if (!pack.domains.includes(domain)) {
+            throw new Error(`Framework pack "${pack.id}" has a scope rule for undeclared domain "${domain}".`);
+        }
+        assertValidRule(rule, pack.id, id => scopingIds.has(id), `The scope of "${pack.id}" ${domain}`);
+    }
+    if (pack.migrations !== undefined && !Array.isArray(pack.migrations)) {
+        throw new Error(`Framework pack "${pack.id}" must list its migrations in an array.`);
+    }
+    for (const migration of pack.migrations || []) {
+        assertValidMigration(migration, pack.id, id => existingIds.has(id) || packIds.has(id));
     }
 
-    return {
-        items: evaluationItems,
-        overallScore,
-        perStandard,
-        perDomain
-    };
+    const copy = JSON.parse(JSON.stringify(pack));
+    FRAMEWORKS.set(copy.id, {
+        id: copy.id,
+        name: copy.name || copy.id,
+        description: copy.description || '',
+        domains: copy.domains,
+        domainIntros: copy.domainIntros || {},
+        questions: copy.questions.map(({ showIf, ...q }) => ({
+            ...q,
+            ...(q.applicableWhen || showIf ? { applicableWhen: q.applicableWhen || showIf } : {}),
+            ...(q.scoping ? { scored: false, weight: 0 } : {}),
+            ...(q.type === 'maturity' ? { choices: maturityChoices(q) } : {}),
+            standard: copy.id
+        })),
+        remediation: copy.remediation || {},
+        evidence: copy.evidence || {},
+        migrations: copy.migrations || [],
+        applicableWhen: copy.applicableWhen || null,
+        domainApplicableWhen: copy.domainApplicableWhen || {}
+    });
+    return copy.id;
 }
 
 /**
- * Generates a user-friendly report from an evaluation object.
- * @param {Evaluation} evaluation - The output from evaluateAnswers.
- * @returns {object} A structured report for UI display.
+ * Removes a previously registered framework pack.
+ * @param {string} id - The standard ID to remove.
+ * @returns {boolean} True if a pack was removed.
  */
-export function generateReport(evaluation) {
-    const { overallScore, perStandard, perDomain } = evaluation;
-    let classification = 'Low';
-    if (overallScore >= 80) {
-        classification = 'High';
-    } else if (overallScore >= 50) {
-        classification = 'Moderate';
-    }
+export function unregisterStandard(id) {
+    return FRAMEWORKS.delete(id);
+}
 
-    const findings = [];
+/**
+ * Throws if the choices, bands, or range of a question do not fit its type.
+ * @private
+ */
+function assertValidAnswerShape(q) {
+    const isShare = value => typeof value === 'number' && value >= 0 && value <= 1;
+    const isBound = value => value === undefined || (typeof value === 'number' && Number.isFinite(value));
+    if (q.type === 'checklist') {
+        const values = (q.choices || []).map(c => c?.value);
+        if (values.length === 0 || new Set(values).size !== values.length || values.some(v => typeof v !== 'string' || v === '')) {
+            throw new Error(`Checklist question "${q.id}" needs choices with distinct, non-empty string values.`);
+        }
+        if (q.choices.some(c => c.score !== undefined && !(typeof c.score === 'number' && c.score > 0))) {
+            throw new Error(`Checklist question "${q.id}" has a choice with a non-positive score.`);
+        }
+    }
+    if (q.type === 'maturity') {
+        const levels = MATURITY_LEVELS.map(level => level.value);
+        const unknown = (q.choices || []).find(c => !levels.includes(c?.value) || (c.score !== undefined && !isShare(c.score)));
+        if (unknown) {
+            throw new Error(`Maturity question "${q.id}" may only set a 0-1 score for the levels: ${levels.join(', ')}.`);
+        }
+    }
+    if (q.type === 'numeric') {
+        if (!Array.isArray(q.bands) || q.bands.length === 0 || q.bands.some(b => !b || !isShare(b.score) || !isBound(b.min) || !isBound(b.max))) {
+            throw new Error(`Numeric question "${q.id}" needs bands with a 0-1 score and numeric bounds.`);
+        }
+        if (q.range !== undefined && (!isBound(q.range.min) || !isBound(q.range.max))) {
+            throw new Error(`Numeric question "${q.id}" has a non-numeric range.`);
+        }
+    }
+}
+
+/**
+ * The five maturity levels with a question's own credit where it sets one.
+ * @private
+ */
+function maturityChoices(q) {
+    return MATURITY_LEVELS.map(level => ({ ...level, score: q.choices?.find(c => c.value === level.value)?.score ?? level.score }));
+}
+
+/**
+ * The share of a checklist's credit earned by the ticked sub-controls.
+ * @private
+ */
+function checklistFraction(question, selected) {
+    const share = choice => choice.score ?? 1;
+    const total = question.choices.reduce((sum, choice) => sum + share(choice), 0);
+    const earned = question.choices.filter(choice => selected.includes(choice.value)).reduce((sum, choice) => sum + share(choice), 0);
+    return total > 0 ? earned / total : 0;
+}
+
+/**
+ * The first band a numeric answer falls in, or undefined.
+ * @private
+ * @returns {NumericBand | undefined}
+ */
+function numericBand(question, value) {
+    return question.bands.find(band => (band.min === undefined || value >= band.min) && (band.max === undefined || value <= band.max));
+}
+
+/**
+ * A display label for an answer to a localized question, e.g. "Yes", "Documented", or "Devices and Backups".
+ * @private
+ */
+function answerText(question, answer, locale) {
+    switch (question.type) {
+        case 'yes_no':
+            return translate(locale, answer ? 'answer.yes' : 'answer.no');
+        case 'checklist':
+            return answer.length === 0
+                ? translate(locale, 'answer.noneSelected')
+                : formatListText(question.choices.filter(c => answer.includes(c.value)).map(c => c.label), locale);
+        case 'numeric':
+            return question.unit ? `${formatNumberText(answer, locale)} ${question.unit}` : formatNumberText(answer, locale);
+        default: {
+            const choice = (question.choices || []).find(c => c.value === answer);
+            return choice ? choice.label : String(answer);
+        }
+    }
+}
+
+/**
+ * Describes the values in a numeric band, e.g. "30 days or less".
+ * @private
+ */
+function bandText(question, band, locale) {
+    const value = number => answerText(question, number, locale);
+    if (band.min !== undefined && band.max !== undefined) {
+        return translate(locale, 'numeric.between', { min: value(band.min), max: value(band.max) });
+    }
+    if (band.max !== undefined) return translate(locale, 'numeric.atMost', { value: value(band.max) });
+    if (band.min !== undefined) return translate(locale, 'numeric.atLeast', { value: value(band.min) });
+    return translate(locale, 'numeric.any');
+}
+
+/**
+ * Throws if a migration is malformed, targets an unknown question, or would move answers away from a current question.
+ * @private
+ */
+function assertValidMigration(migration, packId, isKnownQuestion) {
+    if (!migration || typeof migration.from !== 'string' || migration.from === '') {
+        throw new Error(`Framework pack "${packId}" has a migration without a "from" question ID.`);
+    }
+    if (migration.fromVersion !== undefined && (typeof migration.fromVersion !== 'string' || migration.fromVersion === '')) {
+        throw new Error(`Migration from "${migration.from}" must give "fromVersion" as a version string.`);
+    }
+    if (migration.to !== undefined && !Array.isArray(migration.to)) {
+        throw new Error(`Migration from "${migration.from}" must list its "to" question IDs in an array.`);
+    }
+    const targets = [...(migration.to || []), ...Object.keys(migration.answers || {})];
+    if (targets.length === 0) {
+        throw new Error(`Migration from "${migration.from}" must name "to" questions or fixed "answers".`);
+    }
+    const unknown = targets.find(id => !isKnownQuestion(id));
+    if (unknown) {
+        throw new Error(`Migration from "${migration.from}" targets unknown question "${unknown}".`);
+    }
+    if (!('whenAnswer' in migration) && isKnownQuestion(migration.from)) {
+        throw new Error(`Migration from "${migration.from}" needs a "whenAnswer" because "${migration.from}" is still a question.`);
+    }
+}
+
+/**
+ * Throws if an applicability rule is malformed or references an unknown question.
+ * @private
+ */
+function assertValidRule(rule, ownerId, isKnownQuestion, owner = `Question "${ownerId}"`) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`${owner} has an invalid applicability rule.`);
+    }
+    const branches = ['all', 'any'].filter(key => key in rule);
+    if (branches.length > 0) {
+        for (const key of branches) {
+            if (!Array.isArray(rule[key])) {
+                throw new Error(`${owner} has an applicability rule whose "${key}" is not a list of rules.`);
+            }
+            rule[key].forEach(nested => assertValidRule(nested, ownerId, isKnownQuestion, owner));
+        }
+        return;
+    }
+    if (!isKnownQuestion(rule.questionId)) {
+        throw new Error(`${owner} has an applicability rule referencing unknown question "${rule.questionId}".`);
+    }
+    if (rule.questionId === ownerId) {
+        throw new Error(`${owner} cannot depend on its own answer.`);
+    }
+    if (!('equals' in rule) && !('notEquals' in rule) && !Array.isArray(rule.in)) {
+        throw new Error(`${owner} has an applicability rule without equals, notEquals, or in.`);
+    }
+}
+
+/**
+ * Evaluates an applicability rule. `answerOf` returns undefined for questions that are unanswered or do not apply;
+ * comparisons against such questions evaluate to `whenUnanswered`.
+ * @private
+ */
+function evaluateRule(rule, answerOf, whenUnanswered) {
+    if (Array.isArray(rule.all) || Array.isArray(rule.any)) {
+        return (rule.all || []).every(nested => evaluateRule(nested, answerOf, whenUnanswered))
+            && (!rule.any || rule.any.some(nested => evaluateRule(nested, answerOf, whenUnanswered)));
+    }
+    const answer = answerOf(rule.questionId);
+    if (answer === undefined || answer === null) return whenUnanswered;
+    if ('equals' in rule) return answer === rule.equals;
+    if ('notEquals' in rule) return answer !== rule.notEquals;
+    return rule.in.includes(answer);
+}
+
+/**
+ * The question IDs a rule refers to, in order of first appearance.
+ * @private
+ */
+function ruleQuestionIds(rule) {
+    const ids = Array.isArray(rule.all) || Array.isArray(rule.any)
+        ? [...(rule.all || []), ...(rule.any || [])].flatMap(ruleQuestionIds)
+        : [rule.questionId];
+    return [...new Set(ids)];
+}
+
+/**
+ * Returns every registered question, in registration order.
+ * The returned objects are the internal definitions and must not be modified.
+ * @private
+ * @returns {Array<Question>}
+ */
+function getQuestions() {
+    return Array.from(FRAMEWORKS.values()).flatMap(framework => framework.questions);
+}
+
+// --- Built-in framework packs ---
+
+registerStandard({
+    id: 'HIPAA',
+    name: 'HIPAA',
+    description: 'HIPAA Security Rule and Breach Notification Rule',
+    domains: ['Administrative Safeguards', 'Physical Safeguards', 'Technical Safeguards', 'Breach Notification'],
+    domainIntros: {
+        'Administrative Safeguards': 'Establish governance, policies, and workforce programs that underpin HIPAA security.',
+        'Physical Safeguards': 'Protect physical spaces and media housing sensitive health information.',
+        'Technical Safeguards': 'Apply technical controls to secure electronic protected health information (ePHI).',
+        'Breach Notification': 'Prepare to detect, evaluate, and report potential data breaches promptly.'
+    },
+    questions: QUESTIONS.filter(q => q.standard === 'HIPAA'),
+    applicableWhen: { questionId: 'hipaa-scope-entity', in: ['covered_entity', 'business_associate'] },
+    migrations: [
+        {
+            from: 'hipaa-tech-02',
+            fromVersion: '1.0.0',
+            whenAnswer: true,
+            answers: { 'hipaa-tech-02': ['devices', 'at_rest', 'in_transit', 'backups'] },
+            reason: 'The encryption question now lists where ePHI is encrypted; a "Yes" was recorded as encrypted everywhere. Untick what is not covered.'
+        },
+        {
+            from: 'hipaa-tech-02',
+            fromVersion: '1.0.0',
+            whenAnswer: false,
+            answers: { 'hipaa-tech-02': [] },
+            reason: 'The encryption question now lists where ePHI is encrypted; a "No" was recorded as encrypted nowhere.'
+        }
+    ]
+});
+
+registerStandard({
+    id: 'GDPR',
+    name: 'GDPR',
+    description: 'EU General Data Protection Regulation',
+    domains: ['Lawful Basis and Transparency', 'Data Subject Rights', 'DPIA and Records', 'Security of Processing', 'Processors and DPAs', 'Breach Notification', 'International Transfers'],
+    domainIntros: {
+        'Lawful Basis and Transparency': 'Demonstrate clear, lawful grounds and transparency for processing personal data.',
+        'Data Subject Rights': 'Operationalize workflows that honor individuals’ rights over their personal data.',
+        'DPIA and Records': 'Document processing activities and assess privacy risks for high-impact initiatives.',
+        'Security of Processing': 'Ensure technical and organizational measures match the risk profile of your processing.',
+        'Processors and DPAs': 'Manage vendors with enforceable agreements and due diligence.',
+        'Breach Notification': 'Prepare to detect, evaluate, and report potential data breaches promptly.',
+        'International Transfers': 'Control cross-border data flows with approved safeguards and documentation.'
+    },
+    questions: QUESTIONS.filter(q => q.standard === 'GDPR'),
+    applicableWhen: { questionId: 'gdpr-scope-territorial', equals: true },
+    // Lawful basis, transparency, and data subject requests are the controller's duties; a processor only assists.
+    domainApplicableWhen: {
+        'Lawful Basis and Transparency': { questionId: 'gdpr-scope-role', in: ['controller', 'both'] },
+        'Data Subject Rights': { questionId: 'gdpr-scope-role', in: ['controller', 'both'] }
+    },
+    migrations: [
+        {
+            from: 'gdpr-security-03',
+            fromVersion: '1.0.0',
+            whenAnswer: 'not_req',
+            answers: { 'gdpr-security-dpo-scope': false },
+            reason: 'The "Not required" choice of the DPO question is now the separate question on whether a DPO is required.'
+        },
+        {
+            from: 'gdpr-rights-01',
+            fromVersion: '1.0.0',
+            whenAnswer: true,
+            answers: { 'gdpr-rights-01': 30 },
+            reason: 'The DSAR question now asks for the usual response time; a "Yes" was recorded as 30 days.'
+        },
+        {
+            from: 'gdpr-rights-01',
+            fromVersion: '1.0.0',
+            whenAnswer: false,
+            to: ['gdpr-rights-01'],
+            reason: 'The DSAR question now asks for the usual response time in days, so a "No" needs a new answer.'
+        },
+        {
+            from: 'gdpr-security-02',
+            fromVersion: '1.0.0',
+            whenAnswer: true,
+            answers: { 'gdpr-security-02': 'implemented' },
+            reason: 'Security testing is now rated on a maturity scale; a "Yes" was recorded as Implemented.'
+        },
+        {
+            from: 'gdpr-security-02',
+            fromVersion: '1.0.0',
+            whenAnswer: false,
+            answers: { 'gdpr-security-02': 'initial' },
+            reason: 'Security testing is now rated on a maturity scale; a "No" was recorded as Initial.'
+        }
+    ]
+});
+
+registerCommonControl({
+    id: 'vendor-agreements',
+    name: 'Vendor and processor agreements',
+    description: 'One contract review covers HIPAA Business Associate Agreements and GDPR Data Processing Agreements with the same vendors.',
+    questionIds: ['hipaa-admin-06', 'gdpr-processors-01']
+});
+registerCommonControl({
+    id: 'breach-response',
+    name: 'Breach response procedure',
+    description: 'A single incident response procedure can carry both the HIPAA and GDPR notification steps and deadlines.',
+    questionIds: ['hipaa-breach-01', 'gdpr-breach-01']
+});
+registerCommonControl({
+    id: 'breach-risk-assessment',
+    name: 'Breach risk assessment',
+    description: 'The same documented risk assessment decides whether individuals must be notified under either regulation.',
+    questionIds: ['hipaa-breach-02', 'gdpr-breach-02']
+});
+registerCommonControl({
+    id: 'encryption-and-security-measures',
+    name: 'Encryption and security measures',
+    description: 'Encryption of regulated data is a core technical safeguard under HIPAA and an expected measure under GDPR Article 32.',
+    questionIds: ['hipaa-tech-02', 'gdpr-security-01']
+});
+registerCommonControl({
+    id: 'security-risk-assessment',
+    name: 'Security risk assessment',
+    description: 'A recurring security risk assessment satisfies the HIPAA risk analysis and GDPR testing of security measures.',
+    questionIds: ['hipaa-admin-03', 'gdpr-security-02']
+});
+
+/**
+ * @typedef {object} CommonControl
+ * @property {string} id - A stable identifier (e.g. "vendor-agreements").
+ * @property {string} name - Display name for the control.
+ * @property {string} [description] - Why the linked questions are covered by one control.
+ * @property {string[]} questionIds - The linked questions, usually from different frameworks.
+ */
+
+/**
+ * Links questions that test the same control, usually across frameworks.
+ * The questions do not have to be registered yet; controls are matched against the registered questions when used.
+ * @param {CommonControl} control - The control to register. It is copied.
+ * @returns {string} The registered control ID.
+ * @throws {Error} If the control is malformed, its ID is taken, or a question already belongs to another control.
+ */
+export function registerCommonControl(control) {
+    if (!control || typeof control.id !== 'string' || control.id.trim() === '') {
+        throw new Error('Common control must have a non-empty string id.');
+    }
+    if (COMMON_CONTROLS.has(control.id)) {
+        throw new Error(`Common control "${control.id}" is already registered.`);
+    }
+    if (!Array.isArray(control.questionIds) || control.questionIds.length < 2 || !control.questionIds.every(id => typeof id === 'string' && id !== '')) {
+        throw new Error(`Common control "${control.id}" must link at least two question IDs.`);
+    }
+    for (const questionId of control.questionIds) {
+        const owner = findCommonControl(questionId);
+        if (owner) {
+            throw new Error(`Question "${questionId}" already belongs to common control "${owner.id}".`);
+        }
+    }
+    COMMON_CONTROLS.set(control.id, {
+        id: control.id,
+        name: control.name || control.id,
+        description: control.description || '',
+        questionIds: [...new Set(control.questionIds)]
+    });
+    return control.id;
+}
+
+/**
+ * Removes a previously registered common control.
+ * @param {string} id - The control ID to remove.
+ * @returns {boolean} True if a control was removed.
+ */
+export function unregisterCommonControl(id) {
+    return COMMON_CONTROLS.delete(id);
+}
+
+/**
+ * Lists the common controls that link at least two registered, scored questions.
+ * @param {object} [options] - Listing options.
+ * @param {string} [options.locale] - Locale for the control names and descriptions. Defaults to English.
+ * @returns {Array<CommonControl>} Copies of the controls, with `questionIds` limited to registered scored questions.
+ */
+export function getCommonControls({ locale } = {}) {
+    const resolved = canonicalLocale(locale);
+    const scored = new Set(getQuestions().filter(q => q.scored !== false).map(q => q.id));
+    return Array.from(COMMON_CONTROLS.values())
+        .map(control => ({ ...localizeCommonControl(control, resolved), questionIds: control.questionIds.filter(id => scored.has(id)) }))
+        .filter(control => control.questionIds.length >= 2);
+}
+
+/**
+ * @private
+ * @returns {CommonControl}
+ */
+function localizeCommonControl(control, locale) {
+    const translations = localeBundles(locale).map(b => b.commonControls[control.id]).filter(Boolean);
+    const pick = (key, fallback) => translations.map(t => t[key]).find(value => value !== undefined) ?? fallback;
+    return { ...control, name: pick('name', control.name), description: pick('description', control.description) };
+}
+
+/**
+ * @private
+ * @returns {CommonControl | undefined}
+ */
+function findCommonControl(questionId) {
+    for (const control of COMMON_CONTROLS.values()) {
+        if (control.questionIds.includes(questionId)) return control;
+    }
+    return undefined;
+}
+
+/**
+ * Suggests answers for unanswered questions that share a common control with `questionId`.
+ * An answer is only suggested when the other question has an option scoring the same fraction; for example "Yes" maps to
+ * "Comprehensive measures" but a partial answer has no yes/no equivalent and is not suggested. A yes/no answer says a
+ * control is in place, not how mature it is, so on a maturity question "Yes" is suggested as Implemented and "No" as
+ * Initial, the same as when yes/no answers are migrated to maturity questions.
+ * @param {Answers} answers - The current answers, including the answer to `questionId`.
+ * @param {string} questionId - The question that was just answered.
+ * @returns {Array<{questionId: string, controlId: string, controlName: string, answer: boolean | string | number}>} Suggested answers, possibly empty.
+ */
+export function suggestRelatedAnswers(answers, questionId) {
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+    const source = questionMap.get(questionId);
+    const control = getCommonControls().find(c => c.questionIds.includes(questionId));
+    if (!source || !control || !answers) return [];
+    const fraction = answerFraction(source, answers[questionId]);
+    if (fraction === null) return [];
+
+    const applicability = getApplicability(answers);
+    const suggestions = [];
+    for (const relatedId of control.questionIds) {
+        const related = questionMap.get(relatedId);
+        if (relatedId === questionId || !related || !applicability[relatedId]) continue;
+        if (answers[relatedId] !== undefined && answers[relatedId] !== null) continue;
+        const answer = source.type === 'yes_no' && related.type === 'maturity'
+            ? (answers[questionId] ? 'implemented' : 'initial')
+            : answerForFraction(related, fraction);
+        if (answer !== undefined) {
+            suggestions.push({ questionId: relatedId, controlId: control.id, controlName: control.name, answer });
+        }
+    }
+    return suggestions;
+}
+
+/**
+ * The share of a question's weight that an answer earns (0-1), or null for missing or invalid answers.
+ * @private
+ */
+function answerFraction(question, answer) {
+    if (answer === undefined || answer === null || checkAnswerValue(question, answer)) return null;
+    switch (question.type) {
+        case 'yes_no':
+            return answer ? 1 : 0;
+        case 'scale_0_2':
+            return answer / 2;
+        case 'multiple':
+        case 'maturity': {
+            const choice = question.choices.find(c => c.value === answer);
+            return typeof choice.score === 'number' ? choice.score : null;
+        }
+        case 'checklist':
+            return checklistFraction(question, answer);
+        case 'numeric':
+            return numericBand(question, answer)?.score ?? 0;
+        default:
+            return null;
+    }
+}
+
+/**
+ * The answer to `question` that earns exactly `fraction` of its weight, or undefined if there is none.
+ * @private
+ */
+function answerForFraction(question, fraction) {
+    switch (question.type) {
+        case 'yes_no':
+            return fraction === 1 ? true : (fraction === 0 ? false : undefined);
+        case 'scale_0_2':
+            return Number.isInteger(fraction * 2) ? fraction * 2 : undefined;
+        case 'multiple':
+        case 'maturity':
+            return question.choices?.find(c => c.score === fraction)?.value;
+        case 'checklist':
+            return fraction === 1 ? question.choices.map(c => c.value) : (fraction === 0 ? [] : undefined);
+        case 'numeric': {
+            const band = question.bands.find(b => b.score === fraction && (b.min !== undefined || b.max !== undefined));
+            return band ? (band.min ?? band.max) : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Determines which questions apply given the current answers.
+ * Questions of a standard or domain that the scoping answers put out of scope do not apply. Otherwise questions
+ * without an `applicableWhen` rule always apply.
+ * @param {Answers} answers - A map of question IDs to user answers.
+ * @returns {object.<string, boolean>} A map of question IDs to whether they apply.
+ */
+export function getApplicability(answers) {
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+    const resolved = {};
+    const resolving = new Set();
+
+    const isApplicable = (questionId) => {
+        if (questionId in resolved) return resolved[questionId];
+        const question = questionMap.get(questionId);
+        if (!question) return false;
+        if (resolving.has(questionId)) {
+            // A dependency cycle can only be broken by treating the question as not applicable.
+            return false;
+        }
+        resolving.add(questionId);
+        const framework = FRAMEWORKS.get(question.standard);
+        const scopeRules = question.scoping ? [] : [framework.applicableWhen, framework.domainApplicableWhen[question.domain]].filter(Boolean);
+        const result = scopeRules.every(rule => evaluateRule(rule, answerOf, true))
+            && (!question.applicableWhen || evaluateRule(question.applicableWhen, answerOf, false));
+        resolving.delete(questionId);
+        resolved[questionId] = result;
+        return result;
+    };
+
+    const answerOf = questionId => (isApplicable(questionId) ? answers?.[questionId] : undefined);
+
+    for (const id of questionMap.keys()) {
+        isApplicable(id);
+    }
+    return resolved;
+}
+
+/**
+ * @typedef {object} ScopeBasis
+ * @property {string} questionId - The scoping question.
+ * @property {string} question - The question text.
+ * @property {boolean | string | number} answer - The answer given.
+ * @property {string} answerLabel - The answer as shown to the user.
+ */
+
+/**
+ * @typedef {object} Scope
+ * @property {boolean} complete - True when every scoping question that applies has been answered.
+ * @property {boolean} nothingInScope - True when the scoping answers put every standard out of scope, so there is nothing to assess.
+ * @property {Array<{standard: string, name: string, inScope: boolean, assumed: boolean, basis: Array<ScopeBasis>, rationale: string}>} standards - Every registered standard. `assumed` is true when it is only in scope because scoping questions are unanswered.
+ * @property {Array<{standard: string, domain: string, domainLabel: string, basis: Array<ScopeBasis>, rationale: string}>} excludedDomains - Domains of in-scope standards that the scoping answers put out of scope.
+ */
+
+/**
+ * Decides which standards and domains apply from the answers to the scoping questions.
+ * A standard whose scoping questions are unanswered is assumed to be in scope, so answers recorded before scoping
+ * existed keep their scores.
+ * @param {Answers} answers - A map of question IDs to user answers.
+ * @param {object} [options] - Options.
+ * @param {string} [options.locale] - Locale for the rationale and labels.
+ * @returns {Scope} The scope and the reasons for it.
+ */
+export function getScope(answers, { locale } = {}) {
+    const resolved = canonicalLocale(locale);
+    answers = answers || {};
+    const applicability = getApplicability(answers);
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+    const answerOf = id => (applicability[id] ? answers[id] : undefined);
+    const isAnswered = id => answerOf(id) !== undefined && answerOf(id) !== null;
+
+    const describe = rule => {
+        const basis = ruleQuestionIds(rule).filter(isAnswered).map(id => {
+            const question = localizeQuestion(questionMap.get(id), resolved);
+            const answer = answers[id];
+            const answerLabel = answerText(question, answer, resolved);
+            return { questionId: id, question: question.text, answer, answerLabel };
+        });
+        const text = formatListText(basis.map(b => translate(resolved, 'scope.basis', { question: b.question, answer: b.answerLabel })), resolved);
+        return { basis, text };
+    };
+
+    const standards = [];
+    const excludedDomains = [];
+    for (const framework of FRAMEWORKS.values()) {
+        const rule = framework.applicableWhen;
+        const inScope = !rule || evaluateRule(rule, answerOf, true);
+        const assumed = Boolean(rule) && inScope && !evaluateRule(rule, answerOf, false);
+        const { basis, text } = rule ? describe(rule) : { basis: [], text: '' };
+        let rationaleId = inScope ? 'scope.inScope' : 'scope.outOfScope';
+        if (!rule) rationaleId = 'scope.always';
+        if (assumed) rationaleId = 'scope.assumed';
+        standards.push({
+            standard: framework.id,
+            name: framework.name,
+            inScope,
+            assumed,
+            basis,
+            rationale: translate(resolved, rationaleId, { standard: framework.name, basis: text })
+        });
+        if (!inScope) continue;
+        for (const [domain, domainRule] of Object.entries(framework.domainApplicableWhen)) {
+            if (evaluateRule(domainRule, answerOf, true)) continue;
+            const label = domainLabel(framework.id, domain, resolved);
+            const description = describe(domainRule);
+            excludedDomains.push({
+                standard: framework.id,
+                domain,
+                domainLabel: label,
+                basis: description.basis,
+                rationale: translate(resolved, 'scope.domainExcluded', { domain: label, basis: description.text })
+            });
+        }
+    }
+    const complete = getQuestions().every(q => !q.scoping || !applicability[q.id] || isAnswered(q.id));
+    return { complete, nothingInScope: !standards.some(s => s.inScope), standards, excludedDomains };
+}
+
+/**
+ * @typedef {object} QuestionTranslation
+ * @property {string} [text] - Translated question text.
+ * @property {string} [guidance] - Translated guidance.
+ * @property {object.<string, string>} [choices] - Translated choice labels, keyed by choice value.
+ * @property {string} [unit] - Translated unit of a numeric question.
+ * @property {string[]} [remediation] - Translated remediation steps.
+ * @property {string[]} [evidence] - Translated evidence artifacts.
+ * @property {string} [ownerRole] - Translated owner role.
+ */
+
+/**
+ * @typedef {object} LocaleBundle
+ * @property {string} name - The language's own name, for language pickers (e.g. "Deutsch").
+ * @property {object.<string, QuestionTranslation>} [questions] - Question translations, keyed by question ID.
+ * @property {object.<string, {name?: string, description?: string, domains?: object.<string, string>, domainIntros?: object.<string, string>, remediation?: object.<string, string[]>, evidence?: object.<string, string[]>}>} [frameworks] - Framework translations, keyed by standard ID. `domains` maps each English domain name to its label; the other maps are keyed by English domain name too.
+ * @property {object.<string, {name?: string, description?: string}>} [commonControls] - Common control translations, keyed by control ID.
+ * @property {object.<string, string | string[]>} [messages] - Report text, keyed by message ID. The IDs and English text are listed in `getLocaleMessages()`.
+ */
+
+/**
+ * Registers translations for a locale. Registering a locale again merges the new translations into the existing ones,
+ * so a framework pack can ship translations for its own questions.
+ * @param {string} code - A BCP 47 language tag such as "de" or "fr-CA". Plain "en" is built in and cannot be registered.
+ * @param {LocaleBundle} bundle - The translations. They are copied.
+ * @returns {string} The canonical locale code.
+ * @throws {Error} If the code is not a valid language tag, is "en", or the bundle is malformed.
+ */
+export function registerLocale(code, bundle) {
+    const locale = canonicalLocale(code);
+    if (locale === 'en') {
+        throw new Error('English is built in and cannot be registered as a locale.');
+    }
+    if (!bundle || typeof bundle !== 'object') {
+        throw new Error(`Locale "${locale}" must be registered with a translation bundle.`);
+    }
+    for (const section of ['questions', 'frameworks', 'commonControls', 'messages']) {
+        if (bundle[section] !== undefined && (typeof bundle[section] !== 'object' || Array.isArray(bundle[section]))) {
+            throw new Error(`Locale "${locale}" has an invalid "${section}" section; expected an object.`);
+        }
+    }
+    for (const [id, message] of Object.entries(bundle.messages || {})) {
+        if (!(id in REPORT_MESSAGES)) {
+            throw new Error(`Locale "${locale}" translates unknown message "${id}".`);
+        }
+        if (Array.isArray(REPORT_MESSAGES[id]) !== Array.isArray(message)) {
+            throw new Error(`Message "${id}" in locale "${locale}" must be ${Array.isArray(REPORT_MESSAGES[id]) ? 'a list of strings' : 'a string'}.`);
+        }
+    }
+
+    const copy = JSON.parse(JSON.stringify(bundle));
+    const existing = LOCALES.get(locale) || { name: locale, questions: {}, frameworks: {}, commonControls: {}, messages: {} };
+    const mergeEntries = (target, source) => {
+        for (const [key, value] of Object.entries(source || {})) {
+            target[key] = { ...(target[key] || {}), ...value };
+        }
+        return target;
+    };
+    LOCALES.set(locale, {
+        name: typeof copy.name === 'string' && copy.name !== '' ? copy.name : existing.name,
+        questions: mergeEntries(existing.questions, copy.questions),
+        frameworks: mergeEntries(existing.frameworks, copy.frameworks),
+        commonControls: mergeEntries(existing.commonControls, copy.commonControls),
+        messages: { ...existing.messages, ...copy.messages }
+    });
+    return locale;
+}
+
+/**
+ * Removes a registered locale.
+ * @param {string} code - The locale code.
+ * @returns {boolean} True if translations were removed.
+ */
+export function unregisterLocale(code) {
+    return LOCALES.delete(canonicalLocale(code));
+}
+
+/**
+ * Lists the available locales, starting with the built-in English.
+ * @returns {Array<{code: string, name: string}>}
+ */
+export function getLocales() {
+    return [{ code: 'en', name: 'English' }, ...Array.from(LOCALES.entries()).map(([code, bundle]) => ({ code, name: bundle.name }))];
+}
+
+/**
+ * Returns the English text of every report message, keyed by message ID, as a starting point for a translation.
+ * Placeholders such as `{question}` are filled in when the message is used.
+ * @returns {object.<string, string | string[]>}
+ */
+export function getLocaleMessages() {
+    return JSON.parse(JSON.stringify(REPORT_MESSAGES));
+}
+
+/**
+ * Returns a deep copy of the compliance questionnaire for all registered standards.
+ * Each question also carries a `domainLabel` for display; `domain` itself stays in English.
+ * @param {object} [options] - Questionnaire options.
+ * @param {string} [options.locale] - Locale for question text, guidance, and choice labels. Defaults to English.
+ * @returns {Array<Question>} An array of all questions.
+ */
+export function createQuestionnaire({ locale } = {}) {
+    const resolved = canonicalLocale(locale);
+    return JSON.parse(JSON.stringify(getQuestions().map(q => localizeQuestion(q, resolved))));
+}
+
+/**
+ * Returns the module's metadata, including the currently registered standards and their domains.
+ * @param {object} [options] - Metadata options.
+ * @param {string} [options.locale] - Locale for framework descriptions, domain labels and intros, and the disclaimer.
+ * @returns {{appName: string, version: string, locale: string, standards: string[], frameworks: Array<{id: string, name: string, description: string}>, domains: object.<string, string[]>, domainLabels: object.<string, object.<string, string>>, domainIntros: object.<string, object.<string, string>>, answerLabels: {yes: string, no: string, noneSelected: string}, disclaimer: string}}
+ */
+export function getMetadata({ locale } = {}) {
+    const resolved = canonicalLocale(locale);
+    const frameworks = Array.from(FRAMEWORKS.values());
+    const frameworkText = (id, key) => localeBundles(resolved).map(b => b.frameworks[id]?.[key]).find(value => value !== undefined);
+    return {
+        ...METADATA,
+        locale: resolved,
+        disclaimer: translate(resolved, 'disclaimer'),
+        standards: frameworks.map(f => f.id),
+        frameworks: frameworks.map(f => ({ id: f.id, name: frameworkText(f.id, 'name') ?? f.name, description: frameworkText(f.id, 'description') ?? f.description })),
+        domains: Object.fromEntries(frameworks.map(f => [f.id, [...f.domains]])),
+        domainLabels: Object.fromEntries(frameworks.map(f => [f.id, Object.fromEntries(f.domains.map(d => [d, domainLabel(f.id, d, resolved)]))])),
+        domainIntros: Object.fromEntries(frameworks.map(f => [f.id, Object.fromEntries(Object.entries(f.domainIntros)
+            .map(([d, intro]) => [d, localeBundles(resolved).map(b => b.frameworks[f.id]?.domainIntros?.[d]).find(value => value !== undefined) ?? intro]))])),
+        answerLabels: { yes: translate(resolved, 'answer.yes'), no: translate(resolved, 'answer.no'), noneSelected: translate(resolved, 'answer.noneSelected') }
+    };
+}
+
+/**
+ * Validates a locale code and returns its canonical form. A missing locale means English.
+ * @private
+ * @throws {Error} If the code is not a valid BCP 47 language tag.
+ */
+function canonicalLocale(code) {
+    if (code === undefined || code === null || code === '') {
+        return 'en';
+    }
+    try {
+        return Intl.getCanonicalLocales(code)[0];
+    } catch (error) {
+        throw new Error(`Invalid locale "${code}". Use a language tag such as "de" or "fr-CA".`);
+    }
+}
+
+/**
+ * Returns the registered bundles that apply to a locale, most specific first ("de-AT" before "de").
+ * @private
+ * @returns {Array<LocaleBundle>}
+ */
+function localeBundles(locale) {
+    const bundles = [];
+    const parts = locale.split('-');
+    for (let length = parts.length; length > 0; length--) {
+        const bundle = LOCALES.get(parts.slice(0, length).join('-'));
+        if (bundle) bundles.push(bundle);
+    }
+    return bundles;
+}
+
+/**
+ * Looks up a report message, falling back to English, and fills in its `{placeholders}`.
+ * @private
+ * @returns {string | string[]}
+ */
+function translate(locale, id, params = {}) {
+    const message = localeBundles(locale).map(b => b.messages[id]).find(value => value !== undefined) ?? REPORT_MESSAGES[id];
+    const fill = text => text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    return Array.isArray(message) ? message.map(fill) : fill(message);
+}
+
+/**
+ * @private
+ */
+function domainLabel(standard, domain, locale) {
+    return localeBundles(locale).map(b => b.frameworks[standard]?.domains?.[domain]).find(value => value !== undefined) ?? domain;
+}
+
+/**
+ * Returns a copy of a question with its display text in the given locale and a `domainLabel`.
+ * Each field falls back to English on its own.
+ * @private
+ * @returns {Question & {domainLabel: string}}
+ */
+function localizeQuestion(question, locale) {
+    const translations = localeBundles(locale).map(b => b.questions[question.id]).filter(Boolean);
+    const pick = (key, fallback) => translations.map(t => t[key]).find(value => value !== undefined) ?? fallback;
+    const localized = {
+        ...question,
+        text: pick('text', question.text),
+        guidance: pick('guidance', question.guidance),
+        domainLabel: domainLabel(question.standard, question.domain, locale)
+    };
+    if (Array.isArray(question.choices)) {
+        localized.choices = question.choices.map(choice => ({
+            ...choice,
+            label: translations.map(t => t.choices?.[choice.value]).find(value => value !== undefined)
+                ?? (question.type === 'maturity' ? translate(locale, `maturity.${choice.value}`) : choice.label)
+        }));
+    }
+    for (const key of ['remediation', 'evidence', 'ownerRole', 'unit']) {
+        if (question[key] !== undefined) localized[key] = pick(key, question[key]);
+    }
+    if (Array.isArray(question.bands)) {
+        localized.bands = question.bands.map(band => ({ ...band, label: bandText(localized, band, locale) }));
+    }
+    return localized;
+}
+
+/**
+ * @typedef {object} QuestionBank
+ * Identifies the questions a set of answers was recorded against.
+ * @property {string} version - The module version the answers were recorded with.
+ * @property {string} hash - A fingerprint of all registered questions. Equal hashes mean no question changed.
+ * @property {object.<string, string>} questions - A fingerprint per question ID, so individual changes can be listed.
+ */
+
+/**
+ * Returns the version and fingerprints of the registered questions, to be stored with saved answers.
+ * @returns {QuestionBank} The current question bank.
+ */
+export function getQuestionBank() {
+    const questions = Object.fromEntries(getQuestions().map(q => [q.id, questionFingerprint(q)]));
+    return { version: METADATA.version, hash: hashString(JSON.stringify(questions)), questions };
+}
+
+/**
+ * Fingerprints the parts of a question that give an answer its meaning. Guidance, remediation text, and
+ * translations are left out so they can be edited without asking for answers to be reviewed.
+ * @private
+ */
+function questionFingerprint(q) {
+    return hashString(JSON.stringify([
+        q.standard,
+        q.domain,
+        q.text,
+        q.type,
+        (q.choices || []).map(c => [c.value, c.label, c.score ?? null]),
+        q.bands || null,
+        q.range || null,
+        q.unit ?? null,
+        q.weight ?? null,
+        q.scored !== false,
+        q.applicableWhen || null
+    ]));
+}
+
+/**
+ * @typedef {object} QuestionBankChanges
+ * @property {boolean} changed - True when the question banks differ.
+ * @property {boolean} detailed - False when the earlier bank is missing (answers saved before versioning), so the
+ * individual changes are unknown and the lists below are empty.
+ * @property {string[]} changedQuestions - Questions in both banks whose text, type, choices, weight, or applicability changed.
+ * @property {string[]} addedQuestions - Questions that are new since the earlier bank.
+ * @property {string[]} removedQuestions - Questions that no longer exist.
+ */
+
+/**
+ * Lists the questions that changed between the bank some answers were recorded against and another bank.
+ * @param {QuestionBank | null | undefined} previous - The bank stored with the answers.
+ * @param {QuestionBank} [current] - The bank to compare with. Defaults to the registered questions.
+ * @returns {QuestionBankChanges} The changed, added, and removed question IDs.
+ */
+export function compareQuestionBanks(previous, current = getQuestionBank()) {
+    if (!previous || !previous.questions || typeof previous.questions !== 'object') {
+        return { changed: true, detailed: false, changedQuestions: [], addedQuestions: [], removedQuestions: [] };
+    }
+    const changedQuestions = [];
+    const addedQuestions = [];
+    if (previous.hash !== current.hash) {
+        for (const [id, fingerprint] of Object.entries(current.questions)) {
+            if (!(id in previous.questions)) {
+                addedQuestions.push(id);
+            } else if (previous.questions[id] !== fingerprint) {
+                changedQuestions.push(id);
+            }
+        }
+    }
+    const removedQuestions = previous.hash === current.hash ? [] : Object.keys(previous.questions).filter(id => !(id in current.questions));
+    return {
+        changed: changedQuestions.length + addedQuestions.length + removedQuestions.length > 0,
+        detailed: true,
+        changedQuestions,
+        addedQuestions,
+        removedQuestions
+    };
+}
+
+/**
+ * @typedef {object} AnswerMigrationResult
+ * @property {Answers} answers - A copy of the answers with the migrations applied.
+ * @property {Array<{from: string, fromVersion: string | null, answer: boolean | string | number, to: Answers, reason: string}>} applied - Each
+ * migration that matched, with the answers it recorded. `to` is empty when every target was already answered.
+ */
+
+/**
+ * Moves answers recorded against earlier versions of the questions onto the current ones, using the migrations
+ * declared by the registered framework packs. The old answer is always removed. A target question that is already
+ * answered keeps its answer, and a copied answer that does not fit its new question is dropped so it is asked again.
+ * @param {Answers} answers - The saved answers.
+ * @returns {AnswerMigrationResult} The migrated answers and what was changed.
+ */
+export function migrateAnswers(answers) {
+    const migrated = { ...answers };
+    const applied = [];
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+    const migrations = Array.from(FRAMEWORKS.values()).flatMap(f => f.migrations);
+    for (const migration of migrations) {
+        const answer = migrated[migration.from];
+        if (answer === undefined || answer === null) continue;
+        if ('whenAnswer' in migration && migration.whenAnswer !== answer) continue;
+
+        delete migrated[migration.from];
+        const proposed = {
+            ...Object.fromEntries((migration.to || []).map(id => [id, answer])),
+            ...(migration.answers || {})
+        };
+        const recorded = {};
+        for (const [id, value] of Object.entries(proposed)) {
+            const question = questionMap.get(id);
+            const unanswered = migrated[id] === undefined || migrated[id] === null;
+            if (question && unanswered && !checkAnswerValue(question, value)) {
+                migrated[id] = value;
+                recorded[id] = value;
+            }
+        }
+        applied.push({ from: migration.from, fromVersion: migration.fromVersion || null, answer, to: recorded, reason: migration.reason || '' });
+    }
+    return { answers: migrated, applied };
+}
+
+/**
+ * @typedef {object} AnswerDiagnostic
+ * @property {string | null} questionId - The question the diagnostic refers to, or null for problems with the whole answer set.
+ * @property {"invalid_answers" | "unknown_question" | "invalid_type" | "invalid_choice" | "missing_answer" | "not_applicable"} code - A machine-readable code.
+ * @property {string} message - A human-readable description.
+ */
+
+/**
+ * @typedef {object} AnswerValidationResult
+ * @property {boolean} valid - True when there are no errors. Warnings do not affect validity.
+ * @property {Array<AnswerDiagnostic>} errors - Problems that would make the evaluation misleading.
+ * @property {Array<AnswerDiagnostic>} warnings - Problems that are tolerated unless `strict` is set.
+ */
+
+/**
+ * Thrown by `evaluateAnswers` when it is asked to reject invalid answers.
+ */
+export class AnswerValidationError extends Error {
+    /**
+     * @param {AnswerValidationResult} diagnostics - The validation result that caused the error.
+     */
+    constructor(diagnostics) {
+        const summary = diagnostics.errors.slice(0, 3).map(e => e.message).join(' ');
+        const more = diagnostics.errors.length > 3 ? ` (${diagnostics.errors.length - 3} more)` : '';
+        super(`Invalid answers: ${summary}${more}`);
+        this.name = 'AnswerValidationError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Checks a set of answers against the registered questionnaire without scoring it.
+ * Wrong types and invalid choices are always errors. Unknown question IDs and missing answers are warnings,
+ * or errors in strict mode. Answers to questions that do not apply are reported as warnings because they are ignored.
+ * @param {Answers} answers - A map of question IDs to user answers.
+ * @param {{strict?: boolean}} [options] - Validation options.
+ * @returns {AnswerValidationResult} The errors and warnings found.
+ */
+export function validateAnswers(answers, { strict = false } = {}) {
+    const errors = [];
+    const warnings = [];
+    const lenient = strict ? errors : warnings;
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        errors.push({ questionId: null, code: 'invalid_answers', message: 'Answers must be an object mapping question IDs to answers.' });
+        return { valid: false, errors, warnings };
+    }
+
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+    const applicability = getApplicability(answers);
+
+    for (const [questionId, answer] of Object.entries(answers)) {
+        const question = questionMap.get(questionId);
+        if (!question) {
+            lenient.push({ questionId, code: 'unknown_question', message: `"${questionId}" is not a known question ID.` });
+            continue;
+        }
+        if (answer === undefined || answer === null) continue;
+
+        const problem = checkAnswerValue(question, answer);
+        if (problem) {
+            errors.push({ questionId, ...problem });
+        } else if (!applicability[questionId]) {
+            warnings.push({ questionId, code: 'not_applicable', message: `"${questionId}" does not apply given the other answers and will be ignored.` });
+        }
+    }
+
+    for (const question of questionMap.values()) {
+        const answer = answers[question.id];
+        if (applicability[question.id] && (answer === undefined || answer === null)) {
+            lenient.push({ questionId: question.id, code: 'missing_answer', message: `"${question.id}" has not been answered.` });
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Returns a diagnostic (without questionId) if the answer does not fit the question type, otherwise null.
+ * @private
+ */
+function checkAnswerValue(question, answer) {
+    switch (question.type) {
+        case 'yes_no':
+            if (typeof answer !== 'boolean') {
+                return { code: 'invalid_type', message: `"${question.id}" expects true or false, got ${JSON.stringify(answer)}.` };
+            }
+            return null;
+        case 'scale_0_2':
+            if (typeof answer !== 'number' || !Number.isInteger(answer)) {
+                return { code: 'invalid_type', message: `"${question.id}" expects a whole number from 0 to 2, got ${JSON.stringify(answer)}.` };
+            }
+            if (answer < 0 || answer > 2) {
+                return { code: 'invalid_choice', message: `"${question.id}" expects a value from 0 to 2, got ${answer}.` };
+            }
+            return null;
+        case 'multiple':
+            if (typeof answer !== 'string' && typeof answer !== 'number') {
+                return { code: 'invalid_type', message: `"${question.id}" expects one of its choice values, got ${JSON.stringify(answer)}.` };
+            }
+            if (!question.choices?.some(c => c.value === answer)) {
+                const allowed = (question.choices || []).map(c => JSON.stringify(c.value)).join(', ');
+                return { code: 'invalid_choice', message: `"${question.id}" does not have a choice ${JSON.stringify(answer)}. Allowed: ${allowed}.` };
+            }
+            return null;
+        case 'maturity':
+            if (!question.choices.some(c => c.value === answer)) {
+                return { code: 'invalid_choice', message: `"${question.id}" expects a maturity level (${question.choices.map(c => c.value).join(', ')}), got ${JSON.stringify(answer)}.` };
+            }
+            return null;
+        case 'checklist': {
+            if (!Array.isArray(answer)) {
+                return { code: 'invalid_type', message: `"${question.id}" expects a list of the sub-controls in place, got ${JSON.stringify(answer)}.` };
+            }
+            const unknown = answer.find(value => !question.choices.some(c => c.value === value));
+            if (unknown !== undefined || new Set(answer).size !== answer.length) {
+                const allowed = question.choices.map(c => JSON.stringify(c.value)).join(', ');
+                return { code: 'invalid_choice', message: `"${question.id}" expects each of ${allowed} at most once, got ${JSON.stringify(answer)}.` };
+            }
+            return null;
+        }
+        case 'numeric': {
+            const { min = 0, max = Infinity } = question.range || {};
+            if (typeof answer !== 'number' || !Number.isFinite(answer)) {
+                return { code: 'invalid_type', message: `"${question.id}" expects a number, got ${JSON.stringify(answer)}.` };
+            }
+            if (answer < min || answer > max) {
+                return { code: 'invalid_choice', message: `"${question.id}" expects a value from ${min}${max === Infinity ? ' upwards' : ` to ${max}`}, got ${answer}.` };
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * @typedef {object} AnswersImport
+ * @property {"answers" | "report" | "csv" | "partial"} source - The kind of file that was recognised. "partial" is one respondent's file from `createPartialAnswers`.
+ * @property {Answers} answers - The answers found in the file. CSV values are converted to each question's answer type.
+ * @property {EvidenceRegister | null} evidence - Evidence found in the file, or null if it carried none.
+ * @property {QuestionBank | null} questionBank - The question bank the answers were recorded against, or null if the file does not say.
+ * @property {AnswerMigrationResult['applied']} migrations - Answers that were moved onto renamed or split questions.
+ * @property {OrganizationProfile | null} organizationProfile - The organization profile saved with the answers, or null if the file has none.
+ * @property {AnswerAttribution | null} attribution - Who gave each answer, or null if the file does not say.
+ * @property {string | null} respondent - For a respondent's file, who filled it in.
+ * @property {string | null} exportedAtISO - For a respondent's file, when it was exported.
+ * @property {string[] | null} questionIds - For a respondent's file, the questions assigned to the respondent.
+ * @property {Array<RespondentAssignment> | null} assignments - Who answers which questions, or null if the file does not say.
+ * @property {Array<AnswerChange> | null} answerLog - The answer change log saved with the answers, or null if the file has none. It is not verified here; use `verifyAnswerLog`.
+ * @property {AnswerValidationResult} diagnostics - The imported answers checked against the registered questionnaire.
+ */
+
+/**
+ * Reads answers from the contents of a file so they can be restored or shared between browsers.
+ * Accepts a JSON map of question IDs to answers (optionally wrapped as `{answers, evidence, questionBank, organizationProfile, attribution, answerLog}`),
+ * a JSON report from generateReport, a respondent's file from `createPartialAnswers`, or CSV with `questionId,answer`
+ * rows and an optional header row.
+ * Answers to renamed or split questions are migrated (see `migrateAnswers`); otherwise they are not filtered, so use
+ * `diagnostics` to decide what to keep.
+ * @param {string} text - The file contents.
+ * @returns {AnswersImport} The answers and evidence found, with validation diagnostics.
+ * @throws {Error} If the contents are not in a recognised format or carry an invalid organization profile or assignments.
+ */
+export function parseAnswersImport(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('The file is empty.');
+    }
+    const trimmed = text.trim();
+    let source;
+    let answers;
+    let evidence = null;
+    let questionBank = null;
+    let organizationProfile = null;
+    let attribution = null;
+    let respondent = null;
+    let exportedAtISO = null;
+    let questionIds = null;
+    let assignments = null;
+    let answerLog = null;
+
+    if (trimmed.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON: ${error.message}`);
+        }
+        if (Array.isArray(parsed.findings) && parsed.perStandardScores) {
+            if (!parsed.answers || typeof parsed.answers !== 'object') {
+                throw new Error('This report was exported without its answers, so they cannot be restored from it.');
+            }
+            source = 'report';
+            answers = parsed.answers;
+            evidence = parsed.evidence || null;
+            questionBank = parsed.meta?.questionBank || null;
+            organizationProfile = parsed.meta?.organizationProfile || null;
+            attribution = parsed.attribution || null;
+            answerLog = parsed.answerLog || null;
+        } else if (parsed.kind === 'partial-answers') {
+            if (typeof parsed.respondent !== 'string' || parsed.respondent.trim() === '') {
+                throw new Error('This respondent file does not say who filled it in.');
+            }
+            source = 'partial';
+            answers = parsed.answers;
+            evidence = parsed.evidence || null;
+            questionBank = parsed.questionBank || null;
+            respondent = parsed.respondent;
+            exportedAtISO = typeof parsed.exportedAtISO === 'string' ? parsed.exportedAtISO : null;
+            questionIds = Array.isArray(parsed.questionIds) ? parsed.questionIds.filter(id => typeof id === 'string') : null;
+            assignments = parsed.assignments || null;
+        } else if (parsed.answers && typeof parsed.answers === 'object' && !Array.isArray(parsed.answers)) {
+            source = 'answers';
+            answers = parsed.answers;
+            evidence = parsed.evidence || null;
+            questionBank = parsed.questionBank || null;
+            organizationProfile = parsed.organizationProfile || null;
+            attribution = parsed.attribution || null;
+            assignments = parsed.assignments || null;
+            answerLog = parsed.answerLog || null;
+        } else {
+            source = 'answers';
+            answers = parsed;
+        }
+        if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+            throw new Error('The file does not contain an answers object.');
+        }
+        answers = { ...answers };
+    } else {
+        source = 'csv';
+        answers = {};
+        const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+        const rows = parseCsv(trimmed).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length > 0 && /^question\s*id$/i.test(rows[0][0].trim())) {
+            rows.shift();
+        }
+        if (rows.length === 0) {
+            throw new Error('The CSV file has no answer rows.');
+        }
+        for (const row of rows) {
+            if (row.length < 2) {
+                throw new Error(`Expected "questionId,answer" but found "${row.join(',')}".`);
+            }
+            const questionId = row[0].trim();
+            answers[questionId] = coerceCsvAnswer(questionMap.get(questionId), row[1].trim());
+        }
+    }
+
+    if (organizationProfile) {
+        try {
+            organizationProfile = createOrganizationProfile(organizationProfile);
+        } catch (error) {
+            throw new Error(`The file has an invalid organization profile: ${error.message}`);
+        }
+    }
+    if (assignments) {
+        try {
+            assignments = createAssignments(assignments);
+        } catch (error) {
+            throw new Error(`The file has invalid respondent assignments: ${error.message}`);
+        }
+    }
+
+    const migration = migrateAnswers(answers);
+    if (respondent !== null) {
+        const assigned = questionIds ? new Set(questionIds) : null;
+        attribution = Object.fromEntries(Object.keys(migration.answers)
+            .filter(id => !assigned || assigned.has(id))
+            .map(id => [id, respondent]));
+    } else if (attribution && typeof attribution === 'object' && !Array.isArray(attribution)) {
+        attribution = Object.fromEntries(Object.entries(attribution).filter(([, name]) => typeof name === 'string'));
+        for (const { from, to } of migration.applied) {
+            const name = attribution[from];
+            delete attribution[from];
+            if (name) Object.keys(to).forEach(id => { attribution[id] = name; });
+        }
+    } else {
+        attribution = null;
+    }
+    return {
+        source,
+        answers: migration.answers,
+        evidence: evidence && typeof evidence === 'object' && !Array.isArray(evidence) ? evidence : null,
+        questionBank: questionBank && typeof questionBank === 'object' && questionBank.questions ? questionBank : null,
+        migrations: migration.applied,
+        organizationProfile,
+        attribution,
+        respondent,
+        exportedAtISO,
+        questionIds,
+        assignments,
+        answerLog: Array.isArray(answerLog) && answerLog.length > 0 ? answerLog : null,
+        diagnostics: validateAnswers(migration.answers)
+    };
+}
+
+/**
+ * @typedef {object} RespondentAssignment
+ * Gives one respondent a share of the questionnaire, e.g. IT answers Technical Safeguards.
+ * @property {string} respondent - The respondent's name as it should appear in reports.
+ * @property {string[]} domains - Assigned domains as "STANDARD::Domain" keys, e.g. "HIPAA::Technical Safeguards".
+ * @property {string[]} questions - Individually assigned question IDs. These win over another respondent's domain.
+ */
+
+/**
+ * @typedef {object.<string, string>} AnswerAttribution
+ * An object mapping question IDs to the respondent who gave the answer.
+ */
+
+/**
+ * Validates and normalizes who answers which part of the questionnaire.
+ * @param {Array<Partial<RespondentAssignment>>} assignments - One entry per respondent.
+ * @returns {Array<RespondentAssignment>} The normalized assignments.
+ * @throws {Error} If a respondent has no name, is listed twice, is assigned an unknown domain or question, or is
+ * assigned a domain that another respondent already has.
+ */
+export function createAssignments(assignments) {
+    if (!Array.isArray(assignments)) {
+        throw new Error('Assignments must be an array with one entry per respondent.');
+    }
+    const questions = getQuestions();
+    const knownDomains = new Set(questions.map(q => `${q.standard}::${q.domain}`));
+    const knownQuestions = new Set(questions.map(q => q.id));
+    const seen = new Set();
+    const domainOwners = new Map();
+    return assignments.map(entry => {
+        const respondent = typeof entry?.respondent === 'string' ? entry.respondent.trim() : '';
+        if (respondent === '') {
+            throw new Error('Every assignment needs a respondent name.');
+        }
+        if (seen.has(respondent.toLowerCase())) {
+            throw new Error(`Respondent "${respondent}" is assigned more than once.`);
+        }
+        seen.add(respondent.toLowerCase());
+        const domains = [...new Set(entry.domains || [])];
+        const unknownDomain = domains.find(key => !knownDomains.has(key));
+        if (unknownDomain !== undefined) {
+            throw new Error(`Respondent "${respondent}" is assigned unknown domain "${unknownDomain}". Use "STANDARD::Domain".`);
+        }
+        const sharedDomain = domains.find(key => domainOwners.has(key));
+        if (sharedDomain !== undefined) {
+            throw new Error(`Domain "${sharedDomain}" is assigned to both "${domainOwners.get(sharedDomain)}" and "${respondent}".`);
+        }
+        domains.forEach(key => domainOwners.set(key, respondent));
+        const assigned = [...new Set(entry.questions || [])];
+        const unknownQuestion = assigned.find(id => !knownQuestions.has(id));
+        if (unknownQuestion !== undefined) {
+            throw new Error(`Respondent "${respondent}" is assigned unknown question "${unknownQuestion}".`);
+        }
+        return { respondent, domains, questions: assigned };
+    });
+}
+
+/**
+ * Works out which respondent answers each question. A question assigned by ID goes to that respondent even when
+ * another respondent has its domain. Unassigned questions are left out.
+ * @param {Array<Partial<RespondentAssignment>>} assignments - The assignments.
+ * @returns {object.<string, string>} The respondent per question ID.
+ * @throws {Error} If the assignments are invalid, or one question is assigned by ID to two respondents.
+ */
+export function getQuestionAssignments(assignments) {
+    const normalized = createAssignments(assignments);
+    const owners = {};
+    for (const q of getQuestions()) {
+        const byDomain = normalized.find(a => a.domains.includes(`${q.standard}::${q.domain}`));
+        if (byDomain) owners[q.id] = byDomain.respondent;
+    }
+    const byQuestion = {};
+    for (const { respondent, questions } of normalized) {
+        for (const id of questions) {
+            if (byQuestion[id] && byQuestion[id] !== respondent) {
+                throw new Error(`Question "${id}" is assigned to both "${byQuestion[id]}" and "${respondent}".`);
+            }
+            byQuestion[id] = respondent;
+        }
+    }
+    return { ...owners, ...byQuestion };
+}
+
+/**
+ * @typedef {object} PartialAnswers
+ * One respondent's share of the answers, exchanged as a file and combined with `mergePartialAnswers`.
+ * @property {"partial-answers"} kind - Marks the file as a partial answer set.
+ * @property {string} respondent - Who gave the answers.
+ * @property {string} exportedAtISO - When the file was created.
+ * @property {string[]} questionIds - The questions assigned to the respondent, answered or not.
+ * @property {Answers} answers - The respondent's answers to those questions, plus the scoping answers so that the
+ * respondent is asked the same questions. Only answers to `questionIds` are merged or attributed.
+ * @property {EvidenceRegister} evidence - Evidence the respondent recorded for those questions.
+ * @property {QuestionBank} questionBank - The questions the answers were recorded against.
+ * @property {Array<RespondentAssignment>} assignments - All assignments, so the respondent's copy of the app can show them their questions.
+ */
+
+/**
+ * Extracts one respondent's answers, e.g. for the facilities team to send back by email.
+ * @param {Answers} answers - The respondent's answers. Answers to questions not assigned to them are left out.
+ * @param {object} options - Export options.
+ * @param {string} options.respondent - The respondent.
+ * @param {Array<Partial<RespondentAssignment>>} options.assignments - Who answers which questions.
+ * @param {EvidenceRegister} [options.evidence] - Evidence to include for the assigned questions.
+ * @param {Date} [options.now] - The export time. Defaults to now.
+ * @returns {PartialAnswers} The partial answer set.
+ * @throws {Error} If the assignments are invalid or give the respondent no questions.
+ */
+export function createPartialAnswers(answers, { respondent, assignments, evidence = {}, now = new Date() }) {
+    const owners = getQuestionAssignments(assignments);
+    const questionIds = Object.keys(owners).filter(id => owners[id] === respondent);
+    if (questionIds.length === 0) {
+        throw new Error(`No questions are assigned to "${respondent}".`);
+    }
+    const pick = (source, ids) => Object.fromEntries(ids
+        .filter(id => source?.[id] !== undefined && source[id] !== null)
+        .map(id => [id, source[id]]));
+    const scopingIds = getQuestions().filter(q => q.scoping).map(q => q.id);
+    return {
+        kind: 'partial-answers',
+        respondent,
+        exportedAtISO: now.toISOString(),
+        questionIds,
+        answers: pick(answers, [...new Set([...scopingIds, ...questionIds])]),
+        evidence: pick(evidence, questionIds),
+        questionBank: getQuestionBank(),
+        assignments: createAssignments(assignments)
+    };
+}
+
+/**
+ * @typedef {object} AnswerConflict
+ * @property {string} questionId - The question that was answered differently.
+ * @property {Array<{respondent: string, answer: *, exportedAtISO: string | null}>} candidates - Each respondent's answer.
+ */
+
+/**
+ * @typedef {object} AnswerMerge
+ * @property {Answers} answers - The combined answers. Conflicting questions are left out until they are resolved.
+ * @property {EvidenceRegister} evidence - The evidence from every file, without duplicates.
+ * @property {AnswerAttribution} attribution - The respondent behind each combined answer.
+ * @property {Array<AnswerConflict>} conflicts - Questions that respondents answered differently.
+ * @property {string[]} respondents - The respondents whose files were merged, in file order.
+ */
+
+/**
+ * Combines partial answer sets from several respondents. Only answers to the questions a file lists in `questionIds`
+ * are taken from it, plus its scoping answers, which every respondent file carries. Files from the same respondent are
+ * not compared: the most recently exported one is used. Respondents who gave the same answer agree, and the answer is
+ * attributed to the first of them; scoping answers describe the organization rather than a respondent's controls, so
+ * they are not attributed. Different answers to one question, scoping questions included, become a conflict for a
+ * reviewer to settle with `resolveAnswerConflicts`.
+ * @param {Array<PartialAnswers | AnswersImport>} files - Partial answer sets, as created by `createPartialAnswers` or read by `parseAnswersImport`.
+ * @returns {AnswerMerge} The combined answers and any conflicts.
+ * @throws {Error} If a file does not name its respondent.
+ */
+export function mergePartialAnswers(files) {
+    const latest = new Map();
+    for (const file of files) {
+        if (typeof file?.respondent !== 'string' || file.respondent.trim() === '') {
+            throw new Error('Every merged file must name its respondent. Export the answers as a respondent file first.');
+        }
+        const previous = latest.get(file.respondent);
+        if (!previous || String(file.exportedAtISO || '') >= String(previous.exportedAtISO || '')) {
+            latest.set(file.respondent, file);
+        }
+    }
+
+    const scopingIds = new Set(getQuestions().filter(q => q.scoping).map(q => q.id));
+    const candidatesById = new Map();
+    const evidence = {};
+    for (const [respondent, file] of latest) {
+        const assigned = Array.isArray(file.questionIds) ? new Set([...file.questionIds, ...scopingIds]) : null;
+        for (const [questionId, answer] of Object.entries(file.answers || {})) {
+            if (answer === undefined || answer === null || (assigned && !assigned.has(questionId))) continue;
+            if (!candidatesById.has(questionId)) candidatesById.set(questionId, []);
+            candidatesById.get(questionId).push({ respondent, answer, exportedAtISO: file.exportedAtISO || null });
+        }
+        for (const [questionId, entries] of Object.entries(file.evidence || {})) {
+            if (!Array.isArray(entries)) continue;
+            const merged = evidence[questionId] || [];
+            entries.filter(entry => !merged.some(existing => JSON.stringify(existing) === JSON.stringify(entry)))
+                .forEach(entry => merged.push(entry));
+            evidence[questionId] = merged;
+        }
+    }
+
+    const answers = {};
+    const attribution = {};
+    const conflicts = [];
+    for (const [questionId, candidates] of candidatesById) {
+        const distinct = new Set(candidates.map(c => JSON.stringify(c.answer)));
+        if (distinct.size > 1) {
+            conflicts.push({ questionId, candidates });
+        } else {
+            answers[questionId] = candidates[0].answer;
+            if (!scopingIds.has(questionId)) attribution[questionId] = candidates[0].respondent;
+        }
+    }
+    return { answers, evidence, attribution, conflicts, respondents: [...latest.keys()] };
+}
+
+/**
+ * Settles merge conflicts by taking the answer of the respondent the reviewer picked for each question.
+ * @param {AnswerMerge} merge - The output from `mergePartialAnswers`.
+ * @param {object.<string, string>} resolutions - The chosen respondent per conflicting question ID.
+ * @returns {AnswerMerge} A new merge with those conflicts resolved. Conflicts without a resolution remain.
+ * @throws {Error} If a resolution names a question without a conflict or a respondent who did not answer it.
+ */
+export function resolveAnswerConflicts(merge, resolutions) {
+    const answers = { ...merge.answers };
+    const attribution = { ...merge.attribution };
+    for (const [questionId, respondent] of Object.entries(resolutions)) {
+        const conflict = merge.conflicts.find(c => c.questionId === questionId);
+        if (!conflict) {
+            throw new Error(`"${questionId}" has no conflict to resolve.`);
+        }
+        const chosen = conflict.candidates.find(c => c.respondent === respondent);
+        if (!chosen) {
+            throw new Error(`"${respondent}" did not answer "${questionId}".`);
+        }
+        answers[questionId] = chosen.answer;
+        if (!getQuestions().some(q => q.id === questionId && q.scoping)) attribution[questionId] = respondent;
+    }
+    return {
+        ...merge,
+        answers,
+        attribution,
+        conflicts: merge.conflicts.filter(c => !(c.questionId in resolutions))
+    };
+}
+
+/**
+ * @typedef {object} AnswerChange
+ * One entry in the answer change log. Entries are chained: each hash covers the entry and the hash before it, so
+ * editing, removing, or reordering an entry breaks every hash after it.
+ * @property {number} sequence - The entry's position in the log, starting at 1.
+ * @property {string} questionId - The question whose answer changed.
+ * @property {*} oldValue - The answer before the change, or null if it was unanswered.
+ * @property {*} newValue - The answer after the change, or null if it was removed.
+ * @property {string} at - When the change was made (ISO 8601).
+ * @property {string} author - Who made the change.
+ * @property {string} justification - Why the answer changed. Empty when no reason was given.
+ * @property {string} previousHash - The hash of the previous entry; 64 zeros for the first entry.
+ * @property {string} hash - The SHA-256 hash (hex) of this entry's fields and `previousHash`.
+ */
+
+const ANSWER_LOG_GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * @private
+ */
+async function sha256Hex(text) {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+        throw new Error('Web Crypto is not available, so the answer change log cannot be hashed. Open the app over https or from localhost.');
+    }
+    const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @private
+ */
+function answerChangeHash(entry) {
+    const { sequence, questionId, oldValue, newValue, at, author, justification, previousHash } = entry;
+    return sha256Hex(JSON.stringify([sequence, questionId, oldValue, newValue, at, author, justification, previousHash]));
+}
+
+/**
+ * Plays the log back to the answers it ends with.
+ * @private
+ */
+function replayAnswerLog(log) {
+    const answers = {};
+    for (const entry of log) {
+        if (entry.newValue === null || entry.newValue === undefined) {
+            delete answers[entry.questionId];
+        } else {
+            answers[entry.questionId] = entry.newValue;
+        }
+    }
+    return answers;
+}
+
+/**
+ * @private
+ */
+function sameAnswer(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Records every difference between the answers the log ends with and `answers`, one entry per question, and returns
+ * the longer log. The log passed in is not modified, and an unchanged log is returned when nothing differs, so this
+ * can be called after any change, whether one click or a whole import.
+ * @param {Array<AnswerChange>} log - The log so far; empty for a new assessment.
+ * @param {Answers} answers - The answers as they are now.
+ * @param {object} options - Who made the changes and why.
+ * @param {string} options.author - Who made the changes.
+ * @param {string} [options.justification] - Why the answers changed.
+ * @param {Date} [options.at] - When the changes were made. Defaults to now.
+ * @returns {Promise<Array<AnswerChange>>} The log with the new entries appended.
+ * @throws {Error} If the author is missing or Web Crypto is unavailable.
+ */
+export async function recordAnswerChanges(log, answers, { author, justification = '', at = new Date() }) {
+    if (typeof author !== 'string' || author.trim() === '') {
+        throw new Error('Every answer change needs an author.');
+    }
+    const previous = replayAnswerLog(log);
+    const questionIds = [...new Set([...Object.keys(previous), ...Object.keys(answers)])];
+    const changed = questionIds.filter(id => !sameAnswer(previous[id], answers[id]));
+    const entries = [...log];
+    for (const questionId of changed) {
+        const entry = {
+            sequence: entries.length + 1,
+            questionId,
+            oldValue: previous[questionId] ?? null,
+            newValue: answers[questionId] ?? null,
+            at: at.toISOString(),
+            author: author.trim(),
+            justification: String(justification || '').trim(),
+            previousHash: entries.length > 0 ? entries[entries.length - 1].hash : ANSWER_LOG_GENESIS_HASH
+        };
+        entry.hash = await answerChangeHash(entry);
+        entries.push(entry);
+    }
+    return entries;
+}
+
+/**
+ * @typedef {object} AnswerLogVerification
+ * @property {boolean} valid - True when every hash and link checks out and, if answers were given, they match the log.
+ * @property {number} entries - The number of entries checked.
+ * @property {string | null} headHash - The hash of the last entry, or null for an empty log.
+ * @property {Array<{sequence: number | null, questionId: string | null, code: "bad_sequence" | "broken_link" | "broken_hash" | "old_value_mismatch" | "answer_mismatch", message: string}>} problems - Everything that did not check out.
+ */
+
+/**
+ * Checks that an answer change log has not been tampered with and, when given a report (or any object with
+ * `answers`), that the report's answers are exactly the answers the log ends with.
+ * @param {Array<AnswerChange>} log - The change log.
+ * @param {{answers?: Answers}} [report] - A report from generateReport, or `{answers}`.
+ * @returns {Promise<AnswerLogVerification>} The verification result.
+ * @throws {Error} If the log is not an array or Web Crypto is unavailable.
+ */
+export async function verifyAnswerLog(log, report = {}) {
+    if (!Array.isArray(log)) {
+        throw new Error('The answer change log must be an array of entries.');
+    }
+    const problems = [];
+    const replayed = {};
+    let previousHash = ANSWER_LOG_GENESIS_HASH;
+    for (const [index, entry] of log.entries()) {
+        const at = { sequence: entry?.sequence ?? null, questionId: entry?.questionId ?? null };
+        if (entry?.sequence !== index + 1) {
+            problems.push({ ...at, code: 'bad_sequence', message: `Entry ${index + 1} is numbered ${entry?.sequence}; entries were removed or reordered.` });
+        }
+        if (entry?.previousHash !== previousHash) {
+            problems.push({ ...at, code: 'broken_link', message: `Entry ${index + 1} does not follow on from the entry before it.` });
+        }
+        if (!entry || (await answerChangeHash(entry)) !== entry.hash) {
+            problems.push({ ...at, code: 'broken_hash', message: `Entry ${index + 1} was changed after it was recorded.` });
+        }
+        if (entry && !sameAnswer(replayed[entry.questionId], entry.oldValue)) {
+            problems.push({ ...at, code: 'old_value_mismatch', message: `Entry ${index + 1} changes "${entry.questionId}" from an answer the log never recorded.` });
+        }
+        if (entry) {
+            if (entry.newValue === null || entry.newValue === undefined) {
+                delete replayed[entry.questionId];
+            } else {
+                replayed[entry.questionId] = entry.newValue;
+            }
+        }
+        previousHash = entry?.hash;
+    }
+    if (report?.answers) {
+        const questionIds = new Set([...Object.keys(replayed), ...Object.keys(report.answers)]);
+        for (const questionId of questionIds) {
+            if (!sameAnswer(replayed[questionId], report.answers[questionId])) {
+                problems.push({ sequence: null, questionId, code: 'answer_mismatch', message: `The answer to "${questionId}" is not the one the change log ends with.` });
+            }
+        }
+    }
+    return {
+        valid: problems.length === 0,
+        entries: log.length,
+        headHash: log.length > 0 ? log[log.length - 1].hash ?? null : null,
+        problems
+    };
+}
+
+/**
+ * Converts a CSV cell to the answer type the question expects. Values that cannot be converted are
+ * returned as strings so that validation reports them.
+ * @private
+ */
+function coerceCsvAnswer(question, value) {
+    if (!question) return value;
+    switch (question.type) {
+        case 'yes_no': {
+            const normalized = value.toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+            if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+            return value;
+        }
+        case 'scale_0_2':
+            return /^-?\d+$/.test(value) ? Number(value) : value;
+        case 'multiple':
+        case 'maturity': {
+            const choice = (question.choices || []).find(c => String(c.value) === value)
+                || (question.choices || []).find(c => c.label.toLowerCase() === value.toLowerCase());
+            return choice ? choice.value : value;
+        }
+        case 'checklist': {
+            // Sub-controls are separated by "|" or ";", matching by value or label; an empty cell means none are in place
+            const parts = value.split(/[|;]/).map(part => part.trim()).filter(Boolean);
+            const values = parts.map(part => (question.choices.find(c => c.value === part)
+                || question.choices.find(c => c.label.toLowerCase() === part.toLowerCase()))?.value);
+            return values.includes(undefined) ? value : values;
+        }
+        case 'numeric':
+            return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Keeps only well-formed evidence entries, trimmed to the known fields.
+ * @private
+ * @returns {Array<EvidenceEntry>}
+ */
+function normalizeEvidence(entries) {
+    if (!Array.isArray(entries)) return [];
+    const text = value => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+    return entries
+        .filter(entry => entry && text(entry.artifact))
+        .map(entry => ({
+            artifact: text(entry.artifact),
+            location: text(entry.location),
+            owner: text(entry.owner),
+            collectedAt: text(entry.collectedAt),
+            expiresAt: text(entry.expiresAt)
+        }));
+}
+
+/**
+ * True if the entry has a parseable expiry date before the given time.
+ * @private
+ */
+function isEvidenceExpired(entry, asOfTime) {
+    if (!entry.expiresAt) return false;
+    const expires = new Date(entry.expiresAt).getTime();
+    return !isNaN(expires) && expires < asOfTime;
+}
+
+/**
+ * @typedef {object} EvidenceEntry
+ * A piece of evidence supporting an answer.
+ * @property {string} artifact - What the evidence is (e.g. "Signed BAA with Acme Cloud").
+ * @property {string} [location] - Where it is kept (URL, file path, or document reference).
+ * @property {string} [owner] - Who maintains it.
+ * @property {string} [collectedAt] - When it was collected, as an ISO date (YYYY-MM-DD).
+ * @property {string} [expiresAt] - When it stops being valid, as an ISO date. Expired evidence no longer verifies an answer.
+ */
+
+/**
+ * @typedef {object.<string, Array<EvidenceEntry>>} EvidenceRegister
+ * An object mapping question IDs to the evidence recorded for them.
+ */
+
+/**
+ * @typedef {object} SeverityRule
+ * A finding gets the severity of the first rule it matches; findings matching no rule are Low.
+ * @property {"High" | "Medium" | "Low"} severity - The severity assigned by this rule.
+ * @property {number} [minWeight] - The rule only matches questions weighted at least this much.
+ * @property {number} [maxWeight] - The rule only matches questions weighted less than this.
+ * @property {number} belowScorePercent - The rule only matches questions scoring below this percentage.
+ */
+
+/**
+ * @typedef {object} ScoringProfile
+ * @property {string} id - A short identifier for the profile (e.g. "risk-committee-2025").
+ * @property {string} name - Display name for the profile.
+ * @property {object.<string, number>} weights - Weight overrides keyed by question ID. Other questions keep their own weight.
+ * @property {Array<SeverityRule>} severityRules - Ordered severity rules.
+ * @property {{high: number, moderate: number}} classificationBands - Minimum overall scores for the High and Moderate classifications.
+ * @property {string} fingerprint - A hash of the weights, rules, and bands, so profiles with the same ID but different rules can be told apart.
+ */
+
+/**
+ * The built-in scoring rules described in the design notes.
+ * @private
+ */
+const DEFAULT_SCORING_PROFILE = {
+    id: 'default',
+    name: 'Default',
+    weights: {},
+    severityRules: [
+        { severity: 'High', minWeight: 2.5, belowScorePercent: 50 },
+        { severity: 'Medium', minWeight: 1.5, maxWeight: 2.5, belowScorePercent: 70 }
+    ],
+    classificationBands: { high: 80, moderate: 50 }
+};
+
+/**
+ * Builds a complete scoring profile from partial overrides of the default profile.
+ * Passing a profile that is already complete returns an equivalent copy, so this is safe to call repeatedly.
+ * @param {Partial<ScoringProfile>} [overrides] - The settings to change. Omitted settings keep their defaults.
+ * @returns {ScoringProfile} The validated profile.
+ * @throws {Error} If a weight, rule, or band is invalid, or a weight refers to an unknown or unscored question.
+ */
+export function createScoringProfile(overrides = {}) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('A scoring profile must be an object.');
+    }
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+
+    const weights = {};
+    for (const [questionId, weight] of Object.entries(overrides.weights || {})) {
+        const question = questionMap.get(questionId);
+        if (!question || question.scored === false) {
+            throw new Error(`Scoring profile weight refers to "${questionId}", which is not a scored question.`);
+        }
+        if (!isNumber(weight) || weight <= 0) {
+            throw new Error(`Scoring profile weight for "${questionId}" must be a positive number.`);
+        }
+        weights[questionId] = weight;
+    }
+
+    const severityRules = (overrides.severityRules || DEFAULT_SCORING_PROFILE.severityRules).map((rule, index) => {
+        if (!rule || !['High', 'Medium', 'Low'].includes(rule.severity)) {
+            throw new Error(`Severity rule ${index + 1} must have a severity of High, Medium, or Low.`);
+        }
+        if (!isNumber(rule.belowScorePercent) || rule.belowScorePercent < 0 || rule.belowScorePercent > 100) {
+            throw new Error(`Severity rule ${index + 1} needs a belowScorePercent from 0 to 100.`);
+        }
+        for (const key of ['minWeight', 'maxWeight']) {
+            if (rule[key] !== undefined && !isNumber(rule[key])) {
+                throw new Error(`Severity rule ${index + 1} has a non-numeric ${key}.`);
+            }
+        }
+        const copy = { severity: rule.severity, belowScorePercent: rule.belowScorePercent };
+        if (rule.minWeight !== undefined) copy.minWeight = rule.minWeight;
+        if (rule.maxWeight !== undefined) copy.maxWeight = rule.maxWeight;
+        return copy;
+    });
+
+    const bands = { ...DEFAULT_SCORING_PROFILE.classificationBands, ...(overrides.classificationBands || {}) };
+    if (!isNumber(bands.high) || !isNumber(bands.moderate) || bands.moderate < 0 || bands.high > 100 || bands.moderate > bands.high) {
+        throw new Error('Classification bands must satisfy 0 <= moderate <= high <= 100.');
+    }
+
+    const rules = {
+        weights: Object.fromEntries(Object.entries(weights).sort(([a], [b]) => a.localeCompare(b))),
+        severityRules,
+        classificationBands: { high: bands.high, moderate: bands.moderate }
+    };
+    const isDefault = overrides.id === undefined || overrides.id === DEFAULT_SCORING_PROFILE.id;
+    return {
+        id: String(overrides.id ?? DEFAULT_SCORING_PROFILE.id),
+        name: String(overrides.name ?? (isDefault ? DEFAULT_SCORING_PROFILE.name : overrides.id)),
+        ...rules,
+        fingerprint: hashString(JSON.stringify(rules))
+    };
+}
+
+/**
+ * 32-bit FNV-1a hash as 8 hex characters. Used for fingerprints, not for security.
+ * @private
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * @typedef {object} OrganizationProfile
+ * Describes the organization being assessed, so that controls are weighted for its actual risk.
+ * @property {"small" | "medium" | "large"} size - Workforce size: small (under 50 people), medium, or large (over 1,000).
+ * @property {"low" | "medium" | "high"} recordVolume - Number of individuals whose records are held: low (under 10,000), medium, or high (over 1 million).
+ * @property {Array<"phi" | "special_category" | "children">} sensitivity - Sensitive data processed: protected health information, GDPR Art. 9 special categories, and children's data.
+ * @property {"limited" | "regular" | "large_scale"} processingScale - Processing scale in the sense of GDPR Art. 35 and 37.
+ */
+
+/**
+ * The organization profile fields, their allowed values, and the neutral value used when a field is omitted.
+ * @private
+ */
+const ORGANIZATION_PROFILE_FIELDS = [
+    { id: 'size', values: ['small', 'medium', 'large'], defaultValue: 'medium' },
+    { id: 'recordVolume', values: ['low', 'medium', 'high'], defaultValue: 'medium' },
+    { id: 'sensitivity', values: ['phi', 'special_category', 'children'], multiple: true, defaultValue: [] },
+    { id: 'processingScale', values: ['limited', 'regular', 'large_scale'], defaultValue: 'regular' }
+];
+
+/**
+ * Weight multipliers applied by each organization profile value. A rule matches a question when every listed
+ * criterion (standards, domains, question IDs) matches. The neutral values (medium size and volume, regular
+ * processing, no sensitive data) have no rules, so a default profile scores exactly like no profile.
+ * @private
+ */
+const ORGANIZATION_FACTORS = [
+    // Documentation duties scale with the organization (HIPAA "reasonable and appropriate", GDPR Art. 30(5)).
+    { factor: 'size', value: 'small', multiplier: 0.8, match: { standards: ['HIPAA'], domains: ['Administrative Safeguards'] } },
+    { factor: 'size', value: 'small', multiplier: 0.8, match: { standards: ['GDPR'], domains: ['DPIA and Records'] } },
+    // Large workforces and supplier bases depend on formal programs and contracts.
+    { factor: 'size', value: 'large', multiplier: 1.2, match: { domains: ['Administrative Safeguards', 'Processors and DPAs'] } },
+    // The more records are held, the larger a breach and the harder it is to notify on time.
+    { factor: 'recordVolume', value: 'high', multiplier: 1.3, match: { domains: ['Breach Notification', 'Technical Safeguards', 'Security of Processing'] } },
+    { factor: 'recordVolume', value: 'low', multiplier: 0.9, match: { domains: ['Breach Notification'] } },
+    { factor: 'sensitivity', value: 'phi', multiplier: 1.2, match: { standards: ['HIPAA'], domains: ['Technical Safeguards', 'Breach Notification'] } },
+    // Art. 9 data needs an additional condition for processing and usually a DPIA.
+    { factor: 'sensitivity', value: 'special_category', multiplier: 1.3, match: { standards: ['GDPR'], domains: ['DPIA and Records', 'Security of Processing'] } },
+    { factor: 'sensitivity', value: 'special_category', multiplier: 1.2, match: { standards: ['GDPR'], domains: ['Lawful Basis and Transparency'] } },
+    // Children need parental consent (Art. 8) and notices they can understand (Art. 12).
+    { factor: 'sensitivity', value: 'children', multiplier: 1.3, match: { standards: ['GDPR'], domains: ['Lawful Basis and Transparency'] } },
+    { factor: 'sensitivity', value: 'children', multiplier: 1.2, match: { standards: ['GDPR'], domains: ['Data Subject Rights'] } },
+    // Large-scale processing triggers a mandatory DPIA (Art. 35(3)) and may require a DPO (Art. 37).
+    { factor: 'processingScale', value: 'large_scale', multiplier: 1.3, match: { standards: ['GDPR'], domains: ['DPIA and Records'] } },
+    { factor: 'processingScale', value: 'large_scale', multiplier: 1.3, match: { questions: ['gdpr-security-03'] } },
+    { factor: 'processingScale', value: 'limited', multiplier: 0.9, match: { standards: ['GDPR'], domains: ['DPIA and Records'] } }
+];
+
+/**
+ * Bounds for the combined multiplier, so that several factors cannot make a question dominate or vanish.
+ * @private
+ */
+const ORGANIZATION_MULTIPLIER_RANGE = { min: 0.5, max: 2 };
+
+/**
+ * Builds a complete organization profile. Omitted fields take their neutral value.
+ * Passing a profile that is already complete returns an equivalent copy, so this is safe to call repeatedly.
+ * @param {Partial<OrganizationProfile>} [input] - The profile fields.
+ * @returns {OrganizationProfile} The validated profile. Sensitive data categories are de-duplicated and in a fixed order.
+ * @throws {Error} If a field has a value that is not allowed.
+ */
+export function createOrganizationProfile(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('An organization profile must be an object.');
+    }
+    const profile = {};
+    for (const field of ORGANIZATION_PROFILE_FIELDS) {
+        const value = input[field.id] ?? field.defaultValue;
+        if (field.multiple) {
+            if (!Array.isArray(value) || value.some(v => !field.values.includes(v))) {
+                throw new Error(`Organization profile "${field.id}" must be a list of: ${field.values.join(', ')}.`);
+            }
+            profile[field.id] = field.values.filter(v => value.includes(v));
+        } else {
+            if (!field.values.includes(value)) {
+                throw new Error(`Organization profile "${field.id}" must be one of: ${field.values.join(', ')}.`);
+            }
+            profile[field.id] = value;
+        }
+    }
+    return profile;
+}
+
+/**
+ * Lists the organization profile fields with display labels, for building a profile form.
+ * @param {object} [options] - Options.
+ * @param {string} [options.locale] - Locale for the labels.
+ * @returns {Array<{id: string, label: string, multiple: boolean, defaultValue: string | string[], options: Array<{value: string, label: string}>}>}
+ */
+export function getOrganizationProfileFields({ locale } = {}) {
+    const resolved = canonicalLocale(locale);
+    return ORGANIZATION_PROFILE_FIELDS.map(field => ({
+        id: field.id,
+        label: translate(resolved, `organization.${field.id}`),
+        multiple: Boolean(field.multiple),
+        defaultValue: field.multiple ? [...field.defaultValue] : field.defaultValue,
+        options: field.values.map(value => ({ value, label: translate(resolved, `organization.${field.id}.${value}`) }))
+    }));
+}
+
+/**
+ * The organization profile factors that apply to a question, in table order.
+ * @private
+ * @returns {Array<{factor: string, value: string, multiplier: number}>}
+ */
+function organizationFactorsFor(question, profile) {
+    if (!profile) return [];
+    return ORGANIZATION_FACTORS
+        .filter(rule => [].concat(profile[rule.factor]).includes(rule.value))
+        .filter(({ match }) => (!match.standards || match.standards.includes(question.standard))
+            && (!match.domains || match.domains.includes(question.domain))
+            && (!match.questions || match.questions.includes(question.id)))
+        .map(({ factor, value, multiplier }) => ({ factor, value, multiplier }));
+}
+
+/**
+ * One line summarizing an organization profile, e.g. "Size: Small · Record volume: High · ...".
+ * @private
+ */
+function organizationProfileText(profile, locale) {
+    return ORGANIZATION_PROFILE_FIELDS.map(field => {
+        const values = [].concat(profile[field.id] ?? []);
+        const text = values.length > 0
+            ? formatListText(values.map(value => translate(locale, `organization.${field.id}.${value}`)), locale)
+            : translate(locale, `organization.${field.id}.none`);
+        return `${translate(locale, `organization.${field.id}`)}: ${text}`;
+    }).join(' · ');
+}
+
+/**
+ * Evaluates a set of answers against the compliance questionnaire.
+ * Evidence does not change the score. It is reported separately as `evidenceCoverage`: the weighted share of
+ * positively answered questions that are backed by at least one unexpired evidence entry.
+ * By default invalid answers are scored as 0, as before. Pass `validate: 'throw'` to reject them with an
+ * `AnswerValidationError`, or `validate: 'attach'` to add the `validateAnswers` result as `evaluation.diagnostics`.
+ * An organization profile multiplies the weight of each question it affects; every item records its `baseWeight`
+ * and the `factors` that were applied.
+ * @param {Answers} answers - A map of question IDs to user answers.
+ * @param {object} [options] - Evaluation options.
+ * @param {"off" | "throw" | "attach"} [options.validate] - How to treat invalid answers.
+ * @param {boolean} [options.strict] - Passed to `validateAnswers`.
+ * @param {EvidenceRegister} [options.evidence] - Evidence recorded for each question.
+ * @param {Date | string} [options.asOf] - The date used to decide whether evidence has expired. Defaults to now.
+ * @param {Partial<ScoringProfile>} [options.profile] - Scoring profile whose weights are applied. Defaults to the built-in profile.
+ * @param {Partial<OrganizationProfile>} [options.organizationProfile] - The organization being assessed. Without one, weights are not adjusted.
+ * @param {AnswerAttribution} [options.attribution] - Who gave each answer, e.g. from `mergePartialAnswers`. It does not change the score.
+ * @returns {Evaluation} The calculated evaluation results.
+ * @throws {AnswerValidationError} When `validate` is 'throw' and the answers have errors.
+ * @throws {Error} If the scoring or organization profile is invalid.
+ */
+export function evaluateAnswers(answers, { validate = 'off', strict = false, evidence = {}, asOf = new Date(), profile, organizationProfile, attribution = {} } = {}) {
+    const scoringProfile = createScoringProfile(profile);
+    const organization = organizationProfile ? createOrganizationProfile(organizationProfile) : null;
+    let diagnostics = null;
+    if (validate === 'throw' || validate === 'attach') {
+        diagnostics = validateAnswers(answers, { strict });
+        if (validate === 'throw' && !diagnostics.valid) {
+            throw new AnswerValidationError(diagnostics);
+        }
+    }
+    answers = answers || {};
+
+    const evaluationItems = [];
+    const totals = {
+        overall: { raw: 0, max: 0 },
+        standard: {},
+        domain: {},
+        standardDomain: {}
+    };
+    // Evidence coverage: "raw" is verified weight, "max" is the weight of positively answered questions
+    const coverage = {
+        overall: { raw: 0, max: 0 },
+        standard: {},
+        standardDomain: {}
+    };
+
+    // Initialize standard and domain totals
+    for (const framework of FRAMEWORKS.values()) {
+        totals.standard[framework.id] = { raw: 0, max: 0 };
+        totals.standardDomain[framework.id] = {};
+        coverage.standard[framework.id] = { raw: 0, max: 0 };
+        coverage.standardDomain[framework.id] = {};
+        framework.domains.forEach(domainName => {
+            totals.domain[domainName] = { raw: 0, max: 0 };
+            totals.standardDomain[framework.id][domainName] = { raw: 0, max: 0 };
+            coverage.standardDomain[framework.id][domainName] = { raw: 0, max: 0 };
+        });
+    }
+
+    const asOfTime = new Date(asOf).getTime();
+    const evidenceRegister = {};
+
+    const applicability = getApplicability(answers);
+
+    for (const q of getQuestions()) {
+        if (q.scored === false) continue;
+
+        const answer = answers[q.id];
+        const applicable = applicability[q.id];
+        const baseWeight = scoringProfile.weights[q.id] ?? q.weight;
+        const factors = organizationFactorsFor(q, organization);
+        const multiplier = Math.min(ORGANIZATION_MULTIPLIER_RANGE.max, Math.max(ORGANIZATION_MULTIPLIER_RANGE.min,
+            factors.reduce((product, f) => product * f.multiplier, 1)));
+        const weight = Math.round(baseWeight * multiplier * 100) / 100;
+        let rawScore = 0;
+        const maxScore = applicable ? weight : 0;
+
+        if (applicable && answer !== undefined && answer !== null) {
+            switch (q.type) {
+                case 'yes_no':
+                    rawScore = answer === true ? weight : 0;
+                    break;
+                case 'scale_0_2':
+                    const numericAnswer = Number(answer);
+                    if (!isNaN(numericAnswer) && numericAnswer >= 0 && numericAnswer <= 2) {
+                        rawScore = weight * (numericAnswer / 2);
+                    }
+                    break;
+                case 'multiple':
+                case 'maturity':
+                    const choice = q.choices?.find(c => c.value === answer);
+                    if (choice && typeof choice.score === 'number') {
+                        rawScore = weight * choice.score;
+                    }
+                    break;
+                case 'checklist':
+                    if (Array.isArray(answer)) {
+                        rawScore = weight * checklistFraction(q, answer);
+                    }
+                    break;
+                case 'numeric':
+                    const band = typeof answer === 'number' ? numericBand(q, answer) : undefined;
+                    if (band) {
+                        rawScore = weight * band.score;
+                    }
+                    break;
+            }
+        }
+        
+        const entries = normalizeEvidence(evidence?.[q.id]);
+        if (entries.length > 0) {
+            evidenceRegister[q.id] = entries;
+        }
+        let evidenceStatus = 'not_required';
+        if (rawScore > 0) {
+            const current = entries.filter(entry => !isEvidenceExpired(entry, asOfTime));
+            evidenceStatus = current.length > 0 ? 'verified' : (entries.length > 0 ? 'expired' : 'unverified');
+            const verifiedWeight = evidenceStatus === 'verified' ? weight : 0;
+            for (const bucket of [coverage.overall, coverage.standard[q.standard], coverage.standardDomain[q.standard]?.[q.domain]]) {
+                if (!bucket) continue;
+                bucket.raw += verifiedWeight;
+                bucket.max += weight;
+            }
+        }
+
+        evaluationItems.push({ questionId: q.id, weight, baseWeight, factors, rawScore, maxScore, applicable, evidenceCount: entries.length, evidenceStatus });
+        
+        totals.overall.raw += rawScore;
+        totals.overall.max += maxScore;
+        totals.standard[q.standard].raw += rawScore;
+        totals.standard[q.standard].max += maxScore;
+        if(totals.domain[q.domain]){
+            totals.domain[q.domain].raw += rawScore;
+            totals.domain[q.domain].max += maxScore;
+            totals.standardDomain[q.standard][q.domain].raw += rawScore;
+            totals.standardDomain[q.standard][q.domain].max += maxScore;
+        }
+    }
+
+    const calculatePercent = (raw, max) => (max > 0 ? (raw / max) * 100 : 100);
+
+    // Standards and domains that the scoping answers rule out are left out of the scores instead of showing 100%.
+    const scope = getScope(answers);
+    const inScopeStandards = new Set(scope.standards.filter(s => s.inScope).map(s => s.standard));
+    const excludedDomains = new Set(scope.excludedDomains.map(d => `${d.standard}::${d.domain}`));
+    const isInScope = (standard, domainName) => inScopeStandards.has(standard) && !excludedDomains.has(`${standard}::${domainName}`);
+
+    // With nothing in scope there is no score at all; 100% would read as fully ready.
+    const overallScore = scope.nothingInScope ? null : calculatePercent(totals.overall.raw, totals.overall.max);
+    const perStandard = {};
+    for (const standard of inScopeStandards) {
+        perStandard[standard] = calculatePercent(totals.standard[standard].raw, totals.standard[standard].max);
+    }
+    const perDomain = {};
+    for (const domainName in totals.domain) {
+        if (!Array.from(inScopeStandards).some(standard => domainName in totals.standardDomain[standard] && isInScope(standard, domainName))) continue;
+        perDomain[domainName] = calculatePercent(totals.domain[domainName].raw, totals.domain[domainName].max);
+    }
+    const perStandardDomain = {};
+    for (const standard of inScopeStandards) {
+        perStandardDomain[standard] = {};
+        for (const domainName in totals.standardDomain[standard]) {
+            if (!isInScope(standard, domainName)) continue;
+            const domainTotals = totals.standardDomain[standard][domainName];
+            perStandardDomain[standard][domainName] = calculatePercent(domainTotals.raw, domainTotals.max);
+        }
+    }
+
+    const coveragePercent = ({ raw, max }) => (max > 0 ? (raw / max) * 100 : null);
+    const evidenceCoverage = {
+        overall: coveragePercent(coverage.overall),
+        perStandard: {},
+        perStandardDomain: {}
+    };
+    for (const standard of inScopeStandards) {
+        evidenceCoverage.perStandard[standard] = coveragePercent(coverage.standard[standard]);
+        evidenceCoverage.perStandardDomain[standard] = {};
+        for (const domainName in coverage.standardDomain[standard]) {
+            if (!isInScope(standard, domainName)) continue;
+            evidenceCoverage.perStandardDomain[standard][domainName] = coveragePercent(coverage.standardDomain[standard][domainName]);
+        }
+    }
+
+    const evaluation = {
+        items: evaluationItems,
+        overallScore,
+        perStandard,
+        perDomain,
+        perStandardDomain,
+        evidenceCoverage,
+        evidence: evidenceRegister,
+        answers: { ...answers },
+        scoringProfile,
+        organizationProfile: organization,
+        scope,
+        questionBank: getQuestionBank(),
+        attribution: Object.fromEntries(Object.entries(attribution || {})
+            .filter(([id, name]) => typeof name === 'string' && answers[id] !== undefined && answers[id] !== null))
+    };
+    if (validate === 'attach') {
+        evaluation.diagnostics = diagnostics;
+    }
+    return evaluation;
+}
+
+/**
+ * @typedef {object} ScoreShare
+ * @property {number} domain - Percentage points of the question's domain score.
+ * @property {number} standard - Percentage points of the question's standard score.
+ * @property {number} overall - Percentage points of the overall score.
+ */
+
+/**
+ * @typedef {object} QuestionScoreExplanation
+ * @property {string} questionId - The question ID.
+ * @property {string} standard - The question's standard ID.
+ * @property {string} domain - The question's domain.
+ * @property {number} weight - The weight the question was scored with.
+ * @property {number} rawScore - The points the answer earned.
+ * @property {number} maxScore - The points a full-credit answer earns.
+ * @property {number} scorePercent - The share of the question's weight the answer earned, 0-100.
+ * @property {ScoreShare} contribution - What the question adds to each score as it stands.
+ * @property {ScoreShare} gain - How much each score would rise if the question earned full credit.
+ * @property {boolean | number | string | Array<string> | undefined} fixAnswer - An answer that earns full credit.
+ */
+
+/**
+ * @typedef {object} ScoreExplanation
+ * @property {number | null} overallScore - The evaluation's overall score.
+ * @property {object.<string, number>} perStandard - The evaluation's per-standard scores.
+ * @property {object.<string, object.<string, number>>} perStandardDomain - The evaluation's per-domain scores.
+ * @property {Array<QuestionScoreExplanation>} questions - One entry per applicable scored question, in question order.
+ */
+
+/**
+ * Explains an evaluation's scores question by question.
+ * Every score is the weighted share of points earned, so a question's contribution is its earned points over the
+ * bucket's maximum points, and the contributions of a bucket's questions add up to its score. The gain is the same
+ * calculation for the points the question is still missing: fixing a finding raises each score by exactly its gain,
+ * as long as no other answer changes and the question stays applicable.
+ * Inapplicable and out-of-scope questions do not count towards any score and are left out.
+ * @param {Evaluation} evaluation - The output from evaluateAnswers.
+ * @returns {ScoreExplanation} The per-question breakdown.
+ */
+export function explainScores(evaluation) {
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+    const items = evaluation.items
+        .map(item => ({ item, question: questionMap.get(item.questionId) }))
+        .filter(({ item, question }) => question && item.maxScore > 0);
+    const totals = { overall: 0, standard: {}, domain: {} };
+    for (const { item, question } of items) {
+        const domainKey = `${question.standard}::${question.domain}`;
+        totals.overall += item.maxScore;
+        totals.standard[question.standard] = (totals.standard[question.standard] || 0) + item.maxScore;
+        totals.domain[domainKey] = (totals.domain[domainKey] || 0) + item.maxScore;
+    }
+    const share = (points, question) => ({
+        domain: (points / totals.domain[`${question.standard}::${question.domain}`]) * 100,
+        standard: (points / totals.standard[question.standard]) * 100,
+        overall: (points / totals.overall) * 100
+    });
+
+    return {
+        overallScore: evaluation.overallScore,
+        perStandard: { ...evaluation.perStandard },
+        perStandardDomain: Object.fromEntries(Object.entries(evaluation.perStandardDomain || {})
+            .map(([standard, domains]) => [standard, { ...domains }])),
+        questions: items.map(({ item, question }) => ({
+            questionId: question.id,
+            standard: question.standard,
+            domain: question.domain,
+            weight: item.weight,
+            rawScore: item.rawScore,
+            maxScore: item.maxScore,
+            scorePercent: (item.rawScore / item.maxScore) * 100,
+            contribution: share(item.rawScore, question),
+            gain: share(item.maxScore - item.rawScore, question),
+            fixAnswer: answerForFraction(question, 1)
+        }))
+    };
+}
+
+/**
+ * Generates a user-friendly report from an evaluation object.
+ * Severity rules and classification bands come from the evaluation's scoring profile unless `options.profile` is given.
+ * Weights cannot be changed at this point; a profile with different weights must be passed to `evaluateAnswers` instead.
+ * Standards and domains out of scope are left out; `report.scope` explains why each standard is in or out of scope.
+ * When nothing is in scope (`report.scope.nothingInScope`) the report has no overall score, no classification, and no
+ * quick wins or 30-day plan, since generic advice would suggest there is something to fix.
+ * When the evaluation's organization profile moved a finding into a different severity than its unadjusted weight would
+ * give, the finding's `severityAdjustment` names the profile factors responsible.
+ * Findings name the respondent who gave the answer (`answeredBy`), and `report.respondents` counts the in-scope answers
+ * each respondent gave, when the evaluation carries an attribution.
+ * Each finding's `scoreGain` is how many points its domain, standard and overall scores would rise if it were fixed
+ * (see `explainScores`), and `gainPerEffort` divides the overall gain by the effort level (Low 1, Medium 2, High 3)
+ * so findings can be ranked by return on effort.
+ * @param {Evaluation} evaluation - The output from evaluateAnswers.
+ * @param {object} [options] - Report options.
+ * @param {Partial<ScoringProfile>} [options.profile] - Scoring profile for severity rules and classification bands.
+ * @param {string} [options.locale] - Locale for the report text. Untranslated text falls back to English.
+ * @param {Array<AnswerChange>} [options.answerLog] - The answer change log, copied into the report so exports carry it. Check it with `verifyAnswerLog(report.answerLog, report)`.
+ * @param {object} [options.target] - A target profile (see `createTargetProfile`). The report's `gapToTarget` then
+ * lists each target with its status, how far the score is from it, and the findings blocking it.
+ * @returns {object} A structured report for UI display.
+ * @throws {Error} If `options.profile` has different weights from those the evaluation was scored with, the target
+ * profile is invalid, or the locale is invalid.
+ */
+export function generateReport(evaluation, { profile, locale, answerLog = [], target } = {}) {
+    const { overallScore, perStandard, perDomain } = evaluation;
+    const reportLocale = canonicalLocale(locale);
+    const scoringProfile = createScoringProfile(profile || evaluation.scoringProfile);
+    const evaluatedWeights = createScoringProfile({ weights: evaluation.scoringProfile?.weights }).weights;
+    if (JSON.stringify(scoringProfile.weights) !== JSON.stringify(evaluatedWeights)) {
+        throw new Error(`Scoring profile "${scoringProfile.id}" has different weights from the evaluation. Pass it to evaluateAnswers instead.`);
+    }
+    const targetProfile = target ? createTargetProfile(target) : null;
+    const bands = scoringProfile.classificationBands;
+    let classification = 'Low';
+    if (overallScore === null) {
+        classification = null;
+    } else if (overallScore >= bands.high) {
+        classification = 'High';
+    } else if (overallScore >= bands.moderate) {
+        classification = 'Moderate';
+    }
+
+    const findings = [];
     const strengths = [];
+    const notApplicable = [];
+    const unverifiedControls = [];
+
+    const questionMap = new Map(getQuestions().map(q => [q.id, localizeQuestion(q, reportLocale)]));
+    const scoreGains = new Map(explainScores(evaluation).questions.map(q => [q.questionId, q.gain]));
+    const severityFor = (weight, scorePercent) => {
+        const rule = scoringProfile.severityRules.find(r =>
+            (r.minWeight === undefined || weight >= r.minWeight)
+            && (r.maxWeight === undefined || weight < r.maxWeight)
+            && scorePercent < r.belowScorePercent);
+        return rule ? rule.severity : 'Low';
+    };
+    const severityOrder = { High: 0, Medium: 1, Low: 2 };
+    const scope = getScope(evaluation.answers, { locale: reportLocale });
+    const outOfScope = new Set([
+        ...scope.standards.filter(s => !s.inScope).map(s => s.standard),
+        ...scope.excludedDomains.map(d => `${d.standard}::${d.domain}`)
+    ]);
+
+    for (const item of evaluation.items) {
+        const question = questionMap.get(item.questionId);
+        if (!question) continue;
+        if (outOfScope.has(question.standard) || outOfScope.has(`${question.standard}::${question.domain}`)) continue;
+        if (item.applicable === false) {
+            notApplicable.push(question.id);
+            continue;
+        }
+
+        const scorePercent = item.maxScore > 0 ? (item.rawScore / item.maxScore) * 100 : 100;
+
+        if (item.evidenceStatus === 'unverified' || item.evidenceStatus === 'expired') {
+            unverifiedControls.push({
+                id: question.id,
+                standard: question.standard,
+                domain: question.domain,
+                domainLabel: question.domainLabel,
+                requirementSummary: question.text,
+                evidenceStatus: item.evidenceStatus,
+                evidenceToProvide: generateEvidence(question, reportLocale)
+            });
+        }
+
+        if (scorePercent === 100 && item.weight >= 2.5) {
+             strengths.push(translate(reportLocale, 'strength', { question: question.text }));
+        } else if (scorePercent < 100) {
+            const severity = severityFor(item.weight, scorePercent);
+            const baseSeverity = severityFor(item.baseWeight ?? item.weight, scorePercent);
+            const organizationFactors = item.factors || [];
+            let severityAdjustment = null;
+            if (severity !== baseSeverity) {
+                const direction = severityOrder[severity] < severityOrder[baseSeverity] ? 'raised' : 'lowered';
+                const factors = organizationFactors.filter(f => (direction === 'raised' ? f.multiplier > 1 : f.multiplier < 1));
+                severityAdjustment = {
+                    baseSeverity,
+                    direction,
+                    factors,
+                    explanation: translate(reportLocale, `severity.${direction}`, {
+                        severity: translate(reportLocale, `severity.${baseSeverity}`),
+                        factors: formatListText(factors.map(f => translate(reportLocale, 'organization.factor', {
+                            label: translate(reportLocale, `organization.${f.factor}`),
+                            value: translate(reportLocale, `organization.${f.factor}.${f.value}`),
+                            multiplier: formatNumberText(f.multiplier, reportLocale)
+                        })), reportLocale)
+                    })
+                };
+            }
+
+            const scoreGain = scoreGains.get(question.id) || { domain: 0, standard: 0, overall: 0 };
+            const estimatedEffort = question.effort || 'Medium';
+            const finding = {
+                id: question.id,
+                standard: question.standard,
+                domain: question.domain,
+                domainLabel: question.domainLabel,
+                severity,
+                severityLabel: translate(reportLocale, `severity.${severity}`),
+                weight: item.weight,
+                baseWeight: item.baseWeight ?? item.weight,
+                organizationFactors,
+                severityAdjustment,
+                scorePercent,
+                requirementSummary: question.text,
+                observedStatus: generateObservedStatus(question, scorePercent, reportLocale, evaluation.answers?.[question.id]),
+                remediationSteps: generateRemediationSteps(question, reportLocale),
+                evidenceToProvide: generateEvidence(question, reportLocale),
+                evidenceStatus: item.evidenceStatus || 'not_required',
+                estimatedEffort,
+                scoreGain,
+                gainPerEffort: scoreGain.overall / (EFFORT_LEVELS.indexOf(estimatedEffort) + 1),
+                suggestedOwner: question.ownerRole || null,
+                answeredBy: evaluation.attribution?.[question.id] || null,
+                commonControlId: findCommonControl(question.id)?.id || null,
+                citation: question.citation
+            };
+            findings.push(finding);
+        }
+    }
+    
+    const answerCounts = new Map();
+    for (const [questionId, respondent] of Object.entries(evaluation.attribution || {})) {
+        const question = questionMap.get(questionId);
+        if (!question || outOfScope.has(question.standard) || outOfScope.has(`${question.standard}::${question.domain}`)) continue;
+        answerCounts.set(respondent, (answerCounts.get(respondent) || 0) + 1);
+    }
+
+    // Sort findings by severity (High > Medium > Low)
+    findings.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+    let perDomainScores;
+    if (evaluation.perStandardDomain) {
+        // A domain is applicable while at least one of its scored questions applies
+        const applicableDomains = new Set();
+        for (const item of evaluation.items) {
+            const question = questionMap.get(item.questionId);
+            if (question && item.applicable !== false) {
+                applicableDomains.add(`${question.standard}::${question.domain}`);
+            }
+        }
+        perDomainScores = Object.entries(evaluation.perStandardDomain).flatMap(([standard, domains]) =>
+            Object.entries(domains).map(([domain, score]) => ({
+                standard,
+                domain,
+                domainLabel: domainLabel(standard, domain, reportLocale),
+                scorePercent: score,
+                applicable: applicableDomains.has(`${standard}::${domain}`),
+                evidenceCoveragePercent: evaluation.evidenceCoverage?.perStandardDomain[standard]?.[domain] ?? null
+            }))
+        );
+    } else {
+        // Evaluations created before per-standard domain scores existed
+        perDomainScores = Object.entries(perDomain).map(([domain, score]) => {
+            const question = getQuestions().find(q => q.domain === domain);
+            return {
+                standard: question ? question.standard : 'Unknown',
+                domain,
+                domainLabel: question ? question.domainLabel : domain,
+                scorePercent: score
+            }
+        });
+    }
+
+    const now = new Date();
+    const report = {
+        meta: {
+            appName: METADATA.appName,
+            version: METADATA.version,
+            generatedAtISO: now.toISOString(),
+            disclaimer: translate(reportLocale, 'disclaimer'),
+            locale: reportLocale,
+            scoringProfile,
+            organizationProfile: evaluation.organizationProfile || null,
+            questionBank: evaluation.questionBank || getQuestionBank(),
+            targetProfile
+        },
+        overallScore,
+        classification,
+        classificationLabel: classification ? translate(reportLocale, `classification.${classification}`) : null,
+        perStandardScores: perStandard,
+        perDomainScores,
+        strengths: strengths.slice(0, 5), // Cap at 5 for brevity
+        quickWins: findings.length > 0 || scope.nothingInScope
+            ? buildQuickWins(findings, reportLocale) // Empty when nothing is in scope
+            : translate(reportLocale, 'quickWins.generic').map(action => ({ action, findingIds: [] })),
+        findings,
+        commonControls: buildCommonControls(findings, reportLocale),
+        scope,
+        notApplicable,
+        unverifiedControls,
+        evidenceCoverage: evaluation.evidenceCoverage || null,
+        evidence: evaluation.evidence || {},
+        answers: evaluation.answers || {},
+        attribution: evaluation.attribution || {},
+        respondents: [...answerCounts].map(([respondent, answered]) => ({ respondent, answered })),
+        answerLog: answerLog.map(entry => ({ ...entry })),
+        recommendedNext30Days: findings.length > 0 || scope.nothingInScope
+            ? buildThirtyDayPlan(findings, perDomainScores, reportLocale)
+            : translate(reportLocale, 'next30Days.generic').map(action => ({ action, findingIds: [] })),
+        gapToTarget: null
+    };
+    if (targetProfile) {
+        const items = new Map(evaluation.items.map(item => [item.questionId, item]));
+        report.gapToTarget = buildGapToTarget(targetProfile, { report, items, questionMap, locale: reportLocale, now });
+    }
+    return report;
+}
+
+/**
+ * @typedef {object} ScoreTarget
+ * @property {number} minScore - The required minimum score, 0-100.
+ * @property {string | null} deadline - When it has to be reached (YYYY-MM-DD), or null to use the profile's deadline.
+ */
+
+/**
+ * @typedef {object} TargetProfile
+ * @property {string} id - Profile ID.
+ * @property {string} name - Display name, e.g. "FY27 board target".
+ * @property {string | null} deadline - Deadline (YYYY-MM-DD) for every target without its own.
+ * @property {ScoreTarget | null} overall - The required overall score, if any.
+ * @property {object.<string, ScoreTarget>} standards - Required scores keyed by standard ID.
+ * @property {object.<string, ScoreTarget>} domains - Required scores keyed by "STANDARD::Domain".
+ * @property {object.<string, {answer: *, deadline: string | null}>} questions - Required answers keyed by question ID.
+ */
+
+/**
+ * Builds a target profile: the scores and answers an organization has committed to reach.
+ * Score targets may be given as a bare number (`{ HIPAA: 80 }`) and question targets as a bare answer
+ * (`{ 'hipaa-admin-01': true }`); both are expanded to objects with a `deadline`. A required answer counts as met by any
+ * answer earning at least as much credit, and a required checklist by any selection that includes its items.
+ * Passing a profile that is already complete returns an equivalent copy, so this is safe to call repeatedly.
+ * @param {object} input - The targets.
+ * @param {string} [input.id] - Profile ID.
+ * @param {string} [input.name] - Display name. Defaults to the ID.
+ * @param {string} [input.deadline] - Deadline (YYYY-MM-DD) for every target without its own.
+ * @param {number | ScoreTarget} [input.overall] - Required overall score.
+ * @param {object.<string, number | ScoreTarget>} [input.standards] - Required scores keyed by standard ID.
+ * @param {object.<string, number | ScoreTarget>} [input.domains] - Required scores keyed by "STANDARD::Domain".
+ * @param {object.<string, *>} [input.questions] - Required answers keyed by question ID, or `{answer, deadline}`.
+ * @returns {TargetProfile} The validated profile.
+ * @throws {Error} If there are no targets, or a score, deadline, standard, domain, question, or answer is invalid.
+ */
+export function createTargetProfile(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('A target profile must be an object.');
+    }
+    const checkDeadline = (deadline, owner) => {
+        if (deadline === undefined || deadline === null) return null;
+        if (typeof deadline !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(deadline) || Number.isNaN(Date.parse(deadline))) {
+            throw new Error(`The deadline for ${owner} must be a date in the form YYYY-MM-DD.`);
+        }
+        return deadline;
+    };
+    const scoreTarget = (value, owner) => {
+        const target = typeof value === 'number' ? { minScore: value } : value;
+        if (!target || typeof target !== 'object' || typeof target.minScore !== 'number'
+            || !Number.isFinite(target.minScore) || target.minScore < 0 || target.minScore > 100) {
+            throw new Error(`The target for ${owner} needs a minScore from 0 to 100.`);
+        }
+        return { minScore: target.minScore, deadline: checkDeadline(target.deadline, owner) };
+    };
+    const entries = (value, owner) => {
+        if (value === undefined) return [];
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Target profile "${owner}" must be an object.`);
+        }
+        return Object.entries(value);
+    };
+    const questions = getQuestions();
+    const questionMap = new Map(questions.map(q => [q.id, q]));
+    const domains = new Set(questions.filter(q => !q.scoping).map(q => `${q.standard}::${q.domain}`));
+
+    const profile = {
+        id: String(input.id ?? 'target'),
+        name: String(input.name ?? input.id ?? 'Target'),
+        deadline: checkDeadline(input.deadline, 'the profile'),
+        overall: input.overall === undefined || input.overall === null ? null : scoreTarget(input.overall, 'the overall score'),
+        standards: {},
+        domains: {},
+        questions: {}
+    };
+    for (const [standard, value] of entries(input.standards, 'standards')) {
+        if (!FRAMEWORKS.has(standard)) {
+            throw new Error(`Target refers to the standard "${standard}", which is not registered.`);
+        }
+        profile.standards[standard] = scoreTarget(value, standard);
+    }
+    for (const [key, value] of entries(input.domains, 'domains')) {
+        if (!domains.has(key)) {
+            throw new Error(`Target refers to the domain "${key}", which does not exist. Use "STANDARD::Domain".`);
+        }
+        profile.domains[key] = scoreTarget(value, key);
+    }
+    for (const [questionId, value] of entries(input.questions, 'questions')) {
+        const question = questionMap.get(questionId);
+        if (!question || question.scored === false) {
+            throw new Error(`Target refers to "${questionId}", which is not a scored question.`);
+        }
+        const target = value && typeof value === 'object' && !Array.isArray(value) ? value : { answer: value };
+        const problem = target.answer === undefined || target.answer === null
+            ? { message: `"${questionId}" needs a required answer.` }
+            : checkAnswerValue(question, target.answer);
+        if (problem) {
+            throw new Error(`Target for ${problem.message}`);
+        }
+        profile.questions[questionId] = { answer: target.answer, deadline: checkDeadline(target.deadline, questionId) };
+    }
+    if (!profile.overall && [profile.standards, profile.domains, profile.questions].every(group => Object.keys(group).length === 0)) {
+        throw new Error('A target profile needs at least one target.');
+    }
+    return profile;
+}
+
+/**
+ * Whether `answer` meets the required answer of a question target.
+ * @private
+ */
+function meetsRequiredAnswer(question, answer, required) {
+    if (answer === undefined || answer === null) return false;
+    if (question.type === 'checklist') {
+        return Array.isArray(answer) && required.every(value => answer.includes(value));
+    }
+    return (answerFraction(question, answer) ?? 0) >= (answerFraction(question, required) ?? 0);
+}
+
+/**
+ * Measures a report against a target profile. Each target says how far the score is from it and which findings
+ * stand in the way, largest contribution to the gap first.
+ * @private
+ */
+function buildGapToTarget(target, { report, items, questionMap, locale, now }) {
+    const today = toISODate(now);
+    const percent = value => formatPercentText(value, 0, locale);
+    const byGap = (a, b) => b.weight * (100 - b.scorePercent) - a.weight * (100 - a.scorePercent);
+    const inScope = new Set(report.perDomainScores.filter(row => row.applicable !== false).map(row => `${row.standard}::${row.domain}`));
+    const targets = [];
+    const addScoreTarget = (kind, { minScore, deadline }, { standard = null, domain = null, label, scorePercent, applicable, findings }) => {
+        const status = !applicable ? 'not_applicable' : scorePercent >= minScore ? 'met' : 'not_met';
+        targets.push({
+            kind, standard, domain, questionId: null, label,
+            targetScore: minScore,
+            scorePercent: applicable ? scorePercent : null,
+            gap: status === 'not_met' ? minScore - scorePercent : 0,
+            status,
+            summary: applicable ? translate(locale, 'target.scoreSummary', { score: percent(scorePercent), target: percent(minScore) }) : '',
+            deadline: deadline || target.deadline,
+            blockingFindingIds: status === 'not_met' ? findings.sort(byGap).map(f => f.id) : []
+        });
+    };
+
+    if (target.overall) {
+        addScoreTarget('overall', target.overall, { label: translate(locale, 'format.overall'), scorePercent: report.overallScore, applicable: typeof report.overallScore === 'number', findings: [...report.findings] });
+    }
+    for (const [standard, goal] of Object.entries(target.standards)) {
+        const scorePercent = report.perStandardScores[standard];
+        addScoreTarget('standard', goal, {
+            standard, label: standard, scorePercent,
+            applicable: typeof scorePercent === 'number',
+            findings: report.findings.filter(f => f.standard === standard)
+        });
+    }
+    for (const [key, goal] of Object.entries(target.domains)) {
+        const [standard, domain] = key.split('::');
+        const row = report.perDomainScores.find(r => r.standard === standard && r.domain === domain);
+        addScoreTarget('domain', goal, {
+            standard, domain,
+            label: `${domainLabel(standard, domain, locale)} (${standard})`,
+            scorePercent: row?.scorePercent,
+            applicable: inScope.has(key),
+            findings: report.findings.filter(f => f.standard === standard && f.domain === domain)
+        });
+    }
+    for (const [questionId, goal] of Object.entries(target.questions)) {
+        const question = questionMap.get(questionId);
+        const item = items.get(questionId);
+        const applicable = inScope.has(`${question.standard}::${question.domain}`) && item?.applicable !== false;
+        const answer = report.answers[questionId];
+        const status = !applicable ? 'not_applicable' : meetsRequiredAnswer(question, answer, goal.answer) ? 'met' : 'not_met';
+        const required = answerText(question, goal.answer, locale);
+        targets.push({
+            kind: 'question', standard: question.standard, domain: question.domain, questionId,
+            label: `${question.text} (${questionId})`,
+            requiredAnswer: goal.answer,
+            answer: answer ?? null,
+            status,
+            summary: !applicable
+                ? ''
+                : answer === undefined || answer === null
+                    ? translate(locale, 'target.unanswered', { required })
+                    : translate(locale, 'target.answerSummary', { answer: answerText(question, answer, locale), required }),
+            deadline: goal.deadline || target.deadline,
+            blockingFindingIds: status === 'not_met' ? report.findings.filter(f => f.id === questionId).map(f => f.id) : []
+        });
+    }
+
+    targets.forEach(t => {
+        t.overdue = t.status === 'not_met' && t.deadline !== null && t.deadline < today;
+    });
+    const measured = targets.filter(t => t.status !== 'not_applicable');
+    return {
+        met: measured.every(t => t.status === 'met'),
+        metCount: measured.filter(t => t.status === 'met').length,
+        total: measured.length,
+        targets
+    };
+}
+
+/**
+ * @typedef {object} ScoreDelta
+ * @property {number | null} previous - The earlier score, or null if it was not scored.
+ * @property {number | null} current - The later score, or null if it is not scored.
+ * @property {number | null} delta - `current - previous` in percentage points, or null if either side is missing.
+ */
+
+/**
+ * @typedef {object} AssessmentComparison
+ * @property {ScoreDelta} overall - Change in the overall score.
+ * @property {object.<string, ScoreDelta>} perStandard - Change per standard ID.
+ * @property {Array<ScoreDelta & {standard: string, domain: string}>} perDomain - Change per standard and domain.
+ * @property {{previous: string, current: string}} classification - The readiness classification on each side.
+ * @property {{previous: {id: string, name: string, fingerprint: string}, current: {id: string, name: string, fingerprint: string}, match: boolean}} scoringProfiles - The profile behind each side. When `match` is false the scores and severities were produced under different rules.
+ * @property {{previous: OrganizationProfile | null, current: OrganizationProfile | null, match: boolean}} organizationProfiles - The organization profile behind each side. When `match` is false the weights were adjusted differently.
+ * @property {{previous: {version: string, hash: string} | null, current: {version: string, hash: string} | null, changes: QuestionBankChanges}} questionBanks - The question bank behind each side. Null for reports from before question banks were recorded.
+ * @property {Array<object>} resolved - Findings present before and no longer present.
+ * @property {Array<object>} introduced - Findings that are new in the current assessment.
+ * @property {Array<object>} severityChanged - Findings present in both with a different severity, with `previousSeverity` and `currentSeverity`.
+ */
+
+/**
+ * Compares two assessments, e.g. last quarter's and this quarter's.
+ * Either argument may be an evaluation from `evaluateAnswers` or a report from `generateReport` (such as a previously
+ * exported JSON report). Evaluations are turned into reports first so that their findings can be compared.
+ * @param {Evaluation | object} previous - The earlier assessment.
+ * @param {Evaluation | object} current - The later assessment.
+ * @returns {AssessmentComparison} Score deltas and finding changes.
+ */
+export function compareEvaluations(previous, current) {
+    const before = toReport(previous);
+    const after = toReport(current);
+
+    const delta = (prev, curr) => {
+        const p = typeof prev === 'number' ? prev : null;
+        const c = typeof curr === 'number' ? curr : null;
+        return { previous: p, current: c, delta: p !== null && c !== null ? c - p : null };
+    };
+
+    const perStandard = {};
+    const standards = new Set([...Object.keys(before.perStandardScores || {}), ...Object.keys(after.perStandardScores || {})]);
+    for (const standard of standards) {
+        perStandard[standard] = delta(before.perStandardScores?.[standard], after.perStandardScores?.[standard]);
+    }
+
+    const domainRows = new Map();
+    const collectDomains = (report, side) => {
+        for (const row of report.perDomainScores || []) {
+            const key = `${row.standard}::${row.domain}`;
+            if (!domainRows.has(key)) {
+                domainRows.set(key, { standard: row.standard, domain: row.domain, previous: undefined, current: undefined });
+            }
+            // Inapplicable domains carry a placeholder score and are treated as unscored.
+            domainRows.get(key)[side] = row.applicable === false ? undefined : row.scorePercent;
+        }
+    };
+    collectDomains(before, 'previous');
+    collectDomains(after, 'current');
+    const perDomain = Array.from(domainRows.values()).map(row => ({
+        standard: row.standard,
+        domain: row.domain,
+        ...delta(row.previous, row.current)
+    }));
+
+    const summarize = finding => ({
+        id: finding.id,
+        standard: finding.standard,
+        domain: finding.domain,
+        severity: finding.severity,
+        requirementSummary: finding.requirementSummary
+    });
+    const beforeFindings = new Map((before.findings || []).map(f => [f.id, f]));
+    const afterFindings = new Map((after.findings || []).map(f => [f.id, f]));
+    const resolved = [];
+    const introduced = [];
+    const severityChanged = [];
+    for (const [id, finding] of beforeFindings) {
+        if (!afterFindings.has(id)) {
+            resolved.push(summarize(finding));
+        }
+    }
+    for (const [id, finding] of afterFindings) {
+        const earlier = beforeFindings.get(id);
+        if (!earlier) {
+            introduced.push(summarize(finding));
+        } else if (earlier.severity !== finding.severity) {
+            severityChanged.push({ ...summarize(finding), previousSeverity: earlier.severity, currentSeverity: finding.severity });
+        }
+    }
+
+    return {
+        overall: delta(before.overallScore, after.overallScore),
+        perStandard,
+        perDomain,
+        classification: { previous: before.classification, current: after.classification },
+        scoringProfiles: {
+            previous: profileSummary(before),
+            current: profileSummary(after),
+            match: profileSummary(before).fingerprint === profileSummary(after).fingerprint
+        },
+        organizationProfiles: {
+            previous: before.meta?.organizationProfile || null,
+            current: after.meta?.organizationProfile || null,
+            match: JSON.stringify(before.meta?.organizationProfile || null) === JSON.stringify(after.meta?.organizationProfile || null)
+        },
+        questionBanks: {
+            previous: bankSummary(before),
+            current: bankSummary(after),
+            changes: after.meta?.questionBank
+                ? compareQuestionBanks(before.meta?.questionBank, after.meta.questionBank)
+                : { changed: false, detailed: false, changedQuestions: [], addedQuestions: [], removedQuestions: [] }
+        },
+        resolved,
+        introduced,
+        severityChanged
+    };
+}
+
+/**
+ * Task statuses in a remediation plan.
+ * @private
+ */
+const TASK_STATUSES = ['open', 'in_progress', 'done', 'accepted_risk'];
+
+/**
+ * Days from plan creation to the default target date, by finding severity.
+ * @private
+ */
+const REMEDIATION_TARGET_DAYS = { High: 30, Medium: 60, Low: 90 };
+
+/**
+ * @typedef {object} RemediationTask
+ * @property {string} id - Stable task ID derived from the finding ID.
+ * @property {string} findingId - The finding (and question) the task addresses.
+ * @property {string} title - The requirement that needs remediation.
+ * @property {string} standard - The finding's standard.
+ * @property {string} domain - The finding's domain.
+ * @property {"High" | "Medium" | "Low"} severity - The finding's severity when the task was last refreshed.
+ * @property {string[]} steps - The remediation steps from the finding.
+ * @property {string} assignee - Who owns the task. Defaults to the finding's suggested owner role.
+ * @property {string} targetDate - ISO date (YYYY-MM-DD) by which the task should be done.
+ * @property {"open" | "in_progress" | "done" | "accepted_risk"} status - Progress on the task.
+ * @property {string} notes - Free-form notes.
+ * @property {boolean} inLatestReport - False once the finding no longer appears in the latest report.
+ */
+
+/**
+ * @typedef {object} RemediationPlan
+ * @property {string} createdAtISO - When the plan was first created.
+ * @property {string} updatedAtISO - When the plan was last refreshed or edited.
+ * @property {string | null} reportGeneratedAtISO - The generation time of the report the plan was last refreshed from.
+ * @property {Array<RemediationTask>} tasks - One task per finding, ordered by target date then severity.
+ */
+
+/**
+ * Builds a remediation plan with one task per finding in a report.
+ * Target dates default to 30, 60, or 90 days after `startDate` for High, Medium, and Low findings.
+ * When `previousPlan` is given, assignee, target date, status, and notes are kept for findings that are still open.
+ * Tasks whose finding has disappeared from the report are kept and marked done.
+ * @param {object} report - The output from generateReport.
+ * @param {{startDate?: Date | string, previousPlan?: RemediationPlan}} [options] - Plan options.
+ * @returns {RemediationPlan} The plan.
+ */
+export function createRemediationPlan(report, { startDate = new Date(), previousPlan = null } = {}) {
+    if (!report || !Array.isArray(report.findings)) {
+        throw new Error('A report with findings is required to build a remediation plan.');
+    }
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) {
+        throw new Error(`Invalid plan start date "${startDate}".`);
+    }
+    const nowISO = new Date().toISOString();
+    const previousTasks = new Map((previousPlan?.tasks || []).map(task => [task.findingId, task]));
+    const tasks = [];
+
+    for (const finding of report.findings) {
+        const previous = previousTasks.get(finding.id);
+        previousTasks.delete(finding.id);
+        const target = new Date(start);
+        target.setDate(target.getDate() + (REMEDIATION_TARGET_DAYS[finding.severity] ?? REMEDIATION_TARGET_DAYS.Low));
+        tasks.push({
+            id: `task-${finding.id}`,
+            findingId: finding.id,
+            title: finding.requirementSummary,
+            standard: finding.standard,
+            domain: finding.domain,
+            severity: finding.severity,
+            steps: [...(finding.remediationSteps || [])],
+            assignee: previous?.assignee ?? (finding.suggestedOwner || ''),
+            targetDate: previous?.targetDate ?? toISODate(target),
+            // A finding that came back after being marked done needs work again
+            status: previous && previous.status !== 'done' ? previous.status : 'open',
+            notes: previous?.notes ?? '',
+            inLatestReport: true
+        });
+    }
+
+    for (const previous of previousTasks.values()) {
+        tasks.push({ ...previous, status: previous.status === 'accepted_risk' ? 'accepted_risk' : 'done', inLatestReport: false });
+    }
+
+    const severityOrder = { High: 0, Medium: 1, Low: 2 };
+    tasks.sort((a, b) => a.targetDate.localeCompare(b.targetDate) || (severityOrder[a.severity] - severityOrder[b.severity]));
+
+    return {
+        createdAtISO: previousPlan?.createdAtISO || nowISO,
+        updatedAtISO: nowISO,
+        reportGeneratedAtISO: report.meta?.generatedAtISO || null,
+        tasks
+    };
+}
+
+/**
+ * Returns a copy of the plan with one task changed. The original plan is not modified.
+ * @param {RemediationPlan} plan - The plan to update.
+ * @param {string} taskId - The task to change.
+ * @param {{assignee?: string, targetDate?: string, status?: string, notes?: string}} changes - The fields to change.
+ * @returns {RemediationPlan} The updated plan.
+ * @throws {Error} If the task does not exist or a value is invalid.
+ */
+export function updateRemediationTask(plan, taskId, changes) {
+    const index = plan?.tasks?.findIndex(task => task.id === taskId) ?? -1;
+    if (index === -1) {
+        throw new Error(`Remediation task "${taskId}" does not exist.`);
+    }
+    if (changes.status !== undefined && !TASK_STATUSES.includes(changes.status)) {
+        throw new Error(`Invalid task status "${changes.status}". Use one of: ${TASK_STATUSES.join(', ')}.`);
+    }
+    if (changes.targetDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(changes.targetDate)) {
+        throw new Error(`Invalid target date "${changes.targetDate}". Use YYYY-MM-DD.`);
+    }
+    const allowed = ['assignee', 'targetDate', 'status', 'notes'];
+    const task = { ...plan.tasks[index] };
+    for (const key of allowed) {
+        if (changes[key] !== undefined) {
+            task[key] = changes[key];
+        }
+    }
+    const tasks = [...plan.tasks];
+    tasks[index] = task;
+    return { ...plan, updatedAtISO: new Date().toISOString(), tasks };
+}
+
+/**
+ * Serializes a remediation plan for export.
+ * @param {RemediationPlan} plan - The plan to export.
+ * @param {"json" | "csv"} format - The output format.
+ * @returns {string} The serialized plan.
+ */
+export function formatRemediationPlan(plan, format) {
+    if (format === 'json') {
+        return JSON.stringify(plan, null, 2);
+    }
+    if (format === 'csv') {
+        const header = ['Task ID', 'Finding ID', 'Standard', 'Domain', 'Severity', 'Requirement', 'Assignee', 'Target date', 'Status', 'Notes', 'Remediation steps'];
+        const rows = plan.tasks.map(task => [
+            task.id, task.findingId, task.standard, task.domain, task.severity, task.title,
+            task.assignee, task.targetDate, task.status, task.notes, task.steps.join(' | ')
+        ]);
+        return toCsv([header, ...rows]);
+    }
+    throw new Error(`Unsupported remediation plan format "${format}".`);
+}
+
+/**
+ * The HIPAA four-factor risk assessment (45 CFR 164.402(2)). Each factor is rated "low" or "high" risk. The factors
+ * are described by the `incident.factor.*` messages.
+ * @private
+ */
+const HIPAA_RISK_FACTORS = ['nature', 'recipient', 'acquired', 'mitigated'];
+
+/**
+ * GDPR risk levels for a personal data breach (Art. 33(1) and 34(1)).
+ * @private
+ */
+const GDPR_BREACH_RISKS = ['unlikely', 'risk', 'high'];
+
+/**
+ * HIPAA notice thresholds: HHS is notified within 60 days from 500 affected individuals (164.408(b)), and the media
+ * when more than 500 residents of one State or jurisdiction are affected (164.406(a)).
+ * @private
+ */
+const HIPAA_HHS_THRESHOLD = 500;
+const HIPAA_MEDIA_THRESHOLD = 500;
+
+/**
+ * Breach questions that a tabletop exercise provides evidence for, by standard. The second question of each pair
+ * needs the exercise to include its risk assessment.
+ * @private
+ */
+const INCIDENT_EVIDENCE_QUESTIONS = {
+    HIPAA: { procedure: 'hipaa-breach-01', assessment: 'hipaa-breach-02' },
+    GDPR: { procedure: 'gdpr-breach-01', assessment: 'gdpr-breach-02' }
+};
+
+/**
+ * How long a tabletop exercise counts as evidence, in days.
+ * @private
+ */
+const INCIDENT_EVIDENCE_VALID_DAYS = 365;
+
+/**
+ * @typedef {object} IncidentLogEntry
+ * @property {string} atISO - When the action was taken.
+ * @property {string} event - What happened (e.g. "Notified the supervisory authority").
+ * @property {string | null} deadlineId - The deadline the action completes, if any.
+ * @property {string} note - Free-form detail.
+ */
+
+/**
+ * @typedef {object} BreachIncident
+ * A real or simulated personal data breach, with everything needed to work out its notification deadlines.
+ * @property {string} id - Stable incident ID.
+ * @property {string} title - Short description of the incident.
+ * @property {boolean} exercise - True for a tabletop exercise. Exercises count as evidence for the breach questions.
+ * @property {string} discoveredAtISO - When the breach was discovered (HIPAA) or the organization became aware of it (GDPR).
+ * @property {Array<"HIPAA" | "GDPR">} jurisdictions - The regulations the breach falls under.
+ * @property {number} affectedRecords - Individuals whose records were affected.
+ * @property {object.<string, number>} affectedByState - Affected residents per US State or jurisdiction, for the HIPAA media notice. May be empty.
+ * @property {{nature: "low" | "high" | null, recipient: "low" | "high" | null, acquired: "low" | "high" | null, mitigated: "low" | "high" | null}} hipaaRiskFactors - The HIPAA four-factor assessment; null where not yet assessed.
+ * @property {"unlikely" | "risk" | "high" | null} gdprRisk - The risk to individuals' rights and freedoms; null until assessed.
+ * @property {object.<string, string>} completed - When each deadline was met, keyed by deadline ID.
+ * @property {Array<IncidentLogEntry>} log - Everything done about the incident, oldest first.
+ * @property {string} createdAtISO - When the incident was recorded.
+ */
+
+/**
+ * @typedef {object} BreachDeadline
+ * @property {string} id - Deadline ID (e.g. "gdpr-authority").
+ * @property {string} standard - The regulation the deadline comes from.
+ * @property {string} title - What has to be done.
+ * @property {string} citation - The provision that sets the deadline.
+ * @property {boolean} required - False when the facts of the incident mean the notice is not needed.
+ * @property {string} basis - Why the notice is or is not required, and how the deadline was worked out.
+ * @property {string | null} dueAtISO - The latest time the notice may be given; null for "without undue delay" duties.
+ * @property {string | null} completedAtISO - When it was recorded as done.
+ * @property {number | null} remainingMs - Time left at `now`; negative when overdue, null without a due time or once done.
+ * @property {"done" | "overdue" | "open" | "not_required"} status - Where the deadline stands at `now`.
+ */
+
+/**
+ * Validates a breach incident and fills in defaults. Passing an incident returned by this function returns an
+ * equivalent copy, so this is safe to call on stored incidents.
+ * @param {Partial<BreachIncident> & {discoveredAt?: Date | string}} input - The incident details. `discoveredAt` is accepted in place of `discoveredAtISO`.
+ * @returns {BreachIncident} The incident.
+ * @throws {Error} If a date, count, jurisdiction, or risk rating is invalid.
+ */
+export function createBreachIncident(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('A breach incident must be an object.');
+    }
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const discovered = new Date(input.discoveredAtISO ?? input.discoveredAt ?? NaN);
+    if (isNaN(discovered.getTime())) {
+        throw new Error('A breach incident needs a valid discovery time.');
+    }
+    const jurisdictions = input.jurisdictions ?? Object.keys(INCIDENT_EVIDENCE_QUESTIONS);
+    if (!Array.isArray(jurisdictions) || jurisdictions.length === 0 || jurisdictions.some(j => !(j in INCIDENT_EVIDENCE_QUESTIONS))) {
+        throw new Error(`Breach incident jurisdictions must be a non-empty list of: ${Object.keys(INCIDENT_EVIDENCE_QUESTIONS).join(', ')}.`);
+    }
+    const affectedRecords = input.affectedRecords ?? 0;
+    if (!isCount(affectedRecords)) {
+        throw new Error('Affected records must be a whole number of 0 or more.');
+    }
+    const affectedByState = {};
+    for (const [state, count] of Object.entries(input.affectedByState || {})) {
+        if (!isCount(count)) {
+            throw new Error(`Affected residents for "${state}" must be a whole number of 0 or more.`);
+        }
+        affectedByState[state] = count;
+    }
+    const hipaaRiskFactors = {};
+    for (const factor of HIPAA_RISK_FACTORS) {
+        const rating = input.hipaaRiskFactors?.[factor] ?? null;
+        if (rating !== null && rating !== 'low' && rating !== 'high') {
+            throw new Error(`HIPAA risk factor "${factor}" must be "low", "high", or null.`);
+        }
+        hipaaRiskFactors[factor] = rating;
+    }
+    const gdprRisk = input.gdprRisk ?? null;
+    if (gdprRisk !== null && !GDPR_BREACH_RISKS.includes(gdprRisk)) {
+        throw new Error(`GDPR breach risk must be one of: ${GDPR_BREACH_RISKS.join(', ')}, or null.`);
+    }
+    const log = (input.log || []).map((entry, index) => {
+        if (!entry || typeof entry.event !== 'string' || isNaN(new Date(entry.atISO).getTime())) {
+            throw new Error(`Incident log entry ${index + 1} needs an event and a valid time.`);
+        }
+        return { atISO: entry.atISO, event: entry.event, deadlineId: entry.deadlineId ?? null, note: entry.note ?? '' };
+    });
+    const discoveredAtISO = discovered.toISOString();
+    const title = String(input.title ?? '').trim() || (input.exercise ? 'Tabletop exercise' : 'Personal data breach');
+    return {
+        id: input.id || `incident-${hashString(`${title}|${discoveredAtISO}|${input.createdAtISO || ''}`)}`,
+        title,
+        exercise: Boolean(input.exercise),
+        discoveredAtISO,
+        jurisdictions: Object.keys(INCIDENT_EVIDENCE_QUESTIONS).filter(j => jurisdictions.includes(j)),
+        affectedRecords,
+        affectedByState,
+        hipaaRiskFactors,
+        gdprRisk,
+        completed: { ...(input.completed || {}) },
+        log: log.length > 0 ? log : [{ atISO: discoveredAtISO, event: 'Breach discovered', deadlineId: null, note: '' }],
+        createdAtISO: input.createdAtISO || new Date().toISOString()
+    };
+}
+
+/**
+ * Works out the notification deadlines for a breach incident.
+ * - GDPR: the supervisory authority within 72 hours of becoming aware, unless the breach is unlikely to result in a
+ *   risk (Art. 33(1)); data subjects without undue delay when the risk is high (Art. 34(1)); every breach documented (Art. 33(5)).
+ * - HIPAA: unless the four-factor assessment shows a low probability of compromise on every factor, individuals within
+ *   60 days of discovery (164.404(b)); HHS within 60 days from 500 affected, otherwise within 60 days after the end of
+ *   the calendar year (164.408); the media within 60 days when more than 500 residents of one State are affected (164.406).
+ * Unassessed risk is treated as notifiable, since a breach is presumed until the assessment shows otherwise.
+ * Deadlines are ordered by due time, with "without undue delay" duties first.
+ * @param {BreachIncident} incident - The incident.
+ * @param {{now?: Date | string, locale?: string}} [options] - The time to count down from (defaults to the current
+ * time), and the locale for titles and explanations. Untranslated text falls back to English.
+ * @returns {Array<BreachDeadline>} The deadlines.
+ */
+export function getBreachDeadlines(incident, { now = new Date(), locale } = {}) {
+    const { discoveredAtISO, jurisdictions, affectedRecords, affectedByState, hipaaRiskFactors, gdprRisk, completed } = createBreachIncident(incident);
+    const resolved = canonicalLocale(locale);
+    const t = (id, params) => translate(resolved, `breach.${id}`, params);
+    const nowTime = new Date(now).getTime();
+    const discovered = new Date(discoveredAtISO);
+    const addDays = days => new Date(discovered.getTime() + days * 24 * 60 * 60 * 1000);
+    const deadlines = [];
+    const add = (id, standard, citation, required, basis, due) => {
+        const completedAtISO = completed[id] || null;
+        const remainingMs = due && !completedAtISO ? due.getTime() - nowTime : null;
+        deadlines.push({
+            id, standard, title: t(`${id}.title`), citation, required, basis,
+            dueAtISO: due ? due.toISOString() : null,
+            completedAtISO,
+            remainingMs,
+            status: completedAtISO ? 'done' : !required ? 'not_required' : remainingMs !== null && remainingMs < 0 ? 'overdue' : 'open'
+        });
+    };
+
+    if (jurisdictions.includes('GDPR')) {
+        const assessed = gdprRisk !== null;
+        add('gdpr-record', 'GDPR', 'GDPR Art. 33(5)', true, t('gdpr-record.basis'), null);
+        add('gdpr-authority', 'GDPR', 'GDPR Art. 33(1)', gdprRisk !== 'unlikely',
+            t(gdprRisk === 'unlikely' ? 'gdpr-authority.notNeeded' : assessed ? 'gdpr-authority.due' : 'gdpr-authority.dueUnassessed'),
+            new Date(discovered.getTime() + 72 * 60 * 60 * 1000));
+        add('gdpr-data-subjects', 'GDPR', 'GDPR Art. 34(1)', gdprRisk === 'high',
+            t(gdprRisk === 'high' ? 'gdpr-data-subjects.required' : assessed ? 'gdpr-data-subjects.notNeeded' : 'gdpr-data-subjects.unassessed'),
+            null);
+    }
+
+    if (jurisdictions.includes('HIPAA')) {
+        const ratings = Object.values(hipaaRiskFactors);
+        const lowProbability = ratings.every(rating => rating === 'low');
+        const unassessed = ratings.filter(rating => rating === null).length;
+        const presumption = lowProbability
+            ? t('hipaa.lowProbability')
+            : unassessed > 0
+                ? t('hipaa.unassessed', { count: unassessed })
+                : t('hipaa.reportable');
+        add('hipaa-risk-assessment', 'HIPAA', '45 CFR 164.402(2)', true, presumption, null);
+        add('hipaa-individuals', 'HIPAA', '45 CFR 164.404(b)', !lowProbability,
+            lowProbability ? presumption : t('hipaa-individuals.due'), addDays(60));
+        const yearEnd = new Date(Date.UTC(discovered.getUTCFullYear() + 1, 0, 1));
+        const hhsNow = affectedRecords >= HIPAA_HHS_THRESHOLD;
+        add('hipaa-hhs', 'HIPAA', hhsNow ? '45 CFR 164.408(b)' : '45 CFR 164.408(c)', !lowProbability,
+            lowProbability ? presumption : hhsNow
+                ? t('hipaa-hhs.due', { count: affectedRecords, threshold: HIPAA_HHS_THRESHOLD })
+                : t('hipaa-hhs.annual', { threshold: HIPAA_HHS_THRESHOLD }),
+            hhsNow ? addDays(60) : new Date(yearEnd.getTime() + 59 * 24 * 60 * 60 * 1000));
+        const stateCounts = Object.entries(affectedByState);
+        const mediaStates = stateCounts.filter(([, count]) => count > HIPAA_MEDIA_THRESHOLD).map(([state]) => state);
+        // Without a per-State breakdown, assume the worst case of every record belonging to residents of one State
+        const mediaNeeded = stateCounts.length > 0 ? mediaStates.length > 0 : affectedRecords > HIPAA_MEDIA_THRESHOLD;
+        add('hipaa-media', 'HIPAA', '45 CFR 164.406', !lowProbability && mediaNeeded,
+            lowProbability ? presumption : !mediaNeeded
+                ? t('hipaa-media.notNeeded', { threshold: HIPAA_MEDIA_THRESHOLD })
+                : stateCounts.length > 0
+                    ? t(mediaStates.length === 1 ? 'hipaa-media.state' : 'hipaa-media.states', { threshold: HIPAA_MEDIA_THRESHOLD, states: formatListText(mediaStates, resolved) })
+                    : t('hipaa-media.assumed', { threshold: HIPAA_MEDIA_THRESHOLD }),
+            addDays(60));
+    }
+
+    return deadlines.sort((a, b) => (a.dueAtISO || '').localeCompare(b.dueAtISO || ''));
+}
+
+/**
+ * Returns a copy of the incident with an action added to its log. The original incident is not modified.
+ * Passing `deadlineId` marks that deadline as met at the time of the action.
+ * @param {BreachIncident} incident - The incident to update.
+ * @param {{event: string, deadlineId?: string, note?: string, at?: Date | string}} action - What was done, and when (defaults to now).
+ * @returns {BreachIncident} The updated incident.
+ * @throws {Error} If the event is empty, the time is invalid, or the deadline does not apply to the incident.
+ */
+export function recordIncidentAction(incident, { event, deadlineId = null, note = '', at = new Date() }) {
+    const current = createBreachIncident(incident);
+    const time = new Date(at);
+    if (typeof event !== 'string' || !event.trim()) {
+        throw new Error('An incident action needs a description of what was done.');
+    }
+    if (isNaN(time.getTime())) {
+        throw new Error(`Invalid action time "${at}".`);
+    }
+    if (deadlineId !== null && !getBreachDeadlines(current).some(deadline => deadline.id === deadlineId)) {
+        throw new Error(`Deadline "${deadlineId}" does not apply to this incident.`);
+    }
+    const atISO = time.toISOString();
+    const log = [...current.log, { atISO, event: event.trim(), deadlineId, note }]
+        .sort((a, b) => a.atISO.localeCompare(b.atISO));
+    const completed = deadlineId !== null ? { ...current.completed, [deadlineId]: atISO } : current.completed;
+    return { ...current, completed, log };
+}
+
+/**
+ * Builds evidence entries for the breach questions from a tabletop exercise. Real incidents produce none.
+ * The breach procedure questions are covered by any exercise; the risk assessment questions only once the exercise has
+ * rated every HIPAA factor or the GDPR risk. Entries expire a year after the exercise.
+ * @param {BreachIncident} incident - The exercise.
+ * @returns {EvidenceRegister} Evidence keyed by question ID, ready to merge into an evidence register.
+ */
+export function getIncidentEvidence(incident) {
+    const exercise = createBreachIncident(incident);
+    if (!exercise.exercise) return {};
+    const ran = new Date(exercise.discoveredAtISO);
+    const expires = new Date(ran.getTime() + INCIDENT_EVIDENCE_VALID_DAYS * 24 * 60 * 60 * 1000);
+    const assessed = {
+        HIPAA: Object.values(exercise.hipaaRiskFactors).every(rating => rating !== null),
+        GDPR: exercise.gdprRisk !== null
+    };
+    const entry = { artifact: `Tabletop exercise: ${exercise.title}`, location: `Incident log ${exercise.id}`, collectedAt: toISODate(ran), expiresAt: toISODate(expires) };
+    const evidence = {};
+    for (const standard of exercise.jurisdictions) {
+        const { procedure, assessment } = INCIDENT_EVIDENCE_QUESTIONS[standard];
+        evidence[procedure] = [{ ...entry }];
+        if (assessed[standard]) evidence[assessment] = [{ ...entry }];
+    }
+    return evidence;
+}
+
+/**
+ * Serializes an incident and its deadlines as an incident log for export.
+ * - 'json': the incident with its deadlines.
+ * - 'csv': one row per log entry.
+ * - 'markdown': the facts, a deadline checklist, and the log.
+ * The deadlines and the Markdown text are in `options.locale`; CSV column headers stay in English, as in report exports.
+ * @param {BreachIncident} incident - The incident.
+ * @param {"json" | "csv" | "markdown"} format - The output format.
+ * @param {{now?: Date | string, locale?: string}} [options] - The time the deadline status is reported at (defaults to
+ * the current time), and the locale for the text.
+ * @returns {string} The serialized log.
+ */
+export function formatIncidentLog(incident, format, { now = new Date(), locale } = {}) {
+    const current = createBreachIncident(incident);
+    const resolved = canonicalLocale(locale);
+    const t = (id, params) => translate(resolved, `incident.${id}`, params);
+    const deadlines = getBreachDeadlines(current, { now, locale: resolved });
+    if (format === 'json') {
+        return JSON.stringify({ incident: current, deadlines }, null, 2);
+    }
+    if (format === 'csv') {
+        const header = ['Time', 'Event', 'Deadline', 'Note'];
+        return toCsv([header, ...current.log.map(entry => [entry.atISO, entry.event, entry.deadlineId, entry.note])]);
+    }
+    if (format === 'markdown') {
+        const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const rating = value => (value === null ? t('notAssessed') : t(`rating.${value}`));
+        const factors = Object.entries(current.hipaaRiskFactors).map(([factor, value]) => `${t(`factor.${factor}`)}: ${rating(value)}`);
+        const states = Object.entries(current.affectedByState).map(([state, count]) => `${state} ${count}`);
+        const lines = [`# ${t(current.exercise ? 'exercise' : 'incident')}: ${current.title}`, ''];
+        lines.push(`- **${t('id')}:** ${current.id}`);
+        lines.push(`- **${t('discovered')}:** ${current.discoveredAtISO}`);
+        lines.push(`- **${t('jurisdictions')}:** ${current.jurisdictions.join(', ')}`);
+        lines.push(`- **${t('affectedRecords')}:** ${current.affectedRecords}${states.length > 0 ? ` (${states.join(', ')})` : ''}`);
+        if (current.jurisdictions.includes('HIPAA')) {
+            lines.push(`- **${t('hipaaAssessment')}:** ${factors.join('; ')}`);
+        }
+        if (current.jurisdictions.includes('GDPR')) {
+            lines.push(`- **${t('gdprRisk')}:** ${current.gdprRisk === null ? t('notAssessed') : t(`gdprRisk.${current.gdprRisk}`)}`);
+        }
+        lines.push('', `## ${t('deadlines', { date: new Date(now).toISOString() })}`, '');
+        for (const deadline of deadlines) {
+            const due = deadline.dueAtISO ? t('due', { date: deadline.dueAtISO }) : t('withoutUndueDelay');
+            const status = deadline.status === 'done' ? t('status.done', { date: deadline.completedAtISO }) : t(`status.${deadline.status}`);
+            lines.push(`- [${deadline.status === 'done' ? 'x' : ' '}] **${deadline.title}** (${deadline.citation}) — ${deadline.required ? due : t('status.not_required')}; ${status}. ${deadline.basis}`);
+        }
+        lines.push('', `## ${t('log')}`, '', `| ${t('time')} | ${t('event')} | ${t('deadline')} | ${t('note')} |`, '| --- | --- | --- | --- |');
+        current.log.forEach(entry => lines.push(`| ${entry.atISO} | ${cell(entry.event)} | ${cell(entry.deadlineId)} | ${cell(entry.note)} |`));
+        return `${lines.join('\n')}\n`;
+    }
+    throw new Error(`Unsupported incident log format "${format}".`);
+}
+
+/**
+ * Serializes a report for use outside the browser UI, in the language the report was generated in.
+ * - 'csv': one row per finding with severity, domain, citation, remediation, and evidence.
+ * - 'markdown': a full report suitable for wikis and tickets.
+ * - 'html': a standalone page with inline styles and SVG charts that needs no other files.
+ * - 'text': a plain-text summary for terminals and logs.
+ * - 'json': the report as pretty-printed JSON.
+ * The HTML page includes the charts from `createReportCharts`, each followed by its data table. Given the assessment's
+ * earlier reports, the HTML and Markdown formats also show the scores across assessments.
+ * @param {object} report - The output from generateReport.
+ * @param {"csv" | "markdown" | "html" | "text" | "json"} format - The output format.
+ * @param {object} [options] - Format options.
+ * @param {Array<object>} [options.history] - Earlier reports of the same assessment, for the score trend.
+ * @returns {string} The serialized report.
+ */
+export function formatReport(report, format, { history = [] } = {}) {
+    if (!report || !Array.isArray(report.findings)) {
+        throw new Error('A report generated by generateReport is required.');
+    }
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2);
+        case 'csv':
+            return formatReportCsv(report);
+        case 'markdown':
+            return formatReportMarkdown(report, history);
+        case 'html':
+            return formatReportHtml(report, history);
+        case 'text':
+            return formatReportText(report);
+        default:
+            throw new Error(`Unsupported report format "${format}".`);
+    }
+}
+
+/**
+ * @typedef {object} ReportChart
+ * @property {string} id - Unique among a report's charts; the SVG's title and description IDs start with it.
+ * @property {"radar" | "stacked_bar" | "line"} kind - The chart type.
+ * @property {string} title - The chart title in the report's language.
+ * @property {string} description - A text alternative summarizing what the chart shows.
+ * @property {string} svg - Standalone SVG markup with inline colors, labelled by its title and description.
+ * @property {{headers: Array<string>, rows: Array<Array<string>>}} table - The charted values, as a fallback for the SVG.
+ */
+
+/**
+ * Builds the charts for a report as dependency-free SVG, each with a text alternative and a data table:
+ * - a radar chart of domain scores for each standard with at least three applicable domains,
+ * - a stacked bar chart of findings by severity in each domain, when there are findings,
+ * - a line chart of the overall and per-standard scores, when `options.history` holds an earlier report.
+ * Series differ in dash pattern and marker as well as color, so the charts still read when printed in grayscale.
+ * The browser UI and the HTML export use the same markup.
+ * @param {object} report - The output from generateReport.
+ * @param {object} [options] - Chart options.
+ * @param {Array<object>} [options.history] - Earlier reports of the same assessment, in any order. Reports generated
+ * after `report` are left out, and so are duplicates of it.
+ * @returns {Array<ReportChart>} The charts, in the order above.
+ * @throws {Error} If the report is not a generated report.
+ */
+export function createReportCharts(report, { history = [] } = {}) {
+    if (!report || !Array.isArray(report.findings)) {
+        throw new Error('A report generated by generateReport is required.');
+    }
+    const { locale, t } = reportText(report);
+    const percent = value => formatPercentText(value, 0, locale);
+    const domainRows = (report.perDomainScores || []).filter(row => row.applicable !== false && typeof row.scorePercent === 'number');
+    const charts = [];
+
+    for (const standard of Object.keys(report.perStandardScores || {})) {
+        const axes = domainRows.filter(row => row.standard === standard)
+            .map(row => ({ label: row.domainLabel || row.domain, value: row.scorePercent }));
+        if (axes.length < 3) continue;
+        const lowest = axes.reduce((a, b) => (b.value < a.value ? b : a));
+        const highest = axes.reduce((a, b) => (b.value > a.value ? b : a));
+        const id = `domain-scores-${standard.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+        const title = t('chart.domainScores', { standard });
+        const description = t('chart.domainScores.description', {
+            standard, count: axes.length,
+            min: percent(lowest.value), minDomain: lowest.label, max: percent(highest.value), maxDomain: highest.label
+        });
+        charts.push({
+            id, kind: 'radar', title, description,
+            svg: radarChartMarkup(id, title, description, axes, locale),
+            table: { headers: [t('format.domain'), t('format.score')], rows: axes.map(axis => [axis.label, percent(axis.value)]) }
+        });
+    }
+
+    const severities = ['High', 'Medium', 'Low'];
+    const total = counts => counts.reduce((a, b) => a + b, 0);
+    const bars = domainRows.map(row => {
+        const findings = report.findings.filter(f => f.standard === row.standard && f.domain === row.domain);
+        return {
+            label: `${row.standard} · ${row.domainLabel || row.domain}`,
+            counts: severities.map(severity => findings.filter(f => f.severity === severity).length)
+        };
+    }).filter(bar => total(bar.counts) > 0);
+    if (bars.length > 0) {
+        const busiest = bars.reduce((a, b) => (total(b.counts) > total(a.counts) ? b : a));
+        const id = 'findings-by-domain';
+        const title = t('chart.findingsByDomain');
+        const description = t('chart.findingsByDomain.description', {
+            count: report.findings.length, domains: bars.length, domain: busiest.label, domainCount: total(busiest.counts)
+        });
+        const severityLabels = severities.map(severity => t(`severity.${severity}`));
+        charts.push({
+            id, kind: 'stacked_bar', title, description,
+            svg: stackedBarChartMarkup(id, title, description, bars, severityLabels),
+            table: {
+                headers: [t('format.domain'), ...severityLabels, t('chart.total')],
+                rows: bars.map(bar => [bar.label, ...bar.counts.map(String), String(total(bar.counts))])
+            }
+        });
+    }
+
+    const reportTime = Date.parse(report.meta?.generatedAtISO);
+    const points = [...history, report]
+        .filter(entry => entry && typeof entry.overallScore === 'number' && !Number.isNaN(Date.parse(entry.meta?.generatedAtISO)))
+        .filter(entry => Number.isNaN(reportTime) || Date.parse(entry.meta.generatedAtISO) <= reportTime)
+        .filter((entry, index, all) => all.findIndex(other => other.meta.generatedAtISO === entry.meta.generatedAtISO) === index)
+        .sort((a, b) => Date.parse(a.meta.generatedAtISO) - Date.parse(b.meta.generatedAtISO));
+    if (points.length >= 2) {
+        // Reports submitted on the same day are told apart by their time.
+        const formatDates = options => points.map(entry => new Intl.DateTimeFormat(locale, options).format(new Date(entry.meta.generatedAtISO)));
+        let dates = formatDates({ dateStyle: 'medium' });
+        if (new Set(dates).size < dates.length) {
+            dates = formatDates({ dateStyle: 'medium', timeStyle: 'short' });
+        }
+        const standards = [...new Set(points.flatMap(entry => Object.keys(entry.perStandardScores || {})))];
+        const series = [
+            { label: t('format.overall'), values: points.map(entry => entry.overallScore) },
+            ...standards.map(standard => ({ label: standard, values: points.map(entry => entry.perStandardScores?.[standard] ?? null) }))
+        ];
+        const id = 'score-trend';
+        const title = t('chart.scoreTrend');
+        const description = t('chart.scoreTrend.description', {
+            count: points.length,
+            first: percent(points[0].overallScore), firstDate: dates[0],
+            last: percent(points[points.length - 1].overallScore), lastDate: dates[dates.length - 1]
+        });
+        charts.push({
+            id, kind: 'line', title, description,
+            svg: lineChartMarkup(id, title, description, dates, series, locale),
+            table: {
+                headers: [t('chart.date'), ...series.map(s => s.label)],
+                rows: dates.map((date, i) => [date, ...series.map(s => (s.values[i] === null ? '—' : percent(s.values[i])))])
+            }
+        });
+    }
+    return charts;
+}
+
+/**
+ * Returns the locale a report was generated in, and a message lookup bound to it.
+ * @private
+ */
+function reportText(report) {
+    const locale = canonicalLocale(report.meta?.locale);
+    return { locale, t: (id, params) => translate(locale, id, params) };
+}
+
+/**
+ * The column headers stay in English so spreadsheets and scripts can rely on them.
+ * @private
+ */
+function formatReportCsv(report) {
+    const header = ['Finding ID', 'Standard', 'Domain', 'Severity', 'Requirement', 'Observed status', 'Citation', 'Remediation steps', 'Evidence to provide', 'Estimated effort', 'Score gain (points)', 'Suggested owner', 'Severity adjustment', 'Answered by'];
+    const rows = report.findings.map(f => [
+        f.id, f.standard, f.domainLabel || f.domain, f.severity, f.requirementSummary, f.observedStatus, f.citation,
+        (f.remediationSteps || []).join(' | '), (f.evidenceToProvide || []).join(' | '), f.estimatedEffort,
+        f.scoreGain ? Math.round(f.scoreGain.overall * 10) / 10 : '', f.suggestedOwner, f.severityAdjustment?.explanation, f.answeredBy
+    ]);
+    return toCsv([header, ...rows]);
+}
+
+/**
+ * @private
+ */
+function formatReportMarkdown(report, history) {
+    const { locale, t } = reportText(report);
+    const percent = (value, digits) => formatPercentText(value, digits, locale);
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const actionText = item => (typeof item === 'string' ? item : `${item.action}${item.findingIds?.length ? ` _(${item.findingIds.join(', ')})_` : ''}`);
+    const lines = [];
+    const section = (title, items) => {
+        if (!items || items.length === 0) return;
+        lines.push(`## ${title}`, '');
+        items.forEach(item => lines.push(`- ${actionText(item)}`));
+        lines.push('');
+    };
+
+    lines.push(`# ${t('format.title', { appName: report.meta?.appName || METADATA.appName })}`, '');
+    lines.push(`${t('format.generated', { date: report.meta?.generatedAtISO || '' })} · ${t('format.version', { version: report.meta?.version || '' })}${report.meta?.scoringProfile ? ` · ${t('format.scoringProfile')}: ${report.meta.scoringProfile.name} (${report.meta.scoringProfile.fingerprint})` : ''}`, '');
+    if (report.meta?.organizationProfile) {
+        lines.push(`**${t('format.organizationProfile')}:** ${organizationProfileText(report.meta.organizationProfile, locale)}`, '');
+    }
+    lines.push(report.scope?.nothingInScope
+        ? `**${t('format.overallReadiness')}:** ${t('format.nothingInScope')}`
+        : `**${t('format.overallReadiness')}:** ${percent(report.overallScore)} (${report.classificationLabel || report.classification})`, '');
+    if (report.evidenceCoverage && report.evidenceCoverage.overall !== undefined) {
+        lines.push(`**${t('format.evidenceCoverage')}:** ${percent(report.evidenceCoverage.overall)}`, '');
+    }
+
+    section(t('format.scopingRationale'), scopeRationale(report));
+    section(t('format.respondents'), respondentLines(report, locale));
+
+    lines.push(`## ${t('format.scoresByStandard')}`, '', `| ${t('format.standard')} | ${t('format.score')} |`, '| --- | --- |');
+    for (const [standard, score] of Object.entries(report.perStandardScores)) {
+        lines.push(`| ${cell(standard)} | ${percent(score)} |`);
+    }
+    lines.push('');
+
+    lines.push(`## ${t('format.scoresByDomain')}`, '', `| ${t('format.standard')} | ${t('format.domain')} | ${t('format.score')} | ${t('format.evidenceCoverage')} |`, '| --- | --- | --- | --- |');
+    for (const row of report.perDomainScores || []) {
+        const score = row.applicable === false ? t('format.notApplicable') : percent(row.scorePercent);
+        lines.push(`| ${cell(row.standard)} | ${cell(row.domainLabel || row.domain)} | ${score} | ${percent(row.evidenceCoveragePercent)} |`);
+    }
+    lines.push('');
+
+    const trend = createReportCharts(report, { history }).find(chart => chart.kind === 'line');
+    if (trend) {
+        lines.push(`## ${trend.title}`, '', `| ${trend.table.headers.map(cell).join(' | ')} |`, `| ${trend.table.headers.map(() => '---').join(' | ')} |`);
+        trend.table.rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+        lines.push('');
+    }
+
+    const goalRows = targetRows(report, locale);
+    if (goalRows.length > 0) {
+        lines.push(`## ${t('format.gapToTarget')}`, '', targetSummary(report, locale), '');
+        lines.push(`| ${t('format.target')} | ${t('format.progress')} | ${t('format.status')} | ${t('format.deadline')} | ${t('format.blockingFindings')} |`, '| --- | --- | --- | --- | --- |');
+        goalRows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+        lines.push('');
+    }
+
+    section(t('format.strengths'), report.strengths);
+    section(t('format.quickWins'), report.quickWins);
+    section(t('format.next30Days'), report.recommendedNext30Days);
+    section(t('format.commonControls'), commonControlActions(report, locale));
+
+    lines.push(`## ${t('format.findings')} (${report.findings.length})`, '');
+    if (report.findings.length === 0) {
+        lines.push(t('format.noFindings'), '');
+    }
+    for (const severity of ['High', 'Medium', 'Low']) {
+        const group = report.findings.filter(f => f.severity === severity);
+        if (group.length === 0) continue;
+        lines.push(`### ${t('format.severityHeading', { severity: t(`severity.${severity}`) })}`, '');
+        for (const f of group) {
+            lines.push(`#### ${f.requirementSummary}`, '');
+            lines.push(`- **ID:** ${f.id}`);
+            lines.push(`- **${t('format.standardDomain')}:** ${f.standard} · ${f.domainLabel || f.domain}`);
+            lines.push(`- **${t('format.citation')}:** ${f.citation}`);
+            lines.push(`- **${t('format.observedStatus')}:** ${f.observedStatus}`);
+            if (f.severityAdjustment) lines.push(`- **${t('format.severityAdjustment')}:** ${f.severityAdjustment.explanation}`);
+            if (f.estimatedEffort) lines.push(`- **${t('format.estimatedEffort')}:** ${t(`effort.${f.estimatedEffort}`)}`);
+            if (f.scoreGain) lines.push(`- **${t('format.scoreGain')}:** ${scoreGainText(f, locale)}`);
+            if (f.suggestedOwner) lines.push(`- **${t('format.suggestedOwner')}:** ${f.suggestedOwner}`);
+            if (f.answeredBy) lines.push(`- **${t('format.answeredBy')}:** ${f.answeredBy}`);
+            lines.push('', `**${t('format.remediationSteps')}**`, '');
+            (f.remediationSteps || []).forEach((step, i) => lines.push(`${i + 1}. ${step}`));
+            lines.push('', `**${t('format.evidenceToProvide')}**`, '');
+            (f.evidenceToProvide || []).forEach(item => lines.push(`- ${item}`));
+            lines.push('');
+        }
+    }
+
+    if (report.unverifiedControls && report.unverifiedControls.length > 0) {
+        lines.push(`## ${t('format.unverifiedControls')}`, '');
+        report.unverifiedControls.forEach(c => lines.push(`- ${c.requirementSummary} (${c.standard} · ${c.domainLabel || c.domain}, ${c.evidenceStatus === 'expired' ? t('format.evidenceExpired') : t('format.noEvidence')})`));
+        lines.push('');
+    }
+
+    const logRows = answerLogRows(report, locale);
+    if (logRows.length > 0) {
+        lines.push(`## ${t('format.answerLog')}`, '', answerLogSummary(report, locale), '');
+        lines.push(`| # | ${t('format.when')} | ${t('format.question')} | ${t('format.change')} | ${t('format.author')} | ${t('format.justification')} |`, '| --- | --- | --- | --- | --- | --- |');
+        logRows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+        lines.push('');
+    }
+
+    lines.push('---', '', `_${report.meta?.disclaimer || t('disclaimer')}_`, '');
+    return lines.join('\n');
+}
+
+/**
+ * @private
+ */
+function formatReportHtml(report, history) {
+    const { locale, t } = reportText(report);
+    const percent = value => formatPercentText(value, 1, locale);
+    const esc = escapeHtml;
+    const actionText = item => (typeof item === 'string' ? esc(item) : `${esc(item.action)}${item.findingIds?.length ? ` <span class="refs">(${esc(item.findingIds.join(', '))})</span>` : ''}`);
+    const list = (title, items) => (items && items.length > 0
+        ? `<section><h2>${esc(title)}</h2><ul>${items.map(item => `<li>${actionText(item)}</li>`).join('')}</ul></section>`
+        : '');
+
+    const targets = report.gapToTarget?.targets || [];
+    const targetScore = (kind, standard = null, domain = null) => targets
+        .find(target => target.kind === kind && target.standard === standard && target.domain === domain)?.targetScore;
+    const donuts = [
+        ...(typeof report.overallScore === 'number' ? [createDonutSvgMarkup(report.overallScore, t('format.overall'), locale, targetScore('overall'))] : []),
+        ...Object.entries(report.perStandardScores).map(([standard, score]) => createDonutSvgMarkup(score, standard, locale, targetScore('standard', standard)))
+    ].join('');
+
+    const domainRows = (report.perDomainScores || []).map(row => {
+        const score = row.applicable === false ? t('format.notApplicable') : percent(row.scorePercent);
+        const width = row.applicable === false ? 0 : Math.max(0, Math.min(100, row.scorePercent));
+        const goal = row.applicable === false ? undefined : targetScore('domain', row.standard, row.domain);
+        const marker = goal === undefined ? '' : t('format.targetMarker', { target: formatPercentText(goal, 0, locale) });
+        return `<tr><td>${esc(row.domainLabel || row.domain)}</td><td>${esc(row.standard)}</td><td>`
+            + `<svg class="bar" viewBox="0 0 100 8" preserveAspectRatio="none" role="img" aria-label="${esc(marker ? `${score}, ${marker}` : score)}"><rect width="100" height="8" rx="4" fill="#e4e9f0"/><rect width="${width.toFixed(1)}" height="8" rx="4" fill="${scoreColor(row.scorePercent)}"/>`
+            + (goal === undefined ? '' : `<rect x="${Math.max(0, Math.min(99, goal - 0.5)).toFixed(1)}" width="1" height="8" fill="#1f2933"/>`)
+            + `</svg> ${esc(score)}${marker ? ` <span class="muted">(${esc(marker)})</span>` : ''}</td><td>${esc(percent(row.evidenceCoveragePercent))}</td></tr>`;
+    }).join('');
+
+    const charts = createReportCharts(report, { history }).map(chart => `<figure class="chart-figure">${chart.svg}<figcaption>${esc(chart.title)}</figcaption>`
+        + `<table class="chart-data"><thead><tr>${chart.table.headers.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${chart.table.rows.map(row => `<tr>${row.map(value => `<td>${esc(value)}</td>`).join('')}</tr>`).join('')}</tbody></table></figure>`).join('');
+
+    const goalRows = targetRows(report, locale);
+    const targetTable = goalRows.length > 0
+        ? `<section><h2>${esc(t('format.gapToTarget'))}</h2><p class="muted">${esc(targetSummary(report, locale))}</p>`
+            + `<table><thead><tr>${[t('format.target'), t('format.progress'), t('format.status'), t('format.deadline'), t('format.blockingFindings')].map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead>`
+            + `<tbody>${goalRows.map(row => `<tr>${row.map(value => `<td>${esc(value)}</td>`).join('')}</tr>`).join('')}</tbody></table></section>`
+        : '';
+
+    const findings = ['High', 'Medium', 'Low'].map(severity => {
+        const group = report.findings.filter(f => f.severity === severity);
+        if (group.length === 0) return '';
+        return `<h3><span class="tag ${severity.toLowerCase()}">${esc(t(`severity.${severity}`))}</span> ${esc(t('format.findingCount', { count: group.length }))}</h3>` + group.map(f => `
+<div class="finding">
+  <h4>${esc(f.requirementSummary)}</h4>
+  <p class="meta">${esc(f.id)} · ${esc(f.standard)} · ${esc(f.domainLabel || f.domain)} · ${esc(f.citation)}${f.answeredBy ? ` · ${esc(t('format.answeredBy'))}: ${esc(f.answeredBy)}` : ''}</p>
+  <p><strong>${esc(t('format.observedStatus'))}:</strong> ${esc(f.observedStatus)}</p>
+  ${f.severityAdjustment ? `<p><strong>${esc(t('format.severityAdjustment'))}:</strong> ${esc(f.severityAdjustment.explanation)}</p>` : ''}
+  ${f.estimatedEffort ? `<p><strong>${esc(t('format.estimatedEffort'))}:</strong> ${esc(t(`effort.${f.estimatedEffort}`))}${f.suggestedOwner ? ` · <strong>${esc(t('format.suggestedOwner'))}:</strong> ${esc(f.suggestedOwner)}` : ''}</p>` : ''}
+  ${f.scoreGain ? `<p><strong>${esc(t('format.scoreGain'))}:</strong> ${esc(scoreGainText(f, locale))}</p>` : ''}
+  <p><strong>${esc(t('format.remediationSteps'))}</strong></p><ol>${(f.remediationSteps || []).map(step => `<li>${esc(step)}</li>`).join('')}</ol>
+  <p><strong>${esc(t('format.evidenceToProvide'))}</strong></p><ul>${(f.evidenceToProvide || []).map(item => `<li>${esc(item)}</li>`).join('')}</ul>
+</div>`).join('');
+    }).join('');
+
+    const logRows = answerLogRows(report, locale);
+    const logTable = logRows.length > 0
+        ? `<section><h2>${esc(t('format.answerLog'))}</h2><p class="muted">${esc(answerLogSummary(report, locale))}</p>`
+            + `<table><thead><tr>${['#', t('format.when'), t('format.question'), t('format.change'), t('format.author'), t('format.justification')].map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead>`
+            + `<tbody>${logRows.map(row => `<tr>${row.map(value => `<td>${esc(value)}</td>`).join('')}</tr>`).join('')}</tbody></table></section>`
+        : '';
+
+    const title = t('format.title', { appName: report.meta?.appName || METADATA.appName });
+    return `<!DOCTYPE html>
+<html lang="${esc(locale)}">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${esc(title)}</title>
+<style>
+  body { font-family: "Segoe UI", system-ui, -apple-system, sans-serif; color: #1f2933; margin: 0 auto; max-width: 960px; padding: 2rem; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  .muted, .meta, .refs { color: #52606d; font-size: 0.9rem; }
+  .scores { display: flex; flex-wrap: wrap; gap: 1.5rem; margin: 1.5rem 0; }
+  .donut { width: 120px; text-align: center; }
+  .donut svg { width: 110px; height: 110px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #d9e2ec; vertical-align: middle; }
+  th { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; color: #52606d; }
+  svg.bar { width: 140px; height: 8px; vertical-align: middle; }
+  .finding { border: 1px solid #d9e2ec; border-radius: 8px; padding: 0.75rem 1rem; margin-bottom: 0.75rem; page-break-inside: avoid; }
+  .finding h4 { margin: 0; }
+  .tag { padding: 0.15rem 0.5rem; border-radius: 999px; font-size: 0.85rem; }
+  .tag.high { background: #fbe3e3; color: #b42318; }
+  .tag.medium { background: #fdebd8; color: #b54708; }
+  .tag.low { background: #e0ecfd; color: #175cd3; }
+  .chart-figure { margin: 1.5rem 0; page-break-inside: avoid; break-inside: avoid; }
+  .chart-figure svg { display: block; width: 100%; max-width: 560px; height: auto; }
+  .chart-figure figcaption { font-weight: 600; margin: 0.25rem 0 0.5rem; }
+  table.chart-data { width: auto; font-size: 0.85rem; }
+  table.chart-data th, table.chart-data td { padding: 0.25rem 0.75rem 0.25rem 0; }
+  .disclaimer { margin-top: 2rem; padding-top: 1rem; border-top: 1px solid #d9e2ec; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="muted">${esc(t('format.generated', { date: report.meta?.generatedAtISO || '' }))} · ${esc(t('format.version', { version: report.meta?.version || '' }))}${report.meta?.scoringProfile ? ` · ${esc(t('format.scoringProfile'))}: ${esc(report.meta.scoringProfile.name)} (${esc(report.meta.scoringProfile.fingerprint)})` : ''}</p>
+${report.meta?.organizationProfile ? `<p><strong>${esc(t('format.organizationProfile'))}:</strong> ${esc(organizationProfileText(report.meta.organizationProfile, locale))}</p>` : ''}
+<p>${report.scope?.nothingInScope ? `<strong>${esc(t('format.overallReadiness'))}:</strong> ${esc(t('format.nothingInScope'))}` : `<strong>${esc(t('format.classification'))}:</strong> ${esc(report.classificationLabel || report.classification)}`}${report.evidenceCoverage ? ` · <strong>${esc(t('format.evidenceCoverage'))}:</strong> ${esc(percent(report.evidenceCoverage.overall))}` : ''}</p>
+${list(t('format.scopingRationale'), scopeRationale(report))}
+${list(t('format.respondents'), respondentLines(report, locale))}
+<div class="scores">${donuts}</div>
+<section><h2>${esc(t('format.domainPerformance'))}</h2>
+<table><thead><tr><th>${esc(t('format.domain'))}</th><th>${esc(t('format.standard'))}</th><th>${esc(t('format.score'))}</th><th>${esc(t('format.evidenceCoverage'))}</th></tr></thead><tbody>${domainRows}</tbody></table>
+</section>
+${charts ? `<section><h2>${esc(t('format.charts'))}</h2>${charts}</section>` : ''}
+${targetTable}
+${list(t('format.strengths'), report.strengths)}
+${list(t('format.quickWins'), report.quickWins)}
+${list(t('format.next30Days'), report.recommendedNext30Days)}
+${list(t('format.commonControls'), commonControlActions(report, locale))}
+<section><h2>${esc(t('format.findings'))} (${report.findings.length})</h2>${findings || `<p>${esc(t('format.noFindings'))}</p>`}</section>
+${list(t('format.unverifiedControls'), (report.unverifiedControls || []).map(c => `${c.requirementSummary} (${c.standard} · ${c.domainLabel || c.domain})`))}
+${logTable}
+<p class="disclaimer muted">${esc(report.meta?.disclaimer || t('disclaimer'))}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * @private
+ */
+function formatReportText(report) {
+    const { locale, t } = reportText(report);
+    const percent = value => formatPercentText(value, 1, locale);
+    const lines = [];
+    lines.push(t('format.title', { appName: report.meta?.appName || METADATA.appName }), t('format.generated', { date: report.meta?.generatedAtISO || '' }), '');
+    lines.push(report.scope?.nothingInScope
+        ? `${t('format.overallReadiness')}: ${t('format.nothingInScope')}`
+        : `${t('format.overallReadiness')}: ${percent(report.overallScore)} (${report.classificationLabel || report.classification})`);
+    for (const [standard, score] of Object.entries(report.perStandardScores)) {
+        lines.push(`  ${standard}: ${percent(score)}`);
+    }
+    if (report.evidenceCoverage && report.evidenceCoverage.overall !== undefined) {
+        lines.push(`${t('format.evidenceCoverage')}: ${percent(report.evidenceCoverage.overall)}`);
+    }
+    if (report.meta?.scoringProfile) {
+        lines.push(`${t('format.scoringProfile')}: ${report.meta.scoringProfile.name} (${report.meta.scoringProfile.fingerprint})`);
+    }
+    if (report.meta?.organizationProfile) {
+        lines.push(`${t('format.organizationProfile')}: ${organizationProfileText(report.meta.organizationProfile, locale)}`);
+    }
+
+    const rationale = scopeRationale(report);
+    if (rationale.length > 0) {
+        lines.push('', `${t('format.scopingRationale')}:`);
+        rationale.forEach(line => lines.push(`  - ${line}`));
+    }
+    const respondents = respondentLines(report, locale);
+    if (respondents.length > 0) {
+        lines.push('', `${t('format.respondents')}:`);
+        respondents.forEach(line => lines.push(`  - ${line}`));
+    }
+
+    const goalRows = targetRows(report, locale);
+    if (goalRows.length > 0) {
+        lines.push('', `${t('format.gapToTarget')}: ${targetSummary(report, locale)}`);
+        goalRows.forEach(([label, progress, status, deadline]) =>
+            lines.push(`  - ${label}: ${progress === '—' ? '' : `${progress}. `}${status}${deadline === '—' ? '' : ` · ${t('format.deadline')}: ${deadline}`}`));
+    }
+
+    const counts = ['High', 'Medium', 'Low'].map(severity => `${report.findings.filter(f => f.severity === severity).length} ${t(`severity.${severity}`)}`);
+    lines.push('', `${t('format.findings')}: ${report.findings.length} (${counts.join(', ')})`);
+    for (const f of report.findings) {
+        lines.push(`  [${f.severityLabel || f.severity}] ${f.id} (${f.standard} · ${f.domainLabel || f.domain}): ${f.requirementSummary}`);
+        if (f.severityAdjustment) lines.push(`      ${f.severityAdjustment.explanation}`);
+        if (f.answeredBy) lines.push(`      ${t('format.answeredBy')}: ${f.answeredBy}`);
+        if (f.scoreGain) lines.push(`      ${t('format.scoreGain')}: ${scoreGainText(f, locale)}`);
+    }
+    const actions = (title, items) => {
+        if (!items || items.length === 0) return;
+        lines.push('', `${title}:`);
+        items.forEach(item => lines.push(`  - ${typeof item === 'string' ? item : item.action}`));
+    };
+    actions(t('format.quickWins'), report.quickWins);
+    actions(t('format.next30Days'), report.recommendedNext30Days);
+    if (report.answerLog?.length > 0) {
+        lines.push('', `${t('format.answerLog')}: ${answerLogSummary(report, locale)}`);
+    }
+    lines.push('', report.meta?.disclaimer || t('disclaimer'), '');
+    return lines.join('\n');
+}
+
+/**
+ * How many points fixing a finding adds overall, to its standard and to its domain, or null for findings from reports
+ * generated before score gains existed.
+ * @private
+ */
+function scoreGainText(finding, locale) {
+    if (!finding.scoreGain) return null;
+    const points = value => formatNumberText(Math.round(value * 10) / 10, locale);
+    return translate(locale, 'format.scoreGainValue', {
+        overall: points(finding.scoreGain.overall),
+        standard: points(finding.scoreGain.standard),
+        standardName: finding.standard,
+        domain: points(finding.scoreGain.domain),
+        domainName: finding.domainLabel || finding.domain
+    });
+}
+
+/**
+ * One row per answer change: sequence, time, question ID, old and new answer in words, author, and justification.
+ * @private
+ */
+function answerLogRows(report, locale) {
+    const questionMap = new Map(getQuestions().map(q => [q.id, q]));
+    const value = (questionId, answer) => {
+        if (answer === null || answer === undefined) return '—';
+        const question = questionMap.get(questionId);
+        return question ? answerText(localizeQuestion(question, locale), answer, locale) : JSON.stringify(answer);
+    };
+    return (report.answerLog || []).map(entry => [
+        String(entry.sequence), entry.at, entry.questionId,
+        `${value(entry.questionId, entry.oldValue)} → ${value(entry.questionId, entry.newValue)}`,
+        entry.author, entry.justification || ''
+    ]);
+}
+
+/**
+ * @private
+ */
+function answerLogSummary(report, locale) {
+    const log = report.answerLog || [];
+    return translate(locale, 'format.answerLogSummary', { count: formatNumberText(log.length, locale), hash: log[log.length - 1]?.hash || '' });
+}
+
+/**
+ * One row per target: what it is, where it stands, its status with the points still to go, its deadline, and the
+ * findings blocking it (the first five, then a count). Empty for reports generated without a target profile.
+ * @private
+ */
+function targetRows(report, locale) {
+    const blocking = ids => (ids.length > 5 ? `${ids.slice(0, 5).join(', ')} (+${ids.length - 5})` : ids.join(', '));
+    return (report.gapToTarget?.targets || []).map(target => {
+        const notes = [];
+        if (target.status === 'not_met' && target.gap > 0) {
+            notes.push(translate(locale, 'target.gap', { points: formatNumberText(Math.round(target.gap * 10) / 10, locale) }));
+        }
+        if (target.overdue) notes.push(translate(locale, 'target.overdue'));
+        const status = translate(locale, `target.status.${target.status}`);
+        return [
+            target.label, target.summary || '—',
+            notes.length > 0 ? `${status} (${notes.join(', ')})` : status,
+            target.deadline || '—', blocking(target.blockingFindingIds) || '—'
+        ];
+    });
+}
+
+/**
+ * @private
+ */
+function targetSummary(report, locale) {
+    const { total, metCount } = report.gapToTarget;
+    return translate(locale, 'format.targetSummary', {
+        name: report.meta?.targetProfile?.name || translate(locale, 'format.target'),
+        met: formatNumberText(metCount, locale),
+        total: formatNumberText(total, locale)
+    });
+}
+
+/**
+ * One line per respondent with the number of answers they gave. Empty when nobody was named.
+ * @private
+ */
+function respondentLines(report, locale) {
+    return (report.respondents || []).map(({ respondent, answered }) =>
+        translate(locale, 'format.respondentAnswers', { respondent, count: formatNumberText(answered, locale) }));
+}
+
+/**
+ * One line per standard saying why it is in or out of scope, then one per excluded domain. Empty for reports from
+ * before scoping existed.
+ * @private
+ */
+function scopeRationale(report) {
+    if (!report.scope) return [];
+    return [...report.scope.standards.map(s => s.rationale), ...report.scope.excludedDomains.map(d => d.rationale)];
+}
+
+/**
+ * One action line per common control in a report.
+ * @private
+ */
+function commonControlActions(report, locale) {
+    return (report.commonControls || []).map(control => ({
+        action: translate(locale, 'commonControl.action', { name: control.name, count: control.findingIds.length, standards: formatListText(control.standards, locale) }),
+        findingIds: control.findingIds
+    }));
+}
 
-    const questionMap = new Map(QUESTIONS.map(q => [q.id, q]));
+/**
+ * Builds a standalone SVG donut chart for a percentage, with a tick across the ring at the target if there is one.
+ * @private
+ */
+function createDonutSvgMarkup(percent, label, locale, target) {
+    const radius = 48;
+    const circumference = 2 * Math.PI * radius;
+    const offset = circumference - (Math.max(0, Math.min(100, percent)) / 100) * circumference;
+    const text = formatPercentText(percent, 0, locale);
+    const marker = target === undefined ? '' : translate(locale, 'format.targetMarker', { target: formatPercentText(target, 0, locale) });
+    const angle = ((target ?? 0) / 100) * 2 * Math.PI - Math.PI / 2;
+    const pointX = r => (60 + r * Math.cos(angle)).toFixed(2);
+    const pointY = r => (60 + r * Math.sin(angle)).toFixed(2);
+    return `<figure class="donut"><svg viewBox="0 0 120 120" role="img" aria-label="${escapeHtml(marker ? `${label}: ${text}, ${marker}` : `${label}: ${text}`)}">`
+        + `<circle cx="60" cy="60" r="${radius}" fill="transparent" stroke="rgba(82, 96, 109, 0.2)" stroke-width="12"/>`
+        + `<circle cx="60" cy="60" r="${radius}" fill="transparent" stroke="${scoreColor(percent)}" stroke-width="12" stroke-dasharray="${circumference.toFixed(2)} ${circumference.toFixed(2)}" stroke-dashoffset="${offset.toFixed(2)}" stroke-linecap="round" transform="rotate(-90 60 60)"/>`
+        + (marker ? `<line x1="${pointX(radius - 9)}" y1="${pointY(radius - 9)}" x2="${pointX(radius + 9)}" y2="${pointY(radius + 9)}" stroke="#1f2933" stroke-width="3"/>` : '')
+        + `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-size="18" font-weight="600" fill="#1f2933">${text}</text>`
+        + `</svg><figcaption>${escapeHtml(label)}</figcaption></figure>`;
+}
 
-    for (const item of evaluation.items) {
-        const question = questionMap.get(item.questionId);
-        if (!question) continue;
+/**
+ * Chart colors and dash patterns, one per series, picked so neighbours differ in grayscale too.
+ * @private
+ */
+const CHART_SERIES_STYLES = [
+    { color: '#1f2933', dash: '' },
+    { color: '#2f80ed', dash: '8 4' },
+    { color: '#2d9d78', dash: '2 4' },
+    { color: '#b54708', dash: '10 4 2 4' },
+    { color: '#7c3aed', dash: '4 2' }
+];
 
-        const scorePercent = item.maxScore > 0 ? (item.rawScore / item.maxScore) * 100 : 100;
+/**
+ * Severity fills for stacked bars, matching the severity tags.
+ * @private
+ */
+const CHART_SEVERITY_COLORS = ['#e15554', '#f2994a', '#2f80ed'];
 
-        if (scorePercent === 100 && item.weight >= 2.5) {
-             strengths.push(`Strong controls in place for: ${question.text}`);
-        } else if (scorePercent < 100) {
-            let severity = 'Low';
-            if (item.weight >= 2.5 && scorePercent < 50) {
-                severity = 'High';
-            } else if (item.weight >= 1.5 && item.weight < 2.5 && scorePercent < 70) {
-                severity = 'Medium';
+/**
+ * The opening of a chart's SVG, labelled by its title and description.
+ * Text and grid lines carry classes so a page can restyle them, e.g. for a dark theme.
+ * @private
+ */
+function chartSvgOpen(id, title, description, width, height) {
+    return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="${escapeHtml(id)}-title ${escapeHtml(id)}-desc" font-family="system-ui, sans-serif">`
+        + `<title id="${escapeHtml(id)}-title">${escapeHtml(title)}</title><desc id="${escapeHtml(id)}-desc">${escapeHtml(description)}</desc>`;
+}
+
+/**
+ * A radar chart with one axis per domain, grid rings every 25%, and the scores as a filled polygon.
+ * @private
+ */
+function radarChartMarkup(id, title, description, axes, locale) {
+    const cx = 280;
+    const cy = 160;
+    const radius = 110;
+    const angle = index => (2 * Math.PI * index) / axes.length - Math.PI / 2;
+    const point = (index, value) => {
+        const r = (Math.max(0, Math.min(100, value)) / 100) * radius;
+        return [cx + r * Math.cos(angle(index)), cy + r * Math.sin(angle(index))];
+    };
+    const polygon = values => values.map((value, i) => point(i, value).map(n => n.toFixed(1)).join(',')).join(' ');
+    let markup = chartSvgOpen(id, title, description, 560, 320);
+    for (const level of [25, 50, 75, 100]) {
+        markup += `<polygon class="chart-grid" points="${polygon(axes.map(() => level))}" fill="none" stroke="#d9e2ec"/>`;
+        markup += `<text class="chart-text" x="${cx + 4}" y="${(cy - (level / 100) * radius + 12).toFixed(1)}" font-size="9" fill="#52606d">${escapeHtml(formatPercentText(level, 0, locale))}</text>`;
+    }
+    axes.forEach((axis, i) => {
+        const [x, y] = point(i, 100);
+        const [lx, ly] = [cx + (radius + 12) * Math.cos(angle(i)), cy + (radius + 12) * Math.sin(angle(i))];
+        const anchor = Math.cos(angle(i)) > 0.3 ? 'start' : (Math.cos(angle(i)) < -0.3 ? 'end' : 'middle');
+        const dy = Math.sin(angle(i)) > 0.3 ? 10 : (Math.sin(angle(i)) < -0.3 ? -2 : 4);
+        markup += `<line class="chart-grid" x1="${cx}" y1="${cy}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" stroke="#d9e2ec"/>`;
+        markup += `<text class="chart-text" x="${lx.toFixed(1)}" y="${(ly + dy).toFixed(1)}" text-anchor="${anchor}" font-size="11" fill="#1f2933">${escapeHtml(axis.label)}</text>`;
+    });
+    markup += `<polygon points="${polygon(axes.map(axis => axis.value))}" fill="rgba(47, 128, 237, 0.25)" stroke="#2f80ed" stroke-width="2"/>`;
+    axes.forEach((axis, i) => {
+        const [x, y] = point(i, axis.value);
+        markup += `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3.5" fill="${scoreColor(axis.value)}" stroke="#1f2933"><title>${escapeHtml(`${axis.label}: ${formatPercentText(axis.value, 1, locale)}`)}</title></circle>`;
+    });
+    return `${markup}</svg>`;
+}
+
+/**
+ * A horizontal bar per domain, stacked by severity, with the counts written on the segments and the total after the bar.
+ * Segments are outlined in white so adjacent severities stay apart in grayscale.
+ * @private
+ */
+function stackedBarChartMarkup(id, title, description, bars, severityLabels) {
+    const labelWidth = 250;
+    const barWidth = 260;
+    const rowHeight = 24;
+    const top = 34;
+    const height = top + bars.length * rowHeight + 8;
+    const max = Math.max(1, ...bars.map(bar => bar.counts.reduce((a, b) => a + b, 0)));
+    let markup = chartSvgOpen(id, title, description, 560, height);
+    severityLabels.forEach((label, i) => {
+        const x = labelWidth + i * 90;
+        markup += `<rect x="${x}" y="6" width="12" height="12" fill="${CHART_SEVERITY_COLORS[i]}"/>`
+            + `<text class="chart-text" x="${x + 16}" y="16" font-size="11" fill="#1f2933">${escapeHtml(label)}</text>`;
+    });
+    bars.forEach((bar, row) => {
+        const y = top + row * rowHeight;
+        markup += `<text class="chart-text" x="${labelWidth - 8}" y="${y + 14}" text-anchor="end" font-size="11" fill="#1f2933">${escapeHtml(bar.label)}</text>`;
+        let x = labelWidth;
+        bar.counts.forEach((count, i) => {
+            if (count === 0) return;
+            const width = (count / max) * barWidth;
+            markup += `<rect x="${x.toFixed(1)}" y="${y + 2}" width="${width.toFixed(1)}" height="${rowHeight - 6}" fill="${CHART_SEVERITY_COLORS[i]}" stroke="#ffffff"><title>${escapeHtml(`${bar.label}: ${count} ${severityLabels[i]}`)}</title></rect>`;
+            if (width >= 14) {
+                markup += `<text x="${(x + width / 2).toFixed(1)}" y="${y + 15}" text-anchor="middle" font-size="11" font-weight="600" fill="#ffffff">${count}</text>`;
             }
+            x += width;
+        });
+        markup += `<text class="chart-text" x="${(x + 6).toFixed(1)}" y="${y + 15}" font-size="11" fill="#1f2933">${bar.counts.reduce((a, b) => a + b, 0)}</text>`;
+    });
+    return `${markup}</svg>`;
+}
 
-            const finding = {
-                id: question.id,
-                standard: question.standard,
-                domain: question.domain,
-                severity,
-                requirementSummary: question.text,
-                observedStatus: generateObservedStatus(question, scorePercent),
-                remediationSteps: generateRemediationSteps(question),
-                evidenceToProvide: generateEvidence(question),
-                citation: question.citation
-            };
-            findings.push(finding);
+/**
+ * A line per series over evenly spaced assessments, on a 0-100% axis. Missing values break the line.
+ * Only some dates are labelled when there are many assessments; every point has a tooltip.
+ * @private
+ */
+function lineChartMarkup(id, title, description, dates, series, locale) {
+    const left = 48;
+    const right = 540;
+    const top = 40;
+    const bottom = 250;
+    const x = i => (dates.length === 1 ? (left + right) / 2 : left + (i / (dates.length - 1)) * (right - left));
+    const y = value => bottom - (Math.max(0, Math.min(100, value)) / 100) * (bottom - top);
+    const labelWidth = Math.max(...dates.map(date => date.length)) * 6 + 12;
+    const labelEvery = Math.ceil(dates.length / Math.max(2, Math.floor((right - left) / labelWidth)));
+    let markup = chartSvgOpen(id, title, description, 560, 290);
+    for (const level of [0, 25, 50, 75, 100]) {
+        markup += `<line class="chart-grid" x1="${left}" y1="${y(level)}" x2="${right}" y2="${y(level)}" stroke="#d9e2ec"/>`
+            + `<text class="chart-text" x="${left - 6}" y="${y(level) + 4}" text-anchor="end" font-size="10" fill="#52606d">${escapeHtml(formatPercentText(level, 0, locale))}</text>`;
+    }
+    dates.forEach((date, i) => {
+        const last = i === dates.length - 1;
+        if (!last && (i % labelEvery !== 0 || dates.length - 1 - i < labelEvery)) return;
+        const anchor = dates.length === 1 ? 'middle' : (i === 0 ? 'start' : (i === dates.length - 1 ? 'end' : 'middle'));
+        markup += `<text class="chart-text" x="${x(i).toFixed(1)}" y="${bottom + 18}" text-anchor="${anchor}" font-size="10" fill="#52606d">${escapeHtml(date)}</text>`;
+    });
+    series.forEach((line, index) => {
+        const style = CHART_SERIES_STYLES[index % CHART_SERIES_STYLES.length];
+        let path = '';
+        let drawing = false;
+        line.values.forEach((value, i) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+            path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)} ${y(value).toFixed(1)} `;
+            drawing = true;
+        });
+        const ink = index === 0 ? ' chart-ink' : '';
+        markup += `<path class="chart-line${ink}" d="${path.trim()}" fill="none" stroke="${style.color}" stroke-width="${index === 0 ? 3 : 2}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}/>`;
+        line.values.forEach((value, i) => {
+            if (value === null) return;
+            const marker = index % 2 === 0
+                ? `<circle class="chart-marker${ink}" cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3.5" fill="${style.color}">`
+                : `<rect class="chart-marker${ink}" x="${(x(i) - 3.5).toFixed(1)}" y="${(y(value) - 3.5).toFixed(1)}" width="7" height="7" fill="${style.color}">`;
+            markup += `${marker}<title>${escapeHtml(`${line.label}, ${dates[i]}: ${formatPercentText(value, 1, locale)}`)}</title>${index % 2 === 0 ? '</circle>' : '</rect>'}`;
+        });
+        const legendX = left + index * 100;
+        markup += `<line class="chart-line${ink}" x1="${legendX}" y1="16" x2="${legendX + 24}" y2="16" stroke="${style.color}" stroke-width="${index === 0 ? 3 : 2}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}/>`
+            + `<text class="chart-text" x="${legendX + 30}" y="20" font-size="11" fill="#1f2933">${escapeHtml(line.label)}</text>`;
+    });
+    return `${markup}</svg>`;
+}
+
+/**
+ * Matches the score colors used by the browser UI.
+ * @private
+ */
+function scoreColor(percent) {
+    if (percent >= 80) return '#2d9d78';
+    if (percent >= 50) return '#f2c94c';
+    return '#e15554';
+}
+
+/**
+ * @private
+ */
+function formatPercentText(value, digits = 1, locale = 'en') {
+    if (typeof value !== 'number') return 'n/a';
+    return new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value / 100);
+}
+
+/**
+ * Formats a plain number such as a weight multiplier with up to two decimals ("1.3", "1,3").
+ * @private
+ */
+function formatNumberText(value, locale = 'en') {
+    return new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value);
+}
+
+/**
+ * Joins items as a locale-appropriate list ("HIPAA and GDPR").
+ * @private
+ */
+function formatListText(items, locale = 'en') {
+    return new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(items);
+}
+
+/**
+ * @private
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ * @private
+ */
+function toISODate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Serializes rows as RFC 4180 CSV. Text cells starting with `=`, `+`, `-`, `@`, a tab, or a carriage return get a
+ * leading `'` so spreadsheets show them as text instead of running them as formulas; numbers are left as they are.
+ * @private
+ */
+function toCsv(rows) {
+    const escape = value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n');
+}
+
+/**
+ * Parses RFC 4180 CSV into rows of strings. Accepts both CRLF and LF line endings.
+ * @private
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
     }
-    
-    // Sort findings by severity (High > Medium > Low)
+    row.push(field);
+    rows.push(row);
+    return rows;
+}
+
+/**
+ * Groups findings by common control, listing controls whose fix would close findings in more than one standard first.
+ * @private
+ */
+function buildCommonControls(findings, locale) {
     const severityOrder = { High: 0, Medium: 1, Low: 2 };
-    findings.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+    return getCommonControls({ locale })
+        .map(control => {
+            const linked = findings.filter(f => control.questionIds.includes(f.id));
+            const standards = [...FRAMEWORKS.keys()].filter(id => linked.some(f => f.standard === id));
+            return {
+                id: control.id,
+                name: control.name,
+                description: control.description,
+                findingIds: linked.map(f => f.id),
+                standards,
+                severity: linked.map(f => f.severity).sort((a, b) => severityOrder[a] - severityOrder[b])[0] || null,
+                crossStandard: standards.length > 1
+            };
+        })
+        .filter(control => control.findingIds.length > 0)
+        .sort((a, b) => (b.crossStandard - a.crossStandard)
+            || (severityOrder[a.severity] - severityOrder[b.severity])
+            || (b.findingIds.length - a.findingIds.length));
+}
 
-    const perDomainScores = Object.entries(perDomain).map(([domain, score]) => {
-        const question = QUESTIONS.find(q => q.domain === domain);
-        return {
-            standard: question ? question.standard : 'Unknown',
-            domain,
-            scorePercent: score
-        }
-    });
+/**
+ * Identifies the scoring profile behind a report. Reports from before scoring profiles existed used the default rules.
+ * @private
+ */
+function profileSummary(report) {
+    const profile = report.meta?.scoringProfile || createScoringProfile();
+    return { id: profile.id, name: profile.name, fingerprint: profile.fingerprint };
+}
 
-    return {
-        meta: {
-            appName: METADATA.appName,
-            version: METADATA.version,
-            generatedAtISO: new Date().toISOString(),
-            disclaimer: METADATA.disclaimer,
-        },
-        overallScore,
-        classification,
-        perStandardScores: perStandard,
-        perDomainScores,
-        strengths: strengths.slice(0, 5), // Cap at 5 for brevity
-        quickWins: [
-            "Review and update workforce security awareness training materials.",
-            "Verify that all facility access logs are being reviewed periodically.",
-            "Schedule a tabletop exercise to test your breach notification procedure.",
-            "Confirm that all third-party vendors handling sensitive data have a signed DPA/BAA on file.",
-            "Ensure your public-facing privacy notice accurately reflects all current data processing activities."
-        ],
-        findings,
-        recommendedNext30Days: [
-            "Address all 'High' severity findings, starting with developing a formal project plan.",
-            "Conduct a targeted risk assessment on the domains with the lowest scores.",
-            "Assign owners and deadlines for each remediation step identified in the report.",
-            "Review and invoke data processing agreements with key vendors to ensure compliance.",
-            "Schedule a follow-up assessment to measure progress."
-        ]
-    };
+/**
+ * The version and hash of the question bank behind a report, or null if the report predates question banks.
+ * @private
+ */
+function bankSummary(report) {
+    const bank = report.meta?.questionBank;
+    return bank ? { version: bank.version, hash: bank.hash } : null;
 }
 
+/**
+ * Returns the argument unchanged if it is already a report, otherwise generates one from the evaluation.
+ * @private
+ */
+function toReport(assessment) {
+    if (!assessment || typeof assessment !== 'object') {
+        throw new Error('Expected an evaluation or a report to compare.');
+    }
+    if (Array.isArray(assessment.findings) && assessment.perStandardScores) {
+        return assessment;
+    }
+    if (Array.isArray(assessment.items)) {
+        return generateReport(assessment);
+    }
+    throw new Error('Expected an evaluation or a report to compare.');
+}
 
 // --- Private Helper Functions for Report Generation ---
 
+/**
+ * The English text of every report sentence and label, keyed by message ID. Locale bundles translate these by ID.
+ * Lists are used as a whole; the generic quick wins and 30-day plan apply when an assessment has no findings.
+ * @private
+ */
+const REPORT_MESSAGES = {
+    'disclaimer': METADATA.disclaimer,
+    'answer.yes': 'Yes',
+    'answer.no': 'No',
+    'classification.High': 'High',
+    'classification.Moderate': 'Moderate',
+    'classification.Low': 'Low',
+    'severity.High': 'High',
+    'severity.Medium': 'Medium',
+    'severity.Low': 'Low',
+    'severity.raised': 'Raised from {severity} by the organization profile: {factors}.',
+    'severity.lowered': 'Lowered from {severity} by the organization profile: {factors}.',
+    'organization.size': 'Size',
+    'organization.size.small': 'Small',
+    'organization.size.medium': 'Medium',
+    'organization.size.large': 'Large',
+    'organization.recordVolume': 'Record volume',
+    'organization.recordVolume.low': 'Low',
+    'organization.recordVolume.medium': 'Medium',
+    'organization.recordVolume.high': 'High',
+    'organization.sensitivity': 'Sensitive data',
+    'organization.sensitivity.phi': 'Protected health information',
+    'organization.sensitivity.special_category': 'Special categories (Art. 9)',
+    'organization.sensitivity.children': "Children's data",
+    'organization.sensitivity.none': 'None',
+    'organization.processingScale': 'Processing scale',
+    'organization.processingScale.limited': 'Limited',
+    'organization.processingScale.regular': 'Regular',
+    'organization.processingScale.large_scale': 'Large scale',
+    'organization.factor': '{label}: {value} (×{multiplier})',
+    'scope.inScope': '{standard} is in scope: {basis}.',
+    'scope.outOfScope': '{standard} is out of scope: {basis}.',
+    'scope.assumed': '{standard} is assumed to be in scope because its scoping questions have not been answered.',
+    'scope.always': '{standard} is always in scope.',
+    'scope.domainExcluded': '{domain} is out of scope: {basis}.',
+    'scope.basis': '"{question}" — {answer}',
+    'effort.Low': 'Low',
+    'effort.Medium': 'Medium',
+    'effort.High': 'High',
+    'observed.yesNo': "The required control or policy ('{question}') is not in place or not fully implemented.",
+    'observed.scaleAdHoc': "The process for '{question}' is ad-hoc or not formally established.",
+    'observed.scalePartial': "The process for '{question}' is established but may lack formal documentation or consistent execution.",
+    'observed.multiple': "The current implementation for '{question}' does not meet the requirements for full compliance.",
+    'observed.generic': 'A compliance gap was identified.',
+    'observed.maturity': "'{question}' is at the {level} level; full credit needs {target}.",
+    'observed.checklist': "For '{question}', these are not in place: {missing}.",
+    'observed.numeric': "For '{question}', the answer was {answer}; full credit needs {target}.",
+    'answer.noneSelected': 'None of these',
+    'maturity.initial': 'Initial',
+    'maturity.documented': 'Documented',
+    'maturity.implemented': 'Implemented',
+    'maturity.tested': 'Tested',
+    'maturity.optimized': 'Optimized',
+    'numeric.atMost': '{value} or less',
+    'numeric.atLeast': '{value} or more',
+    'numeric.between': '{min} to {max}',
+    'numeric.any': 'any value',
+    'strength': 'Strong controls in place for: {question}',
+    'quickWin': '{step} ({standard} {domain})',
+    'next30Days.action': 'Close the {counts} severity gap(s) in {standard} {domain} (currently {score}). Start with: {step}',
+    'next30Days.count': '{count} {severity}',
+    'commonControl.action': '{name}: one fix addresses {count} finding(s) across {standards}.',
+    'quickWins.generic': [
+        'Review and update workforce security awareness training materials.',
+        'Verify that all facility access logs are being reviewed periodically.',
+        'Schedule a tabletop exercise to test your breach notification procedure.',
+        'Confirm that all third-party vendors handling sensitive data have a signed DPA/BAA on file.',
+        'Ensure your public-facing privacy notice accurately reflects all current data processing activities.'
+    ],
+    'next30Days.generic': [
+        "Address all 'High' severity findings, starting with developing a formal project plan.",
+        'Conduct a targeted risk assessment on the domains with the lowest scores.',
+        'Assign owners and deadlines for each remediation step identified in the report.',
+        'Review and invoke data processing agreements with key vendors to ensure compliance.',
+        'Schedule a follow-up assessment to measure progress.'
+    ],
+    'remediation.safeguards': [
+        "Develop and approve a formal policy addressing '{citation}'.",
+        'Implement technical or procedural controls to enforce the new policy.',
+        'Provide training to all affected workforce members on the new policy and procedures.',
+        'Schedule a periodic review (e.g., annually) to ensure the control remains effective.'
+    ],
+    'remediation.breach': [
+        'Draft a formal Breach Notification Policy and Incident Response Plan.',
+        'Define roles and responsibilities for the incident response team.',
+        'Conduct a tabletop exercise to simulate a data breach and test the plan.',
+        'Prepare templates for internal and external breach communications.'
+    ],
+    'remediation.rights': [
+        'Create a public-facing intake form for data subject requests.',
+        'Develop an internal runbook for locating, retrieving, and packaging personal data.',
+        'Train customer support and operations teams on the DSAR response procedure and deadlines.',
+        'Implement a tracking system to monitor the status of all incoming requests.'
+    ],
+    'remediation.default': [
+        "Consult the requirement under '{citation}' to understand the specific obligations.",
+        'Perform a detailed gap analysis against the requirement.',
+        'Develop a corrective action plan with timelines and responsible parties.'
+    ],
+    'evidence.administrative': [
+        'Documented Risk Analysis Report',
+        'Information Security Policies and Procedures Manual',
+        'Workforce Training Records & Materials',
+        'Sanction Policy Document',
+        'Contingency Plan and Test Results'
+    ],
+    'evidence.physical': [
+        'Facility Access Control Logs',
+        'Visitor Sign-in Sheets',
+        'Photos of physical security measures (e.g., locked doors, server cages)',
+        'Media Disposal Records/Certificates of Destruction',
+        'Workstation security policy'
+    ],
+    'evidence.technical': [
+        'System Audit Logs (e.g., access, modification)',
+        'User Access Review Reports',
+        'Proof of Encryption Implementation (e.g., screenshots of configuration)',
+        'Password Policy Document',
+        'Intrusion Detection System Reports'
+    ],
+    'evidence.rights': [
+        'Public-facing Privacy Notice',
+        'Record of Processing Activities (RoPA)',
+        'Sample Data Subject Access Request response',
+        'Consent capture mechanism screenshots and records',
+        'Data Protection Impact Assessment (DPIA) reports'
+    ],
+    'evidence.default': [
+        'Relevant policy documents',
+        'Procedural runbooks or flowcharts',
+        'System configuration screenshots',
+        'Training completion reports',
+        'Meeting minutes where topic was discussed and approved'
+    ],
+    'format.title': '{appName} report',
+    'format.generated': 'Generated {date}',
+    'format.version': 'version {version}',
+    'format.scoringProfile': 'Scoring profile',
+    'format.organizationProfile': 'Organization profile',
+    'format.severityAdjustment': 'Severity adjustment',
+    'format.overall': 'Overall',
+    'format.overallReadiness': 'Overall readiness',
+    'format.classification': 'Classification',
+    'format.nothingInScope': 'Nothing in scope. The scoping answers put every supported regulation out of scope, so there is nothing to assess.',
+    'format.evidenceCoverage': 'Evidence coverage',
+    'format.scoresByStandard': 'Scores by standard',
+    'format.scoresByDomain': 'Scores by domain',
+    'format.charts': 'Charts',
+    'format.domainPerformance': 'Domain performance',
+    'format.standard': 'Standard',
+    'format.domain': 'Domain',
+    'format.score': 'Score',
+    'format.notApplicable': 'Not applicable',
+    'format.strengths': 'Strengths',
+    'format.quickWins': 'Quick wins',
+    'format.next30Days': 'Next 30 days',
+    'format.commonControls': 'Common controls',
+    'format.findings': 'Findings',
+    'format.noFindings': 'No findings.',
+    'format.severityHeading': '{severity} severity',
+    'format.findingCount': '{count} finding(s)',
+    'format.standardDomain': 'Standard / domain',
+    'format.citation': 'Citation',
+    'format.observedStatus': 'Observed status',
+    'format.estimatedEffort': 'Estimated effort',
+    'format.suggestedOwner': 'Suggested owner',
+    'format.scoreGain': 'Score gain if fixed',
+    'format.scoreGainValue': '+{overall} points overall, +{standard} for {standardName}, +{domain} for {domainName}',
+    'format.remediationSteps': 'Remediation steps',
+    'format.evidenceToProvide': 'Evidence to provide',
+    'format.unverifiedControls': 'Unverified controls',
+    'format.evidenceExpired': 'evidence expired',
+    'format.noEvidence': 'no evidence',
+    'format.scopingRationale': 'Scoping rationale',
+    'format.respondents': 'Respondents',
+    'format.respondentAnswers': '{respondent}: {count} answer(s)',
+    'format.answeredBy': 'Answered by',
+    'format.answerLog': 'Answer change log',
+    'format.answerLogSummary': '{count} change(s). Hash of the latest entry: {hash}',
+    'format.when': 'When',
+    'format.question': 'Question',
+    'format.change': 'Change',
+    'format.author': 'Author',
+    'format.justification': 'Justification',
+    'format.gapToTarget': 'Gap to target',
+    'format.targetSummary': '{name}: {met} of {total} target(s) met.',
+    'format.target': 'Target',
+    'format.progress': 'Progress',
+    'format.status': 'Status',
+    'format.deadline': 'Deadline',
+    'format.blockingFindings': 'Blocking findings',
+    'format.targetMarker': 'target {target}',
+    'target.scoreSummary': '{score} of the {target} target',
+    'target.answerSummary': '"{answer}" given, "{required}" required',
+    'target.unanswered': 'Not answered, "{required}" required',
+    'target.gap': '{points} points to go',
+    'target.overdue': 'overdue',
+    'target.status.met': 'Met',
+    'target.status.not_met': 'Not met',
+    'target.status.not_applicable': 'Not applicable',
+    'chart.domainScores': '{standard} domain scores',
+    'chart.domainScores.description': 'Radar chart of {count} {standard} domain scores, from {min} for {minDomain} to {max} for {maxDomain}.',
+    'chart.findingsByDomain': 'Findings by domain and severity',
+    'chart.findingsByDomain.description': 'Stacked bar chart of {count} finding(s) by severity in {domains} domain(s). {domain} has the most, with {domainCount}.',
+    'chart.scoreTrend': 'Scores across assessments',
+    'chart.scoreTrend.description': 'Line chart of the overall and per-standard scores across {count} assessments. The overall score went from {first} on {firstDate} to {last} on {lastDate}.',
+    'chart.date': 'Date',
+    'chart.total': 'Total',
+    'breach.gdpr-record.title': 'Document the breach, its effects, and the remedial action taken',
+    'breach.gdpr-record.basis': 'Every personal data breach must be documented, including those that are not notified.',
+    'breach.gdpr-authority.title': 'Notify the supervisory authority',
+    'breach.gdpr-authority.notNeeded': 'The breach is assessed as unlikely to result in a risk to individuals, so no notification is needed. Record the reasoning.',
+    'breach.gdpr-authority.due': 'Due 72 hours after becoming aware of the breach. Explain any delay if notifying later.',
+    'breach.gdpr-authority.dueUnassessed': 'Due 72 hours after becoming aware of the breach; the risk has not been assessed yet, so notification is assumed to be needed. Explain any delay if notifying later.',
+    'breach.gdpr-data-subjects.title': 'Communicate the breach to the affected data subjects',
+    'breach.gdpr-data-subjects.required': 'The breach is likely to result in a high risk to individuals, so they must be told without undue delay.',
+    'breach.gdpr-data-subjects.notNeeded': 'Only needed when the breach is likely to result in a high risk to individuals.',
+    'breach.gdpr-data-subjects.unassessed': 'Only needed when the breach is likely to result in a high risk to individuals; assess the risk to decide.',
+    'breach.hipaa-risk-assessment.title': 'Complete and document the four-factor risk assessment',
+    'breach.hipaa.lowProbability': 'The four-factor assessment shows a low probability that the PHI has been compromised, so this is not a reportable breach. Keep the assessment on file.',
+    'breach.hipaa.unassessed': '{count} of the four risk factors are not assessed yet, so the incident is presumed to be a reportable breach.',
+    'breach.hipaa.reportable': 'The four-factor assessment does not show a low probability of compromise, so the incident is a reportable breach.',
+    'breach.hipaa-individuals.title': 'Notify the affected individuals',
+    'breach.hipaa-individuals.due': 'Without unreasonable delay and no later than 60 days after discovery.',
+    'breach.hipaa-hhs.title': 'Notify the Secretary of HHS',
+    'breach.hipaa-hhs.due': '{count} individuals are affected ({threshold} or more), so HHS must be notified within 60 days of discovery.',
+    'breach.hipaa-hhs.annual': 'Fewer than {threshold} individuals are affected, so the breach can go in the annual log submitted within 60 days after the end of the calendar year.',
+    'breach.hipaa-media.title': 'Notify prominent media outlets',
+    'breach.hipaa-media.notNeeded': 'Only needed when more than {threshold} residents of one State or jurisdiction are affected.',
+    'breach.hipaa-media.state': 'More than {threshold} residents of {states} are affected; notify outlets serving that State within 60 days of discovery.',
+    'breach.hipaa-media.states': 'More than {threshold} residents of {states} are affected; notify outlets serving those States within 60 days of discovery.',
+    'breach.hipaa-media.assumed': 'More than {threshold} individuals are affected and no per-State breakdown was given, so a media notice is assumed to be needed within 60 days of discovery.',
+    'incident.incident': 'Incident',
+    'incident.exercise': 'Tabletop exercise',
+    'incident.id': 'ID',
+    'incident.discovered': 'Discovered',
+    'incident.jurisdictions': 'Jurisdictions',
+    'incident.affectedRecords': 'Affected records',
+    'incident.hipaaAssessment': 'HIPAA four-factor assessment',
+    'incident.gdprRisk': 'GDPR risk to individuals',
+    'incident.notAssessed': 'not assessed',
+    'incident.factor.nature': 'Nature and extent of the PHI involved, including identifiers and the likelihood of re-identification',
+    'incident.factor.recipient': 'The unauthorized person who used the PHI or to whom it was disclosed',
+    'incident.factor.acquired': 'Whether the PHI was actually acquired or viewed',
+    'incident.factor.mitigated': 'The extent to which the risk to the PHI has been mitigated',
+    'incident.rating.low': 'low',
+    'incident.rating.high': 'high',
+    'incident.gdprRisk.unlikely': 'unlikely to result in a risk',
+    'incident.gdprRisk.risk': 'risk',
+    'incident.gdprRisk.high': 'high risk',
+    'incident.deadlines': 'Deadlines (as of {date})',
+    'incident.due': 'due {date}',
+    'incident.withoutUndueDelay': 'without undue delay',
+    'incident.status.done': 'done {date}',
+    'incident.status.open': 'open',
+    'incident.status.overdue': 'overdue',
+    'incident.status.not_required': 'not required',
+    'incident.log': 'Log',
+    'incident.time': 'Time',
+    'incident.event': 'Event',
+    'incident.deadline': 'Deadline',
+    'incident.note': 'Note'
+};
+
+/**
+ * Minimum question weight for a low-effort gap to count as a quick win.
+ * @private
+ */
+const QUICK_WIN_MIN_WEIGHT = 2.0;
+
+/**
+ * Picks low-effort, high-weight findings, most valuable first.
+ * @private
+ * @returns {Array<{action: string, findingIds: string[]}>}
+ */
+function buildQuickWins(findings, locale) {
+    return findings
+        .filter(f => f.estimatedEffort === 'Low' && f.weight >= QUICK_WIN_MIN_WEIGHT)
+        .sort((a, b) => (b.weight - a.weight) || (a.scorePercent - b.scorePercent))
+        .slice(0, 5)
+        .map(f => ({
+            action: translate(locale, 'quickWin', { step: f.remediationSteps[0], standard: f.standard, domain: f.domainLabel }),
+            findingIds: [f.id]
+        }));
+}
+
+/**
+ * Groups findings by domain and orders the groups by their worst severity, then by lowest domain score.
+ * @private
+ * @returns {Array<{action: string, findingIds: string[]}>}
+ */
+function buildThirtyDayPlan(findings, perDomainScores, locale) {
+    const severityOrder = { High: 0, Medium: 1, Low: 2 };
+    const domainScore = new Map(perDomainScores.map(row => [`${row.standard}::${row.domain}`, row.scorePercent]));
+    const groups = new Map();
+    for (const finding of findings) {
+        const key = `${finding.standard}::${finding.domain}`;
+        if (!groups.has(key)) {
+            groups.set(key, { standard: finding.standard, domain: finding.domainLabel, findings: [] });
+        }
+        groups.get(key).findings.push(finding);
+    }
+
+    return Array.from(groups.entries())
+        .map(([key, group]) => {
+            const sorted = [...group.findings].sort((a, b) => (severityOrder[a.severity] - severityOrder[b.severity]) || (b.weight - a.weight));
+            return { ...group, findings: sorted, worst: severityOrder[sorted[0].severity], score: domainScore.get(key) ?? 0 };
+        })
+        .sort((a, b) => (a.worst - b.worst) || (a.score - b.score))
+        .slice(0, 5)
+        .map(group => {
+            const counts = ['High', 'Medium', 'Low']
+                .map(level => [level, group.findings.filter(f => f.severity === level).length])
+                .filter(([, count]) => count > 0)
+                .map(([level, count]) => translate(locale, 'next30Days.count', { count, severity: translate(locale, `severity.${level}`) }))
+                .join(', ');
+            const lead = group.findings[0];
+            return {
+                action: translate(locale, 'next30Days.action', {
+                    counts,
+                    standard: group.standard,
+                    domain: group.domain,
+                    score: formatPercentText(group.score, 0, locale),
+                    step: lead.remediationSteps[0]
+                }),
+                findingIds: group.findings.map(f => f.id)
+            };
+        });
+}
+
 /**
  * Generates a human-readable "observed status" string.
  * @private
  */
-function generateObservedStatus(question, scorePercent) {
+function generateObservedStatus(question, scorePercent, locale, answer) {
+    const answered = answer !== undefined && answer !== null && !checkAnswerValue(question, answer);
     switch (question.type) {
         case 'yes_no':
-            return `The required control or policy ('${question.text}') is not in place or not fully implemented.`;
+            return translate(locale, 'observed.yesNo', { question: question.text });
         case 'scale_0_2':
-            if (scorePercent < 50) return `The process for '${question.text}' is ad-hoc or not formally established.`;
-            return `The process for '${question.text}' is established but may lack formal documentation or consistent execution.`;
+            if (scorePercent < 50) return translate(locale, 'observed.scaleAdHoc', { question: question.text });
+            return translate(locale, 'observed.scalePartial', { question: question.text });
         case 'multiple':
-            return `The current implementation for '${question.text}' does not meet the requirements for full compliance.`;
+            return translate(locale, 'observed.multiple', { question: question.text });
+        case 'maturity': {
+            if (!answered) return translate(locale, 'observed.multiple', { question: question.text });
+            const target = question.choices.find(c => c.score === 1) || question.choices[question.choices.length - 1];
+            return translate(locale, 'observed.maturity', { question: question.text, level: answerText(question, answer, locale), target: target.label });
+        }
+        case 'checklist': {
+            if (!answered) return translate(locale, 'observed.multiple', { question: question.text });
+            const missing = question.choices.filter(c => !answer.includes(c.value)).map(c => c.label);
+            return translate(locale, 'observed.checklist', { question: question.text, missing: formatListText(missing, locale) });
+        }
+        case 'numeric': {
+            if (!answered) return translate(locale, 'observed.multiple', { question: question.text });
+            const target = question.bands.reduce((best, band) => (band.score > best.score ? band : best));
+            return translate(locale, 'observed.numeric', { question: question.text, answer: answerText(question, answer, locale), target: bandText(question, target, locale) });
+        }
         default:
-            return 'A compliance gap was identified.';
+            return translate(locale, 'observed.generic');
     }
 }
 
+/**
+ * Returns the pack's domain-level list for a question, preferring a translation.
+ * @private
+ */
+function packDomainList(question, key, locale) {
+    const translated = localeBundles(locale).map(b => b.frameworks[question.standard]?.[key]?.[question.domain]).find(Array.isArray);
+    return translated || FRAMEWORKS.get(question.standard)?.[key][question.domain];
+}
+
 /**
  * Generates actionable remediation steps.
+ * Uses the question's own steps where defined, then the pack's domain-level steps, then generic text.
  * @private
  */
-function generateRemediationSteps(question) {
+function generateRemediationSteps(question, locale) {
+    if (Array.isArray(question.remediation) && question.remediation.length > 0) {
+        return [...question.remediation];
+    }
+    const packSteps = packDomainList(question, 'remediation', locale);
+    if (Array.isArray(packSteps) && packSteps.length > 0) {
+        return [...packSteps];
+    }
     // This is a simplified logic, a real system would have a database of steps.
+    const params = { citation: question.citation };
     if (question.domain.includes('Safeguards') || question.domain.includes('Security')) {
-        return [
-            `Develop and approve a formal policy addressing '${question.citation}'.`,
-            `Implement technical or procedural controls to enforce the new policy.`,
-            `Provide training to all affected workforce members on the new policy and procedures.`,
-            `Schedule a periodic review (e.g., annually) to ensure the control remains effective.`
-        ];
+        return translate(locale, 'remediation.safeguards', params);
     }
     if (question.domain.includes('Breach')) {
-        return [
-            `Draft a formal Breach Notification Policy and Incident Response Plan.`,
-            `Define roles and responsibilities for the incident response team.`,
-            `Conduct a tabletop exercise to simulate a data breach and test the plan.`,
-            `Prepare templates for internal and external breach communications.`
-        ];
+        return translate(locale, 'remediation.breach', params);
     }
     if (question.domain.includes('Rights')) {
-        return [
-            `Create a public-facing intake form for data subject requests.`,
-            `Develop an internal runbook for locating, retrieving, and packaging personal data.`,
-            `Train customer support and operations teams on the DSAR response procedure and deadlines.`,
-            `Implement a tracking system to monitor the status of all incoming requests.`
-        ];
+        return translate(locale, 'remediation.rights', params);
     }
-    return [
-        `Consult the requirement under '${question.citation}' to understand the specific obligations.`,
-        `Perform a detailed gap analysis against the requirement.`,
-        `Develop a corrective action plan with timelines and responsible parties.`,
-    ];
+    return translate(locale, 'remediation.default', params);
 }
 
 /**
  * Generates a list of evidence to provide for auditors.
+ * Uses the question's own artifacts where defined, then the pack's domain-level list, then generic items.
  * @private
  */
-function generateEvidence(question) {
-     if (question.domain.includes('Administrative') || question.domain.includes('DPIA')) {
-        return [
-            'Documented Risk Analysis Report',
-            'Information Security Policies and Procedures Manual',
-            'Workforce Training Records & Materials',
-            'Sanction Policy Document',
-            'Contingency Plan and Test Results'
-        ];
+function generateEvidence(question, locale) {
+    if (Array.isArray(question.evidence) && question.evidence.length > 0) {
+        return [...question.evidence];
     }
-     if (question.domain.includes('Physical')) {
-        return [
-            'Facility Access Control Logs',
-            'Visitor Sign-in Sheets',
-            'Photos of physical security measures (e.g., locked doors, server cages)',
-            'Media Disposal Records/Certificates of Destruction',
-            'Workstation security policy'
-        ];
+    const packEvidence = packDomainList(question, 'evidence', locale);
+    if (Array.isArray(packEvidence) && packEvidence.length > 0) {
+        return [...packEvidence];
+    }
+    if (question.domain.includes('Administrative') || question.domain.includes('DPIA')) {
+        return translate(locale, 'evidence.administrative');
+    }
+    if (question.domain.includes('Physical')) {
+        return translate(locale, 'evidence.physical');
     }
     if (question.domain.includes('Technical')) {
-        return [
-            'System Audit Logs (e.g., access, modification)',
-            'User Access Review Reports',
-            'Proof of Encryption Implementation (e.g., screenshots of configuration)',
-            'Password Policy Document',
-            'Intrusion Detection System Reports'
-        ];
+        return translate(locale, 'evidence.technical');
     }
     if (question.domain.includes('Rights') || question.domain.includes('Lawful')) {
-        return [
-            'Public-facing Privacy Notice',
-            'Record of Processing Activities (RoPA)',
-            'Sample Data Subject Access Request response',
-            'Consent capture mechanism screenshots and records',
-            'Data Protection Impact Assessment (DPIA) reports'
-        ];
+        return translate(locale, 'evidence.rights');
     }
-    return [
-        'Relevant policy documents',
-        'Procedural runbooks or flowcharts',
-        'System configuration screenshots',
-        'Training completion reports',
-        'Meeting minutes where topic was discussed and approved'
-    ];
+    return translate(locale, 'evidence.default');
 }
 
 
 // --- IN-BROWSER TEST HARNESS ---
 // To run, open the browser's developer console and see the output.
 
-(function runTests() {
+// Awaited so that the asynchronous hashing tests finish before the module finishes loading.
+await (async function runTests() {
+    // Skipped when `globalThis.CRC_SKIP_SELF_TESTS` is set before import, or with CRC_SKIP_SELF_TESTS=1 in Node.
+    const env = typeof process !== 'undefined' && process.env ? process.env : {};
+    if (globalThis.CRC_SKIP_SELF_TESTS || ['1', 'true'].includes(env.CRC_SKIP_SELF_TESTS)) {
+        return;
+    }
     console.group('Compliance Checker Self-Tests');
     try {
         // Test 1: Validate Questionnaire Structure
         const questions = createQuestionnaire();
         console.assert(questions.length >= 36 && questions.length <= 44, `Test Failed: Question count is ${questions.length}, expected 36-44.`);
-        console.assert(questions.every(q => q.id && q.standard && q.domain && q.text && q.type && q.weight > 0 && q.citation), 'Test Failed: All questions must have required fields (id, standard, domain, text, type, weight, citation).');
+        console.assert(questions.every(q => q.id && q.standard && q.domain && q.text && q.type && (q.weight > 0 || q.scored === false) && q.citation), 'Test Failed: All questions must have required fields (id, standard, domain, text, type, weight, citation).');
         console.log('✔️ Test 1: Questionnaire structure is valid.');
 
         // Test 2: Run a sample evaluation
         const sampleAnswers = {};
-        questions.forEach((q, i) => {
+        // Scoping questions stay unanswered so that both standards are assumed in scope
+        questions.filter(q => !q.scoping).forEach((q, i) => {
             // Create a mix of good, bad, and partial answers
             switch (q.type) {
                 case 'yes_no':
@@ -823,6 +6016,16 @@ function generateEvidence(question) {
                 case 'multiple':
                     sampleAnswers[q.id] = q.choices[0].value; // Pick the first, usually worst, option
                     break;
+                // The richer types alternate between their best and worst answers, like yes/no
+                case 'maturity':
+                    sampleAnswers[q.id] = i % 2 === 0 ? 'optimized' : 'initial';
+                    break;
+                case 'checklist':
+                    sampleAnswers[q.id] = i % 2 === 0 ? q.choices.map(c => c.value) : [];
+                    break;
+                case 'numeric':
+                    sampleAnswers[q.id] = i % 2 === 0 ? q.bands[0].max : q.range.max;
+                    break;
             }
         });
         
@@ -852,6 +6055,462 @@ function generateEvidence(question) {
              summary: sampleFinding.requirementSummary
         });
 
+        // Test 4: Register and score an additional framework pack
+        const testStandardId = 'SELFTEST';
+        registerStandard({
+            id: testStandardId,
+            domains: ['Test Domain'],
+            questions: [{ id: 'selftest-01', domain: 'Test Domain', text: 'Test?', guidance: '', type: 'yes_no', weight: 1, citation: 'N/A' }],
+            remediation: { 'Test Domain': ['Fix the test control.'] }
+        });
+        try {
+            const packEvaluation = evaluateAnswers({ ...sampleAnswers, 'selftest-01': false });
+            const packReport = generateReport(packEvaluation);
+            console.assert(packEvaluation.perStandard[testStandardId] === 0, 'Test Failed: Registered standard should be scored.');
+            console.assert(packReport.findings.find(f => f.id === 'selftest-01')?.remediationSteps[0] === 'Fix the test control.', 'Test Failed: Pack remediation text should be used.');
+        } finally {
+            unregisterStandard(testStandardId);
+        }
+        console.log('✔️ Test 4: Framework pack registration successful.');
+
+        // Test 5: Inapplicable questions are removed from the totals
+        const noTransfers = evaluateAnswers({ ...sampleAnswers, 'gdpr-transfer-scope': false });
+        const transferItems = noTransfers.items.filter(item => item.questionId.startsWith('gdpr-transfer-'));
+        console.assert(transferItems.length > 0 && transferItems.every(item => item.applicable === false && item.maxScore === 0), 'Test Failed: Transfer questions should not apply without transfers.');
+        console.assert(!noTransfers.items.some(item => item.questionId === 'gdpr-transfer-scope'), 'Test Failed: Scoping questions should not be scored.');
+        console.assert(!generateReport(noTransfers).findings.some(f => f.id.startsWith('gdpr-transfer-')), 'Test Failed: Inapplicable questions should not produce findings.');
+        const withTransfers = getApplicability({ 'gdpr-transfer-scope': true, 'gdpr-transfer-sccs': false });
+        console.assert(withTransfers['gdpr-transfer-01'] && !withTransfers['gdpr-transfer-02'], 'Test Failed: TIA question should only apply when SCCs are used.');
+        let mixedRuleRejected = false;
+        try {
+            registerStandard({
+                id: 'RULE-TEST',
+                domains: ['General'],
+                questions: [{ id: 'rule-test-01', domain: 'General', text: 'Test?', guidance: '', type: 'yes_no', weight: 1, citation: 'N/A', applicableWhen: { all: [{ questionId: 'gdpr-transfer-scope', equals: true }], any: [{ questionId: 'no-such-question', equals: true }] } }]
+            });
+            unregisterStandard('RULE-TEST');
+        } catch (e) { mixedRuleRejected = true; }
+        console.assert(mixedRuleRejected, 'Test Failed: Every branch of a rule with both all and any should be validated.');
+        console.log('✔️ Test 5: Applicability rules respected.');
+
+        // Test 6: Answer validation reports structured errors
+        const badAnswers = { ...sampleAnswers, 'hipaa-admin-01': 'true', 'hipaa-admin-02': 3, 'gdpr-security-01': 'most', 'hipaa-admn-03': true };
+        const lenientResult = validateAnswers(badAnswers);
+        const errorCodes = lenientResult.errors.map(e => `${e.questionId}:${e.code}`);
+        console.assert(!lenientResult.valid && errorCodes.includes('hipaa-admin-01:invalid_type') && errorCodes.includes('hipaa-admin-02:invalid_choice') && errorCodes.includes('gdpr-security-01:invalid_choice'), 'Test Failed: Invalid answers should be reported as errors.');
+        console.assert(lenientResult.warnings.some(w => w.code === 'unknown_question'), 'Test Failed: Unknown IDs should be warnings by default.');
+        console.assert(validateAnswers({ 'hipaa-admn-03': true }, { strict: true }).errors.some(e => e.code === 'unknown_question'), 'Test Failed: Unknown IDs should be errors in strict mode.');
+        let thrown = null;
+        try {
+            evaluateAnswers(badAnswers, { validate: 'throw' });
+        } catch (error) {
+            thrown = error;
+        }
+        console.assert(thrown instanceof AnswerValidationError && thrown.diagnostics.errors.length === 3, 'Test Failed: evaluateAnswers should throw on invalid answers when asked.');
+        console.assert(evaluateAnswers(badAnswers, { validate: 'attach' }).diagnostics?.valid === false, 'Test Failed: evaluateAnswers should attach diagnostics when asked.');
+        console.log('✔️ Test 6: Answer validation successful.');
+
+        // Test 7: Findings carry control-specific remediation content
+        const controlFindings = generateReport(evaluateAnswers({ 'hipaa-admin-01': false, 'hipaa-tech-02': [], 'hipaa-tech-05': false })).findings;
+        const logoffFinding = controlFindings.find(f => f.id === 'hipaa-tech-05');
+        const encryptionFinding = controlFindings.find(f => f.id === 'hipaa-tech-02');
+        console.assert(logoffFinding.remediationSteps[0] !== encryptionFinding.remediationSteps[0], 'Test Failed: Findings should use control-specific remediation.');
+        console.assert(!controlFindings.find(f => f.id === 'hipaa-admin-01').evidenceToProvide.includes('Sanction Policy Document'), 'Test Failed: Findings should use control-specific evidence.');
+        console.assert(logoffFinding.estimatedEffort === 'Low' && logoffFinding.suggestedOwner === 'IT Operations', 'Test Failed: Findings should carry effort and owner.');
+        console.log('✔️ Test 7: Control-specific remediation successful.');
+
+        // Test 8: Quick wins and the 30-day plan reflect the actual findings
+        const allYes = {};
+        questions.filter(q => !q.scoping).forEach(q => {
+            const best = { yes_no: true, scale_0_2: 2, maturity: 'optimized', checklist: q.choices?.map(c => c.value), numeric: q.bands?.[0].max };
+            allYes[q.id] = q.type in best ? best[q.type] : (q.choices[0].value === 'none' ? 'full' : 'yes');
+        });
+        const gapReport = generateReport(evaluateAnswers({ ...allYes, 'hipaa-admin-03': false, 'hipaa-admin-04': false, 'gdpr-lawful-02': false }));
+        const planIds = gapReport.recommendedNext30Days.flatMap(entry => entry.findingIds);
+        console.assert(gapReport.quickWins.length === 1 && gapReport.quickWins[0].findingIds[0] === 'gdpr-lawful-02', 'Test Failed: Quick wins should be low-effort, high-weight findings.');
+        console.assert(gapReport.recommendedNext30Days[0].findingIds[0] === 'hipaa-admin-03' && planIds.length === 3, 'Test Failed: 30-day plan should cover findings in severity order.');
+        console.assert(!gapReport.quickWins.some(w => /DPA\/BAA/.test(w.action)), 'Test Failed: Generic quick wins should not be used when findings exist.');
+        console.log('✔️ Test 8: Finding-driven action plans successful.');
+
+        // Test 9: Comparing two assessments
+        const laterAnswers = { ...allYes, 'hipaa-admin-04': false, 'gdpr-rights-01': 120, 'hipaa-admin-02': 1 };
+        const earlierAnswers = { ...allYes, 'hipaa-admin-03': false, 'hipaa-admin-04': false, 'hipaa-admin-02': 0 };
+        const comparison = compareEvaluations(evaluateAnswers(earlierAnswers), generateReport(evaluateAnswers(laterAnswers)));
+        console.assert(comparison.resolved.map(f => f.id).join() === 'hipaa-admin-03', 'Test Failed: Resolved findings should be listed.');
+        console.assert(comparison.introduced.map(f => f.id).join() === 'gdpr-rights-01', 'Test Failed: New findings should be listed.');
+        console.assert(comparison.severityChanged.length === 1 && comparison.severityChanged[0].previousSeverity === 'High' && comparison.severityChanged[0].currentSeverity === 'Low', 'Test Failed: Severity changes should be listed.');
+        console.assert(comparison.perStandard.HIPAA.delta > 0 && comparison.perStandard.GDPR.delta < 0, 'Test Failed: Per-standard deltas should reflect the changes.');
+        console.log('✔️ Test 9: Assessment comparison successful.');
+
+        // Test 10: Evidence coverage and unverified controls
+        const evidence = {
+            'hipaa-admin-01': [{ artifact: 'Designation letter', collectedAt: '2024-01-10' }],
+            'hipaa-admin-06': [{ artifact: 'BAA register', expiresAt: '2020-01-01' }],
+            'hipaa-tech-01': [{ artifact: '   ' }]
+        };
+        const evidenceEvaluation = evaluateAnswers(allYes, { evidence, asOf: '2025-06-01' });
+        const statusOf = id => evidenceEvaluation.items.find(item => item.questionId === id).evidenceStatus;
+        console.assert(statusOf('hipaa-admin-01') === 'verified' && statusOf('hipaa-admin-06') === 'expired' && statusOf('hipaa-tech-01') === 'unverified', 'Test Failed: Evidence status should reflect recorded evidence.');
+        console.assert(evidenceEvaluation.evidenceCoverage.perStandardDomain.HIPAA['Administrative Safeguards'] > 0 && evidenceEvaluation.evidenceCoverage.perStandardDomain.HIPAA['Physical Safeguards'] === 0, 'Test Failed: Evidence coverage should be computed per domain.');
+        console.assert(evidenceEvaluation.overallScore === 100, 'Test Failed: Evidence should not change the score.');
+        const evidenceReport = generateReport(evidenceEvaluation);
+        console.assert(evidenceReport.unverifiedControls.some(c => c.id === 'hipaa-tech-01') && !evidenceReport.unverifiedControls.some(c => c.id === 'hipaa-admin-01'), 'Test Failed: Unverified controls should be listed in the report.');
+        console.assert(evidenceReport.evidence['hipaa-admin-01'][0].artifact === 'Designation letter' && !evidenceReport.evidence['hipaa-tech-01'], 'Test Failed: Recorded evidence should be included in the report.');
+        console.log('✔️ Test 10: Evidence coverage successful.');
+
+        // Test 11: Remediation plan tasks, due dates, and carry-over
+        const planReport = generateReport(evaluateAnswers(earlierAnswers));
+        let plan = createRemediationPlan(planReport, { startDate: '2025-01-01T12:00:00' });
+        const riskTask = plan.tasks.find(task => task.findingId === 'hipaa-admin-03');
+        console.assert(plan.tasks.length === planReport.findings.length && riskTask.targetDate === '2025-01-31' && riskTask.status === 'open', 'Test Failed: Plan should have one dated task per finding.');
+        plan = updateRemediationTask(plan, riskTask.id, { status: 'in_progress', assignee: 'CISO', notes: 'Vendor engaged' });
+        const refreshed = createRemediationPlan(generateReport(evaluateAnswers(laterAnswers)), { previousPlan: plan });
+        const carried = refreshed.tasks.find(task => task.findingId === 'hipaa-admin-03');
+        console.assert(carried.status === 'done' && !carried.inLatestReport && carried.assignee === 'CISO', 'Test Failed: Resolved findings should close their tasks.');
+        console.assert(refreshed.tasks.some(task => task.findingId === 'gdpr-rights-01' && task.status === 'open'), 'Test Failed: New findings should add tasks.');
+        console.assert(formatRemediationPlan(refreshed, 'csv').split('\r\n').length === refreshed.tasks.length + 1, 'Test Failed: CSV export should have one row per task.');
+        const formulaPlan = updateRemediationTask(refreshed, carried.id, { assignee: '+cmd', notes: '=1+1' });
+        const formulaRow = formatRemediationPlan(formulaPlan, 'csv').split('\r\n').find(line => line.startsWith(`${carried.id},`));
+        console.assert(formulaRow.includes(",'+cmd,") && formulaRow.includes(",'=1+1,") && !formulaRow.includes(',=1+1'), 'Test Failed: CSV cells that start like a formula should be neutralised.');
+        console.log('✔️ Test 11: Remediation plan successful.');
+
+        // Test 12: Report exporters
+        const csv = formatReport(planReport, 'csv');
+        console.assert(csv.split('\r\n').length === planReport.findings.length + 1 && csv.startsWith('Finding ID,'), 'Test Failed: CSV should have a header and one row per finding.');
+        const markdown = formatReport(planReport, 'markdown');
+        console.assert(markdown.includes('## Findings') && markdown.includes(planReport.findings[0].requirementSummary), 'Test Failed: Markdown should list findings.');
+        const html = formatReport({ ...planReport, strengths: ['<script>alert(1)</script>'] }, 'html');
+        console.assert(html.startsWith('<!DOCTYPE html>') && html.includes('<svg') && !html.includes('<script>alert'), 'Test Failed: HTML should be standalone, include SVG charts, and escape content.');
+        console.assert(formatReport(planReport, 'text').includes(`Findings: ${planReport.findings.length}`), 'Test Failed: Text output should summarize findings.');
+        console.log('✔️ Test 12: Report formatting successful.');
+
+        // Test 13: Importing answers from files
+        const fromReport = parseAnswersImport(JSON.stringify(planReport));
+        console.assert(fromReport.source === 'report' && fromReport.answers['hipaa-admin-01'] === planReport.answers['hipaa-admin-01'], 'Test Failed: A report should round-trip its answers.');
+        const fromCsv = parseAnswersImport('questionId,answer\r\nhipaa-admin-01,Yes\nhipaa-admin-02,"2"\ngdpr-security-01,Some measures implemented\nunknown-q,1\nhipaa-admin-03,maybe');
+        console.assert(fromCsv.source === 'csv' && fromCsv.answers['hipaa-admin-01'] === true && fromCsv.answers['hipaa-admin-02'] === 2 && fromCsv.answers['gdpr-security-01'] === 'some', 'Test Failed: CSV values should be converted to answer types.');
+        console.assert(fromCsv.diagnostics.errors.some(e => e.questionId === 'hipaa-admin-03') && fromCsv.diagnostics.warnings.some(w => w.code === 'unknown_question'), 'Test Failed: CSV imports should be validated.');
+        let rejected = false;
+        try { parseAnswersImport('{not json'); } catch (e) { rejected = true; }
+        console.assert(rejected, 'Test Failed: Malformed JSON should be rejected.');
+        console.log('✔️ Test 13: Answer import successful.');
+
+        // Test 14: Scoring profiles
+        const strictProfile = createScoringProfile({
+            id: 'strict',
+            name: 'Strict',
+            weights: { 'hipaa-admin-01': 1 },
+            severityRules: [{ severity: 'High', belowScorePercent: 100 }],
+            classificationBands: { high: 95, moderate: 90 }
+        });
+        const strictEvaluation = evaluateAnswers(sampleAnswers, { profile: strictProfile });
+        const strictReport = generateReport(strictEvaluation);
+        console.assert(strictEvaluation.items.find(i => i.questionId === 'hipaa-admin-01').weight === 1, 'Test Failed: Profile weights should replace question weights.');
+        console.assert(strictReport.findings.every(f => f.severity === 'High') && strictReport.classification === 'Low', 'Test Failed: Profile severity rules and bands should apply.');
+        console.assert(strictReport.meta.scoringProfile.id === 'strict' && strictReport.meta.scoringProfile.fingerprint !== report.meta.scoringProfile.fingerprint, 'Test Failed: The report should record the profile used.');
+        console.assert(report.meta.scoringProfile.id === 'default' && compareEvaluations(report, strictReport).scoringProfiles.match === false, 'Test Failed: Comparisons across profiles should be flagged.');
+        let mismatchRejected = false;
+        try { generateReport(evaluation, { profile: strictProfile }); } catch (e) { mismatchRejected = true; }
+        let badProfileRejected = false;
+        try { createScoringProfile({ classificationBands: { high: 40, moderate: 60 } }); } catch (e) { badProfileRejected = true; }
+        console.assert(mismatchRejected && badProfileRejected, 'Test Failed: Invalid or mismatched profiles should be rejected.');
+        console.log('✔️ Test 14: Scoring profiles successful.');
+
+        // Test 15: Common controls
+        const encryptedEverywhere = ['devices', 'at_rest', 'in_transit', 'backups'];
+        const suggestions = suggestRelatedAnswers({ 'hipaa-tech-02': encryptedEverywhere }, 'hipaa-tech-02');
+        console.assert(suggestions.length === 1 && suggestions[0].questionId === 'gdpr-security-01' && suggestions[0].answer === 'full', 'Test Failed: A fully ticked checklist should suggest the full-score choice on the linked question.');
+        console.assert(suggestRelatedAnswers({ 'gdpr-security-01': 'some' }, 'gdpr-security-01').length === 0, 'Test Failed: Partial answers have no yes/no equivalent.');
+        console.assert(suggestRelatedAnswers({ 'hipaa-admin-03': true }, 'hipaa-admin-03')[0]?.answer === 'implemented' && suggestRelatedAnswers({ 'hipaa-admin-03': false }, 'hipaa-admin-03')[0]?.answer === 'initial', 'Test Failed: A yes/no answer should not claim more than Implemented on a maturity question.');
+        console.assert(suggestRelatedAnswers({ 'hipaa-tech-02': encryptedEverywhere, 'gdpr-security-01': 'none' }, 'hipaa-tech-02').length === 0, 'Test Failed: Answered questions should not be overwritten.');
+        const controlReport = generateReport(evaluateAnswers({ 'hipaa-admin-06': false, 'gdpr-processors-01': false }));
+        const vendorControl = controlReport.commonControls.find(c => c.id === 'vendor-agreements');
+        console.assert(vendorControl && vendorControl.crossStandard && vendorControl.findingIds.length === 2 && controlReport.commonControls[0].crossStandard, 'Test Failed: Findings should be grouped by common control.');
+        let duplicateControlRejected = false;
+        try { registerCommonControl({ id: 'dup', questionIds: ['hipaa-admin-06', 'hipaa-admin-01'] }); } catch (e) { duplicateControlRejected = true; }
+        console.assert(duplicateControlRejected, 'Test Failed: A question should belong to only one common control.');
+        console.log('✔️ Test 15: Common controls successful.');
+
+        // Test 16: Localized questionnaire and report with English fallback
+        registerLocale('eo', {
+            name: 'Esperanto',
+            questions: { 'hipaa-admin-01': { text: 'Ĉu vi nomumis sekurecan oficiston?' }, 'hipaa-admin-02': { choices: { 0: 'Neniam' } } },
+            frameworks: { HIPAA: { domains: { 'Administrative Safeguards': 'Administraj protektoj' } } },
+            messages: { 'severity.High': 'Alta', 'observed.yesNo': 'Mankas: {question}' }
+        });
+        const eoQuestions = createQuestionnaire({ locale: 'eo' });
+        const eoScale = eoQuestions.find(q => q.id === 'hipaa-admin-02');
+        console.assert(eoScale.choices[0].label === 'Neniam' && eoScale.choices[1].label === 'Periodically' && eoScale.domainLabel === 'Administraj protektoj' && eoScale.domain === 'Administrative Safeguards', 'Test Failed: Questionnaire text should be translated per field with English fallback.');
+        const eoReport = generateReport(evaluateAnswers({ 'hipaa-admin-01': false, 'hipaa-admin-03': false }), { locale: 'eo-SM' });
+        const eoFinding = eoReport.findings.find(f => f.id === 'hipaa-admin-01');
+        console.assert(eoReport.meta.locale === 'eo-SM' && eoFinding.observedStatus === 'Mankas: Ĉu vi nomumis sekurecan oficiston?' && eoFinding.severity === 'High' && eoFinding.severityLabel === 'Alta', 'Test Failed: Regional locales should fall back to the language bundle.');
+        console.assert(eoReport.findings.find(f => f.id === 'hipaa-admin-03').requirementSummary === questions.find(q => q.id === 'hipaa-admin-03').text, 'Test Failed: Untranslated questions should stay in English.');
+        console.assert(formatReport(eoReport, 'markdown').includes('### Alta severity'), 'Test Failed: Exports should use the report locale.');
+        let unknownMessageRejected = false;
+        try { registerLocale('eo', { messages: { 'no.such.message': 'x' } }); } catch (e) { unknownMessageRejected = true; }
+        let englishRejected = false;
+        try { registerLocale('en', { name: 'English' }); } catch (e) { englishRejected = true; }
+        console.assert(unknownMessageRejected && englishRejected, 'Test Failed: Invalid locale registrations should be rejected.');
+        unregisterLocale('eo');
+        console.assert(getLocales().length === 1 && generateReport(evaluation, { locale: 'eo' }).findings.every(f => f.severityLabel === f.severity), 'Test Failed: Unregistered locales should fall back to English.');
+        console.log('✔️ Test 16: Locales successful.');
+
+        // Test 17: Question bank versioning and answer migration
+        const bank = getQuestionBank();
+        console.assert(bank.version === METADATA.version && bank.hash === getQuestionBank().hash && report.meta.questionBank.hash === bank.hash, 'Test Failed: Reports should record a stable question bank.');
+        const olderBank = { ...bank, hash: 'older', questions: { ...bank.questions, 'hipaa-admin-01': 'reworded', 'retired-question': 'gone' } };
+        delete olderBank.questions['hipaa-admin-02'];
+        const bankChanges = compareQuestionBanks(olderBank, bank);
+        console.assert(bankChanges.changed && bankChanges.changedQuestions.join() === 'hipaa-admin-01' && bankChanges.addedQuestions.join() === 'hipaa-admin-02' && bankChanges.removedQuestions.join() === 'retired-question', 'Test Failed: Changed, added, and removed questions should be listed.');
+        console.assert(!compareQuestionBanks(bank).changed && !compareQuestionBanks(null).detailed, 'Test Failed: Identical and unknown banks should be told apart.');
+        const dpoMigration = migrateAnswers({ 'gdpr-security-03': 'not_req', 'hipaa-admin-01': true });
+        console.assert(dpoMigration.answers['gdpr-security-dpo-scope'] === false && !('gdpr-security-03' in dpoMigration.answers) && dpoMigration.applied.length === 1 && dpoMigration.answers['hipaa-admin-01'] === true, 'Test Failed: A retired choice should migrate to its new question.');
+        console.assert(dpoMigration.applied[0].fromVersion === '1.0.0' && METADATA.version !== '1.0.0', 'Test Failed: Migrations should name the version they convert from, and the bank version should have moved on.');
+        console.assert(migrateAnswers({ 'gdpr-security-03': 'not_req', 'gdpr-security-dpo-scope': true }).answers['gdpr-security-dpo-scope'] === true, 'Test Failed: Migrations should not overwrite existing answers.');
+        console.assert(parseAnswersImport(JSON.stringify({ 'gdpr-security-03': 'not_req' })).diagnostics.valid, 'Test Failed: Imports should be migrated before validation.');
+        registerStandard({
+            id: 'MIGRATION-TEST',
+            domains: ['General'],
+            questions: [{ id: 'migration-new', domain: 'General', text: 'Renamed question', guidance: '', type: 'yes_no', weight: 1, citation: 'N/A' }],
+            migrations: [{ from: 'migration-old', to: ['migration-new'] }]
+        });
+        console.assert(migrateAnswers({ 'migration-old': true }).answers['migration-new'] === true && compareQuestionBanks(bank).addedQuestions.includes('migration-new'), 'Test Failed: Renamed questions should take over the old answer.');
+        unregisterStandard('MIGRATION-TEST');
+        let liveMigrationRejected = false;
+        try {
+            registerStandard({ id: 'MIGRATION-TEST', domains: ['General'], questions: [{ id: 'migration-new', domain: 'General', type: 'yes_no', weight: 1 }], migrations: [{ from: 'migration-new', to: ['hipaa-admin-01'] }] });
+        } catch (e) { liveMigrationRejected = true; }
+        console.assert(liveMigrationRejected && compareQuestionBanks(bank).changed === false, 'Test Failed: A migration without whenAnswer must not move answers away from a current question.');
+        console.log('✔️ Test 17: Question bank versioning successful.');
+
+        // Test 18: Organization profile adjusts weights and explains severity changes
+        const neutral = evaluateAnswers({ 'hipaa-breach-02': false }, { organizationProfile: {} });
+        console.assert(neutral.items.every(item => item.weight === item.baseWeight && item.factors.length === 0), 'Test Failed: A neutral organization profile should not change any weight.');
+        const largeHolder = evaluateAnswers({ 'hipaa-breach-02': false, 'hipaa-admin-02': 0 }, { organizationProfile: { recordVolume: 'high', sensitivity: ['phi', 'phi'] } });
+        const breachItem = largeHolder.items.find(item => item.questionId === 'hipaa-breach-02');
+        console.assert(breachItem.baseWeight === 2 && breachItem.weight === 3.12 && breachItem.factors.length === 2 && largeHolder.organizationProfile.sensitivity.join() === 'phi', 'Test Failed: Matching factors should multiply the weight.');
+        const raised = generateReport(largeHolder).findings.find(f => f.id === 'hipaa-breach-02');
+        console.assert(raised.severity === 'High' && raised.severityAdjustment.baseSeverity === 'Medium' && raised.severityAdjustment.direction === 'raised' && /Record volume: High/.test(raised.severityAdjustment.explanation), 'Test Failed: A raised severity should name the factors responsible.');
+        const smallPractice = generateReport(evaluateAnswers({ 'hipaa-admin-02': 0 }, { organizationProfile: { size: 'small' } }));
+        const lowered = smallPractice.findings.find(f => f.id === 'hipaa-admin-02');
+        console.assert(lowered.severity === 'Medium' && lowered.severityAdjustment.direction === 'lowered' && smallPractice.meta.organizationProfile.size === 'small', 'Test Failed: A lowered severity should be explained.');
+        console.assert(generateReport(evaluateAnswers({ 'hipaa-admin-02': 0 })).findings.find(f => f.id === 'hipaa-admin-02').severityAdjustment === null, 'Test Failed: Without a profile no severity should be adjusted.');
+        console.assert(!compareEvaluations(smallPractice, generateReport(largeHolder)).organizationProfiles.match, 'Test Failed: Comparisons should flag different organization profiles.');
+        let badOrganizationRejected = false;
+        try { createOrganizationProfile({ size: 'huge' }); } catch (e) { badOrganizationRejected = true; }
+        console.assert(badOrganizationRejected, 'Test Failed: Unknown organization profile values should be rejected.');
+        console.log('✔️ Test 18: Organization profile successful.');
+
+        // Test 19: Scoping decides which standards and domains apply
+        const unscoped = getScope({});
+        console.assert(!unscoped.complete && unscoped.standards.every(s => s.inScope && s.assumed), 'Test Failed: Unanswered scoping should assume every standard is in scope.');
+        const processorOnly = { ...allYes, 'hipaa-scope-entity': 'neither', 'gdpr-scope-territorial': true, 'gdpr-scope-role': 'processor', 'gdpr-rights-01': 120 };
+        const processorScope = getScope(processorOnly);
+        console.assert(processorScope.complete && !processorScope.standards.find(s => s.standard === 'HIPAA').inScope && processorScope.excludedDomains.map(d => d.domain).join() === 'Lawful Basis and Transparency,Data Subject Rights', 'Test Failed: Scoping answers should exclude standards and domains.');
+        console.assert(/Neither/.test(processorScope.standards.find(s => s.standard === 'HIPAA').rationale), 'Test Failed: The rationale should quote the scoping answer.');
+        const processorEvaluation = evaluateAnswers(processorOnly);
+        console.assert(Object.keys(processorEvaluation.perStandard).join() === 'GDPR' && !('Data Subject Rights' in processorEvaluation.perStandardDomain.GDPR) && processorEvaluation.overallScore === 100, 'Test Failed: Out-of-scope standards and domains should not be scored.');
+        const nothingInScope = generateReport(evaluateAnswers({ 'hipaa-scope-entity': 'neither', 'gdpr-scope-territorial': false }));
+        console.assert(nothingInScope.scope.nothingInScope && nothingInScope.overallScore === null && nothingInScope.classification === null && nothingInScope.quickWins.length === 0 && nothingInScope.recommendedNext30Days.length === 0, 'Test Failed: With nothing in scope there should be no score, classification, or generic advice.');
+        console.assert(formatReport(nothingInScope, 'text').includes('Nothing in scope') && !getScope(processorOnly).nothingInScope, 'Test Failed: Reports should say when nothing is in scope.');
+        const processorReport = generateReport(processorEvaluation);
+        console.assert(processorReport.findings.length === 0 && !processorReport.notApplicable.includes('hipaa-admin-01') && processorReport.scope.excludedDomains.length === 2, 'Test Failed: Out-of-scope questions should be left out of the report.');
+        console.assert(formatReport(processorReport, 'markdown').includes('## Scoping rationale'), 'Test Failed: Reports should show the scoping rationale.');
+        console.assert(getApplicability(processorOnly)['gdpr-scope-role'] && !getApplicability({ 'gdpr-scope-territorial': false })['gdpr-scope-role'], 'Test Failed: Scoping questions should follow their own rules only.');
+        console.log('✔️ Test 19: Scoping successful.');
+
+        // Test 20: Breach notification clock and tabletop exercise evidence
+        const breach = createBreachIncident({ title: 'Lost laptop', discoveredAt: '2026-03-02T09:00:00Z', affectedRecords: 640, affectedByState: { CA: 520, NV: 120 } });
+        const breachDeadlines = getBreachDeadlines(breach, { now: '2026-03-04T09:00:00Z' });
+        const deadlineFor = id => breachDeadlines.find(d => d.id === id);
+        console.assert(deadlineFor('gdpr-authority').dueAtISO === '2026-03-05T09:00:00.000Z' && deadlineFor('gdpr-authority').remainingMs === 24 * 60 * 60 * 1000, 'Test Failed: GDPR authority notice should be due 72 hours after discovery.');
+        console.assert(deadlineFor('hipaa-individuals').dueAtISO === '2026-05-01T09:00:00.000Z' && deadlineFor('hipaa-hhs').citation === '45 CFR 164.408(b)' && deadlineFor('hipaa-media').required && /CA/.test(deadlineFor('hipaa-media').basis), 'Test Failed: HIPAA notices should be due 60 days after discovery, with HHS and media notice from the thresholds.');
+        console.assert(!deadlineFor('gdpr-data-subjects').required && deadlineFor('gdpr-authority').status === 'open', 'Test Failed: Unassessed GDPR risk should require only the authority notice.');
+        const lowRisk = createBreachIncident({ discoveredAt: '2026-03-02T09:00:00Z', jurisdictions: ['HIPAA'], affectedRecords: 40, hipaaRiskFactors: { nature: 'low', recipient: 'low', acquired: 'low', mitigated: 'low' } });
+        console.assert(getBreachDeadlines(lowRisk).every(d => d.id === 'hipaa-risk-assessment' || !d.required), 'Test Failed: A low probability of compromise should not require notification.');
+        const smallBreach = getBreachDeadlines({ ...lowRisk, hipaaRiskFactors: { ...lowRisk.hipaaRiskFactors, acquired: 'high' } });
+        console.assert(smallBreach.find(d => d.id === 'hipaa-hhs').dueAtISO === '2027-03-01T00:00:00.000Z' && !smallBreach.find(d => d.id === 'hipaa-media').required, 'Test Failed: Small HIPAA breaches should go in the annual HHS log.');
+        const notified = recordIncidentAction(breach, { event: 'Notified the supervisory authority', deadlineId: 'gdpr-authority', at: '2026-03-03T10:00:00Z' });
+        console.assert(breach.log.length === 1 && notified.log.length === 2 && getBreachDeadlines(notified, { now: '2026-03-10T00:00:00Z' }).find(d => d.id === 'gdpr-authority').status === 'done', 'Test Failed: Recording an action should complete its deadline without changing the original.');
+        console.assert(getBreachDeadlines(breach, { now: '2026-03-10T00:00:00Z' }).find(d => d.id === 'gdpr-authority').status === 'overdue', 'Test Failed: Missed deadlines should be overdue.');
+        console.assert(formatIncidentLog(notified, 'csv').split('\r\n').length === 3 && formatIncidentLog(notified, 'markdown').includes('- [x] **Notify the supervisory authority**'), 'Test Failed: Incident logs should export the log and checklist.');
+        registerLocale('eo', { messages: { 'breach.gdpr-authority.title': 'Sciigu la kontrolan aŭtoritaton', 'incident.log': 'Protokolo' } });
+        const eoIncidentLog = formatIncidentLog(notified, 'markdown', { locale: 'eo' });
+        console.assert(getBreachDeadlines(breach, { locale: 'eo' }).find(d => d.id === 'gdpr-authority').title === 'Sciigu la kontrolan aŭtoritaton' && eoIncidentLog.includes('**Sciigu la kontrolan aŭtoritaton**') && eoIncidentLog.includes('## Protokolo') && eoIncidentLog.includes('## Deadlines'), 'Test Failed: Breach deadlines and incident logs should be translated, falling back to English.');
+        unregisterLocale('eo');
+        console.assert(Object.keys(getIncidentEvidence(breach)).length === 0, 'Test Failed: Real incidents should not count as exercise evidence.');
+        const drillEvidence = getIncidentEvidence({ ...breach, exercise: true, gdprRisk: 'risk' });
+        console.assert(Object.keys(drillEvidence).sort().join() === 'gdpr-breach-01,gdpr-breach-02,hipaa-breach-01', 'Test Failed: Exercises should evidence the breach questions they rehearsed.');
+        const drillEvaluation = evaluateAnswers({ 'gdpr-breach-01': true }, { evidence: drillEvidence, asOf: new Date('2026-06-01') });
+        console.assert(drillEvaluation.items.find(i => i.questionId === 'gdpr-breach-01').evidenceStatus === 'verified', 'Test Failed: Exercise evidence should verify breach answers.');
+        console.log('✔️ Test 20: Breach notification clock successful.');
+
+        // Test 21: Maturity, checklist, and numeric questions
+        const itemFor = (evaluationResult, id) => evaluationResult.items.find(i => i.questionId === id);
+        const richAnswers = { 'gdpr-security-02': 'documented', 'hipaa-tech-02': ['devices', 'in_transit', 'at_rest'], 'gdpr-rights-01': 45 };
+        const richEvaluation = evaluateAnswers(richAnswers);
+        console.assert(itemFor(richEvaluation, 'gdpr-security-02').rawScore === 0.5 && itemFor(richEvaluation, 'hipaa-tech-02').rawScore === 2.5 * 0.75 && itemFor(richEvaluation, 'gdpr-rights-01').rawScore === 1.5, 'Test Failed: Maturity levels, ticked sub-controls, and numeric bands should earn partial credit.');
+        console.assert(itemFor(evaluateAnswers({ 'gdpr-rights-01': 30 }), 'gdpr-rights-01').rawScore === 3 && itemFor(evaluateAnswers({ 'gdpr-rights-01': 200 }), 'gdpr-rights-01').rawScore === 0, 'Test Failed: Numeric answers should be scored by the first matching band.');
+        const richFindings = generateReport(richEvaluation).findings;
+        console.assert(/Backups/.test(richFindings.find(f => f.id === 'hipaa-tech-02').observedStatus) && /45 days.*30 days or less/.test(richFindings.find(f => f.id === 'gdpr-rights-01').observedStatus) && /Documented.*Optimized/.test(richFindings.find(f => f.id === 'gdpr-security-02').observedStatus), 'Test Failed: Observed status should describe the richer answers.');
+        const richDiagnostics = validateAnswers({ 'hipaa-tech-02': ['devices', 'devices'], 'gdpr-rights-01': -1, 'gdpr-security-02': 'perfect' });
+        console.assert(richDiagnostics.errors.length === 3, 'Test Failed: Duplicate sub-controls, out-of-range numbers, and unknown levels should be rejected.');
+        const richCsv = parseAnswersImport('questionId,answer\nhipaa-tech-02,devices|Backups\ngdpr-rights-01,14\ngdpr-security-02,Tested');
+        console.assert(richCsv.answers['hipaa-tech-02'].join() === 'devices,backups' && richCsv.answers['gdpr-rights-01'] === 14 && richCsv.answers['gdpr-security-02'] === 'tested', 'Test Failed: CSV values should be converted to the richer answer types.');
+        const legacy = migrateAnswers({ 'hipaa-tech-02': true, 'gdpr-rights-01': false, 'gdpr-security-02': true });
+        console.assert(legacy.answers['hipaa-tech-02'].length === 4 && !('gdpr-rights-01' in legacy.answers) && legacy.answers['gdpr-security-02'] === 'implemented', 'Test Failed: Yes/no answers should be migrated onto the richer questions.');
+        registerStandard({
+            id: 'TYPES-TEST',
+            domains: ['General'],
+            questions: [{ id: 'types-maturity', domain: 'General', text: 'Maturity?', type: 'maturity', choices: [{ value: 'implemented', score: 1 }], weight: 1, citation: 'N/A' }]
+        });
+        console.assert(itemFor(evaluateAnswers({ 'types-maturity': 'implemented' }), 'types-maturity').rawScore === 1, 'Test Failed: Maturity questions should accept their own credit per level.');
+        unregisterStandard('TYPES-TEST');
+        let badBandsRejected = false;
+        try {
+            registerStandard({ id: 'TYPES-TEST', domains: ['General'], questions: [{ id: 'types-numeric', domain: 'General', type: 'numeric', bands: [{ max: 10, score: 2 }], weight: 1 }] });
+        } catch (e) { badBandsRejected = true; }
+        console.assert(badBandsRejected && !getQuestions().some(q => q.id === 'types-numeric'), 'Test Failed: Numeric bands must score between 0 and 1.');
+        console.log('✔️ Test 21: Richer question types successful.');
+
+        // Test 22: Respondent assignments, partial files, and merging
+        const assignments = [
+            { respondent: 'IT', domains: ['HIPAA::Technical Safeguards'], questions: ['gdpr-security-01'] },
+            { respondent: 'Legal', domains: ['GDPR::Security of Processing', 'GDPR::Data Subject Rights'] }
+        ];
+        const owners = getQuestionAssignments(assignments);
+        console.assert(owners['hipaa-tech-01'] === 'IT' && owners['gdpr-security-02'] === 'Legal', 'Test Failed: Domains should be assigned to their respondent.');
+        console.assert(owners['gdpr-security-01'] === 'IT', 'Test Failed: A question assigned by ID should win over a domain assignment.');
+        console.assert(owners['hipaa-admin-01'] === undefined, 'Test Failed: Unassigned questions should have no respondent.');
+        let unknownDomainRejected = false;
+        try { createAssignments([{ respondent: 'IT', domains: ['HIPAA::Technical'] }]); } catch (e) { unknownDomainRejected = true; }
+        console.assert(unknownDomainRejected, 'Test Failed: Unknown domains should be rejected.');
+        let sharedDomainRejected = false;
+        try { createAssignments([{ respondent: 'IT', domains: ['HIPAA::Technical Safeguards'] }, { respondent: 'Legal', domains: ['HIPAA::Technical Safeguards'] }]); } catch (e) { sharedDomainRejected = /both "IT" and "Legal"/.test(e.message); }
+        console.assert(sharedDomainRejected, 'Test Failed: A domain assigned to two respondents should be rejected.');
+
+        const itFile = createPartialAnswers({ 'hipaa-tech-01': true, 'gdpr-security-01': 'full', 'hipaa-admin-01': true, 'hipaa-scope-entity': 'covered_entity' }, { respondent: 'IT', assignments, now: new Date('2026-05-01T10:00:00Z') });
+        console.assert(itFile.kind === 'partial-answers' && !('hipaa-admin-01' in itFile.answers) && itFile.answers['gdpr-security-01'] === 'full', 'Test Failed: A partial file should only carry the respondent\'s questions.');
+        const legalImport = parseAnswersImport(JSON.stringify(createPartialAnswers({ 'gdpr-security-01': 'some', 'gdpr-security-02': 'tested', 'gdpr-rights-01': true }, { respondent: 'Legal', assignments: [{ respondent: 'Legal', domains: ['GDPR::Security of Processing', 'GDPR::Data Subject Rights'] }] })));
+        console.assert(legalImport.source === 'partial' && legalImport.respondent === 'Legal' && legalImport.assignments.length === 1, 'Test Failed: Partial files should be recognised on import.');
+        console.assert(legalImport.answers['gdpr-rights-01'] === 30 && legalImport.attribution['gdpr-rights-01'] === 'Legal', 'Test Failed: Partial files should be migrated and attributed.');
+
+        const merge = mergePartialAnswers([itFile, legalImport]);
+        console.assert(itFile.answers['hipaa-scope-entity'] === 'covered_entity' && !itFile.questionIds.includes('hipaa-scope-entity'), 'Test Failed: Partial files should carry the scoping answers as context.');
+        console.assert(merge.conflicts.length === 1 && merge.conflicts[0].questionId === 'gdpr-security-01', 'Test Failed: Different answers to one question should conflict.');
+        console.assert(merge.answers['hipaa-scope-entity'] === 'covered_entity' && !('hipaa-scope-entity' in merge.attribution), 'Test Failed: Scoping answers should be merged without attribution.');
+        const legalScoped = { ...legalImport, answers: { ...legalImport.answers, 'hipaa-scope-entity': 'neither' } };
+        const scopingConflict = mergePartialAnswers([itFile, legalScoped]).conflicts.find(c => c.questionId === 'hipaa-scope-entity');
+        console.assert(scopingConflict && scopingConflict.candidates.length === 2, 'Test Failed: Respondents disagreeing on scope should conflict.');
+        console.assert(!('gdpr-security-01' in merge.answers) && merge.attribution['gdpr-security-02'] === 'Legal' && merge.attribution['hipaa-tech-01'] === 'IT', 'Test Failed: Agreed answers should be merged with attribution.');
+        const newerIt = { ...itFile, answers: { ...itFile.answers, 'gdpr-security-01': 'some' }, exportedAtISO: '2026-05-02T10:00:00Z' };
+        console.assert(mergePartialAnswers([itFile, legalImport, newerIt]).conflicts.length === 0, 'Test Failed: A respondent\'s newer file should replace the older one.');
+        const resolved = resolveAnswerConflicts(merge, { 'gdpr-security-01': 'Legal' });
+        console.assert(resolved.conflicts.length === 0 && resolved.answers['gdpr-security-01'] === 'some' && resolved.attribution['gdpr-security-01'] === 'Legal', 'Test Failed: Resolving should take the chosen respondent\'s answer.');
+        let badResolutionRejected = false;
+        try { resolveAnswerConflicts(merge, { 'gdpr-security-01': 'Facilities' }); } catch (e) { badResolutionRejected = true; }
+        console.assert(badResolutionRejected, 'Test Failed: Only respondents who answered can be chosen.');
+
+        const attributedReport = generateReport(evaluateAnswers(resolved.answers, { attribution: resolved.attribution }));
+        const attributedFinding = attributedReport.findings.find(f => f.id === 'gdpr-security-01');
+        console.assert(attributedFinding.answeredBy === 'Legal' && attributedReport.findings.find(f => f.id === 'hipaa-admin-01').answeredBy === null, 'Test Failed: Findings should name the respondent.');
+        console.assert(attributedReport.respondents.some(r => r.respondent === 'IT' && r.answered === 1), 'Test Failed: The report should count answers per respondent.');
+        console.assert(formatReport(attributedReport, 'markdown').includes('**Answered by:** Legal') && formatReport(attributedReport, 'csv').split(/\r?\n/)[0].endsWith('Answered by'), 'Test Failed: Exports should attribute answers.');
+        console.assert(parseAnswersImport(formatReport(attributedReport, 'json')).attribution['gdpr-security-01'] === 'Legal', 'Test Failed: Attribution should survive a report round trip.');
+        console.log('✔️ Test 22: Multi-respondent assessments successful.');
+
+        // Test 23: Hash-chained answer change log
+        const at = new Date('2026-06-01T09:00:00Z');
+        let answerLog = await recordAnswerChanges([], { 'hipaa-admin-01': false, 'hipaa-tech-02': ['devices'] }, { author: 'Dana', at });
+        console.assert(answerLog.length === 2 && answerLog[0].previousHash === '0'.repeat(64) && answerLog[1].previousHash === answerLog[0].hash && /^[0-9a-f]{64}$/.test(answerLog[1].hash), 'Test Failed: Entries should be hash-chained.');
+        console.assert((await recordAnswerChanges(answerLog, { 'hipaa-admin-01': false, 'hipaa-tech-02': ['devices'] }, { author: 'Dana' })).length === 2, 'Test Failed: Unchanged answers should not be logged.');
+        answerLog = await recordAnswerChanges(answerLog, { 'hipaa-admin-01': true, 'hipaa-tech-02': ['devices'] }, { author: 'Sam', justification: 'Security official appointed', at });
+        const lastChange = answerLog[answerLog.length - 1];
+        console.assert(lastChange.oldValue === false && lastChange.newValue === true && lastChange.author === 'Sam' && lastChange.justification === 'Security official appointed', 'Test Failed: A change should record the old and new answer, author, and justification.');
+        const loggedReport = generateReport(evaluateAnswers({ 'hipaa-admin-01': true, 'hipaa-tech-02': ['devices'] }), { answerLog });
+        console.assert((await verifyAnswerLog(loggedReport.answerLog, loggedReport)).valid, 'Test Failed: An untouched log should verify against its report.');
+        console.assert(formatReport(loggedReport, 'markdown').includes(lastChange.hash) && formatReport(loggedReport, 'html').includes('Security official appointed'), 'Test Failed: Exports should include the change log.');
+        const tampered = answerLog.map(entry => ({ ...entry }));
+        tampered[0].newValue = true;
+        console.assert((await verifyAnswerLog(tampered)).problems.some(p => p.code === 'broken_hash' && p.sequence === 1), 'Test Failed: Editing an entry should break its hash.');
+        console.assert((await verifyAnswerLog(answerLog.slice(1))).problems.some(p => p.code === 'broken_link'), 'Test Failed: Removing an entry should break the chain.');
+        const mismatch = await verifyAnswerLog(answerLog, { answers: { 'hipaa-admin-01': false, 'hipaa-tech-02': ['devices'] } });
+        console.assert(!mismatch.valid && mismatch.problems.some(p => p.code === 'answer_mismatch' && p.questionId === 'hipaa-admin-01'), 'Test Failed: Answers that differ from the end of the log should be reported.');
+        const removed = await recordAnswerChanges(answerLog, { 'hipaa-tech-02': ['devices'] }, { author: 'Sam' });
+        console.assert(removed[removed.length - 1].newValue === null && (await verifyAnswerLog(removed, { answers: { 'hipaa-tech-02': ['devices'] } })).valid, 'Test Failed: Removed answers should be logged as null.');
+        console.assert(parseAnswersImport(formatReport(loggedReport, 'json')).answerLog.length === answerLog.length, 'Test Failed: The change log should survive a report round trip.');
+        console.log('✔️ Test 23: Answer change log successful.');
+
+        // Test 24: Target profiles and gap to target
+        const targetProfile = createTargetProfile({
+            name: 'FY27 target',
+            deadline: '2000-01-01',
+            overall: 10,
+            standards: { HIPAA: 80 },
+            domains: { 'HIPAA::Technical Safeguards': { minScore: 85, deadline: '2999-12-31' } },
+            questions: { 'hipaa-tech-02': ['at_rest'], 'gdpr-security-02': 'implemented' }
+        });
+        console.assert(targetProfile.standards.HIPAA.minScore === 80 && targetProfile.standards.HIPAA.deadline === null && JSON.stringify(createTargetProfile(targetProfile)) === JSON.stringify(targetProfile), 'Test Failed: Target profiles should expand bare scores and be safe to create again.');
+        for (const invalid of [{}, { standards: { HIPAA: 120 } }, { domains: { 'HIPAA::Nowhere': 50 } }, { questions: { 'hipaa-tech-01': 'yes' } }, { overall: 50, deadline: 'next year' }]) {
+            let rejected = false;
+            try { createTargetProfile(invalid); } catch (error) { rejected = true; }
+            console.assert(rejected, `Test Failed: The target profile ${JSON.stringify(invalid)} should be rejected.`);
+        }
+        const targetReport = generateReport(evaluateAnswers({
+            'hipaa-tech-01': false, 'hipaa-tech-02': ['at_rest', 'in_transit'], 'hipaa-tech-03': true, 'hipaa-tech-04': true, 'hipaa-tech-05': false, 'hipaa-tech-06': true,
+            'gdpr-security-02': 'tested'
+        }), { target: targetProfile });
+        const goal = (kind, key) => targetReport.gapToTarget.targets.find(t => t.kind === kind && (key === undefined || t.standard === key || t.questionId === key));
+        const techGoal = goal('domain', 'HIPAA');
+        console.assert(techGoal.status === 'not_met' && techGoal.gap === 85 - techGoal.scorePercent && !techGoal.overdue && techGoal.deadline === '2999-12-31', 'Test Failed: A domain below its target should report the gap and its own deadline.');
+        console.assert(techGoal.blockingFindingIds[0] === 'hipaa-tech-01' && techGoal.blockingFindingIds.includes('hipaa-tech-05') && !techGoal.blockingFindingIds.includes('hipaa-tech-03'), 'Test Failed: Blocking findings should be the domain\'s findings, largest gap first.');
+        console.assert(goal('standard', 'HIPAA').overdue && goal('standard', 'HIPAA').deadline === '2000-01-01' && goal('overall').status === 'met', 'Test Failed: Targets without a deadline should use the profile\'s and be overdue once it passed.');
+        console.assert(goal('question', 'hipaa-tech-02').status === 'met' && goal('question', 'gdpr-security-02').status === 'met', 'Test Failed: A selection including the required items, or a better answer, should meet a question target.');
+        console.assert(!targetReport.gapToTarget.met && targetReport.gapToTarget.total === 5 && targetReport.gapToTarget.metCount === 3, 'Test Failed: The gap to target should count the targets met.');
+        console.assert(techGoal.summary === `${formatPercentText(techGoal.scorePercent, 0)} of the 85% target`, 'Test Failed: Score targets should be summarized for leadership.');
+        const targetHtml = formatReport(targetReport, 'html');
+        console.assert(formatReport(targetReport, 'markdown').includes('## Gap to target') && targetHtml.includes('target 85%') && targetHtml.includes('<line '), 'Test Failed: Exports should show the gap to target and target markers.');
+        console.assert(generateReport(evaluateAnswers({}), {}).gapToTarget === null, 'Test Failed: Reports without a target profile should have no gap to target.');
+        console.log('✔️ Test 24: Target profiles successful.');
+
+        // Test 25: Score explanation and score gain per finding
+        const explainedAnswers = { 'hipaa-tech-01': false, 'hipaa-tech-02': ['at_rest'], 'hipaa-tech-03': true, 'gdpr-security-02': 'documented', 'gdpr-rights-01': 1 };
+        const explainedEvaluation = evaluateAnswers(explainedAnswers);
+        const explanation = explainScores(explainedEvaluation);
+        const close = (a, b) => Math.abs(a - b) < 1e-9;
+        const contributionSum = (filter, key) => explanation.questions.filter(filter).reduce((sum, q) => sum + q.contribution[key], 0);
+        console.assert(close(contributionSum(() => true, 'overall'), explainedEvaluation.overallScore)
+            && close(contributionSum(q => q.standard === 'GDPR', 'standard'), explainedEvaluation.perStandard.GDPR)
+            && close(contributionSum(q => q.standard === 'HIPAA' && q.domain === 'Technical Safeguards', 'domain'), explainedEvaluation.perStandardDomain.HIPAA['Technical Safeguards']), 'Test Failed: Question contributions should add up to each score.');
+        console.assert(explanation.questions.every(q => explainedEvaluation.items.find(item => item.questionId === q.questionId).applicable), 'Test Failed: Inapplicable questions should be left out of the explanation.');
+        const encryptionGain = explanation.questions.find(q => q.questionId === 'hipaa-tech-02');
+        const fixedEvaluation = evaluateAnswers({ ...explainedAnswers, 'hipaa-tech-02': encryptionGain.fixAnswer });
+        console.assert(close(fixedEvaluation.overallScore - explainedEvaluation.overallScore, encryptionGain.gain.overall)
+            && close(fixedEvaluation.perStandard.HIPAA - explainedEvaluation.perStandard.HIPAA, encryptionGain.gain.standard)
+            && close(fixedEvaluation.perStandardDomain.HIPAA['Technical Safeguards'] - explainedEvaluation.perStandardDomain.HIPAA['Technical Safeguards'], encryptionGain.gain.domain), 'Test Failed: Fixing a question should raise each score by its gain.');
+        const explainedReport = generateReport(explainedEvaluation);
+        const encryptionGapFinding = explainedReport.findings.find(f => f.id === 'hipaa-tech-02');
+        console.assert(encryptionGapFinding.scoreGain.overall === encryptionGain.gain.overall
+            && close(encryptionGapFinding.gainPerEffort, encryptionGain.gain.overall / (EFFORT_LEVELS.indexOf(encryptionGapFinding.estimatedEffort) + 1)), 'Test Failed: Findings should carry their score gain and gain per effort.');
+        console.assert(explainedReport.findings.every(f => f.scoreGain.overall > 0) && formatReport(explainedReport, 'markdown').includes('Score gain if fixed'), 'Test Failed: Every finding should gain points when fixed, and exports should say how many.');
+        console.log('✔️ Test 25: Score explanation successful.');
+
+        // Test 26: Report charts
+        const chartReport = generateReport(evaluateAnswers({ 'hipaa-admin-01': true, 'hipaa-tech-01': false, 'gdpr-security-01': 'some' }));
+        const earlierChartReport = { ...chartReport, overallScore: 10, meta: { ...chartReport.meta, generatedAtISO: '2020-01-01T00:00:00.000Z' } };
+        const laterChartReport = { ...chartReport, meta: { ...chartReport.meta, generatedAtISO: '2999-01-01T00:00:00.000Z' } };
+        const charts = createReportCharts(chartReport, { history: [laterChartReport, chartReport, earlierChartReport] });
+        console.assert(JSON.stringify(charts.map(c => c.kind)) === JSON.stringify(['radar', 'radar', 'stacked_bar', 'line']), 'Test Failed: Reports should chart domain scores per standard, findings by severity and the score trend.');
+        console.assert(charts.every(c => c.svg.startsWith('<svg') && c.svg.includes(`aria-labelledby="${c.id}-title ${c.id}-desc"`) && c.svg.includes(`<desc id="${c.id}-desc">`) && c.table.rows.length > 0), 'Test Failed: Every chart should carry a text alternative and a data table.');
+        const trendChart = charts.find(c => c.kind === 'line');
+        console.assert(trendChart.table.rows.length === 2 && trendChart.table.rows[0][1] === '10%' && trendChart.table.headers.join() === 'Date,Overall,HIPAA,GDPR', 'Test Failed: The trend should leave out later and duplicate reports, oldest first.');
+        const barChart = charts.find(c => c.kind === 'stacked_bar');
+        console.assert(barChart.table.rows.reduce((total, row) => total + Number(row[row.length - 1]), 0) === chartReport.findings.length, 'Test Failed: The stacked bars should count every finding.');
+        console.assert(createReportCharts(chartReport).every(c => c.kind !== 'line'), 'Test Failed: Without history there should be no trend chart.');
+        const chartHtml = formatReport(chartReport, 'html', { history: [earlierChartReport] });
+        console.assert(chartHtml.includes('<h2>Charts</h2>') && chartHtml.includes('class="chart-data"') && formatReport(chartReport, 'markdown', { history: [earlierChartReport] }).includes('## Scores across assessments') && !formatReport(chartReport, 'markdown').includes('## Scores across assessments'), 'Test Failed: Exports should include the charts and, given history, the score trend.');
+        console.log('✔️ Test 26: Report charts successful.');
+
         console.log('%cAll tests passed!', 'color: green; font-weight: bold;');
         
     } catch (e) {
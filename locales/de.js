@@ -0,0 +1,941 @@
+/**
+ * German translations for the Compliance Readiness Checker.
+ * Register with `registerLocale('de', de)`; anything not translated here is shown in English.
+ */
+export default {
+    name: 'Deutsch',
+    messages: {
+        'disclaimer': 'Dieses Werkzeug bietet allgemeine Orientierung zur Umsetzungsreife und ist keine Rechtsberatung. Wenden Sie sich für Compliance-Fragen an qualifizierte Rechtsberatung.',
+        'answer.yes': 'Ja',
+        'answer.no': 'Nein',
+        'classification.High': 'Hoch',
+        'classification.Moderate': 'Mittel',
+        'classification.Low': 'Niedrig',
+        'severity.High': 'Hoch',
+        'severity.Medium': 'Mittel',
+        'severity.Low': 'Niedrig',
+        'severity.raised': 'Durch das Organisationsprofil von {severity} angehoben: {factors}.',
+        'severity.lowered': 'Durch das Organisationsprofil von {severity} abgesenkt: {factors}.',
+        'organization.size': 'Größe',
+        'organization.size.small': 'Klein',
+        'organization.size.medium': 'Mittel',
+        'organization.size.large': 'Groß',
+        'organization.recordVolume': 'Datensatzvolumen',
+        'organization.recordVolume.low': 'Gering',
+        'organization.recordVolume.medium': 'Mittel',
+        'organization.recordVolume.high': 'Hoch',
+        'organization.sensitivity': 'Sensible Daten',
+        'organization.sensitivity.phi': 'Geschützte Gesundheitsinformationen (PHI)',
+        'organization.sensitivity.special_category': 'Besondere Kategorien (Art. 9)',
+        'organization.sensitivity.children': 'Daten von Kindern',
+        'organization.sensitivity.none': 'Keine',
+        'organization.processingScale': 'Verarbeitungsumfang',
+        'organization.processingScale.limited': 'Begrenzt',
+        'organization.processingScale.regular': 'Üblich',
+        'organization.processingScale.large_scale': 'Umfangreich',
+        'organization.factor': '{label}: {value} (×{multiplier})',
+        'scope.inScope': '{standard} ist anwendbar: {basis}.',
+        'scope.outOfScope': '{standard} ist nicht anwendbar: {basis}.',
+        'scope.assumed': '{standard} wird als anwendbar angenommen, da die Fragen zum Anwendungsbereich nicht beantwortet sind.',
+        'scope.always': '{standard} ist immer anwendbar.',
+        'scope.domainExcluded': '{domain} ist nicht anwendbar: {basis}.',
+        'scope.basis': '„{question}“ — {answer}',
+        'effort.Low': 'Gering',
+        'effort.Medium': 'Mittel',
+        'effort.High': 'Hoch',
+        'observed.yesNo': 'Die geforderte Maßnahme oder Richtlinie („{question}“) ist nicht vorhanden oder nicht vollständig umgesetzt.',
+        'observed.scaleAdHoc': 'Der Prozess zu „{question}“ läuft ad hoc oder ist nicht formal festgelegt.',
+        'observed.scalePartial': 'Der Prozess zu „{question}“ ist etabliert, aber möglicherweise nicht formal dokumentiert oder nicht durchgängig umgesetzt.',
+        'observed.multiple': 'Die aktuelle Umsetzung zu „{question}“ erfüllt die Anforderungen nicht vollständig.',
+        'observed.generic': 'Es wurde eine Compliance-Lücke festgestellt.',
+        'observed.maturity': '„{question}“ steht auf der Stufe {level}; volle Punktzahl erfordert {target}.',
+        'observed.checklist': 'Bei „{question}“ fehlt: {missing}.',
+        'observed.numeric': 'Bei „{question}“ lautete die Antwort {answer}; volle Punktzahl erfordert {target}.',
+        'answer.noneSelected': 'Nichts davon',
+        'maturity.initial': 'Initial',
+        'maturity.documented': 'Dokumentiert',
+        'maturity.implemented': 'Umgesetzt',
+        'maturity.tested': 'Geprüft',
+        'maturity.optimized': 'Optimiert',
+        'numeric.atMost': 'höchstens {value}',
+        'numeric.atLeast': 'mindestens {value}',
+        'numeric.between': '{min} bis {max}',
+        'numeric.any': 'beliebiger Wert',
+        'strength': 'Wirksame Maßnahmen vorhanden für: {question}',
+        'quickWin': '{step} ({standard} {domain})',
+        'next30Days.action': 'Schließen Sie die Lücken ({counts}) in {standard} {domain} (derzeit {score}). Beginnen Sie mit: {step}',
+        'next30Days.count': '{count} × {severity}',
+        'commonControl.action': '{name}: Eine Maßnahme behebt {count} Feststellung(en) in {standards}.',
+        'quickWins.generic': [
+            'Überprüfen und aktualisieren Sie die Schulungsunterlagen zur Sicherheitssensibilisierung der Beschäftigten.',
+            'Stellen Sie sicher, dass alle Zutrittsprotokolle der Gebäude regelmäßig ausgewertet werden.',
+            'Planen Sie eine Planspielübung, um Ihr Verfahren zur Meldung von Datenschutzverletzungen zu testen.',
+            'Bestätigen Sie, dass mit allen Dienstleistern, die sensible Daten verarbeiten, ein unterzeichneter AVV/BAA vorliegt.',
+            'Stellen Sie sicher, dass Ihre öffentliche Datenschutzerklärung alle aktuellen Verarbeitungstätigkeiten korrekt beschreibt.'
+        ],
+        'next30Days.generic': [
+            'Bearbeiten Sie alle Feststellungen mit hoher Schwere und beginnen Sie mit einem formalen Projektplan.',
+            'Führen Sie eine gezielte Risikobewertung für die Bereiche mit den niedrigsten Werten durch.',
+            'Legen Sie für jeden Abhilfeschritt aus dem Bericht Verantwortliche und Fristen fest.',
+            'Überprüfen Sie die Auftragsverarbeitungsverträge mit wichtigen Dienstleistern und setzen Sie sie durch.',
+            'Planen Sie eine Folgebewertung, um den Fortschritt zu messen.'
+        ],
+        'remediation.safeguards': [
+            'Erstellen und genehmigen Sie eine formale Richtlinie zu „{citation}“.',
+            'Setzen Sie technische oder organisatorische Maßnahmen um, die die neue Richtlinie durchsetzen.',
+            'Schulen Sie alle betroffenen Beschäftigten zur neuen Richtlinie und den Verfahren.',
+            'Planen Sie eine regelmäßige Überprüfung (z. B. jährlich), damit die Maßnahme wirksam bleibt.'
+        ],
+        'remediation.breach': [
+            'Erstellen Sie eine formale Richtlinie zur Meldung von Datenschutzverletzungen und einen Incident-Response-Plan.',
+            'Legen Sie Rollen und Verantwortlichkeiten des Incident-Response-Teams fest.',
+            'Simulieren Sie in einer Planspielübung eine Datenschutzverletzung und testen Sie den Plan.',
+            'Bereiten Sie Vorlagen für die interne und externe Kommunikation bei Datenschutzverletzungen vor.'
+        ],
+        'remediation.rights': [
+            'Richten Sie ein öffentlich zugängliches Formular für Anfragen betroffener Personen ein.',
+            'Erstellen Sie eine interne Anleitung zum Auffinden, Abrufen und Zusammenstellen personenbezogener Daten.',
+            'Schulen Sie Kundenservice und Betrieb zum Ablauf und zu den Fristen bei Auskunftsersuchen.',
+            'Führen Sie ein Tracking-System ein, um den Status aller eingehenden Anfragen zu verfolgen.'
+        ],
+        'remediation.default': [
+            'Prüfen Sie die Anforderung unter „{citation}“, um die konkreten Pflichten zu verstehen.',
+            'Führen Sie eine detaillierte Gap-Analyse gegenüber der Anforderung durch.',
+            'Erstellen Sie einen Maßnahmenplan mit Zeitplan und Verantwortlichen.'
+        ],
+        'evidence.administrative': [
+            'Dokumentierte Risikoanalyse',
+            'Handbuch der Informationssicherheitsrichtlinien und -verfahren',
+            'Schulungsnachweise und -unterlagen der Beschäftigten',
+            'Sanktionsrichtlinie',
+            'Notfallplan und Testergebnisse'
+        ],
+        'evidence.physical': [
+            'Zutrittsprotokolle der Gebäude',
+            'Besucherlisten',
+            'Fotos physischer Sicherheitsmaßnahmen (z. B. verschlossene Türen, Serverkäfige)',
+            'Entsorgungsnachweise für Datenträger / Vernichtungszertifikate',
+            'Richtlinie zur Arbeitsplatzsicherheit'
+        ],
+        'evidence.technical': [
+            'System-Audit-Logs (z. B. Zugriffe, Änderungen)',
+            'Berichte zur Überprüfung von Benutzerberechtigungen',
+            'Nachweis der Verschlüsselung (z. B. Screenshots der Konfiguration)',
+            'Passwortrichtlinie',
+            'Berichte des Intrusion-Detection-Systems'
+        ],
+        'evidence.rights': [
+            'Öffentliche Datenschutzerklärung',
+            'Verzeichnis von Verarbeitungstätigkeiten (VVT)',
+            'Beispielantwort auf ein Auskunftsersuchen',
+            'Screenshots und Nachweise der Einwilligungserfassung',
+            'Berichte zu Datenschutz-Folgenabschätzungen (DSFA)'
+        ],
+        'evidence.default': [
+            'Relevante Richtliniendokumente',
+            'Verfahrensanweisungen oder Ablaufdiagramme',
+            'Screenshots der Systemkonfiguration',
+            'Berichte über abgeschlossene Schulungen',
+            'Sitzungsprotokolle, in denen das Thema besprochen und genehmigt wurde'
+        ],
+        'format.title': '{appName} – Bericht',
+        'format.generated': 'Erstellt am {date}',
+        'format.version': 'Version {version}',
+        'format.scoringProfile': 'Bewertungsprofil',
+        'format.organizationProfile': 'Organisationsprofil',
+        'format.severityAdjustment': 'Anpassung der Schwere',
+        'format.overall': 'Gesamt',
+        'format.overallReadiness': 'Gesamtreife',
+        'format.classification': 'Einstufung',
+        'format.nothingInScope': 'Nichts im Anwendungsbereich. Nach den Antworten zum Anwendungsbereich gilt keine der unterstützten Vorschriften, daher gibt es nichts zu bewerten.',
+        'format.evidenceCoverage': 'Nachweisabdeckung',
+        'format.scoresByStandard': 'Ergebnisse nach Standard',
+        'format.scoresByDomain': 'Ergebnisse nach Bereich',
+        'format.charts': 'Diagramme',
+        'format.domainPerformance': 'Ergebnisse der Bereiche',
+        'format.standard': 'Standard',
+        'format.domain': 'Bereich',
+        'format.score': 'Ergebnis',
+        'format.notApplicable': 'Nicht anwendbar',
+        'format.strengths': 'Stärken',
+        'format.quickWins': 'Schnelle Erfolge',
+        'format.next30Days': 'Nächste 30 Tage',
+        'format.commonControls': 'Gemeinsame Maßnahmen',
+        'format.findings': 'Feststellungen',
+        'format.noFindings': 'Keine Feststellungen.',
+        'format.severityHeading': 'Schwere: {severity}',
+        'format.findingCount': '{count} Feststellung(en)',
+        'format.standardDomain': 'Standard / Bereich',
+        'format.citation': 'Fundstelle',
+        'format.observedStatus': 'Festgestellter Zustand',
+        'format.estimatedEffort': 'Geschätzter Aufwand',
+        'format.suggestedOwner': 'Vorgeschlagene Verantwortung',
+        'format.scoreGain': 'Punktgewinn bei Behebung',
+        'format.scoreGainValue': '+{overall} Punkte insgesamt, +{standard} für {standardName}, +{domain} für {domainName}',
+        'format.remediationSteps': 'Abhilfeschritte',
+        'format.evidenceToProvide': 'Vorzulegende Nachweise',
+        'format.unverifiedControls': 'Nicht belegte Maßnahmen',
+        'format.evidenceExpired': 'Nachweis abgelaufen',
+        'format.noEvidence': 'kein Nachweis',
+        'format.scopingRationale': 'Begründung des Anwendungsbereichs',
+        'format.respondents': 'Befragte',
+        'format.respondentAnswers': '{respondent}: {count} Antwort(en)',
+        'format.answeredBy': 'Beantwortet von',
+        'format.answerLog': 'Änderungsprotokoll der Antworten',
+        'format.answerLogSummary': '{count} Änderung(en). Hash des letzten Eintrags: {hash}',
+        'format.when': 'Zeitpunkt',
+        'format.question': 'Frage',
+        'format.change': 'Änderung',
+        'format.author': 'Autor/in',
+        'format.justification': 'Begründung',
+        'format.gapToTarget': 'Abstand zum Ziel',
+        'format.targetSummary': '{name}: {met} von {total} Ziel(en) erreicht.',
+        'format.target': 'Ziel',
+        'format.progress': 'Stand',
+        'format.status': 'Status',
+        'format.deadline': 'Frist',
+        'format.blockingFindings': 'Hindernde Feststellungen',
+        'format.targetMarker': 'Ziel {target}',
+        'target.scoreSummary': '{score} bei einem Ziel von {target}',
+        'target.answerSummary': '„{answer}“ angegeben, „{required}“ gefordert',
+        'target.unanswered': 'Nicht beantwortet, „{required}“ gefordert',
+        'target.gap': 'noch {points} Punkte',
+        'target.overdue': 'überfällig',
+        'target.status.met': 'Erreicht',
+        'target.status.not_met': 'Nicht erreicht',
+        'target.status.not_applicable': 'Nicht anwendbar',
+        'chart.domainScores': 'Ergebnisse der {standard}-Bereiche',
+        'chart.domainScores.description': 'Netzdiagramm mit {count} Bereichsergebnissen für {standard}, von {min} für {minDomain} bis {max} für {maxDomain}.',
+        'chart.findingsByDomain': 'Feststellungen nach Bereich und Schweregrad',
+        'chart.findingsByDomain.description': 'Gestapeltes Balkendiagramm mit {count} Feststellung(en) nach Schweregrad in {domains} Bereich(en). Die meisten hat {domain} mit {domainCount}.',
+        'chart.scoreTrend': 'Ergebnisse im Verlauf der Bewertungen',
+        'chart.scoreTrend.description': 'Liniendiagramm des Gesamtergebnisses und der Ergebnisse je Standard über {count} Bewertungen. Das Gesamtergebnis ging von {first} am {firstDate} zu {last} am {lastDate}.',
+        'chart.date': 'Datum',
+        'chart.total': 'Gesamt',
+        'breach.gdpr-record.title': 'Die Verletzung, ihre Auswirkungen und die ergriffenen Abhilfemaßnahmen dokumentieren',
+        'breach.gdpr-record.basis': 'Jede Verletzung des Schutzes personenbezogener Daten muss dokumentiert werden, auch wenn sie nicht gemeldet wird.',
+        'breach.gdpr-authority.title': 'Die Aufsichtsbehörde benachrichtigen',
+        'breach.gdpr-authority.notNeeded': 'Die Verletzung führt voraussichtlich nicht zu einem Risiko für die Betroffenen, daher ist keine Meldung nötig. Dokumentieren Sie die Begründung.',
+        'breach.gdpr-authority.due': 'Fällig 72 Stunden nach Bekanntwerden der Verletzung. Begründen Sie jede Verzögerung, wenn Sie später melden.',
+        'breach.gdpr-authority.dueUnassessed': 'Fällig 72 Stunden nach Bekanntwerden der Verletzung; das Risiko ist noch nicht bewertet, daher wird von einer Meldepflicht ausgegangen. Begründen Sie jede Verzögerung, wenn Sie später melden.',
+        'breach.gdpr-data-subjects.title': 'Die betroffenen Personen über die Verletzung benachrichtigen',
+        'breach.gdpr-data-subjects.required': 'Die Verletzung führt voraussichtlich zu einem hohen Risiko für die Betroffenen, daher müssen sie unverzüglich benachrichtigt werden.',
+        'breach.gdpr-data-subjects.notNeeded': 'Nur nötig, wenn die Verletzung voraussichtlich ein hohes Risiko für die Betroffenen zur Folge hat.',
+        'breach.gdpr-data-subjects.unassessed': 'Nur nötig, wenn die Verletzung voraussichtlich ein hohes Risiko für die Betroffenen zur Folge hat; bewerten Sie das Risiko, um das zu entscheiden.',
+        'breach.hipaa-risk-assessment.title': 'Die Vier-Faktoren-Risikobewertung durchführen und dokumentieren',
+        'breach.hipaa.lowProbability': 'Die Vier-Faktoren-Bewertung zeigt eine geringe Wahrscheinlichkeit, dass die PHI kompromittiert wurden, daher ist dies keine meldepflichtige Verletzung. Bewahren Sie die Bewertung auf.',
+        'breach.hipaa.unassessed': '{count} der vier Risikofaktoren sind noch nicht bewertet, daher wird der Vorfall als meldepflichtige Verletzung angenommen.',
+        'breach.hipaa.reportable': 'Die Vier-Faktoren-Bewertung zeigt keine geringe Wahrscheinlichkeit einer Kompromittierung, daher ist der Vorfall eine meldepflichtige Verletzung.',
+        'breach.hipaa-individuals.title': 'Die betroffenen Personen benachrichtigen',
+        'breach.hipaa-individuals.due': 'Ohne unangemessene Verzögerung und spätestens 60 Tage nach der Entdeckung.',
+        'breach.hipaa-hhs.title': 'Den Secretary of HHS benachrichtigen',
+        'breach.hipaa-hhs.due': '{count} Personen sind betroffen ({threshold} oder mehr), daher muss das HHS innerhalb von 60 Tagen nach der Entdeckung benachrichtigt werden.',
+        'breach.hipaa-hhs.annual': 'Weniger als {threshold} Personen sind betroffen, daher kann die Verletzung in das jährliche Protokoll aufgenommen werden, das innerhalb von 60 Tagen nach Ende des Kalenderjahres eingereicht wird.',
+        'breach.hipaa-media.title': 'Bekannte Medien benachrichtigen',
+        'breach.hipaa-media.notNeeded': 'Nur nötig, wenn mehr als {threshold} Einwohner eines Bundesstaats oder Gebiets betroffen sind.',
+        'breach.hipaa-media.state': 'Mehr als {threshold} Einwohner von {states} sind betroffen; benachrichtigen Sie die Medien dieses Bundesstaats innerhalb von 60 Tagen nach der Entdeckung.',
+        'breach.hipaa-media.states': 'Mehr als {threshold} Einwohner von {states} sind betroffen; benachrichtigen Sie die Medien dieser Bundesstaaten innerhalb von 60 Tagen nach der Entdeckung.',
+        'breach.hipaa-media.assumed': 'Mehr als {threshold} Personen sind betroffen und es gibt keine Aufschlüsselung nach Bundesstaat, daher wird eine Medienmitteilung innerhalb von 60 Tagen nach der Entdeckung als nötig angenommen.',
+        'incident.incident': 'Vorfall',
+        'incident.exercise': 'Planspiel',
+        'incident.id': 'ID',
+        'incident.discovered': 'Entdeckt',
+        'incident.jurisdictions': 'Rechtsordnungen',
+        'incident.affectedRecords': 'Betroffene Datensätze',
+        'incident.hipaaAssessment': 'HIPAA-Vier-Faktoren-Bewertung',
+        'incident.gdprRisk': 'DSGVO-Risiko für Betroffene',
+        'incident.notAssessed': 'nicht bewertet',
+        'incident.factor.nature': 'Art und Umfang der betroffenen PHI, einschließlich Identifikatoren und der Wahrscheinlichkeit einer Re-Identifizierung',
+        'incident.factor.recipient': 'Die unbefugte Person, die die PHI verwendet hat oder der sie offengelegt wurden',
+        'incident.factor.acquired': 'Ob die PHI tatsächlich erlangt oder eingesehen wurden',
+        'incident.factor.mitigated': 'Inwieweit das Risiko für die PHI gemindert wurde',
+        'incident.rating.low': 'gering',
+        'incident.rating.high': 'hoch',
+        'incident.gdprRisk.unlikely': 'führt voraussichtlich nicht zu einem Risiko',
+        'incident.gdprRisk.risk': 'Risiko',
+        'incident.gdprRisk.high': 'hohes Risiko',
+        'incident.deadlines': 'Fristen (Stand {date})',
+        'incident.due': 'fällig {date}',
+        'incident.withoutUndueDelay': 'unverzüglich',
+        'incident.status.done': 'erledigt {date}',
+        'incident.status.open': 'offen',
+        'incident.status.overdue': 'überfällig',
+        'incident.status.not_required': 'nicht erforderlich',
+        'incident.log': 'Protokoll',
+        'incident.time': 'Zeit',
+        'incident.event': 'Ereignis',
+        'incident.deadline': 'Frist',
+        'incident.note': 'Notiz'
+    },
+    frameworks: {
+        HIPAA: {
+            description: 'HIPAA Security Rule und Breach Notification Rule',
+            domains: {
+                'Administrative Safeguards': 'Administrative Schutzmaßnahmen',
+                'Physical Safeguards': 'Physische Schutzmaßnahmen',
+                'Technical Safeguards': 'Technische Schutzmaßnahmen',
+                'Breach Notification': 'Meldung von Datenschutzverletzungen'
+            },
+            domainIntros: {
+                'Administrative Safeguards': 'Schaffen Sie Governance, Richtlinien und Personalprogramme als Grundlage der HIPAA-Sicherheit.',
+                'Physical Safeguards': 'Schützen Sie Räume und Datenträger, in denen sensible Gesundheitsdaten liegen.',
+                'Technical Safeguards': 'Setzen Sie technische Maßnahmen zum Schutz elektronischer geschützter Gesundheitsinformationen (ePHI) ein.',
+                'Breach Notification': 'Seien Sie darauf vorbereitet, mögliche Datenschutzverletzungen schnell zu erkennen, zu bewerten und zu melden.'
+            }
+        },
+        GDPR: {
+            name: 'DSGVO',
+            description: 'EU-Datenschutz-Grundverordnung',
+            domains: {
+                'Lawful Basis and Transparency': 'Rechtsgrundlage und Transparenz',
+                'Data Subject Rights': 'Betroffenenrechte',
+                'DPIA and Records': 'DSFA und Verzeichnisse',
+                'Security of Processing': 'Sicherheit der Verarbeitung',
+                'Processors and DPAs': 'Auftragsverarbeiter und AVV',
+                'Breach Notification': 'Meldung von Datenschutzverletzungen',
+                'International Transfers': 'Internationale Übermittlungen'
+            },
+            domainIntros: {
+                'Lawful Basis and Transparency': 'Weisen Sie klare Rechtsgrundlagen und transparente Informationen für die Verarbeitung personenbezogener Daten nach.',
+                'Data Subject Rights': 'Etablieren Sie Abläufe, mit denen die Rechte von Personen an ihren Daten gewahrt werden.',
+                'DPIA and Records': 'Dokumentieren Sie Verarbeitungstätigkeiten und bewerten Sie Datenschutzrisiken von Vorhaben mit hohem Risiko.',
+                'Security of Processing': 'Stellen Sie sicher, dass technische und organisatorische Maßnahmen dem Risiko Ihrer Verarbeitung entsprechen.',
+                'Processors and DPAs': 'Steuern Sie Dienstleister mit durchsetzbaren Verträgen und sorgfältiger Prüfung.',
+                'Breach Notification': 'Seien Sie darauf vorbereitet, mögliche Datenschutzverletzungen schnell zu erkennen, zu bewerten und zu melden.',
+                'International Transfers': 'Kontrollieren Sie grenzüberschreitende Datenflüsse mit anerkannten Garantien und Dokumentation.'
+            }
+        }
+    },
+    commonControls: {
+        'vendor-agreements': {
+            name: 'Verträge mit Dienstleistern und Auftragsverarbeitern',
+            description: 'Eine Vertragsprüfung deckt HIPAA-Business-Associate-Agreements und DSGVO-Auftragsverarbeitungsverträge mit denselben Dienstleistern ab.'
+        },
+        'breach-response': {
+            name: 'Verfahren bei Datenschutzverletzungen',
+            description: 'Ein einziges Incident-Response-Verfahren kann die Meldeschritte und Fristen nach HIPAA und DSGVO abdecken.'
+        },
+        'breach-risk-assessment': {
+            name: 'Risikobewertung von Datenschutzverletzungen',
+            description: 'Dieselbe dokumentierte Risikobewertung entscheidet, ob Betroffene nach einer der beiden Regelungen benachrichtigt werden müssen.'
+        },
+        'encryption-and-security-measures': {
+            name: 'Verschlüsselung und Sicherheitsmaßnahmen',
+            description: 'Die Verschlüsselung regulierter Daten ist eine zentrale technische Schutzmaßnahme nach HIPAA und eine erwartete Maßnahme nach Art. 32 DSGVO.'
+        },
+        'security-risk-assessment': {
+            name: 'Sicherheitsrisikobewertung',
+            description: 'Eine regelmäßige Sicherheitsrisikobewertung erfüllt die HIPAA-Risikoanalyse und die Überprüfung der Sicherheitsmaßnahmen nach DSGVO.'
+        }
+    },
+    questions: {
+        'hipaa-scope-entity': {
+            text: 'Ist Ihre Organisation eine HIPAA Covered Entity oder ein Business Associate einer solchen?',
+            guidance: 'Covered Entities sind Krankenversicherungen, Clearingstellen im Gesundheitswesen und Leistungserbringer, die Gesundheitsdaten elektronisch übermitteln. Business Associates erstellen, empfangen, speichern oder übermitteln PHI im Auftrag einer Covered Entity.',
+            choices: { covered_entity: 'Covered Entity', business_associate: 'Business Associate', neither: 'Weder noch' }
+        },
+        'hipaa-admin-01': {
+            text: 'Haben Sie eine sicherheitsverantwortliche Person (Security Official) benannt, die Sicherheitsrichtlinien entwickelt und umsetzt?',
+            guidance: 'Eine bestimmte Person muss mit der Aufsicht über das Sicherheitsprogramm der Organisation betraut sein.',
+            remediation: [
+                'Benennen Sie schriftlich eine namentlich bestimmte sicherheitsverantwortliche Person mit dokumentierter Vertretung.',
+                'Erstellen Sie eine Rollenbeschreibung, die Richtlinienverantwortung, Risikomanagement und Aufsicht über Sicherheitsvorfälle umfasst.',
+                'Teilen Sie die Benennung den Beschäftigten mit und halten Sie sie im Handbuch der Sicherheitsrichtlinien fest.'
+            ],
+            evidence: [
+                'Unterzeichnetes Benennungsschreiben oder Beschluss der Geschäftsleitung',
+                'Stellenbeschreibung der sicherheitsverantwortlichen Person',
+                'Organigramm mit der Sicherheitsrolle'
+            ],
+            ownerRole: 'Geschäftsleitung'
+        },
+        'hipaa-admin-02': {
+            text: 'Wie häufig finden Sicherheitssensibilisierung und Schulungen für die Beschäftigten statt?',
+            guidance: 'Regelmäßige Schulungen sind für alle Beschäftigten vorgeschrieben, die mit ePHI arbeiten.',
+            choices: { 0: 'Nie oder ad hoc', 1: 'Gelegentlich', 2: 'Mindestens jährlich und beim Onboarding' },
+            remediation: [
+                'Legen Sie einen Sensibilisierungslehrplan zu Phishing, Passwörtern, Schadsoftware und der Meldung von Vorfällen fest.',
+                'Schreiben Sie Schulungen beim Onboarding (vor dem ePHI-Zugriff) und danach mindestens jährlich vor.',
+                'Erfassen Sie den Abschluss in einem LMS oder Schulungsprotokoll und fassen Sie bei überfälligen Beschäftigten nach.',
+                'Versenden Sie zwischen den formalen Schulungen regelmäßige Sicherheitshinweise.'
+            ],
+            evidence: [
+                'Schulungsunterlagen und Lehrplan',
+                'Schulungsnachweise mit Datum',
+                'Kopien regelmäßiger Sicherheitshinweise'
+            ],
+            ownerRole: 'Sicherheitsverantwortliche Person'
+        },
+        'hipaa-admin-03': {
+            text: 'Verfügen Sie über einen formalen, dokumentierten Prozess für Risikoanalyse und Risikomanagement?',
+            guidance: 'Sie müssen mögliche Risiken und Schwachstellen für ePHI genau und gründlich bewerten.',
+            remediation: [
+                'Erfassen Sie alle Systeme, Geräte und Dienstleister, die ePHI erstellen, empfangen, speichern oder übertragen.',
+                'Ermitteln Sie Bedrohungen und Schwachstellen je Asset und bewerten Sie Eintrittswahrscheinlichkeit und Auswirkung.',
+                'Dokumentieren Sie einen Risikobehandlungsplan, der jedem wesentlichen Risiko Maßnahmen, Verantwortliche und Fristen zuordnet.',
+                'Wiederholen Sie die Risikoanalyse mindestens jährlich und nach größeren System- oder Geschäftsänderungen.'
+            ],
+            evidence: [
+                'Dokumentierte Risikoanalyse',
+                'Inventar der ePHI-Assets',
+                'Risikobehandlungsplan und Risikoregister'
+            ],
+            ownerRole: 'Sicherheitsverantwortliche Person'
+        },
+        'hipaa-admin-04': {
+            text: 'Gibt es eine dokumentierte Sanktionsrichtlinie für Beschäftigte, die Sicherheitsrichtlinien nicht einhalten?',
+            guidance: 'Verstöße gegen Richtlinien müssen Konsequenzen haben.',
+            remediation: [
+                'Erstellen Sie eine Sanktionsrichtlinie mit abgestuften Konsequenzen für Verstöße gegen Sicherheitsrichtlinien.',
+                'Lassen Sie die Richtlinie von Personalabteilung und Geschäftsleitung genehmigen und nehmen Sie sie ins Mitarbeiterhandbuch auf.',
+                'Dokumentieren Sie jede verhängte Sanktion mit Verstoß und ergriffener Maßnahme.'
+            ],
+            evidence: [
+                'Sanktionsrichtlinie',
+                'Unterzeichnete Kenntnisnahmen der Beschäftigten',
+                'Protokoll verhängter Sanktionen'
+            ],
+            ownerRole: 'Personalabteilung'
+        },
+        'hipaa-phys-01': {
+            text: 'Sind Ihre Räumlichkeiten mit ePHI-Systemen physisch gegen unbefugten Zutritt gesichert?',
+            guidance: 'Dazu gehören Türschlösser, Alarmanlagen und Besucheranmeldung für sensible Bereiche.',
+            remediation: [
+                'Installieren Sie Schlösser, Ausweisleser oder Alarmanlagen an Räumen und Gebäuden mit ePHI-Systemen.',
+                'Führen Sie Besucheranmeldung und Begleitung für sensible Bereiche ein.',
+                'Dokumentieren Sie einen Sicherheitsplan für die Räumlichkeiten und werten Sie Zutrittsprotokolle regelmäßig aus.'
+            ],
+            evidence: [
+                'Sicherheitsplan für die Räumlichkeiten',
+                'Besucherlisten',
+                'Fotos physischer Sicherheitsmaßnahmen (z. B. verschlossene Türen, Serverkäfige)'
+            ],
+            ownerRole: 'Gebäudemanagement'
+        },
+        'hipaa-phys-02': {
+            text: 'Gibt es Richtlinien, die den Zutritt von Personen zu Räumlichkeiten nach ihrer Rolle steuern und überprüfen?',
+            guidance: 'Zutritt sollte nur nach dem Need-to-know-Prinzip gewährt werden.',
+            remediation: [
+                'Legen Sie fest, welche Rollen Zutritt zu welchen Gebäuden und Bereichen benötigen.',
+                'Vergeben Sie Ausweise oder Schlüssel nach Rolle und entziehen Sie sie bei Austritt oder Rollenwechsel umgehend.',
+                'Überprüfen Sie Zutrittsrechte mindestens vierteljährlich.'
+            ],
+            evidence: [
+                'Richtlinie zur Zutrittskontrolle',
+                'Zutrittsprotokolle der Gebäude',
+                'Nachweise der Zutrittsüberprüfungen'
+            ],
+            ownerRole: 'Gebäudemanagement'
+        },
+        'hipaa-phys-03': {
+            text: 'Gibt es Richtlinien für die sichere Entsorgung und Wiederverwendung elektronischer Datenträger mit ePHI?',
+            guidance: 'Datenträger müssen vor der Entsorgung oder Wiederverwendung unlesbar gemacht werden.',
+            remediation: [
+                'Erstellen Sie ein Verfahren zur Entsorgung und Wiederverwendung von Datenträgern, das sicheres Löschen oder physische Zerstörung vorschreibt.',
+                'Nutzen Sie für alle Laufwerke und Geräte einen zertifizierten Entsorgungsdienstleister oder freigegebene Löschwerkzeuge.',
+                'Führen Sie für jedes entsorgte oder neu ausgegebene Gerät ein Protokoll oder Vernichtungszertifikat.'
+            ],
+            evidence: [
+                'Richtlinie zur Entsorgung und Wiederverwendung von Datenträgern',
+                'Entsorgungsnachweise für Datenträger / Vernichtungszertifikate',
+                'Löschprotokolle wiederverwendeter Geräte'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'hipaa-tech-01': {
+            text: 'Wird der Zugriff auf Systeme mit ePHI über eindeutige Benutzerkennungen gesteuert?',
+            guidance: 'Gemeinsam genutzte oder generische Benutzerkonten sind für den Zugriff auf ePHI nicht zulässig.',
+            remediation: [
+                'Entfernen oder deaktivieren Sie gemeinsam genutzte und generische Konten auf allen Systemen mit ePHI.',
+                'Vergeben Sie an jede Person eine eigene Anmeldung und koppeln Sie Konten an den Ein-, Um- und Austrittsprozess der Personalabteilung.',
+                'Überprüfen Sie Benutzerkonten mindestens vierteljährlich und deaktivieren Sie inaktive oder verwaiste Konten.'
+            ],
+            evidence: [
+                'Kontenlisten mit eindeutigen Kennungen',
+                'Berichte zur Überprüfung von Benutzerberechtigungen',
+                'Verfahren für Ein-, Um- und Austritte'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'hipaa-tech-02': {
+            text: 'Wo werden ePHI verschlüsselt? Wählen Sie alle Bereiche aus, in denen Verschlüsselung eingesetzt wird.',
+            guidance: 'Verschlüsselung ist eine adressierbare Schutzmaßnahme, die umzusetzen ist, wenn sie angemessen ist.',
+            choices: { devices: 'Laptops, Desktops und Mobilgeräte', at_rest: 'Datenbanken und Dateifreigaben (gespeicherte Daten)', in_transit: 'E-Mail, APIs und andere Übertragungen (Daten in Übertragung)', backups: 'Backups' },
+            remediation: [
+                'Aktivieren Sie Festplattenverschlüsselung auf allen Laptops, Desktops und Mobilgeräten, die ePHI speichern.',
+                'Verschlüsseln Sie ePHI in Datenbanken, Dateifreigaben und Backups mit aktuellen Verfahren (z. B. AES-256).',
+                'Erzwingen Sie TLS 1.2 oder höher für ePHI bei der Übertragung, auch für E-Mail und APIs.',
+                'Dokumentieren Sie Verschlüsselungsentscheidungen einschließlich Alternativen bei adressierbaren Schutzmaßnahmen.'
+            ],
+            evidence: [
+                'Nachweis der Verschlüsselung (z. B. Screenshots der Konfiguration)',
+                'Compliance-Bericht zur Geräteverschlüsselung',
+                'Verschlüsselungsrichtlinie und Verfahren zur Schlüsselverwaltung'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'hipaa-tech-03': {
+            text: 'Sind Protokollierungsmechanismen (Logs) eingerichtet, die Aktivitäten in Informationssystemen mit ePHI aufzeichnen und auswertbar machen?',
+            guidance: 'Aktivitätsprotokolle sind entscheidend, um Sicherheitsvorfälle zu erkennen und darauf zu reagieren.',
+            remediation: [
+                'Aktivieren Sie Zugriffs- und Aktivitätsprotokollierung auf allen Systemen mit ePHI.',
+                'Führen Sie Logs zentral zusammen und schützen Sie sie vor Veränderung oder Löschung.',
+                'Legen Sie fest, wer Logs wie oft auswertet und wie Auffälligkeiten eskaliert werden.'
+            ],
+            evidence: [
+                'System-Audit-Logs (z. B. Zugriffe, Änderungen)',
+                'Konfiguration der Log-Aufbewahrung',
+                'Nachweise der Log-Auswertung'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'hipaa-tech-04': {
+            text: 'Sind ePHI vor unzulässiger Veränderung oder Zerstörung geschützt?',
+            guidance: 'Setzen Sie Maßnahmen zur Sicherung der Integrität von ePHI um, etwa Prüfsummen oder digitale Signaturen.',
+            remediation: [
+                'Ermitteln Sie, wo ePHI unbefugt verändert oder zerstört werden könnten.',
+                'Setzen Sie Integritätsmaßnahmen wie Prüfsummen, Datenbank-Constraints und schreibgeschützte Backups ein.',
+                'Überwachen Sie unerwartete Änderungen an ePHI-Datensätzen und lösen Sie Alarme aus.'
+            ],
+            evidence: [
+                'Konfiguration der Integritätsmaßnahmen',
+                'Berichte der Dateiintegritätsüberwachung',
+                'Einstellungen zur Unveränderlichkeit von Backups'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'hipaa-breach-01': {
+            text: 'Gibt es eine dokumentierte Richtlinie und ein Verfahren zur Meldung von Datenschutzverletzungen?',
+            guidance: 'Die Richtlinie muss beschreiben, wie Verletzungen erkannt, bewertet und den Betroffenen sowie dem HHS gemeldet werden.',
+            remediation: [
+                'Erstellen Sie eine Melderichtlinie, die Entdeckung, Bewertung und Meldefristen abdeckt.',
+                'Bereiten Sie Benachrichtigungsvorlagen für Betroffene, das HHS und die Medien vor.',
+                'Schulen Sie Beschäftigte darin, eine vermutete Verletzung zu erkennen und intern zu melden.',
+                'Testen Sie das Verfahren in einer Planspielübung.'
+            ],
+            evidence: [
+                'Richtlinie und Verfahren zur Meldung von Datenschutzverletzungen',
+                'Vorlagen für Benachrichtigungsschreiben',
+                'Bericht über die Planspielübung'
+            ],
+            ownerRole: 'Datenschutzverantwortliche Person'
+        },
+        'hipaa-breach-02': {
+            text: 'Umfasst Ihre Bewertung von Datenschutzverletzungen die Vier-Faktoren-Analyse zur Bestimmung des Kompromittierungsrisikos?',
+            guidance: 'Die Bewertung muss Art der PHI, die unbefugte Person, ob PHI eingesehen wurden, und das Ausmaß der Risikominderung berücksichtigen.',
+            remediation: [
+                'Nehmen Sie die Vier-Faktoren-Risikobewertung als Pflichtformular in das Meldeverfahren auf.',
+                'Dokumentieren Sie, wie jeder Faktor bewertet wird und wer das Ergebnis freigibt.',
+                'Bewahren Sie abgeschlossene Bewertungen für jeden Vorfall auf, auch wenn keine Verletzung vorlag.'
+            ],
+            evidence: [
+                'Vorlage für die Vier-Faktoren-Risikobewertung',
+                'Abgeschlossene Risikobewertungen früherer Vorfälle',
+                'Vorfallsprotokoll'
+            ],
+            ownerRole: 'Datenschutzverantwortliche Person'
+        },
+        'hipaa-admin-05': {
+            text: 'Gibt es einen Notfallplan mit Datensicherung und Disaster Recovery, der die Verfügbarkeit von ePHI sicherstellt?',
+            guidance: 'Sie müssen den Zugriff auf ePHI im Notfall wiederherstellen können.',
+            remediation: [
+                'Richten Sie automatisierte, verschlüsselte Backups aller Systeme mit ePHI ein, mit einer externen oder unveränderlichen Kopie.',
+                'Dokumentieren Sie einen Disaster-Recovery-Plan mit Wiederanlaufzeit (RTO) und maximal tolerierbarem Datenverlust (RPO).',
+                'Erstellen Sie einen Notbetriebsplan, um kritische Prozesse während eines Ausfalls fortzuführen.',
+                'Testen Sie Wiederherstellungen und den Recovery-Plan mindestens jährlich und dokumentieren Sie die Ergebnisse.'
+            ],
+            evidence: [
+                'Notfallplan und Testergebnisse',
+                'Backup-Konfiguration und Job-Berichte',
+                'Nachweise von Wiederherstellungstests'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'hipaa-admin-06': {
+            text: 'Bestehen Business Associate Agreements (BAAs) mit allen Dienstleistern, die ePHI erstellen, empfangen, speichern oder übertragen?',
+            guidance: 'BAAs stellen sicher, dass Ihre Dienstleister PHI nach denselben Standards schützen wie Sie.',
+            remediation: [
+                'Erstellen Sie ein Verzeichnis aller Dienstleister, die ePHI erstellen, empfangen, speichern oder übertragen.',
+                'Schließen Sie mit jedem Dienstleister im Verzeichnis, bei dem es fehlt, ein Business Associate Agreement ab.',
+                'Nehmen Sie eine BAA-Prüfung in den Beschaffungsprozess auf, damit kein Dienstleister vor Unterzeichnung ePHI erhält.'
+            ],
+            evidence: [
+                'Dienstleisterverzeichnis mit BAA-Status',
+                'Unterzeichnete Business Associate Agreements',
+                'Beschaffungscheckliste mit BAA-Prüfung'
+            ],
+            ownerRole: 'Recht / Einkauf'
+        },
+        'hipaa-phys-04': {
+            text: 'Sind Arbeitsplätze mit Zugriff auf ePHI so aufgestellt, dass Unbefugte nicht mitlesen können (z. B. abseits stark frequentierter Bereiche)?',
+            guidance: 'Eine einfache, aber wirksame Maßnahme gegen „Shoulder Surfing“.',
+            remediation: [
+                'Richten Sie Bildschirme mit ePHI von öffentlichen und stark frequentierten Bereichen weg aus.',
+                'Bringen Sie Blickschutzfilter an, wo eine andere Aufstellung nicht möglich ist.',
+                'Nehmen Sie die Aufstellung von Arbeitsplätzen in die Richtlinie zur Arbeitsplatzsicherheit und in regelmäßige Begehungen auf.'
+            ],
+            evidence: [
+                'Richtlinie zur Arbeitsplatzsicherheit',
+                'Ergebnisse der Begehungs-Checklisten',
+                'Fotos der Arbeitsplatzaufstellung oder Blickschutzfilter'
+            ],
+            ownerRole: 'Gebäudemanagement'
+        },
+        'hipaa-tech-05': {
+            text: 'Gibt es eine automatische Abmeldung, die elektronische Sitzungen nach einer festgelegten Inaktivitätsdauer beendet?',
+            guidance: 'So wird unbefugter Zugriff über unbeaufsichtigte Arbeitsplätze verhindert.',
+            remediation: [
+                'Konfigurieren Sie Sitzungs-Timeouts und Bildschirmsperren auf Arbeitsplätzen und in ePHI-Anwendungen.',
+                'Legen Sie die Inaktivitätsdauer risikobasiert fest (z. B. 5–15 Minuten) und dokumentieren Sie die Begründung.',
+                'Erzwingen Sie die Einstellungen zentral über Gruppenrichtlinien oder MDM statt je Gerät.'
+            ],
+            evidence: [
+                'Screenshots von Gruppenrichtlinien oder MDM mit den Timeout-Einstellungen',
+                'Konfiguration der Sitzungs-Timeouts in Anwendungen',
+                'Richtlinie zur Arbeitsplatzsicherheit'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'hipaa-tech-06': {
+            text: 'Gibt es Verfahren, mit denen überprüft wird, dass eine Person oder Stelle, die Zugriff auf ePHI verlangt, tatsächlich die angegebene ist?',
+            guidance: 'Dies kann über Passwörter, Zwei-Faktor-Authentifizierung oder andere Verfahren zur Identitätsprüfung erfolgen.',
+            remediation: [
+                'Verlangen Sie starke, eindeutige Passwörter für alle Konten mit Zugriff auf ePHI.',
+                'Aktivieren Sie Multi-Faktor-Authentifizierung für Fernzugriff, E-Mail und privilegierte Konten.',
+                'Dokumentieren Sie die Identitätsprüfung bei Passwortrücksetzungen und Anträgen auf neue Konten.'
+            ],
+            evidence: [
+                'Passwortrichtlinie',
+                'Bericht zur MFA-Registrierung',
+                'Verfahren zur Identitätsprüfung im Helpdesk'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'gdpr-scope-territorial': {
+            text: 'Hat Ihre Organisation eine Niederlassung in der EU/im EWR, oder bietet sie Personen in der EU/im EWR Waren oder Dienstleistungen an bzw. beobachtet deren Verhalten?',
+            guidance: 'Die DSGVO gilt für Verarbeitungen im Rahmen einer Niederlassung in der EU/im EWR sowie für Organisationen außerhalb, die sich an Personen dort richten oder sie beobachten, z. B. durch Lieferungen an EU-Kunden oder Tracking von Website-Besuchern aus der EU.'
+        },
+        'gdpr-scope-role': {
+            text: 'Handelt Ihre Organisation als Verantwortlicher, als Auftragsverarbeiter oder als beides?',
+            guidance: 'Der Verantwortliche entscheidet über Zwecke und Mittel der Verarbeitung. Ein Auftragsverarbeiter verarbeitet Daten nur im Auftrag und nach Weisung eines Verantwortlichen, z. B. als Hosting- oder Lohnabrechnungsdienstleister.',
+            choices: { controller: 'Verantwortlicher', processor: 'Nur Auftragsverarbeiter', both: 'Beides' }
+        },
+        'gdpr-lawful-01': {
+            text: 'Haben Sie für jede Verarbeitungstätigkeit eine gültige Rechtsgrundlage nach Art. 6 ermittelt und dokumentiert?',
+            guidance: 'Die sechs Rechtsgrundlagen sind Einwilligung, Vertrag, rechtliche Verpflichtung, lebenswichtige Interessen, öffentliche Aufgabe und berechtigte Interessen.',
+            remediation: [
+                'Listen Sie alle Verarbeitungstätigkeiten mit ihrem Zweck auf.',
+                'Ordnen Sie jeder Tätigkeit eine Rechtsgrundlage nach Art. 6 zu und dokumentieren Sie sie.',
+                'Führen Sie Interessenabwägungen durch, wo berechtigte Interessen die Grundlage sind.'
+            ],
+            evidence: [
+                'Verzeichnis von Verarbeitungstätigkeiten (VVT) mit Spalte für die Rechtsgrundlage',
+                'Dokumentierte Interessenabwägungen',
+                'Entscheidungsnachweise zur Rechtsgrundlage'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-lawful-02': {
+            text: 'Ist Ihre Datenschutzerklärung leicht zugänglich und erläutert sie den betroffenen Personen die Verarbeitung verständlich?',
+            guidance: 'Die Informationen müssen präzise, transparent, verständlich und in klarer und einfacher Sprache bereitgestellt werden.',
+            remediation: [
+                'Überarbeiten Sie die Datenschutzerklärung so, dass sie alle Angaben nach Art. 13/14 in einfacher Sprache enthält.',
+                'Verlinken Sie die Erklärung an jeder Erhebungsstelle (Website, Formulare, Apps, Verträge).',
+                'Überprüfen Sie die Erklärung bei jeder Änderung der Verarbeitung und mindestens jährlich.'
+            ],
+            evidence: [
+                'Öffentliche Datenschutzerklärung',
+                'Screenshots der Platzierung an den Erhebungsstellen',
+                'Prüfprotokoll der Datenschutzerklärung'
+            ],
+            ownerRole: 'Rechtsabteilung'
+        },
+        'gdpr-lawful-03': {
+            text: 'Wenn Sie sich auf Einwilligungen stützen: Werden sie freiwillig, für den bestimmten Fall, informiert und unmissverständlich durch eine eindeutige bestätigende Handlung erteilt?',
+            guidance: 'Vorangekreuzte Kästchen sind keine gültige Einwilligung. Der Widerruf muss so einfach sein wie die Erteilung.',
+            remediation: [
+                'Ersetzen Sie vorangekreuzte Kästchen und gebündelte Einwilligungen durch getrennte, nicht vorausgewählte Opt-ins.',
+                'Protokollieren Sie, wer wann, wie und zu welcher Version der Informationen eingewilligt hat.',
+                'Bieten Sie einen Widerruf an, der so einfach ist wie die Einwilligung, und setzen Sie ihn umgehend um.'
+            ],
+            evidence: [
+                'Screenshots und Nachweise der Einwilligungserfassung',
+                'Auszug aus dem Einwilligungsprotokoll',
+                'Verfahren zum Widerruf von Einwilligungen'
+            ],
+            ownerRole: 'Marketing / Produkt'
+        },
+        'gdpr-rights-01': {
+            text: 'Wie viele Tage benötigen Sie üblicherweise, um ein Auskunftsersuchen einer betroffenen Person zu beantworten?',
+            guidance: 'Anträge auf Auskunft, Berichtigung, Löschung („Recht auf Vergessenwerden“) und Datenübertragbarkeit sind innerhalb eines Monats zu beantworten. Nur komplexe oder zahlreiche Anträge rechtfertigen eine Verlängerung um höchstens zwei weitere Monate.',
+            unit: 'Tage',
+            remediation: [
+                'Richten Sie ein öffentliches Formular oder Postfach für Anfragen betroffener Personen ein.',
+                'Erstellen Sie eine Anleitung für Auskunftsersuchen mit Identitätsprüfung, Suche, Prüfung und Antwort innerhalb eines Monats.',
+                'Erfassen Sie jede Anfrage mit Eingangsdatum und Frist in einem Anfragenregister.'
+            ],
+            evidence: [
+                'Verfahren für Auskunftsersuchen',
+                'Anfragenregister',
+                'Beispielantwort auf ein Auskunftsersuchen'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-rights-02': {
+            text: 'Können Sie die personenbezogenen Daten einer Person in allen Systemen wirksam auffinden, ändern und löschen?',
+            guidance: 'Dies ist eine technische und organisatorische Herausforderung. Sie müssen die Rechte auf Berichtigung und Löschung erfüllen können.',
+            remediation: [
+                'Erfassen Sie, wo jede Kategorie personenbezogener Daten in Systemen und Backups gespeichert ist.',
+                'Entwickeln oder dokumentieren Sie Such-, Berichtigungs- und Löschverfahren für jedes System.',
+                'Testen Sie einen vollständigen Löschantrag und dokumentieren Sie das Ergebnis.'
+            ],
+            evidence: [
+                'Datenlandkarte oder Systeminventar',
+                'Lösch- und Berichtigungsverfahren je System',
+                'Protokoll des Löschtests'
+            ],
+            ownerRole: 'IT-Betrieb'
+        },
+        'gdpr-dpia-01': {
+            text: 'Führen Sie ein detailliertes Verzeichnis von Verarbeitungstätigkeiten (VVT) nach Art. 30?',
+            guidance: 'Dieses interne Verzeichnis muss festhalten, welche Daten Sie warum, wie lange und mit wem verarbeiten.',
+            remediation: [
+                'Befragen Sie die Prozessverantwortlichen, um alle Verarbeitungstätigkeiten zu erfassen.',
+                'Erfassen Sie jede Tätigkeit mit den Angaben nach Art. 30: Zwecke, Kategorien, Empfänger, Übermittlungen, Aufbewahrung und Sicherheit.',
+                'Bestimmen Sie eine verantwortliche Person, die das VVT aktuell hält und mindestens jährlich überprüft.'
+            ],
+            evidence: [
+                'Verzeichnis von Verarbeitungstätigkeiten (VVT)',
+                'Prüfprotokoll des VVT',
+                'Liste der VVT-Verantwortlichen'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-dpia-02': {
+            text: 'Gibt es ein Verfahren zur Durchführung von Datenschutz-Folgenabschätzungen (DSFA) für Verarbeitungen mit hohem Risiko?',
+            guidance: 'Eine DSFA ist vor Beginn neuer Projekte oder dem Einsatz neuer Technologien erforderlich, die voraussichtlich ein hohes Risiko für Personen mit sich bringen.',
+            remediation: [
+                'Führen Sie eine DSFA-Vorprüfungs-Checkliste auf Grundlage von Art. 35 und den Vorgaben der Aufsichtsbehörde ein.',
+                'Erstellen Sie eine DSFA-Vorlage zu Erforderlichkeit, Risiken für Personen und Abhilfemaßnahmen.',
+                'Machen Sie die DSFA-Vorprüfung zum Pflichtschritt bei Projekt- und Beschaffungsfreigaben.'
+            ],
+            evidence: [
+                'DSFA-Vorprüfungs-Checkliste',
+                'Berichte zu Datenschutz-Folgenabschätzungen (DSFA)',
+                'Freigabeprozess für Projekte mit DSFA-Prüfschritt'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-security-01': {
+            text: 'Haben Sie technische und organisatorische Maßnahmen umgesetzt, die ein dem Risiko angemessenes Schutzniveau gewährleisten?',
+            guidance: 'Dazu gehören Pseudonymisierung, Verschlüsselung, regelmäßige Tests sowie die Sicherstellung von Vertraulichkeit, Integrität, Verfügbarkeit und Belastbarkeit.',
+            choices: { none: 'Keine Maßnahmen festgelegt', some: 'Einige Maßnahmen umgesetzt', full: 'Umfassende, risikobasierte Maßnahmen vorhanden' },
+            remediation: [
+                'Führen Sie eine Risikobewertung der Verarbeitung personenbezogener Daten durch, um das erforderliche Schutzniveau festzulegen.',
+                'Setzen Sie risikogerechte Maßnahmen um, etwa Verschlüsselung, Pseudonymisierung, Zugriffskontrolle und Backups.',
+                'Dokumentieren Sie die Maßnahmen in einer Informationssicherheitsrichtlinie.',
+                'Legen Sie für jede Maßnahme Verantwortliche und Prüftermine fest.'
+            ],
+            evidence: [
+                'Informationssicherheitsrichtlinie',
+                'Risikobewertung der Verarbeitung personenbezogener Daten',
+                'Liste der technischen und organisatorischen Maßnahmen (TOM)'
+            ],
+            ownerRole: 'Informationssicherheitsbeauftragte Person'
+        },
+        'gdpr-security-02': {
+            text: 'Wie ausgereift ist Ihr Verfahren zur regelmäßigen Überprüfung, Bewertung und Evaluierung der Wirksamkeit Ihrer Sicherheitsmaßnahmen?',
+            guidance: 'Sicherheit ist kein einmaliges Projekt, sondern muss laufend überprüft werden. Initial: anlassbezogen. Dokumentiert: schriftlich festgelegt, aber noch nicht gelebt. Umgesetzt: wird in der Praxis befolgt. Geprüft: die Ergebnisse werden kontrolliert. Optimiert: wird anhand dieser Ergebnisse verbessert.',
+            remediation: [
+                'Planen Sie regelmäßige Schwachstellenscans und einen jährlichen Penetrationstest.',
+                'Testen Sie Backup-Wiederherstellungen und die Reaktion auf Vorfälle mindestens jährlich.',
+                'Verfolgen Sie Feststellungen bis zum Abschluss und berichten Sie die Ergebnisse an die Leitung.'
+            ],
+            evidence: [
+                'Berichte zu Schwachstellenscans und Penetrationstests',
+                'Nachverfolgung der Abhilfemaßnahmen',
+                'Protokolle der Managementbewertung'
+            ],
+            ownerRole: 'Informationssicherheitsbeauftragte Person'
+        },
+        'gdpr-processors-01': {
+            text: 'Haben Sie mit allen Auftragsverarbeitern rechtsverbindliche Auftragsverarbeitungsverträge (AVV) abgeschlossen?',
+            guidance: 'Ein AVV ist Pflicht, wenn ein Dritter personenbezogene Daten in Ihrem Auftrag verarbeitet.',
+            remediation: [
+                'Ermitteln Sie alle Dritten, die personenbezogene Daten in Ihrem Auftrag verarbeiten.',
+                'Schließen Sie mit jedem Auftragsverarbeiter ohne Vertrag einen AVV nach Art. 28 ab.',
+                'Nehmen Sie eine AVV-Prüfung in die Beschaffung auf, damit kein Auftragsverarbeiter vor Unterzeichnung Daten erhält.'
+            ],
+            evidence: [
+                'Verzeichnis der Auftragsverarbeiter mit AVV-Status',
+                'Unterzeichnete Auftragsverarbeitungsverträge',
+                'Beschaffungscheckliste mit AVV-Prüfung'
+            ],
+            ownerRole: 'Recht / Einkauf'
+        },
+        'gdpr-processors-02': {
+            text: 'Regeln Ihre AVV ausdrücklich die Pflichten des Auftragsverarbeiters, einschließlich Sicherheit und Meldung von Datenschutzverletzungen?',
+            guidance: 'Der AVV muss die in Art. 28 Abs. 3 genannten Klauseln enthalten.',
+            remediation: [
+                'Gleichen Sie bestehende AVV mit der Klauselcheckliste nach Art. 28 Abs. 3 ab.',
+                'Verhandeln Sie Ergänzungen für AVV ohne Klauseln zu Sicherheit, Unterauftragsverarbeitern, Audits oder Meldung von Verletzungen.',
+                'Führen Sie eine Standardvorlage für neue Auftragsverarbeiter ein.'
+            ],
+            evidence: [
+                'Klauselprüfung nach Art. 28 Abs. 3 für jeden AVV',
+                'Ergänzte AVV',
+                'Standardvorlage für AVV'
+            ],
+            ownerRole: 'Rechtsabteilung'
+        },
+        'gdpr-breach-01': {
+            text: 'Gibt es ein dokumentiertes Verfahren, um Verletzungen des Schutzes personenbezogener Daten zu erkennen, zu untersuchen und der Aufsichtsbehörde zu melden?',
+            guidance: 'Verletzungen mit Risiko müssen unverzüglich und möglichst binnen 72 Stunden gemeldet werden.',
+            remediation: [
+                'Erstellen Sie ein Incident-Response-Verfahren zum Erkennen, Eindämmen und Bewerten von Datenschutzverletzungen.',
+                'Legen Sie fest, wer über die Meldung entscheidet und wie die 72-Stunden-Frist eingehalten wird.',
+                'Führen Sie ein Register, das jede Verletzung erfasst, auch nicht gemeldete.',
+                'Testen Sie das Verfahren in einer Planspielübung.'
+            ],
+            evidence: [
+                'Verfahren für Incident Response und Meldung von Datenschutzverletzungen',
+                'Register der Datenschutzverletzungen',
+                'Bericht über die Planspielübung'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-breach-02': {
+            text: 'Gibt es ein Verfahren, um betroffene Personen zu benachrichtigen, wenn eine Verletzung ein hohes Risiko für ihre Rechte darstellt?',
+            guidance: 'Die Benachrichtigung muss unverzüglich erfolgen.',
+            remediation: [
+                'Nehmen Sie Kriterien in das Verfahren auf, nach denen entschieden wird, wann eine Verletzung ein hohes Risiko für Personen darstellt.',
+                'Bereiten Sie verständliche Benachrichtigungsvorlagen für betroffene Personen vor.',
+                'Legen Sie die Kanäle (E-Mail, Brief, öffentliche Bekanntmachung) fest, über die Betroffene erreicht werden.'
+            ],
+            evidence: [
+                'Kriterien für die Bewertung eines hohen Risikos',
+                'Benachrichtigungsvorlagen für betroffene Personen',
+                'Registereinträge mit der getroffenen Entscheidung'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-transfer-scope': {
+            text: 'Werden personenbezogene Daten in Länder außerhalb der EU/des EWR übermittelt oder von dort aus abgerufen?',
+            guidance: 'Berücksichtigen Sie auch Fernzugriffe durch Dienstleister oder Konzerngesellschaften und Cloud-Dienste außerhalb der EU/des EWR.'
+        },
+        'gdpr-transfer-01': {
+            text: 'Haben Sie für Übermittlungen personenbezogener Daten außerhalb der EU/des EWR einen gültigen Übermittlungsmechanismus umgesetzt?',
+            guidance: 'Mechanismen sind u. a. Angemessenheitsbeschlüsse, Standardvertragsklauseln (SCC) oder verbindliche interne Datenschutzvorschriften (BCR).',
+            remediation: [
+                'Ermitteln Sie jede Übermittlung personenbezogener Daten außerhalb der EU/des EWR.',
+                'Sichern Sie jede Übermittlung mit einem gültigen Mechanismus ab, etwa einem Angemessenheitsbeschluss, SCC oder BCR.',
+                'Vermerken Sie den verwendeten Mechanismus je Übermittlung im VVT.'
+            ],
+            evidence: [
+                'Übermittlungsverzeichnis mit Mechanismus je Übermittlung',
+                'Unterzeichnete Standardvertragsklauseln',
+                'Übermittlungseinträge im VVT'
+            ],
+            ownerRole: 'Rechtsabteilung'
+        },
+        'gdpr-transfer-sccs': {
+            text: 'Stützen Sie sich bei einer dieser Übermittlungen auf Standardvertragsklauseln (SCC)?',
+            guidance: 'Antworten Sie mit „Nein“, wenn alle Übermittlungen auf Angemessenheitsbeschlüssen, BCR oder Ausnahmen nach Art. 49 beruhen.'
+        },
+        'gdpr-transfer-02': {
+            text: 'Haben Sie bei Verwendung von SCC eine Transfer-Folgenabschätzung (TIA) durchgeführt, um den Schutz der Daten im Zielland sicherzustellen?',
+            guidance: 'Mit einer TIA wird bewertet, ob die SCC im Drittland in der Praxis eingehalten werden können.',
+            remediation: [
+                'Bewerten Sie Recht und Praxis jedes Ziellandes für Übermittlungen auf Grundlage von SCC.',
+                'Legen Sie zusätzliche Maßnahmen fest (z. B. Verschlüsselung mit in der EU verwahrten Schlüsseln), wo der Schutz nicht ausreicht.',
+                'Dokumentieren Sie die Transfer-Folgenabschätzung und überprüfen Sie sie bei Änderungen von Recht oder Übermittlungen.'
+            ],
+            evidence: [
+                'Transfer-Folgenabschätzungen',
+                'Dokumentation zusätzlicher Maßnahmen',
+                'Prüfprotokoll der TIA'
+            ],
+            ownerRole: 'Rechtsabteilung'
+        },
+        'gdpr-lawful-04': {
+            text: 'Halten Sie die Grundsätze der Datenminimierung und Zweckbindung ein?',
+            guidance: 'Erheben und verarbeiten Sie nur personenbezogene Daten, die für den festgelegten Zweck angemessen, erheblich und auf das notwendige Maß beschränkt sind.',
+            remediation: [
+                'Prüfen Sie jede Erhebungsstelle und entfernen Sie Felder, die für den angegebenen Zweck nicht benötigt werden.',
+                'Legen Sie Aufbewahrungsfristen je Kategorie personenbezogener Daten fest und planen Sie die Löschung.',
+                'Schreiben Sie eine Prüfung der Zweckvereinbarkeit vor, bevor Daten für einen neuen Zweck verwendet werden.'
+            ],
+            evidence: [
+                'Aufbewahrungs- und Löschkonzept',
+                'Nachweise der Prüfung zur Datenminimierung',
+                'Prüfungen der Zweckvereinbarkeit'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-rights-03': {
+            text: 'Gibt es ein Verfahren für Anträge auf Einschränkung der Verarbeitung und Widersprüche gegen die Verarbeitung?',
+            guidance: 'Personen haben unter bestimmten Umständen das Recht, die Verarbeitung ihrer Daten sperren oder einschränken zu lassen.',
+            remediation: [
+                'Erweitern Sie das Anfrageverfahren um Anträge auf Einschränkung und Widersprüche.',
+                'Legen Sie fest, wie die Verarbeitung in jedem System technisch eingeschränkt oder markiert wird.',
+                'Schulen Sie die Bearbeitenden zu den Kriterien der Art. 18 und 21.'
+            ],
+            evidence: [
+                'Verfahren für Einschränkung und Widerspruch',
+                'Beispiele bearbeiteter Anträge',
+                'Schulungsnachweise der Bearbeitenden'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        },
+        'gdpr-security-dpo-scope': {
+            text: 'Ist Ihre Organisation nach Art. 37 verpflichtet, eine Datenschutzbeauftragte Person (DSB) zu benennen?',
+            guidance: 'Ein DSB ist Pflicht für Behörden sowie für Organisationen, deren Kerntätigkeit eine umfangreiche, regelmäßige Überwachung oder die Verarbeitung sensibler Daten umfasst.'
+        },
+        'gdpr-security-03': {
+            text: 'Haben Sie eine Datenschutzbeauftragte Person (DSB) benannt?',
+            guidance: 'Der DSB muss in alle Datenschutzfragen eingebunden sein, der höchsten Managementebene berichten und für betroffene Personen erreichbar sein.',
+            choices: { yes: 'Ja, DSB benannt', no: 'Nein, kein DSB benannt' },
+            remediation: [
+                'Benennen Sie einen DSB mit Fachwissen im Datenschutzrecht, intern oder als externe Dienstleistung.',
+                'Veröffentlichen Sie die Kontaktdaten des DSB und teilen Sie sie der Aufsichtsbehörde mit.',
+                'Stellen Sie sicher, dass der DSB der höchsten Managementebene berichtet und keine Interessenkonflikte hat.'
+            ],
+            evidence: [
+                'Benennungsschreiben des DSB',
+                'Mitteilung des DSB an die Aufsichtsbehörde',
+                'Veröffentlichte Kontaktdaten des DSB'
+            ],
+            ownerRole: 'Geschäftsleitung'
+        },
+        'gdpr-processors-03': {
+            text: 'Prüfen Sie Ihre Auftragsverarbeiter sorgfältig darauf, ob sie angemessene Sicherheitsmaßnahmen haben?',
+            guidance: 'Sie sind für Ihre Auftragsverarbeiter verantwortlich und müssen prüfen, ob diese die überlassenen Daten schützen können.',
+            remediation: [
+                'Erstellen Sie einen Sicherheitsfragebogen für Dienstleister, der dem Umfang der geteilten Daten entspricht.',
+                'Bewerten Sie jeden Auftragsverarbeiter vor dem Onboarding und danach regelmäßig.',
+                'Prüfen Sie Zertifizierungen (z. B. ISO 27001, SOC 2) und Auditberichte der Auftragsverarbeiter.'
+            ],
+            evidence: [
+                'Ausgefüllte Sicherheitsfragebögen der Dienstleister',
+                'Zertifizierungen und Auditberichte der Auftragsverarbeiter',
+                'Risikoregister der Dienstleister'
+            ],
+            ownerRole: 'Informationssicherheitsbeauftragte Person'
+        },
+        'gdpr-transfer-03': {
+            text: 'Kennen und dokumentieren Sie die konkret übermittelten Daten, den Zweck und das Empfängerland?',
+            guidance: 'Ein klares Verzeichnis internationaler Datenflüsse ist für die Compliance unerlässlich.',
+            remediation: [
+                'Erstellen Sie ein Register internationaler Datenflüsse mit Datenkategorien, Zwecken und Empfängerländern.',
+                'Verknüpfen Sie jeden Datenfluss mit seinem Übermittlungsmechanismus und seiner TIA.',
+                'Überprüfen Sie das Register bei jeder Änderung von Dienstleistern oder Systemen.'
+            ],
+            evidence: [
+                'Register internationaler Datenflüsse',
+                'Datenflussdiagramme',
+                'Prüfprotokoll des Registers'
+            ],
+            ownerRole: 'Datenschutzbeauftragte Person'
+        }
+    }
+};
@@ -0,0 +1,941 @@
+/**
+ * Spanish translations for the Compliance Readiness Checker.
+ * Register with `registerLocale('es', es)`; anything not translated here is shown in English.
+ */
+export default {
+    name: 'Español',
+    messages: {
+        'disclaimer': 'Esta herramienta ofrece orientación general sobre el grado de preparación y no constituye asesoramiento jurídico. Consulte a un asesor jurídico cualificado para cuestiones de cumplimiento.',
+        'answer.yes': 'Sí',
+        'answer.no': 'No',
+        'classification.High': 'Alto',
+        'classification.Moderate': 'Moderado',
+        'classification.Low': 'Bajo',
+        'severity.High': 'Alta',
+        'severity.Medium': 'Media',
+        'severity.Low': 'Baja',
+        'severity.raised': 'Elevada desde {severity} por el perfil de la organización: {factors}.',
+        'severity.lowered': 'Reducida desde {severity} por el perfil de la organización: {factors}.',
+        'organization.size': 'Tamaño',
+        'organization.size.small': 'Pequeña',
+        'organization.size.medium': 'Mediana',
+        'organization.size.large': 'Grande',
+        'organization.recordVolume': 'Volumen de registros',
+        'organization.recordVolume.low': 'Bajo',
+        'organization.recordVolume.medium': 'Medio',
+        'organization.recordVolume.high': 'Alto',
+        'organization.sensitivity': 'Datos sensibles',
+        'organization.sensitivity.phi': 'Información de salud protegida (PHI)',
+        'organization.sensitivity.special_category': 'Categorías especiales (art. 9)',
+        'organization.sensitivity.children': 'Datos de menores',
+        'organization.sensitivity.none': 'Ninguno',
+        'organization.processingScale': 'Escala del tratamiento',
+        'organization.processingScale.limited': 'Limitada',
+        'organization.processingScale.regular': 'Habitual',
+        'organization.processingScale.large_scale': 'Gran escala',
+        'organization.factor': '{label}: {value} (×{multiplier})',
+        'scope.inScope': '{standard} está dentro del alcance: {basis}.',
+        'scope.outOfScope': '{standard} está fuera del alcance: {basis}.',
+        'scope.assumed': 'Se supone que {standard} está dentro del alcance porque las preguntas de alcance no se han respondido.',
+        'scope.always': '{standard} siempre está dentro del alcance.',
+        'scope.domainExcluded': '{domain} está fuera del alcance: {basis}.',
+        'scope.basis': '«{question}» — {answer}',
+        'effort.Low': 'Bajo',
+        'effort.Medium': 'Medio',
+        'effort.High': 'Alto',
+        'observed.yesNo': 'El control o la política requeridos («{question}») no existen o no están completamente implantados.',
+        'observed.scaleAdHoc': 'El proceso de «{question}» es improvisado o no está establecido formalmente.',
+        'observed.scalePartial': 'El proceso de «{question}» está establecido, pero puede carecer de documentación formal o de una aplicación constante.',
+        'observed.multiple': 'La implantación actual de «{question}» no cumple plenamente los requisitos.',
+        'observed.generic': 'Se ha detectado una brecha de cumplimiento.',
+        'observed.maturity': '«{question}» está en el nivel {level}; la puntuación completa exige {target}.',
+        'observed.checklist': 'En «{question}», falta lo siguiente: {missing}.',
+        'observed.numeric': 'En «{question}», la respuesta fue {answer}; la puntuación completa exige {target}.',
+        'answer.noneSelected': 'Ninguno de estos',
+        'maturity.initial': 'Inicial',
+        'maturity.documented': 'Documentado',
+        'maturity.implemented': 'Implantado',
+        'maturity.tested': 'Verificado',
+        'maturity.optimized': 'Optimizado',
+        'numeric.atMost': '{value} o menos',
+        'numeric.atLeast': '{value} o más',
+        'numeric.between': 'de {min} a {max}',
+        'numeric.any': 'cualquier valor',
+        'strength': 'Controles sólidos implantados para: {question}',
+        'quickWin': '{step} ({standard} – {domain})',
+        'next30Days.action': 'Cerrar las brechas ({counts}) en {standard} – {domain} (actualmente {score}). Empezar por: {step}',
+        'next30Days.count': '{count} × {severity}',
+        'commonControl.action': '{name}: una sola corrección resuelve {count} hallazgo(s) en {standards}.',
+        'quickWins.generic': [
+            'Revisar y actualizar los materiales de concienciación en seguridad para la plantilla.',
+            'Verificar que todos los registros de acceso a las instalaciones se revisan periódicamente.',
+            'Programar un ejercicio de simulación para probar el procedimiento de notificación de brechas.',
+            'Confirmar que todos los proveedores que tratan datos sensibles tienen firmado un contrato de encargo o un BAA.',
+            'Asegurarse de que la política de privacidad pública refleja con exactitud todos los tratamientos actuales.'
+        ],
+        'next30Days.generic': [
+            'Abordar todos los hallazgos de gravedad alta, empezando por elaborar un plan de proyecto formal.',
+            'Realizar una evaluación de riesgos específica de los dominios con las puntuaciones más bajas.',
+            'Asignar responsables y plazos a cada paso de corrección identificado en el informe.',
+            'Revisar los contratos de encargo con los proveedores clave y exigir su cumplimiento.',
+            'Programar una evaluación de seguimiento para medir los avances.'
+        ],
+        'remediation.safeguards': [
+            'Elaborar y aprobar una política formal que aborde «{citation}».',
+            'Implantar controles técnicos u organizativos que hagan cumplir la nueva política.',
+            'Formar a toda la plantilla afectada en la nueva política y sus procedimientos.',
+            'Programar una revisión periódica (por ejemplo, anual) para asegurar que el control sigue siendo eficaz.'
+        ],
+        'remediation.breach': [
+            'Redactar una política formal de notificación de brechas y un plan de respuesta a incidentes.',
+            'Definir las funciones y responsabilidades del equipo de respuesta a incidentes.',
+            'Realizar un ejercicio de simulación de una brecha de datos para probar el plan.',
+            'Preparar plantillas para la comunicación interna y externa de brechas.'
+        ],
+        'remediation.rights': [
+            'Crear un formulario público para recibir las solicitudes de los interesados.',
+            'Elaborar un manual interno para localizar, recuperar y recopilar los datos personales.',
+            'Formar a los equipos de atención al cliente y operaciones en el procedimiento y los plazos de respuesta a las solicitudes de acceso.',
+            'Implantar un sistema de seguimiento del estado de todas las solicitudes recibidas.'
+        ],
+        'remediation.default': [
+            'Consultar el requisito de «{citation}» para entender las obligaciones concretas.',
+            'Realizar un análisis de brechas detallado frente al requisito.',
+            'Elaborar un plan de acciones correctivas con plazos y responsables.'
+        ],
+        'evidence.administrative': [
+            'Informe de análisis de riesgos documentado',
+            'Manual de políticas y procedimientos de seguridad de la información',
+            'Registros y materiales de formación de la plantilla',
+            'Política de sanciones',
+            'Plan de contingencia y resultados de las pruebas'
+        ],
+        'evidence.physical': [
+            'Registros de control de acceso a las instalaciones',
+            'Registros de entrada de visitantes',
+            'Fotografías de las medidas de seguridad física (p. ej., puertas cerradas, jaulas de servidores)',
+            'Registros de eliminación de soportes / certificados de destrucción',
+            'Política de seguridad de los puestos de trabajo'
+        ],
+        'evidence.technical': [
+            'Registros de auditoría de los sistemas (p. ej., accesos, modificaciones)',
+            'Informes de revisión de accesos de usuarios',
+            'Prueba de la implantación del cifrado (p. ej., capturas de la configuración)',
+            'Política de contraseñas',
+            'Informes del sistema de detección de intrusiones'
+        ],
+        'evidence.rights': [
+            'Política de privacidad pública',
+            'Registro de actividades de tratamiento (RAT)',
+            'Ejemplo de respuesta a una solicitud de acceso',
+            'Capturas y registros del mecanismo de obtención del consentimiento',
+            'Informes de evaluación de impacto relativa a la protección de datos (EIPD)'
+        ],
+        'evidence.default': [
+            'Documentos de política pertinentes',
+            'Manuales de procedimiento o diagramas de flujo',
+            'Capturas de la configuración de los sistemas',
+            'Informes de finalización de la formación',
+            'Actas de reuniones en las que se trató y aprobó el tema'
+        ],
+        'format.title': 'Informe de {appName}',
+        'format.generated': 'Generado el {date}',
+        'format.version': 'versión {version}',
+        'format.scoringProfile': 'Perfil de puntuación',
+        'format.organizationProfile': 'Perfil de la organización',
+        'format.severityAdjustment': 'Ajuste de la gravedad',
+        'format.overall': 'Global',
+        'format.overallReadiness': 'Preparación global',
+        'format.classification': 'Clasificación',
+        'format.nothingInScope': 'Nada dentro del alcance. Según las respuestas de alcance no se aplica ninguna de las normativas admitidas, así que no hay nada que evaluar.',
+        'format.evidenceCoverage': 'Cobertura de evidencias',
+        'format.scoresByStandard': 'Puntuaciones por norma',
+        'format.scoresByDomain': 'Puntuaciones por dominio',
+        'format.charts': 'Gráficos',
+        'format.domainPerformance': 'Resultados por dominio',
+        'format.standard': 'Norma',
+        'format.domain': 'Dominio',
+        'format.score': 'Puntuación',
+        'format.notApplicable': 'No aplicable',
+        'format.strengths': 'Fortalezas',
+        'format.quickWins': 'Mejoras rápidas',
+        'format.next30Days': 'Próximos 30 días',
+        'format.commonControls': 'Controles comunes',
+        'format.findings': 'Hallazgos',
+        'format.noFindings': 'Sin hallazgos.',
+        'format.severityHeading': 'Gravedad {severity}',
+        'format.findingCount': '{count} hallazgo(s)',
+        'format.standardDomain': 'Norma / dominio',
+        'format.citation': 'Referencia',
+        'format.observedStatus': 'Situación observada',
+        'format.estimatedEffort': 'Esfuerzo estimado',
+        'format.suggestedOwner': 'Responsable sugerido',
+        'format.scoreGain': 'Mejora de la puntuación si se corrige',
+        'format.scoreGainValue': '+{overall} puntos en total, +{standard} en {standardName}, +{domain} en {domainName}',
+        'format.remediationSteps': 'Pasos de corrección',
+        'format.evidenceToProvide': 'Evidencias que aportar',
+        'format.unverifiedControls': 'Controles sin evidencia',
+        'format.evidenceExpired': 'evidencia caducada',
+        'format.noEvidence': 'sin evidencia',
+        'format.scopingRationale': 'Justificación del alcance',
+        'format.respondents': 'Encuestados',
+        'format.respondentAnswers': '{respondent}: {count} respuesta(s)',
+        'format.answeredBy': 'Respondido por',
+        'format.answerLog': 'Registro de cambios de respuestas',
+        'format.answerLogSummary': '{count} cambio(s). Hash de la última entrada: {hash}',
+        'format.when': 'Fecha',
+        'format.question': 'Pregunta',
+        'format.change': 'Cambio',
+        'format.author': 'Autor',
+        'format.justification': 'Justificación',
+        'format.gapToTarget': 'Distancia al objetivo',
+        'format.targetSummary': '{name}: {met} de {total} objetivo(s) cumplido(s).',
+        'format.target': 'Objetivo',
+        'format.progress': 'Avance',
+        'format.status': 'Estado',
+        'format.deadline': 'Plazo',
+        'format.blockingFindings': 'Hallazgos que lo impiden',
+        'format.targetMarker': 'objetivo {target}',
+        'target.scoreSummary': '{score} de un objetivo de {target}',
+        'target.answerSummary': '«{answer}» indicado, «{required}» requerido',
+        'target.unanswered': 'Sin respuesta, «{required}» requerido',
+        'target.gap': 'faltan {points} puntos',
+        'target.overdue': 'vencido',
+        'target.status.met': 'Cumplido',
+        'target.status.not_met': 'No cumplido',
+        'target.status.not_applicable': 'No aplicable',
+        'chart.domainScores': 'Puntuaciones de los dominios de {standard}',
+        'chart.domainScores.description': 'Gráfico radial de {count} puntuaciones de dominio de {standard}, de {min} en {minDomain} a {max} en {maxDomain}.',
+        'chart.findingsByDomain': 'Hallazgos por dominio y gravedad',
+        'chart.findingsByDomain.description': 'Gráfico de barras apiladas de {count} hallazgo(s) por gravedad en {domains} dominio(s). {domain} tiene más, con {domainCount}.',
+        'chart.scoreTrend': 'Puntuaciones a lo largo de las evaluaciones',
+        'chart.scoreTrend.description': 'Gráfico de líneas de la puntuación global y por norma en {count} evaluaciones. La puntuación global pasó de {first} el {firstDate} a {last} el {lastDate}.',
+        'chart.date': 'Fecha',
+        'chart.total': 'Total',
+        'breach.gdpr-record.title': 'Documentar la violación, sus efectos y las medidas correctivas adoptadas',
+        'breach.gdpr-record.basis': 'Toda violación de la seguridad de los datos personales debe documentarse, incluidas las que no se notifican.',
+        'breach.gdpr-authority.title': 'Notificar a la autoridad de control',
+        'breach.gdpr-authority.notNeeded': 'Se considera improbable que la violación suponga un riesgo para las personas, así que no hace falta notificarla. Deje constancia del razonamiento.',
+        'breach.gdpr-authority.due': 'Vence 72 horas después de tener constancia de la violación. Justifique cualquier retraso si notifica más tarde.',
+        'breach.gdpr-authority.dueUnassessed': 'Vence 72 horas después de tener constancia de la violación; el riesgo aún no se ha evaluado, así que se presume que hay que notificar. Justifique cualquier retraso si notifica más tarde.',
+        'breach.gdpr-data-subjects.title': 'Comunicar la violación a los interesados afectados',
+        'breach.gdpr-data-subjects.required': 'Es probable que la violación suponga un alto riesgo para las personas, así que deben ser informadas sin dilación indebida.',
+        'breach.gdpr-data-subjects.notNeeded': 'Solo es necesario si es probable que la violación suponga un alto riesgo para las personas.',
+        'breach.gdpr-data-subjects.unassessed': 'Solo es necesario si es probable que la violación suponga un alto riesgo para las personas; evalúe el riesgo para decidirlo.',
+        'breach.hipaa-risk-assessment.title': 'Completar y documentar la evaluación de riesgos de cuatro factores',
+        'breach.hipaa.lowProbability': 'La evaluación de cuatro factores muestra una baja probabilidad de que la PHI se haya visto comprometida, así que no es una violación notificable. Conserve la evaluación.',
+        'breach.hipaa.unassessed': '{count} de los cuatro factores de riesgo aún no se han evaluado, así que se presume que el incidente es una violación notificable.',
+        'breach.hipaa.reportable': 'La evaluación de cuatro factores no muestra una baja probabilidad de compromiso, así que el incidente es una violación notificable.',
+        'breach.hipaa-individuals.title': 'Notificar a las personas afectadas',
+        'breach.hipaa-individuals.due': 'Sin demora injustificada y a más tardar 60 días después del descubrimiento.',
+        'breach.hipaa-hhs.title': 'Notificar al Secretary of HHS',
+        'breach.hipaa-hhs.due': 'Hay {count} personas afectadas ({threshold} o más), así que hay que notificar al HHS en un plazo de 60 días desde el descubrimiento.',
+        'breach.hipaa-hhs.annual': 'Hay menos de {threshold} personas afectadas, así que la violación puede incluirse en el registro anual que se presenta en los 60 días siguientes al final del año natural.',
+        'breach.hipaa-media.title': 'Notificar a los principales medios de comunicación',
+        'breach.hipaa-media.notNeeded': 'Solo es necesario si hay más de {threshold} residentes afectados de un mismo estado o jurisdicción.',
+        'breach.hipaa-media.state': 'Hay más de {threshold} residentes afectados de {states}; informe a los medios de ese estado en un plazo de 60 días desde el descubrimiento.',
+        'breach.hipaa-media.states': 'Hay más de {threshold} residentes afectados de {states}; informe a los medios de esos estados en un plazo de 60 días desde el descubrimiento.',
+        'breach.hipaa-media.assumed': 'Hay más de {threshold} personas afectadas y no se ha indicado el desglose por estado, así que se presume que hace falta un aviso a los medios en un plazo de 60 días desde el descubrimiento.',
+        'incident.incident': 'Incidente',
+        'incident.exercise': 'Ejercicio de simulación',
+        'incident.id': 'ID',
+        'incident.discovered': 'Descubierto',
+        'incident.jurisdictions': 'Jurisdicciones',
+        'incident.affectedRecords': 'Registros afectados',
+        'incident.hipaaAssessment': 'Evaluación HIPAA de cuatro factores',
+        'incident.gdprRisk': 'Riesgo RGPD para las personas',
+        'incident.notAssessed': 'sin evaluar',
+        'incident.factor.nature': 'Naturaleza y alcance de la PHI afectada, incluidos los identificadores y la probabilidad de reidentificación',
+        'incident.factor.recipient': 'La persona no autorizada que usó la PHI o a quien se reveló',
+        'incident.factor.acquired': 'Si la PHI llegó a obtenerse o consultarse',
+        'incident.factor.mitigated': 'En qué medida se ha mitigado el riesgo para la PHI',
+        'incident.rating.low': 'bajo',
+        'incident.rating.high': 'alto',
+        'incident.gdprRisk.unlikely': 'improbable que suponga un riesgo',
+        'incident.gdprRisk.risk': 'riesgo',
+        'incident.gdprRisk.high': 'alto riesgo',
+        'incident.deadlines': 'Plazos (a {date})',
+        'incident.due': 'vence {date}',
+        'incident.withoutUndueDelay': 'sin dilación indebida',
+        'incident.status.done': 'hecho {date}',
+        'incident.status.open': 'abierto',
+        'incident.status.overdue': 'vencido',
+        'incident.status.not_required': 'no necesario',
+        'incident.log': 'Registro',
+        'incident.time': 'Hora',
+        'incident.event': 'Evento',
+        'incident.deadline': 'Plazo',
+        'incident.note': 'Nota'
+    },
+    frameworks: {
+        HIPAA: {
+            description: 'HIPAA Security Rule y Breach Notification Rule',
+            domains: {
+                'Administrative Safeguards': 'Salvaguardas administrativas',
+                'Physical Safeguards': 'Salvaguardas físicas',
+                'Technical Safeguards': 'Salvaguardas técnicas',
+                'Breach Notification': 'Notificación de brechas'
+            },
+            domainIntros: {
+                'Administrative Safeguards': 'Establezca la gobernanza, las políticas y los programas de personal que sustentan la seguridad HIPAA.',
+                'Physical Safeguards': 'Proteja los espacios físicos y los soportes que contienen información sanitaria sensible.',
+                'Technical Safeguards': 'Aplique controles técnicos para proteger la información sanitaria protegida electrónica (ePHI).',
+                'Breach Notification': 'Prepárese para detectar, evaluar y notificar con rapidez posibles brechas de datos.'
+            }
+        },
+        GDPR: {
+            name: 'RGPD',
+            description: 'Reglamento General de Protección de Datos de la UE',
+            domains: {
+                'Lawful Basis and Transparency': 'Base jurídica y transparencia',
+                'Data Subject Rights': 'Derechos de los interesados',
+                'DPIA and Records': 'EIPD y registros',
+                'Security of Processing': 'Seguridad del tratamiento',
+                'Processors and DPAs': 'Encargados y contratos',
+                'Breach Notification': 'Notificación de brechas',
+                'International Transfers': 'Transferencias internacionales'
+            },
+            domainIntros: {
+                'Lawful Basis and Transparency': 'Demuestre bases jurídicas claras y transparencia en el tratamiento de datos personales.',
+                'Data Subject Rights': 'Ponga en marcha procesos que respeten los derechos de las personas sobre sus datos.',
+                'DPIA and Records': 'Documente las actividades de tratamiento y evalúe los riesgos de las iniciativas de alto impacto.',
+                'Security of Processing': 'Asegúrese de que las medidas técnicas y organizativas se ajustan al nivel de riesgo del tratamiento.',
+                'Processors and DPAs': 'Gestione a los proveedores con contratos exigibles y diligencia debida.',
+                'Breach Notification': 'Prepárese para detectar, evaluar y notificar con rapidez posibles brechas de datos.',
+                'International Transfers': 'Controle los flujos transfronterizos con garantías aprobadas y documentación.'
+            }
+        }
+    },
+    commonControls: {
+        'vendor-agreements': {
+            name: 'Contratos con proveedores y encargados',
+            description: 'Una única revisión contractual cubre los Business Associate Agreements de HIPAA y los contratos de encargo del RGPD con los mismos proveedores.'
+        },
+        'breach-response': {
+            name: 'Procedimiento de respuesta a brechas',
+            description: 'Un único procedimiento de respuesta a incidentes puede recoger los pasos y plazos de notificación de HIPAA y del RGPD.'
+        },
+        'breach-risk-assessment': {
+            name: 'Evaluación del riesgo de una brecha',
+            description: 'La misma evaluación documentada determina si hay que informar a las personas según cualquiera de las dos normas.'
+        },
+        'encryption-and-security-measures': {
+            name: 'Cifrado y medidas de seguridad',
+            description: 'El cifrado de los datos regulados es una salvaguarda técnica clave en HIPAA y una medida esperada según el artículo 32 del RGPD.'
+        },
+        'security-risk-assessment': {
+            name: 'Evaluación de riesgos de seguridad',
+            description: 'Una evaluación de riesgos periódica cumple tanto el análisis de riesgos de HIPAA como la verificación de las medidas de seguridad del RGPD.'
+        }
+    },
+    questions: {
+        'hipaa-scope-entity': {
+            text: '¿Es su organización una covered entity de HIPAA, o un business associate de una de ellas?',
+            guidance: 'Las covered entities son planes de salud, cámaras de compensación sanitarias y proveedores que transmiten información de salud por vía electrónica. Los business associates crean, reciben, conservan o transmiten PHI en nombre de una covered entity.',
+            choices: { covered_entity: 'Covered entity', business_associate: 'Business associate', neither: 'Ninguna de las dos' }
+        },
+        'hipaa-admin-01': {
+            text: '¿Ha designado a un responsable de seguridad (Security Official) encargado de elaborar e implantar las políticas de seguridad?',
+            guidance: 'Debe asignarse a una persona concreta la supervisión del programa de seguridad de la organización.',
+            remediation: [
+                'Designar por escrito a un responsable de seguridad con nombre y apellidos, con un suplente documentado.',
+                'Redactar una descripción del puesto que cubra la titularidad de las políticas, la gestión de riesgos y la supervisión de incidentes.',
+                'Comunicar el nombramiento a la plantilla y dejar constancia en el manual de políticas de seguridad.'
+            ],
+            evidence: [
+                'Carta de designación firmada o acuerdo de la dirección',
+                'Descripción del puesto de responsable de seguridad',
+                'Organigrama que muestre la función de seguridad'
+            ],
+            ownerRole: 'Dirección general'
+        },
+        'hipaa-admin-02': {
+            text: '¿Con qué frecuencia se imparte formación y concienciación en seguridad a la plantilla?',
+            guidance: 'La formación periódica es obligatoria para todo el personal que maneja ePHI.',
+            choices: { 0: 'Nunca o de forma puntual', 1: 'Periódicamente', 2: 'Al menos una vez al año y en la incorporación' },
+            remediation: [
+                'Definir un programa de concienciación que cubra phishing, contraseñas, malware y comunicación de incidentes.',
+                'Exigir formación en la incorporación (antes de acceder a ePHI) y, después, al menos una vez al año.',
+                'Registrar la finalización en un LMS o registro de formación y hacer seguimiento del personal con formación pendiente.',
+                'Enviar recordatorios de seguridad periódicos entre las sesiones formales de formación.'
+            ],
+            evidence: [
+                'Materiales y programa de formación',
+                'Registros de finalización de la formación con fechas',
+                'Copias de los recordatorios de seguridad periódicos'
+            ],
+            ownerRole: 'Responsable de seguridad'
+        },
+        'hipaa-admin-03': {
+            text: '¿Dispone de un proceso formal y documentado de análisis y gestión de riesgos?',
+            guidance: 'Debe realizar una evaluación precisa y exhaustiva de los posibles riesgos y vulnerabilidades de la ePHI.',
+            remediation: [
+                'Inventariar todos los sistemas, dispositivos y proveedores que crean, reciben, mantienen o transmiten ePHI.',
+                'Identificar amenazas y vulnerabilidades de cada activo y valorar su probabilidad e impacto.',
+                'Documentar un plan de gestión de riesgos que asigne tratamientos, responsables y plazos a cada riesgo significativo.',
+                'Repetir el análisis de riesgos al menos una vez al año y tras cambios importantes en los sistemas o el negocio.'
+            ],
+            evidence: [
+                'Informe de análisis de riesgos documentado',
+                'Inventario de activos con ePHI',
+                'Plan de gestión de riesgos y registro de riesgos'
+            ],
+            ownerRole: 'Responsable de seguridad'
+        },
+        'hipaa-admin-04': {
+            text: '¿Tiene una política de sanciones documentada para el personal que incumple las políticas de seguridad?',
+            guidance: 'Las infracciones de las políticas deben tener consecuencias.',
+            remediation: [
+                'Redactar una política de sanciones con consecuencias graduales por infracciones de las políticas de seguridad.',
+                'Hacer que RR. HH. y la dirección aprueben la política e incluirla en el manual del empleado.',
+                'Registrar cada sanción aplicada, con la infracción y la medida adoptada.'
+            ],
+            evidence: [
+                'Política de sanciones',
+                'Acuses de recibo firmados por la plantilla',
+                'Registro de sanciones aplicadas'
+            ],
+            ownerRole: 'Recursos humanos'
+        },
+        'hipaa-phys-01': {
+            text: '¿Están las instalaciones que albergan sistemas con ePHI protegidas físicamente contra el acceso no autorizado?',
+            guidance: 'Incluye cerraduras, alarmas y procedimientos de registro de visitantes en las zonas sensibles.',
+            remediation: [
+                'Instalar cerraduras, lectores de tarjetas o alarmas en las salas y edificios que albergan sistemas con ePHI.',
+                'Implantar procedimientos de registro y acompañamiento de visitantes en las zonas sensibles.',
+                'Documentar un plan de seguridad de las instalaciones y revisar periódicamente los registros de acceso físico.'
+            ],
+            evidence: [
+                'Plan de seguridad de las instalaciones',
+                'Registros de entrada de visitantes',
+                'Fotografías de las medidas de seguridad física (p. ej., puertas cerradas, jaulas de servidores)'
+            ],
+            ownerRole: 'Servicios generales'
+        },
+        'hipaa-phys-02': {
+            text: '¿Tiene políticas para controlar y validar el acceso de las personas a las instalaciones según su función?',
+            guidance: 'El acceso debe concederse según el principio de necesidad de conocer.',
+            remediation: [
+                'Definir qué funciones necesitan acceso a qué instalaciones y zonas.',
+                'Conceder tarjetas o llaves según la función y retirarlas de inmediato en caso de baja o cambio de puesto.',
+                'Revisar los derechos de acceso a las instalaciones al menos trimestralmente.'
+            ],
+            evidence: [
+                'Política de control de acceso a las instalaciones',
+                'Registros de control de acceso a las instalaciones',
+                'Registros de revisión de accesos'
+            ],
+            ownerRole: 'Servicios generales'
+        },
+        'hipaa-phys-03': {
+            text: '¿Existen políticas para la eliminación y reutilización seguras de los soportes electrónicos que contienen ePHI?',
+            guidance: 'Los soportes deben quedar ilegibles o indescifrables antes de desecharse o reutilizarse.',
+            remediation: [
+                'Redactar un procedimiento de eliminación y reutilización de soportes que exija el borrado seguro o la destrucción física.',
+                'Utilizar un proveedor de destrucción certificado o herramientas de borrado aprobadas para todas las unidades y dispositivos.',
+                'Conservar un registro o certificado de destrucción de cada dispositivo eliminado o reasignado.'
+            ],
+            evidence: [
+                'Política de eliminación y reutilización de soportes',
+                'Registros de eliminación de soportes / certificados de destrucción',
+                'Registros de borrado de dispositivos reutilizados'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'hipaa-tech-01': {
+            text: '¿Se controla el acceso a los sistemas con ePHI mediante una identificación de usuario única?',
+            guidance: 'No se permiten cuentas compartidas o genéricas para acceder a ePHI.',
+            remediation: [
+                'Eliminar o desactivar las cuentas compartidas y genéricas en todos los sistemas con ePHI.',
+                'Asignar a cada usuario un inicio de sesión propio y vincular las cuentas al proceso de altas, cambios y bajas de RR. HH.',
+                'Revisar las cuentas al menos trimestralmente y desactivar las inactivas o huérfanas.'
+            ],
+            evidence: [
+                'Listados de cuentas que muestren identificadores únicos',
+                'Informes de revisión de accesos de usuarios',
+                'Procedimiento de altas, cambios y bajas'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'hipaa-tech-02': {
+            text: '¿Dónde se cifra la ePHI? Seleccione todos los ámbitos en los que se aplica cifrado.',
+            guidance: 'El cifrado es una salvaguarda «abordable» que debe implantarse si es razonable y apropiada.',
+            choices: { devices: 'Portátiles, equipos de sobremesa y dispositivos móviles', at_rest: 'Bases de datos y recursos compartidos (en reposo)', in_transit: 'Correo electrónico, API y otras transmisiones (en tránsito)', backups: 'Copias de seguridad' },
+            remediation: [
+                'Activar el cifrado de disco completo en todos los portátiles, equipos de sobremesa y dispositivos móviles que almacenan ePHI.',
+                'Cifrar la ePHI en bases de datos, recursos compartidos y copias de seguridad con algoritmos actuales (p. ej., AES-256).',
+                'Exigir TLS 1.2 o superior para la ePHI en tránsito, incluidos el correo electrónico y las API.',
+                'Documentar las decisiones de cifrado, incluidas las alternativas adoptadas para las salvaguardas abordables.'
+            ],
+            evidence: [
+                'Prueba de la implantación del cifrado (p. ej., capturas de la configuración)',
+                'Informe de cumplimiento del cifrado de dispositivos',
+                'Política de cifrado y procedimiento de gestión de claves'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'hipaa-tech-03': {
+            text: '¿Se han implantado controles de auditoría (registros) que registren y permitan examinar la actividad de los sistemas de información con ePHI?',
+            guidance: 'Los registros de actividad son fundamentales para detectar y responder a incidentes de seguridad.',
+            remediation: [
+                'Activar el registro de accesos y actividad en todos los sistemas con ePHI.',
+                'Centralizar los registros y protegerlos frente a modificaciones o borrados.',
+                'Definir quién revisa los registros, con qué frecuencia y cómo se escalan las anomalías.'
+            ],
+            evidence: [
+                'Registros de auditoría de los sistemas (p. ej., accesos, modificaciones)',
+                'Configuración de conservación de registros',
+                'Registros de revisión de los logs'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'hipaa-tech-04': {
+            text: '¿Está la ePHI protegida frente a alteraciones o destrucciones indebidas?',
+            guidance: 'Implante medidas para garantizar la integridad de la ePHI, como sumas de comprobación o firmas digitales.',
+            remediation: [
+                'Identificar dónde podría alterarse o destruirse la ePHI sin autorización.',
+                'Aplicar controles de integridad como sumas de comprobación, restricciones de base de datos y copias de seguridad protegidas contra escritura.',
+                'Vigilar y generar alertas ante cambios inesperados en los registros de ePHI.'
+            ],
+            evidence: [
+                'Configuración de los controles de integridad',
+                'Informes de supervisión de la integridad de archivos',
+                'Configuración de inmutabilidad de las copias de seguridad'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'hipaa-breach-01': {
+            text: '¿Tiene una política y un procedimiento documentados de notificación de brechas?',
+            guidance: 'La política debe describir los pasos para identificar, evaluar y notificar las brechas a las personas afectadas y al HHS.',
+            remediation: [
+                'Redactar una política de notificación de brechas que cubra la detección, la evaluación y los plazos de notificación.',
+                'Preparar plantillas de notificación para las personas afectadas, el HHS y los medios de comunicación.',
+                'Formar al personal para reconocer y comunicar internamente una sospecha de brecha.',
+                'Realizar un ejercicio de simulación para probar el procedimiento.'
+            ],
+            evidence: [
+                'Política y procedimiento de notificación de brechas',
+                'Plantillas de cartas de notificación',
+                'Informe del ejercicio de simulación'
+            ],
+            ownerRole: 'Responsable de privacidad'
+        },
+        'hipaa-breach-02': {
+            text: '¿Incluye su proceso de evaluación de brechas el análisis de cuatro factores para determinar el riesgo de compromiso?',
+            guidance: 'La evaluación debe considerar la naturaleza de la PHI, la persona no autorizada, si la PHI llegó a consultarse y el grado de mitigación.',
+            remediation: [
+                'Incorporar la evaluación de riesgos de cuatro factores al procedimiento como formulario obligatorio.',
+                'Documentar cómo se evalúa cada factor y quién aprueba la conclusión.',
+                'Conservar las evaluaciones de cada incidente, incluidos los que resulten no ser brechas.'
+            ],
+            evidence: [
+                'Plantilla de evaluación de riesgos de cuatro factores',
+                'Evaluaciones de riesgos completadas de incidentes anteriores',
+                'Registro de incidentes'
+            ],
+            ownerRole: 'Responsable de privacidad'
+        },
+        'hipaa-admin-05': {
+            text: '¿Tiene un plan de contingencia, con copias de seguridad y recuperación ante desastres, que garantice la disponibilidad de la ePHI?',
+            guidance: 'Debe poder restablecer el acceso a la ePHI en caso de emergencia.',
+            remediation: [
+                'Implantar copias de seguridad automáticas y cifradas de todos los sistemas con ePHI, con una copia externa o inmutable.',
+                'Documentar un plan de recuperación ante desastres con objetivos de tiempo (RTO) y punto (RPO) de recuperación.',
+                'Redactar un plan de operación en modo de emergencia para mantener los procesos críticos durante una interrupción.',
+                'Probar las restauraciones y el plan de recuperación al menos una vez al año y registrar los resultados.'
+            ],
+            evidence: [
+                'Plan de contingencia y resultados de las pruebas',
+                'Configuración e informes de las copias de seguridad',
+                'Registros de pruebas de restauración'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'hipaa-admin-06': {
+            text: '¿Existen Business Associate Agreements (BAA) con todos los proveedores que crean, reciben, mantienen o transmiten ePHI?',
+            guidance: 'Los BAA garantizan que sus proveedores protegen la PHI con los mismos estándares que usted.',
+            remediation: [
+                'Elaborar un inventario de todos los proveedores que crean, reciben, mantienen o transmiten ePHI.',
+                'Firmar un Business Associate Agreement con cada proveedor del inventario que no lo tenga.',
+                'Añadir una verificación del BAA al proceso de compras para que ningún proveedor reciba ePHI antes de firmarlo.'
+            ],
+            evidence: [
+                'Inventario de proveedores con el estado del BAA',
+                'Business Associate Agreements firmados',
+                'Lista de verificación de compras que incluya la revisión del BAA'
+            ],
+            ownerRole: 'Jurídico / Compras'
+        },
+        'hipaa-phys-04': {
+            text: '¿Están los puestos de trabajo con acceso a ePHI situados de forma que se evite la visualización no autorizada (p. ej., lejos de zonas de paso)?',
+            guidance: 'Es una salvaguarda sencilla pero eficaz contra las miradas indiscretas.',
+            remediation: [
+                'Orientar las pantallas que muestran ePHI lejos de las zonas públicas y de paso.',
+                'Colocar filtros de privacidad donde no sea posible reubicarlas.',
+                'Incluir la ubicación de los puestos en la política de seguridad de los puestos de trabajo y en las inspecciones periódicas.'
+            ],
+            evidence: [
+                'Política de seguridad de los puestos de trabajo',
+                'Resultados de las listas de comprobación de las inspecciones',
+                'Fotografías de la ubicación de los puestos o de los filtros de privacidad'
+            ],
+            ownerRole: 'Servicios generales'
+        },
+        'hipaa-tech-05': {
+            text: '¿Existe un cierre de sesión automático que finalice las sesiones electrónicas tras un periodo de inactividad predeterminado?',
+            guidance: 'Así se evita el acceso no autorizado desde puestos desatendidos.',
+            remediation: [
+                'Configurar el tiempo de espera de sesión y el bloqueo de pantalla en los puestos y las aplicaciones con ePHI.',
+                'Fijar el periodo de inactividad según el riesgo (p. ej., 5–15 minutos) y documentar la justificación.',
+                'Aplicar la configuración de forma centralizada mediante directivas de grupo o MDM en lugar de equipo por equipo.'
+            ],
+            evidence: [
+                'Capturas de directivas de grupo o MDM con la configuración del tiempo de espera',
+                'Configuración del tiempo de espera de sesión de las aplicaciones',
+                'Política de seguridad de los puestos de trabajo'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'hipaa-tech-06': {
+            text: '¿Dispone de procedimientos para verificar que la persona o entidad que solicita acceso a la ePHI es quien dice ser?',
+            guidance: 'Puede hacerse mediante contraseñas, autenticación de dos factores u otros métodos de verificación de identidad.',
+            remediation: [
+                'Exigir contraseñas robustas y únicas en todas las cuentas con acceso a ePHI.',
+                'Activar la autenticación multifactor para el acceso remoto, el correo electrónico y las cuentas con privilegios.',
+                'Documentar los pasos de verificación de identidad para los restablecimientos de contraseña y las solicitudes de nuevas cuentas.'
+            ],
+            evidence: [
+                'Política de contraseñas',
+                'Informe de registro en MFA',
+                'Procedimiento de verificación de identidad del servicio de soporte'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'gdpr-scope-territorial': {
+            text: '¿Está su organización establecida en la UE/EEE, u ofrece bienes o servicios a personas en la UE/EEE o controla su comportamiento?',
+            guidance: 'El RGPD se aplica al tratamiento en el contexto de un establecimiento en la UE/EEE y a las organizaciones de fuera que se dirigen a personas en ella o controlan su comportamiento, por ejemplo enviando productos a clientes de la UE o rastreando a visitantes europeos de su web.'
+        },
+        'gdpr-scope-role': {
+            text: '¿Actúa su organización como responsable del tratamiento, como encargado del tratamiento o como ambos?',
+            guidance: 'El responsable decide los fines y los medios del tratamiento. Un encargado solo trata los datos por cuenta y siguiendo las instrucciones de un responsable, por ejemplo como proveedor de alojamiento o de nóminas.',
+            choices: { controller: 'Responsable', processor: 'Solo encargado', both: 'Ambos' }
+        },
+        'gdpr-lawful-01': {
+            text: 'Para cada actividad de tratamiento, ¿ha identificado y documentado una base jurídica válida conforme al artículo 6?',
+            guidance: 'Las seis bases jurídicas son el consentimiento, el contrato, la obligación legal, los intereses vitales, la misión de interés público y el interés legítimo.',
+            remediation: [
+                'Enumerar todas las actividades de tratamiento y registrar su finalidad.',
+                'Asignar y documentar una base jurídica del artículo 6 para cada actividad.',
+                'Realizar evaluaciones de interés legítimo cuando se utilice esa base.'
+            ],
+            evidence: [
+                'Registro de actividades de tratamiento (RAT) con una columna de base jurídica',
+                'Evaluaciones de interés legítimo',
+                'Registros de las decisiones sobre la base jurídica'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-lawful-02': {
+            text: '¿Es su política de privacidad fácilmente accesible y explica con claridad los tratamientos a los interesados?',
+            guidance: 'La información debe ser concisa, transparente, inteligible y facilitarse con un lenguaje claro y sencillo.',
+            remediation: [
+                'Reescribir la política de privacidad para cubrir todos los elementos de los artículos 13 y 14 en un lenguaje sencillo.',
+                'Enlazar la política desde cada punto de recogida (web, formularios, aplicaciones, contratos).',
+                'Revisar la política cada vez que cambie el tratamiento y al menos una vez al año.'
+            ],
+            evidence: [
+                'Política de privacidad pública',
+                'Capturas de la ubicación de la política en los puntos de recogida',
+                'Registro de revisiones de la política de privacidad'
+            ],
+            ownerRole: 'Jurídico'
+        },
+        'gdpr-lawful-03': {
+            text: 'Cuando se basa en el consentimiento, ¿es libre, específico, informado e inequívoco, con una clara acción afirmativa?',
+            guidance: 'Las casillas premarcadas no constituyen un consentimiento válido. Retirar el consentimiento debe ser tan fácil como darlo.',
+            remediation: [
+                'Sustituir las casillas premarcadas y los consentimientos agrupados por opciones separadas y sin marcar.',
+                'Registrar quién consintió, cuándo, cómo y sobre qué versión de la información.',
+                'Ofrecer un mecanismo de retirada tan sencillo como el de consentimiento y aplicarlo sin demora.'
+            ],
+            evidence: [
+                'Capturas y registros del mecanismo de obtención del consentimiento',
+                'Extracto del registro de consentimientos',
+                'Procedimiento de retirada del consentimiento'
+            ],
+            ownerRole: 'Marketing / Producto'
+        },
+        'gdpr-rights-01': {
+            text: '¿Cuántos días suele tardar en responder a una solicitud de acceso de un interesado?',
+            guidance: 'Las solicitudes de acceso, rectificación, supresión («derecho al olvido») y portabilidad deben responderse en el plazo de un mes. Solo las solicitudes complejas o numerosas justifican prorrogarlo como máximo otros dos meses.',
+            unit: 'días',
+            remediation: [
+                'Crear un formulario o buzón público para las solicitudes de los interesados.',
+                'Redactar un manual de solicitudes de acceso que cubra la verificación de identidad, la búsqueda, la revisión y la respuesta en un mes.',
+                'Registrar cada solicitud con su fecha de recepción y su plazo en un registro de solicitudes.'
+            ],
+            evidence: [
+                'Procedimiento de solicitudes de acceso',
+                'Registro de solicitudes',
+                'Ejemplo de respuesta a una solicitud de acceso'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-rights-02': {
+            text: '¿Puede localizar, modificar y suprimir de forma eficaz los datos personales de una persona en todos sus sistemas?',
+            guidance: 'Es un reto técnico y organizativo. Debe poder atender los derechos de rectificación y supresión.',
+            remediation: [
+                'Mapear dónde se almacena cada categoría de datos personales en los sistemas y copias de seguridad.',
+                'Crear o documentar procedimientos de búsqueda, corrección y borrado para cada sistema.',
+                'Probar una solicitud de supresión de principio a fin y registrar el resultado.'
+            ],
+            evidence: [
+                'Mapa de datos o inventario de sistemas',
+                'Procedimientos de supresión y rectificación por sistema',
+                'Registro de la prueba de supresión'
+            ],
+            ownerRole: 'Operaciones de TI'
+        },
+        'gdpr-dpia-01': {
+            text: '¿Mantiene un registro detallado de actividades de tratamiento (RAT) conforme al artículo 30?',
+            guidance: 'Este registro interno debe detallar qué datos trata, por qué, durante cuánto tiempo y con quién se comparten.',
+            remediation: [
+                'Entrevistar a los responsables de los procesos para recoger todas las actividades de tratamiento.',
+                'Registrar cada actividad con los campos del artículo 30: finalidades, categorías, destinatarios, transferencias, conservación y seguridad.',
+                'Asignar un responsable que mantenga el RAT actualizado y lo revise al menos una vez al año.'
+            ],
+            evidence: [
+                'Registro de actividades de tratamiento (RAT)',
+                'Registro de revisiones del RAT',
+                'Lista de responsables del RAT'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-dpia-02': {
+            text: '¿Tiene un proceso para realizar evaluaciones de impacto relativas a la protección de datos (EIPD) en los tratamientos de alto riesgo?',
+            guidance: 'Se requiere una EIPD antes de iniciar proyectos o utilizar tecnologías que probablemente entrañen un alto riesgo para las personas.',
+            remediation: [
+                'Adoptar una lista de comprobación previa de EIPD basada en el artículo 35 y en las directrices de la autoridad de control.',
+                'Crear una plantilla de EIPD que cubra la necesidad, los riesgos para las personas y las medidas de mitigación.',
+                'Hacer del análisis previo de EIPD un paso obligatorio en la aprobación de proyectos y compras.'
+            ],
+            evidence: [
+                'Lista de comprobación previa de EIPD',
+                'Informes de evaluación de impacto relativa a la protección de datos (EIPD)',
+                'Flujo de aprobación de proyectos que muestre el control de EIPD'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-security-01': {
+            text: '¿Ha implantado medidas técnicas y organizativas que garanticen un nivel de seguridad adecuado al riesgo?',
+            guidance: 'Incluye la seudonimización, el cifrado, las pruebas periódicas y la garantía de confidencialidad, integridad, disponibilidad y resiliencia.',
+            choices: { none: 'No hay medidas definidas', some: 'Algunas medidas implantadas', full: 'Medidas completas basadas en el riesgo' },
+            remediation: [
+                'Realizar una evaluación de riesgos del tratamiento de datos personales para fijar el nivel de seguridad necesario.',
+                'Implantar medidas proporcionales al riesgo, como cifrado, seudonimización, control de acceso y copias de seguridad.',
+                'Documentar las medidas en una política de seguridad de la información.',
+                'Asignar responsables y fechas de revisión a cada medida.'
+            ],
+            evidence: [
+                'Política de seguridad de la información',
+                'Evaluación de riesgos del tratamiento de datos personales',
+                'Relación de medidas técnicas y organizativas'
+            ],
+            ownerRole: 'Responsable de seguridad de la información'
+        },
+        'gdpr-security-02': {
+            text: '¿Qué grado de madurez tiene su proceso para verificar, evaluar y valorar periódicamente la eficacia de sus medidas de seguridad?',
+            guidance: 'La seguridad no es un proyecto puntual; requiere una validación continua. Inicial: improvisado. Documentado: por escrito, pero aún no se aplica. Implantado: se aplica en la práctica. Verificado: se comprueban sus resultados. Optimizado: se mejora a partir de esos resultados.',
+            remediation: [
+                'Programar análisis de vulnerabilidades periódicos y una prueba de penetración anual.',
+                'Probar las restauraciones de copias de seguridad y la respuesta a incidentes al menos una vez al año.',
+                'Hacer seguimiento de los hallazgos hasta su cierre e informar de los resultados a la dirección.'
+            ],
+            evidence: [
+                'Informes de análisis de vulnerabilidades y pruebas de penetración',
+                'Registros de seguimiento de las correcciones',
+                'Actas de revisión por la dirección'
+            ],
+            ownerRole: 'Responsable de seguridad de la información'
+        },
+        'gdpr-processors-01': {
+            text: '¿Tiene contratos de encargo del tratamiento jurídicamente vinculantes con todos los encargados externos?',
+            guidance: 'Un contrato de encargo es obligatorio cuando un tercero trata datos personales por cuenta suya.',
+            remediation: [
+                'Identificar a todos los terceros que tratan datos personales por cuenta suya.',
+                'Firmar un contrato de encargo conforme al artículo 28 con cada encargado que no lo tenga.',
+                'Añadir una verificación del contrato al proceso de compras para que ningún encargado reciba datos antes de firmarlo.'
+            ],
+            evidence: [
+                'Inventario de encargados con el estado del contrato',
+                'Contratos de encargo firmados',
+                'Lista de verificación de compras que incluya la revisión del contrato'
+            ],
+            ownerRole: 'Jurídico / Compras'
+        },
+        'gdpr-processors-02': {
+            text: '¿Establecen sus contratos de encargo de forma explícita las obligaciones del encargado, incluidas las de seguridad y notificación de brechas?',
+            guidance: 'El contrato debe incluir las cláusulas específicas del artículo 28, apartado 3.',
+            remediation: [
+                'Comparar los contratos existentes con la lista de cláusulas del artículo 28, apartado 3.',
+                'Negociar adendas para los contratos que carezcan de cláusulas de seguridad, subencargados, auditoría o notificación de brechas.',
+                'Adoptar una plantilla de contrato estándar para los nuevos encargados.'
+            ],
+            evidence: [
+                'Revisión de las cláusulas del artículo 28.3 de cada contrato',
+                'Contratos modificados mediante adenda',
+                'Plantilla de contrato de encargo estándar'
+            ],
+            ownerRole: 'Jurídico'
+        },
+        'gdpr-breach-01': {
+            text: '¿Tiene un proceso documentado para detectar, investigar y notificar las violaciones de la seguridad de los datos personales a la autoridad de control?',
+            guidance: 'Las brechas que supongan un riesgo deben notificarse sin dilación indebida y, si es posible, en un plazo de 72 horas.',
+            remediation: [
+                'Redactar un procedimiento de respuesta a incidentes para detectar, contener y evaluar las brechas de datos personales.',
+                'Definir quién decide sobre la notificación y cómo se cumple el plazo de 72 horas.',
+                'Mantener un registro de brechas que recoja todas, incluidas las no notificadas.',
+                'Realizar un ejercicio de simulación para probar el procedimiento.'
+            ],
+            evidence: [
+                'Procedimiento de respuesta a incidentes y notificación de brechas',
+                'Registro de brechas',
+                'Informe del ejercicio de simulación'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-breach-02': {
+            text: '¿Tiene un proceso para comunicar las brechas a los interesados afectados cuando suponen un alto riesgo para sus derechos?',
+            guidance: 'Esta comunicación debe realizarse sin dilación indebida.',
+            remediation: [
+                'Añadir al procedimiento criterios para decidir cuándo una brecha supone un alto riesgo para las personas.',
+                'Preparar plantillas de notificación en lenguaje sencillo para los interesados.',
+                'Definir los canales (correo electrónico, carta, comunicación pública) para llegar a las personas afectadas.'
+            ],
+            evidence: [
+                'Criterios de evaluación del alto riesgo',
+                'Plantillas de notificación a los interesados',
+                'Entradas del registro de brechas que muestren la decisión'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-transfer-scope': {
+            text: '¿Se transfieren datos personales a países fuera de la UE/EEE, o se accede a ellos desde esos países?',
+            guidance: 'Incluya el acceso remoto de proveedores o empresas del grupo y los servicios en la nube alojados fuera de la UE/EEE.'
+        },
+        'gdpr-transfer-01': {
+            text: 'Para las transferencias de datos personales fuera de la UE/EEE, ¿ha implantado un mecanismo de transferencia válido?',
+            guidance: 'Los mecanismos incluyen decisiones de adecuación, cláusulas contractuales tipo (CCT) o normas corporativas vinculantes (NCV).',
+            remediation: [
+                'Identificar todas las transferencias de datos personales fuera de la UE/EEE.',
+                'Establecer un mecanismo válido para cada transferencia, como una decisión de adecuación, CCT o NCV.',
+                'Registrar en el RAT el mecanismo utilizado para cada transferencia.'
+            ],
+            evidence: [
+                'Inventario de transferencias con el mecanismo de cada una',
+                'Cláusulas contractuales tipo firmadas',
+                'Entradas de transferencias en el RAT'
+            ],
+            ownerRole: 'Jurídico'
+        },
+        'gdpr-transfer-sccs': {
+            text: '¿Se basa en cláusulas contractuales tipo (CCT) para alguna de estas transferencias?',
+            guidance: 'Responda «No» si todas las transferencias se basan en decisiones de adecuación, NCV o excepciones del artículo 49.'
+        },
+        'gdpr-transfer-02': {
+            text: 'Si utiliza CCT, ¿ha realizado una evaluación de impacto de la transferencia (EIT) para garantizar la protección de los datos en el país de destino?',
+            guidance: 'La EIT permite valorar si las CCT pueden cumplirse en la práctica en el tercer país.',
+            remediation: [
+                'Evaluar la legislación y las prácticas de cada país de destino en las transferencias basadas en CCT.',
+                'Definir medidas complementarias (p. ej., cifrado con claves custodiadas en la UE) cuando la protección sea insuficiente.',
+                'Documentar la evaluación de impacto de la transferencia y revisarla cuando cambien las leyes o las transferencias.'
+            ],
+            evidence: [
+                'Evaluaciones de impacto de las transferencias',
+                'Documentación de las medidas complementarias',
+                'Registro de revisiones de las EIT'
+            ],
+            ownerRole: 'Jurídico'
+        },
+        'gdpr-lawful-04': {
+            text: '¿Cumple los principios de minimización de datos y limitación de la finalidad?',
+            guidance: 'Recoja y trate solo datos personales adecuados, pertinentes y limitados a lo necesario para la finalidad especificada.',
+            remediation: [
+                'Revisar cada punto de recogida y eliminar los campos innecesarios para la finalidad declarada.',
+                'Definir plazos de conservación para cada categoría de datos personales y programar su supresión.',
+                'Exigir una comprobación de compatibilidad antes de reutilizar datos para una nueva finalidad.'
+            ],
+            evidence: [
+                'Calendario de conservación de datos',
+                'Registros de revisión de la minimización de datos',
+                'Evaluaciones de compatibilidad de finalidades'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-rights-03': {
+            text: '¿Tiene un proceso para atender las solicitudes de limitación del tratamiento y las oposiciones al tratamiento?',
+            guidance: 'En determinadas circunstancias, las personas tienen derecho a bloquear o limitar el tratamiento de sus datos.',
+            remediation: [
+                'Ampliar el procedimiento de solicitudes para cubrir las solicitudes de limitación y oposición.',
+                'Definir cómo se limita o marca técnicamente el tratamiento en cada sistema.',
+                'Formar a quienes gestionan las solicitudes en los criterios de los artículos 18 y 21.'
+            ],
+            evidence: [
+                'Procedimiento de limitación y oposición',
+                'Ejemplos de solicitudes atendidas',
+                'Registros de formación de quienes gestionan las solicitudes'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        },
+        'gdpr-security-dpo-scope': {
+            text: '¿Está su organización obligada a designar un delegado de protección de datos (DPD) conforme al artículo 37?',
+            guidance: 'El DPD es obligatorio para las autoridades públicas y para las organizaciones cuyas actividades principales implican una observación habitual y sistemática a gran escala o el tratamiento de datos sensibles.'
+        },
+        'gdpr-security-03': {
+            text: '¿Ha designado un delegado de protección de datos (DPD)?',
+            guidance: 'El DPD debe participar en todas las cuestiones de protección de datos, rendir cuentas al más alto nivel de la dirección y estar accesible para los interesados.',
+            choices: { yes: 'Sí, DPD designado', no: 'No, no se ha designado DPD' },
+            remediation: [
+                'Designar un DPD con conocimientos especializados en derecho de protección de datos, interno o externo.',
+                'Publicar los datos de contacto del DPD y comunicarlos a la autoridad de control.',
+                'Asegurar que el DPD rinde cuentas al más alto nivel de la dirección y no tiene funciones en conflicto.'
+            ],
+            evidence: [
+                'Carta de designación del DPD',
+                'Comunicación del DPD a la autoridad de control',
+                'Datos de contacto del DPD publicados'
+            ],
+            ownerRole: 'Dirección general'
+        },
+        'gdpr-processors-03': {
+            text: '¿Aplica la diligencia debida a sus encargados del tratamiento para asegurarse de que tienen medidas de seguridad adecuadas?',
+            guidance: 'Usted es responsable de las actuaciones de sus encargados. Debe verificar su capacidad para proteger los datos que les confía.',
+            remediation: [
+                'Crear un cuestionario de seguridad para proveedores proporcional a los datos compartidos.',
+                'Evaluar a cada encargado antes de su incorporación y después de forma periódica.',
+                'Revisar las certificaciones (p. ej., ISO 27001, SOC 2) y los informes de auditoría de los encargados.'
+            ],
+            evidence: [
+                'Cuestionarios de seguridad de proveedores completados',
+                'Certificaciones e informes de auditoría de los encargados',
+                'Registro de riesgos de proveedores'
+            ],
+            ownerRole: 'Responsable de seguridad de la información'
+        },
+        'gdpr-transfer-03': {
+            text: '¿Conoce y documenta los datos concretos que se transfieren, la finalidad y el país destinatario?',
+            guidance: 'Mantener un inventario claro de los flujos internacionales de datos es esencial para el cumplimiento.',
+            remediation: [
+                'Crear un registro de flujos internacionales de datos con categorías de datos, finalidades y países destinatarios.',
+                'Vincular cada flujo a su mecanismo de transferencia y a su EIT.',
+                'Revisar el registro cada vez que cambien los proveedores o los sistemas.'
+            ],
+            evidence: [
+                'Registro de flujos internacionales de datos',
+                'Diagramas de flujo de datos',
+                'Registro de revisiones del registro de flujos'
+            ],
+            ownerRole: 'Delegado de protección de datos'
+        }
+    }
+};
@@ -0,0 +1,941 @@
+/**
+ * French translations for the Compliance Readiness Checker.
+ * Register with `registerLocale('fr', fr)`; anything not translated here is shown in English.
+ */
+export default {
+    name: 'Français',
+    messages: {
+        'disclaimer': 'Cet outil fournit des indications générales sur le niveau de préparation et ne constitue pas un avis juridique. Consultez un conseil juridique qualifié pour toute question de conformité.',
+        'answer.yes': 'Oui',
+        'answer.no': 'Non',
+        'classification.High': 'Élevé',
+        'classification.Moderate': 'Modéré',
+        'classification.Low': 'Faible',
+        'severity.High': 'Élevée',
+        'severity.Medium': 'Moyenne',
+        'severity.Low': 'Faible',
+        'severity.raised': "Relevée depuis {severity} par le profil de l'organisation : {factors}.",
+        'severity.lowered': "Abaissée depuis {severity} par le profil de l'organisation : {factors}.",
+        'organization.size': 'Taille',
+        'organization.size.small': 'Petite',
+        'organization.size.medium': 'Moyenne',
+        'organization.size.large': 'Grande',
+        'organization.recordVolume': "Volume d'enregistrements",
+        'organization.recordVolume.low': 'Faible',
+        'organization.recordVolume.medium': 'Moyen',
+        'organization.recordVolume.high': 'Élevé',
+        'organization.sensitivity': 'Données sensibles',
+        'organization.sensitivity.phi': 'Informations de santé protégées (PHI)',
+        'organization.sensitivity.special_category': 'Catégories particulières (art. 9)',
+        'organization.sensitivity.children': 'Données relatives aux enfants',
+        'organization.sensitivity.none': 'Aucune',
+        'organization.processingScale': 'Échelle du traitement',
+        'organization.processingScale.limited': 'Limitée',
+        'organization.processingScale.regular': 'Courante',
+        'organization.processingScale.large_scale': 'Grande échelle',
+        'organization.factor': '{label} : {value} (×{multiplier})',
+        'scope.inScope': '{standard} est dans le périmètre : {basis}.',
+        'scope.outOfScope': '{standard} est hors périmètre : {basis}.',
+        'scope.assumed': "{standard} est supposé dans le périmètre car les questions de périmètre n'ont pas reçu de réponse.",
+        'scope.always': '{standard} est toujours dans le périmètre.',
+        'scope.domainExcluded': '{domain} est hors périmètre : {basis}.',
+        'scope.basis': '« {question} » — {answer}',
+        'effort.Low': 'Faible',
+        'effort.Medium': 'Moyen',
+        'effort.High': 'Élevé',
+        'observed.yesNo': 'La mesure ou la politique requise (« {question} ») n’est pas en place ou pas entièrement mise en œuvre.',
+        'observed.scaleAdHoc': 'Le processus relatif à « {question} » est ponctuel ou n’est pas formellement établi.',
+        'observed.scalePartial': 'Le processus relatif à « {question} » est établi mais manque peut-être de documentation formelle ou d’une application régulière.',
+        'observed.multiple': 'La mise en œuvre actuelle pour « {question} » ne satisfait pas entièrement aux exigences.',
+        'observed.generic': 'Un écart de conformité a été identifié.',
+        'observed.maturity': '« {question} » est au niveau {level} ; la note maximale exige {target}.',
+        'observed.checklist': 'Pour « {question} », ces éléments ne sont pas en place : {missing}.',
+        'observed.numeric': 'Pour « {question} », la réponse était {answer} ; la note maximale exige {target}.',
+        'answer.noneSelected': 'Aucun de ces éléments',
+        'maturity.initial': 'Initial',
+        'maturity.documented': 'Documenté',
+        'maturity.implemented': 'Mis en œuvre',
+        'maturity.tested': 'Testé',
+        'maturity.optimized': 'Optimisé',
+        'numeric.atMost': '{value} au plus',
+        'numeric.atLeast': 'au moins {value}',
+        'numeric.between': 'de {min} à {max}',
+        'numeric.any': 'toute valeur',
+        'strength': 'Mesures solides en place pour : {question}',
+        'quickWin': '{step} ({standard} – {domain})',
+        'next30Days.action': 'Combler les écarts ({counts}) dans {standard} – {domain} (actuellement {score}). Commencer par : {step}',
+        'next30Days.count': '{count} × {severity}',
+        'commonControl.action': '{name} : une seule correction traite {count} constat(s) pour {standards}.',
+        'quickWins.generic': [
+            'Revoir et mettre à jour les supports de sensibilisation à la sécurité du personnel.',
+            'Vérifier que tous les journaux d’accès aux locaux sont examinés régulièrement.',
+            'Planifier un exercice sur table pour tester votre procédure de notification des violations.',
+            'Confirmer que tous les prestataires traitant des données sensibles ont signé un contrat de sous-traitance ou un BAA.',
+            'Vérifier que votre politique de confidentialité publique reflète fidèlement tous les traitements actuels.'
+        ],
+        'next30Days.generic': [
+            'Traiter tous les constats de gravité élevée, en commençant par un plan de projet formel.',
+            'Mener une analyse de risques ciblée sur les domaines ayant les scores les plus bas.',
+            'Désigner des responsables et des échéances pour chaque étape de remédiation du rapport.',
+            'Revoir les contrats de sous-traitance avec les principaux prestataires et en faire respecter les clauses.',
+            'Planifier une évaluation de suivi pour mesurer les progrès.'
+        ],
+        'remediation.safeguards': [
+            'Rédiger et faire approuver une politique formelle couvrant « {citation} ».',
+            'Mettre en place des mesures techniques ou organisationnelles pour appliquer la nouvelle politique.',
+            'Former l’ensemble du personnel concerné à la nouvelle politique et aux procédures.',
+            'Planifier une revue périodique (par exemple annuelle) pour garantir l’efficacité de la mesure.'
+        ],
+        'remediation.breach': [
+            'Rédiger une politique formelle de notification des violations et un plan de réponse aux incidents.',
+            'Définir les rôles et responsabilités de l’équipe de réponse aux incidents.',
+            'Organiser un exercice sur table simulant une violation de données pour tester le plan.',
+            'Préparer des modèles de communication interne et externe en cas de violation.'
+        ],
+        'remediation.rights': [
+            'Créer un formulaire public de réception des demandes des personnes concernées.',
+            'Élaborer un mode opératoire interne pour localiser, extraire et regrouper les données personnelles.',
+            'Former le support client et les équipes opérationnelles à la procédure et aux délais de réponse aux demandes d’accès.',
+            'Mettre en place un outil de suivi de l’état de toutes les demandes reçues.'
+        ],
+        'remediation.default': [
+            'Consulter l’exigence « {citation} » pour comprendre les obligations précises.',
+            'Réaliser une analyse d’écarts détaillée par rapport à l’exigence.',
+            'Établir un plan d’actions correctives avec calendrier et responsables.'
+        ],
+        'evidence.administrative': [
+            'Rapport d’analyse des risques documenté',
+            'Manuel des politiques et procédures de sécurité de l’information',
+            'Registres et supports de formation du personnel',
+            'Politique de sanctions',
+            'Plan de continuité et résultats des tests'
+        ],
+        'evidence.physical': [
+            'Journaux de contrôle d’accès aux locaux',
+            'Registres d’accueil des visiteurs',
+            'Photos des mesures de sécurité physique (portes verrouillées, cages de serveurs, etc.)',
+            'Registres d’élimination des supports / certificats de destruction',
+            'Politique de sécurité des postes de travail'
+        ],
+        'evidence.technical': [
+            'Journaux d’audit des systèmes (accès, modifications, etc.)',
+            'Rapports de revue des accès utilisateurs',
+            'Preuve de la mise en œuvre du chiffrement (captures de configuration, etc.)',
+            'Politique de mots de passe',
+            'Rapports du système de détection d’intrusion'
+        ],
+        'evidence.rights': [
+            'Politique de confidentialité publique',
+            'Registre des activités de traitement',
+            'Exemple de réponse à une demande d’accès',
+            'Captures et preuves du mécanisme de recueil du consentement',
+            'Rapports d’analyse d’impact relative à la protection des données (AIPD)'
+        ],
+        'evidence.default': [
+            'Documents de politique pertinents',
+            'Modes opératoires ou logigrammes',
+            'Captures de la configuration des systèmes',
+            'Rapports de suivi des formations',
+            'Procès-verbaux de réunions où le sujet a été discuté et approuvé'
+        ],
+        'format.title': 'Rapport {appName}',
+        'format.generated': 'Généré le {date}',
+        'format.version': 'version {version}',
+        'format.scoringProfile': 'Profil de notation',
+        'format.organizationProfile': "Profil de l'organisation",
+        'format.severityAdjustment': 'Ajustement de la gravité',
+        'format.overall': 'Global',
+        'format.overallReadiness': 'Niveau de préparation global',
+        'format.classification': 'Classement',
+        'format.nothingInScope': 'Rien dans le périmètre. D’après les réponses de cadrage, aucune des réglementations prises en charge ne s’applique ; il n’y a donc rien à évaluer.',
+        'format.evidenceCoverage': 'Couverture des preuves',
+        'format.scoresByStandard': 'Scores par référentiel',
+        'format.scoresByDomain': 'Scores par domaine',
+        'format.charts': 'Graphiques',
+        'format.domainPerformance': 'Résultats par domaine',
+        'format.standard': 'Référentiel',
+        'format.domain': 'Domaine',
+        'format.score': 'Score',
+        'format.notApplicable': 'Non applicable',
+        'format.strengths': 'Points forts',
+        'format.quickWins': 'Gains rapides',
+        'format.next30Days': '30 prochains jours',
+        'format.commonControls': 'Mesures communes',
+        'format.findings': 'Constats',
+        'format.noFindings': 'Aucun constat.',
+        'format.severityHeading': 'Gravité {severity}',
+        'format.findingCount': '{count} constat(s)',
+        'format.standardDomain': 'Référentiel / domaine',
+        'format.citation': 'Référence',
+        'format.observedStatus': 'Situation constatée',
+        'format.estimatedEffort': 'Effort estimé',
+        'format.suggestedOwner': 'Responsable suggéré',
+        'format.scoreGain': 'Gain de score si corrigé',
+        'format.scoreGainValue': '+{overall} points au total, +{standard} pour {standardName}, +{domain} pour {domainName}',
+        'format.remediationSteps': 'Étapes de remédiation',
+        'format.evidenceToProvide': 'Preuves à fournir',
+        'format.unverifiedControls': 'Mesures non étayées',
+        'format.evidenceExpired': 'preuve expirée',
+        'format.noEvidence': 'aucune preuve',
+        'format.scopingRationale': 'Justification du périmètre',
+        'format.respondents': 'Répondants',
+        'format.respondentAnswers': '{respondent} : {count} réponse(s)',
+        'format.answeredBy': 'Répondu par',
+        'format.answerLog': 'Journal des modifications des réponses',
+        'format.answerLogSummary': '{count} modification(s). Empreinte de la dernière entrée : {hash}',
+        'format.when': 'Date',
+        'format.question': 'Question',
+        'format.change': 'Modification',
+        'format.author': 'Auteur',
+        'format.justification': 'Justification',
+        'format.gapToTarget': 'Écart par rapport à l’objectif',
+        'format.targetSummary': '{name} : {met} objectif(s) atteint(s) sur {total}.',
+        'format.target': 'Objectif',
+        'format.progress': 'Avancement',
+        'format.status': 'Statut',
+        'format.deadline': 'Échéance',
+        'format.blockingFindings': 'Constats bloquants',
+        'format.targetMarker': 'objectif {target}',
+        'target.scoreSummary': '{score} sur un objectif de {target}',
+        'target.answerSummary': '« {answer} » donné, « {required} » requis',
+        'target.unanswered': 'Sans réponse, « {required} » requis',
+        'target.gap': 'encore {points} points',
+        'target.overdue': 'en retard',
+        'target.status.met': 'Atteint',
+        'target.status.not_met': 'Non atteint',
+        'target.status.not_applicable': 'Non applicable',
+        'chart.domainScores': 'Scores des domaines {standard}',
+        'chart.domainScores.description': 'Graphique radar de {count} scores de domaine {standard}, de {min} pour {minDomain} à {max} pour {maxDomain}.',
+        'chart.findingsByDomain': 'Constats par domaine et gravité',
+        'chart.findingsByDomain.description': 'Histogramme empilé de {count} constat(s) par gravité dans {domains} domaine(s). {domain} en compte le plus, avec {domainCount}.',
+        'chart.scoreTrend': 'Scores au fil des évaluations',
+        'chart.scoreTrend.description': 'Graphique linéaire du score global et des scores par norme sur {count} évaluations. Le score global est passé de {first} le {firstDate} à {last} le {lastDate}.',
+        'chart.date': 'Date',
+        'chart.total': 'Total',
+        'breach.gdpr-record.title': 'Documenter la violation, ses effets et les mesures correctives prises',
+        'breach.gdpr-record.basis': 'Toute violation de données à caractère personnel doit être documentée, y compris celles qui ne sont pas notifiées.',
+        'breach.gdpr-authority.title': 'Notifier l’autorité de contrôle',
+        'breach.gdpr-authority.notNeeded': 'La violation est jugée peu susceptible d’engendrer un risque pour les personnes ; aucune notification n’est donc nécessaire. Consignez le raisonnement.',
+        'breach.gdpr-authority.due': 'À faire dans les 72 heures après en avoir pris connaissance. Justifiez tout retard en cas de notification ultérieure.',
+        'breach.gdpr-authority.dueUnassessed': 'À faire dans les 72 heures après en avoir pris connaissance ; le risque n’est pas encore évalué, la notification est donc présumée nécessaire. Justifiez tout retard en cas de notification ultérieure.',
+        'breach.gdpr-data-subjects.title': 'Communiquer la violation aux personnes concernées',
+        'breach.gdpr-data-subjects.required': 'La violation est susceptible d’engendrer un risque élevé pour les personnes ; elles doivent donc être informées dans les meilleurs délais.',
+        'breach.gdpr-data-subjects.notNeeded': 'Nécessaire uniquement si la violation est susceptible d’engendrer un risque élevé pour les personnes.',
+        'breach.gdpr-data-subjects.unassessed': 'Nécessaire uniquement si la violation est susceptible d’engendrer un risque élevé pour les personnes ; évaluez le risque pour décider.',
+        'breach.hipaa-risk-assessment.title': 'Réaliser et documenter l’évaluation des risques à quatre facteurs',
+        'breach.hipaa.lowProbability': 'L’évaluation à quatre facteurs montre une faible probabilité que les PHI aient été compromises ; il ne s’agit donc pas d’une violation à déclarer. Conservez l’évaluation.',
+        'breach.hipaa.unassessed': '{count} des quatre facteurs de risque ne sont pas encore évalués ; l’incident est donc présumé être une violation à déclarer.',
+        'breach.hipaa.reportable': 'L’évaluation à quatre facteurs ne montre pas une faible probabilité de compromission ; l’incident est donc une violation à déclarer.',
+        'breach.hipaa-individuals.title': 'Notifier les personnes concernées',
+        'breach.hipaa-individuals.due': 'Sans retard déraisonnable et au plus tard 60 jours après la découverte.',
+        'breach.hipaa-hhs.title': 'Notifier le Secretary of HHS',
+        'breach.hipaa-hhs.due': '{count} personnes sont concernées ({threshold} ou plus) ; le HHS doit donc être notifié dans les 60 jours suivant la découverte.',
+        'breach.hipaa-hhs.annual': 'Moins de {threshold} personnes sont concernées ; la violation peut donc figurer dans le registre annuel transmis dans les 60 jours suivant la fin de l’année civile.',
+        'breach.hipaa-media.title': 'Notifier les principaux médias',
+        'breach.hipaa-media.notNeeded': 'Nécessaire uniquement si plus de {threshold} résidents d’un même État ou territoire sont concernés.',
+        'breach.hipaa-media.state': 'Plus de {threshold} résidents de {states} sont concernés ; informez les médias de cet État dans les 60 jours suivant la découverte.',
+        'breach.hipaa-media.states': 'Plus de {threshold} résidents de {states} sont concernés ; informez les médias de ces États dans les 60 jours suivant la découverte.',
+        'breach.hipaa-media.assumed': 'Plus de {threshold} personnes sont concernées et aucune répartition par État n’a été fournie ; un avis aux médias est donc présumé nécessaire dans les 60 jours suivant la découverte.',
+        'incident.incident': 'Incident',
+        'incident.exercise': 'Exercice sur table',
+        'incident.id': 'ID',
+        'incident.discovered': 'Découvert le',
+        'incident.jurisdictions': 'Juridictions',
+        'incident.affectedRecords': 'Enregistrements concernés',
+        'incident.hipaaAssessment': 'Évaluation HIPAA à quatre facteurs',
+        'incident.gdprRisk': 'Risque RGPD pour les personnes',
+        'incident.notAssessed': 'non évalué',
+        'incident.factor.nature': 'Nature et étendue des PHI concernées, y compris les identifiants et la probabilité de réidentification',
+        'incident.factor.recipient': 'La personne non autorisée qui a utilisé les PHI ou à qui elles ont été divulguées',
+        'incident.factor.acquired': 'Si les PHI ont effectivement été obtenues ou consultées',
+        'incident.factor.mitigated': 'La mesure dans laquelle le risque pour les PHI a été atténué',
+        'incident.rating.low': 'faible',
+        'incident.rating.high': 'élevé',
+        'incident.gdprRisk.unlikely': 'peu susceptible d’engendrer un risque',
+        'incident.gdprRisk.risk': 'risque',
+        'incident.gdprRisk.high': 'risque élevé',
+        'incident.deadlines': 'Échéances (au {date})',
+        'incident.due': 'échéance {date}',
+        'incident.withoutUndueDelay': 'dans les meilleurs délais',
+        'incident.status.done': 'fait le {date}',
+        'incident.status.open': 'ouvert',
+        'incident.status.overdue': 'en retard',
+        'incident.status.not_required': 'non requis',
+        'incident.log': 'Journal',
+        'incident.time': 'Heure',
+        'incident.event': 'Événement',
+        'incident.deadline': 'Échéance',
+        'incident.note': 'Note'
+    },
+    frameworks: {
+        HIPAA: {
+            description: 'HIPAA Security Rule et Breach Notification Rule',
+            domains: {
+                'Administrative Safeguards': 'Mesures administratives',
+                'Physical Safeguards': 'Mesures physiques',
+                'Technical Safeguards': 'Mesures techniques',
+                'Breach Notification': 'Notification des violations'
+            },
+            domainIntros: {
+                'Administrative Safeguards': 'Mettre en place la gouvernance, les politiques et les programmes RH qui fondent la sécurité HIPAA.',
+                'Physical Safeguards': 'Protéger les locaux et les supports contenant des informations de santé sensibles.',
+                'Technical Safeguards': 'Appliquer des mesures techniques pour sécuriser les informations de santé protégées électroniques (ePHI).',
+                'Breach Notification': 'Se préparer à détecter, évaluer et signaler rapidement les violations de données potentielles.'
+            }
+        },
+        GDPR: {
+            name: 'RGPD',
+            description: 'Règlement général sur la protection des données de l’UE',
+            domains: {
+                'Lawful Basis and Transparency': 'Base légale et transparence',
+                'Data Subject Rights': 'Droits des personnes concernées',
+                'DPIA and Records': 'AIPD et registres',
+                'Security of Processing': 'Sécurité du traitement',
+                'Processors and DPAs': 'Sous-traitants et contrats',
+                'Breach Notification': 'Notification des violations',
+                'International Transfers': 'Transferts internationaux'
+            },
+            domainIntros: {
+                'Lawful Basis and Transparency': 'Démontrer des bases légales claires et la transparence des traitements de données personnelles.',
+                'Data Subject Rights': 'Mettre en œuvre des processus qui respectent les droits des personnes sur leurs données.',
+                'DPIA and Records': 'Documenter les activités de traitement et évaluer les risques des projets à fort impact.',
+                'Security of Processing': 'S’assurer que les mesures techniques et organisationnelles correspondent au niveau de risque des traitements.',
+                'Processors and DPAs': 'Encadrer les prestataires par des contrats opposables et une vérification préalable.',
+                'Breach Notification': 'Se préparer à détecter, évaluer et signaler rapidement les violations de données potentielles.',
+                'International Transfers': 'Maîtriser les flux transfrontaliers avec des garanties approuvées et une documentation adaptée.'
+            }
+        }
+    },
+    commonControls: {
+        'vendor-agreements': {
+            name: 'Contrats avec les prestataires et sous-traitants',
+            description: 'Une seule revue contractuelle couvre les Business Associate Agreements HIPAA et les contrats de sous-traitance RGPD avec les mêmes prestataires.'
+        },
+        'breach-response': {
+            name: 'Procédure de réponse aux violations',
+            description: 'Une procédure unique de réponse aux incidents peut intégrer les étapes et délais de notification HIPAA et RGPD.'
+        },
+        'breach-risk-assessment': {
+            name: 'Évaluation des risques d’une violation',
+            description: 'La même évaluation documentée détermine s’il faut informer les personnes au titre de l’une ou l’autre réglementation.'
+        },
+        'encryption-and-security-measures': {
+            name: 'Chiffrement et mesures de sécurité',
+            description: 'Le chiffrement des données réglementées est une mesure technique clé de HIPAA et une mesure attendue au titre de l’article 32 du RGPD.'
+        },
+        'security-risk-assessment': {
+            name: 'Analyse des risques de sécurité',
+            description: 'Une analyse de risques récurrente satisfait à la fois l’analyse de risques HIPAA et les tests des mesures de sécurité exigés par le RGPD.'
+        }
+    },
+    questions: {
+        'hipaa-scope-entity': {
+            text: "Votre organisation est-elle une covered entity HIPAA, ou un business associate d'une telle entité ?",
+            guidance: "Les covered entities sont les assureurs santé, les chambres de compensation et les prestataires de soins qui transmettent des informations de santé par voie électronique. Les business associates créent, reçoivent, conservent ou transmettent des PHI pour le compte d'une covered entity.",
+            choices: { covered_entity: 'Covered entity', business_associate: 'Business associate', neither: 'Ni l’un ni l’autre' }
+        },
+        'hipaa-admin-01': {
+            text: 'Avez-vous désigné un responsable de la sécurité (Security Official) chargé d’élaborer et de mettre en œuvre les politiques de sécurité ?',
+            guidance: 'Une personne déterminée doit être chargée de superviser le programme de sécurité de l’organisation.',
+            remediation: [
+                'Désigner par écrit un responsable de la sécurité nommément identifié, avec un suppléant documenté.',
+                'Rédiger une fiche de poste couvrant la responsabilité des politiques, la gestion des risques et la supervision des incidents.',
+                'Communiquer la nomination au personnel et l’inscrire dans le manuel des politiques de sécurité.'
+            ],
+            evidence: [
+                'Lettre de désignation signée ou décision de la direction',
+                'Fiche de poste du responsable de la sécurité',
+                'Organigramme faisant apparaître la fonction sécurité'
+            ],
+            ownerRole: 'Direction générale'
+        },
+        'hipaa-admin-02': {
+            text: 'À quelle fréquence la sensibilisation et la formation du personnel à la sécurité sont-elles organisées ?',
+            guidance: 'Une formation régulière est obligatoire pour tout le personnel qui manipule des ePHI.',
+            choices: { 0: 'Jamais ou au cas par cas', 1: 'Périodiquement', 2: 'Au moins une fois par an et à l’intégration' },
+            remediation: [
+                'Définir un programme de sensibilisation couvrant l’hameçonnage, les mots de passe, les logiciels malveillants et le signalement des incidents.',
+                'Exiger une formation à l’intégration (avant tout accès aux ePHI) puis au moins une fois par an.',
+                'Suivre les formations suivies dans un LMS ou un registre et relancer les retardataires.',
+                'Diffuser des rappels de sécurité réguliers entre les sessions de formation.'
+            ],
+            evidence: [
+                'Supports et programme de formation',
+                'Attestations de formation datées',
+                'Copies des rappels de sécurité périodiques'
+            ],
+            ownerRole: 'Responsable de la sécurité'
+        },
+        'hipaa-admin-03': {
+            text: 'Disposez-vous d’un processus formel et documenté d’analyse et de gestion des risques ?',
+            guidance: 'Vous devez évaluer de manière précise et approfondie les risques et vulnérabilités pesant sur les ePHI.',
+            remediation: [
+                'Inventorier l’ensemble des systèmes, équipements et prestataires qui créent, reçoivent, conservent ou transmettent des ePHI.',
+                'Identifier les menaces et vulnérabilités de chaque actif et en évaluer la vraisemblance et l’impact.',
+                'Documenter un plan de traitement des risques attribuant mesures, responsables et échéances à chaque risque significatif.',
+                'Renouveler l’analyse de risques au moins une fois par an et après tout changement majeur.'
+            ],
+            evidence: [
+                'Rapport d’analyse des risques documenté',
+                'Inventaire des actifs contenant des ePHI',
+                'Plan de traitement et registre des risques'
+            ],
+            ownerRole: 'Responsable de la sécurité'
+        },
+        'hipaa-admin-04': {
+            text: 'Disposez-vous d’une politique de sanctions documentée pour le personnel qui ne respecte pas les politiques de sécurité ?',
+            guidance: 'Les manquements aux politiques doivent entraîner des conséquences.',
+            remediation: [
+                'Rédiger une politique de sanctions prévoyant des mesures graduées en cas de manquement aux règles de sécurité.',
+                'Faire approuver la politique par les RH et la direction et l’ajouter au règlement intérieur.',
+                'Consigner chaque sanction appliquée, avec le manquement et la mesure prise.'
+            ],
+            evidence: [
+                'Politique de sanctions',
+                'Accusés de lecture signés par le personnel',
+                'Registre des sanctions appliquées'
+            ],
+            ownerRole: 'Ressources humaines'
+        },
+        'hipaa-phys-01': {
+            text: 'Les locaux hébergeant des systèmes contenant des ePHI sont-ils physiquement protégés contre les accès non autorisés ?',
+            guidance: 'Cela comprend serrures, alarmes et procédures d’accueil des visiteurs pour les zones sensibles.',
+            remediation: [
+                'Installer serrures, lecteurs de badges ou alarmes sur les salles et bâtiments hébergeant des systèmes à ePHI.',
+                'Mettre en place l’enregistrement et l’accompagnement des visiteurs dans les zones sensibles.',
+                'Documenter un plan de sécurité des locaux et examiner régulièrement les journaux d’accès physique.'
+            ],
+            evidence: [
+                'Plan de sécurité des locaux',
+                'Registres d’accueil des visiteurs',
+                'Photos des mesures de sécurité physique (portes verrouillées, cages de serveurs, etc.)'
+            ],
+            ownerRole: 'Services généraux'
+        },
+        'hipaa-phys-02': {
+            text: 'Disposez-vous de politiques encadrant et vérifiant l’accès des personnes aux locaux en fonction de leur rôle ?',
+            guidance: 'L’accès doit être accordé selon le principe du besoin d’en connaître.',
+            remediation: [
+                'Définir quels rôles ont besoin d’accéder à quels locaux et zones.',
+                'Attribuer badges ou clés selon le rôle et les retirer rapidement en cas de départ ou de changement de poste.',
+                'Revoir les droits d’accès aux locaux au moins chaque trimestre.'
+            ],
+            evidence: [
+                'Politique de contrôle d’accès aux locaux',
+                'Journaux de contrôle d’accès aux locaux',
+                'Comptes rendus des revues d’accès'
+            ],
+            ownerRole: 'Services généraux'
+        },
+        'hipaa-phys-03': {
+            text: 'Des politiques encadrent-elles l’élimination et la réutilisation sécurisées des supports électroniques contenant des ePHI ?',
+            guidance: 'Les supports doivent être rendus illisibles avant d’être jetés ou réutilisés.',
+            remediation: [
+                'Rédiger une procédure d’élimination et de réutilisation des supports imposant un effacement sécurisé ou une destruction physique.',
+                'Faire appel à un prestataire certifié ou à des outils d’effacement approuvés pour tous les disques et équipements.',
+                'Conserver un registre ou un certificat de destruction pour chaque équipement éliminé ou réattribué.'
+            ],
+            evidence: [
+                'Politique d’élimination et de réutilisation des supports',
+                'Registres d’élimination des supports / certificats de destruction',
+                'Journaux d’effacement des équipements réutilisés'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'hipaa-tech-01': {
+            text: 'L’accès aux systèmes contenant des ePHI est-il contrôlé par une identification unique des utilisateurs ?',
+            guidance: 'Les comptes partagés ou génériques ne sont pas autorisés pour accéder aux ePHI.',
+            remediation: [
+                'Supprimer ou désactiver les comptes partagés et génériques sur tous les systèmes contenant des ePHI.',
+                'Attribuer à chaque utilisateur un identifiant personnel et lier les comptes au processus RH d’arrivée, de mobilité et de départ.',
+                'Revoir les comptes au moins chaque trimestre et désactiver les comptes inactifs ou orphelins.'
+            ],
+            evidence: [
+                'Listes des comptes montrant des identifiants uniques',
+                'Rapports de revue des accès utilisateurs',
+                'Procédure arrivées / mobilités / départs'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'hipaa-tech-02': {
+            text: 'Où les ePHI sont-elles chiffrées ? Sélectionnez chaque périmètre où le chiffrement est en place.',
+            guidance: 'Le chiffrement est une mesure « adressable » qui doit être mise en œuvre si elle est raisonnable et appropriée.',
+            choices: { devices: 'Ordinateurs portables, postes fixes et appareils mobiles', at_rest: 'Bases de données et partages de fichiers (au repos)', in_transit: 'E-mails, API et autres transmissions (en transit)', backups: 'Sauvegardes' },
+            remediation: [
+                'Activer le chiffrement intégral des disques sur tous les ordinateurs portables, postes fixes et mobiles stockant des ePHI.',
+                'Chiffrer les ePHI dans les bases de données, partages de fichiers et sauvegardes avec des algorithmes actuels (AES-256, etc.).',
+                'Imposer TLS 1.2 ou supérieur pour les ePHI en transit, y compris la messagerie et les API.',
+                'Documenter les choix de chiffrement, y compris les alternatives retenues pour les mesures adressables.'
+            ],
+            evidence: [
+                'Preuve de la mise en œuvre du chiffrement (captures de configuration, etc.)',
+                'Rapport de conformité du chiffrement des équipements',
+                'Politique de chiffrement et procédure de gestion des clés'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'hipaa-tech-03': {
+            text: 'Des mécanismes de journalisation enregistrent-ils l’activité des systèmes d’information contenant des ePHI et permettent-ils de l’examiner ?',
+            guidance: 'Les journaux d’activité sont essentiels pour détecter les incidents de sécurité et y répondre.',
+            remediation: [
+                'Activer la journalisation des accès et de l’activité sur tous les systèmes contenant des ePHI.',
+                'Centraliser les journaux et les protéger contre toute modification ou suppression.',
+                'Définir qui examine les journaux, à quelle fréquence, et comment les anomalies sont remontées.'
+            ],
+            evidence: [
+                'Journaux d’audit des systèmes (accès, modifications, etc.)',
+                'Configuration de la conservation des journaux',
+                'Comptes rendus d’examen des journaux'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'hipaa-tech-04': {
+            text: 'Les ePHI sont-elles protégées contre toute altération ou destruction inappropriée ?',
+            guidance: 'Mettez en place des mesures garantissant l’intégrité des ePHI, comme des sommes de contrôle ou des signatures numériques.',
+            remediation: [
+                'Identifier où les ePHI pourraient être modifiées ou détruites sans autorisation.',
+                'Appliquer des contrôles d’intégrité : sommes de contrôle, contraintes de base de données, sauvegardes protégées en écriture.',
+                'Surveiller les modifications inattendues des enregistrements d’ePHI et générer des alertes.'
+            ],
+            evidence: [
+                'Configuration des contrôles d’intégrité',
+                'Rapports de surveillance de l’intégrité des fichiers',
+                'Paramètres d’immuabilité des sauvegardes'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'hipaa-breach-01': {
+            text: 'Disposez-vous d’une politique et d’une procédure documentées de notification des violations ?',
+            guidance: 'Cette politique doit décrire comment identifier, évaluer et signaler les violations aux personnes concernées et au HHS.',
+            remediation: [
+                'Rédiger une politique de notification couvrant la découverte, l’évaluation et les délais de notification.',
+                'Préparer des modèles de notification destinés aux personnes concernées, au HHS et aux médias.',
+                'Former le personnel à reconnaître et signaler en interne une violation présumée.',
+                'Tester la procédure lors d’un exercice sur table.'
+            ],
+            evidence: [
+                'Politique et procédure de notification des violations',
+                'Modèles de lettres de notification',
+                'Compte rendu de l’exercice sur table'
+            ],
+            ownerRole: 'Responsable de la protection de la vie privée'
+        },
+        'hipaa-breach-02': {
+            text: 'Votre processus d’évaluation des violations inclut-il l’analyse en quatre facteurs pour déterminer le risque de compromission ?',
+            guidance: 'L’évaluation doit tenir compte de la nature des PHI, de la personne non autorisée, de la consultation effective des PHI et de l’étendue de l’atténuation.',
+            remediation: [
+                'Intégrer l’évaluation des risques en quatre facteurs à la procédure sous forme de formulaire obligatoire.',
+                'Documenter la manière d’évaluer chaque facteur et qui valide la conclusion.',
+                'Conserver les évaluations de chaque incident, y compris ceux qui ne constituent pas une violation.'
+            ],
+            evidence: [
+                'Modèle d’évaluation des risques en quatre facteurs',
+                'Évaluations réalisées pour les incidents passés',
+                'Registre des incidents'
+            ],
+            ownerRole: 'Responsable de la protection de la vie privée'
+        },
+        'hipaa-admin-05': {
+            text: 'Disposez-vous d’un plan de continuité, incluant sauvegardes et reprise après sinistre, garantissant la disponibilité des ePHI ?',
+            guidance: 'Vous devez pouvoir rétablir l’accès aux ePHI en cas d’urgence.',
+            remediation: [
+                'Mettre en place des sauvegardes automatisées et chiffrées de tous les systèmes contenant des ePHI, avec une copie externalisée ou immuable.',
+                'Documenter un plan de reprise après sinistre avec des objectifs de délai (RTO) et de perte de données (RPO).',
+                'Rédiger un plan de fonctionnement en mode dégradé pour maintenir les processus critiques pendant une panne.',
+                'Tester les restaurations et le plan de reprise au moins une fois par an et consigner les résultats.'
+            ],
+            evidence: [
+                'Plan de continuité et résultats des tests',
+                'Configuration et rapports des sauvegardes',
+                'Comptes rendus des tests de restauration'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'hipaa-admin-06': {
+            text: 'Des Business Associate Agreements (BAA) sont-ils en place avec tous les prestataires qui créent, reçoivent, conservent ou transmettent des ePHI ?',
+            guidance: 'Les BAA garantissent que vos prestataires protègent les PHI selon les mêmes exigences que vous.',
+            remediation: [
+                'Établir l’inventaire de tous les prestataires qui créent, reçoivent, conservent ou transmettent des ePHI.',
+                'Signer un Business Associate Agreement avec chaque prestataire de l’inventaire qui n’en a pas.',
+                'Ajouter un point de contrôle BAA au processus d’achat pour qu’aucun prestataire ne reçoive d’ePHI avant signature.'
+            ],
+            evidence: [
+                'Inventaire des prestataires avec statut BAA',
+                'Business Associate Agreements signés',
+                'Liste de contrôle achats incluant la revue du BAA'
+            ],
+            ownerRole: 'Juridique / Achats'
+        },
+        'hipaa-phys-04': {
+            text: 'Les postes de travail accédant aux ePHI sont-ils positionnés pour empêcher toute lecture non autorisée (par exemple à l’écart des zones de passage) ?',
+            guidance: 'Une mesure simple mais efficace contre la lecture par-dessus l’épaule.',
+            remediation: [
+                'Orienter les écrans affichant des ePHI à l’écart des zones publiques et de passage.',
+                'Poser des filtres de confidentialité lorsque le repositionnement est impossible.',
+                'Intégrer l’emplacement des postes à la politique de sécurité des postes de travail et aux visites périodiques.'
+            ],
+            evidence: [
+                'Politique de sécurité des postes de travail',
+                'Résultats des listes de contrôle de visite',
+                'Photos de l’emplacement des postes ou des filtres de confidentialité'
+            ],
+            ownerRole: 'Services généraux'
+        },
+        'hipaa-tech-05': {
+            text: 'Existe-t-il une déconnexion automatique qui ferme les sessions électroniques après une durée d’inactivité prédéfinie ?',
+            guidance: 'Cela empêche les accès non autorisés depuis des postes laissés sans surveillance.',
+            remediation: [
+                'Configurer l’expiration des sessions et le verrouillage d’écran sur les postes et les applications à ePHI.',
+                'Fixer la durée d’inactivité selon le risque (par exemple 5 à 15 minutes) et documenter la justification.',
+                'Appliquer les paramètres de manière centralisée par stratégie de groupe ou MDM plutôt que poste par poste.'
+            ],
+            evidence: [
+                'Captures de stratégie de groupe ou MDM montrant les délais d’expiration',
+                'Configuration de l’expiration des sessions applicatives',
+                'Politique de sécurité des postes de travail'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'hipaa-tech-06': {
+            text: 'Disposez-vous de procédures pour vérifier qu’une personne ou entité demandant l’accès aux ePHI est bien celle qu’elle prétend être ?',
+            guidance: 'Cela peut passer par des mots de passe, une authentification à deux facteurs ou d’autres méthodes de vérification d’identité.',
+            remediation: [
+                'Exiger des mots de passe robustes et uniques pour tous les comptes pouvant accéder aux ePHI.',
+                'Activer l’authentification multifacteur pour l’accès distant, la messagerie et les comptes à privilèges.',
+                'Documenter les étapes de vérification d’identité pour les réinitialisations de mot de passe et les demandes de compte.'
+            ],
+            evidence: [
+                'Politique de mots de passe',
+                'Rapport d’enrôlement MFA',
+                'Procédure de vérification d’identité du support'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'gdpr-scope-territorial': {
+            text: "Votre organisation est-elle établie dans l'UE/EEE, ou propose-t-elle des biens ou services à des personnes dans l'UE/EEE ou suit-elle leur comportement ?",
+            guidance: "Le RGPD s'applique aux traitements effectués dans le cadre d'un établissement dans l'UE/EEE, ainsi qu'aux organisations hors UE/EEE qui ciblent ou suivent des personnes qui s'y trouvent, par exemple en livrant des clients européens ou en suivant des visiteurs européens de leur site."
+        },
+        'gdpr-scope-role': {
+            text: 'Votre organisation agit-elle en tant que responsable du traitement, sous-traitant, ou les deux ?',
+            guidance: "Le responsable du traitement détermine les finalités et les moyens du traitement. Un sous-traitant traite les données uniquement pour le compte et sur instruction d'un responsable, par exemple en tant qu'hébergeur ou prestataire de paie.",
+            choices: { controller: 'Responsable du traitement', processor: 'Sous-traitant uniquement', both: 'Les deux' }
+        },
+        'gdpr-lawful-01': {
+            text: 'Pour chaque activité de traitement, avez-vous identifié et documenté une base légale valable au titre de l’article 6 ?',
+            guidance: 'Les six bases légales sont le consentement, le contrat, l’obligation légale, les intérêts vitaux, la mission d’intérêt public et l’intérêt légitime.',
+            remediation: [
+                'Lister toutes les activités de traitement avec leur finalité.',
+                'Attribuer et documenter une base légale de l’article 6 pour chaque activité.',
+                'Réaliser une analyse de l’intérêt légitime lorsque cette base est utilisée.'
+            ],
+            evidence: [
+                'Registre des activités de traitement avec une colonne base légale',
+                'Analyses de l’intérêt légitime',
+                'Traces des décisions sur la base légale'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-lawful-02': {
+            text: 'Votre politique de confidentialité est-elle facilement accessible et explique-t-elle clairement les traitements aux personnes concernées ?',
+            guidance: 'L’information doit être concise, transparente, compréhensible et formulée en des termes clairs et simples.',
+            remediation: [
+                'Réécrire la politique de confidentialité pour couvrir tous les éléments des articles 13 et 14 en langage clair.',
+                'Rendre la politique accessible depuis chaque point de collecte (site, formulaires, applications, contrats).',
+                'Revoir la politique à chaque évolution des traitements et au moins une fois par an.'
+            ],
+            evidence: [
+                'Politique de confidentialité publique',
+                'Captures montrant la politique aux points de collecte',
+                'Journal des revues de la politique de confidentialité'
+            ],
+            ownerRole: 'Juridique'
+        },
+        'gdpr-lawful-03': {
+            text: 'Lorsque vous vous fondez sur le consentement, est-il libre, spécifique, éclairé et univoque, exprimé par un acte positif clair ?',
+            guidance: 'Les cases précochées ne constituent pas un consentement valable. Il doit être aussi simple de retirer son consentement que de le donner.',
+            remediation: [
+                'Remplacer les cases précochées et les consentements groupés par des cases distinctes non cochées.',
+                'Enregistrer qui a consenti, quand, comment et sur quelle version de l’information.',
+                'Offrir un retrait du consentement aussi simple que son recueil et l’appliquer sans délai.'
+            ],
+            evidence: [
+                'Captures et preuves du mécanisme de recueil du consentement',
+                'Extrait du journal des consentements',
+                'Procédure de retrait du consentement'
+            ],
+            ownerRole: 'Marketing / Produit'
+        },
+        'gdpr-rights-01': {
+            text: 'Combien de jours vous faut-il habituellement pour répondre à une demande d’accès d’une personne concernée ?',
+            guidance: 'Les demandes d’accès, de rectification, d’effacement (« droit à l’oubli ») et de portabilité doivent recevoir une réponse dans un délai d’un mois. Seules des demandes complexes ou nombreuses justifient une prolongation de deux mois au plus.',
+            unit: 'jours',
+            remediation: [
+                'Créer un formulaire ou une adresse publique dédiée aux demandes des personnes concernées.',
+                'Rédiger un mode opératoire couvrant vérification d’identité, recherche, revue et réponse dans le délai d’un mois.',
+                'Suivre chaque demande avec sa date de réception et son échéance dans un registre des demandes.'
+            ],
+            evidence: [
+                'Procédure de traitement des demandes d’accès',
+                'Registre des demandes',
+                'Exemple de réponse à une demande d’accès'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-rights-02': {
+            text: 'Pouvez-vous localiser, modifier et effacer efficacement les données personnelles d’une personne dans tous vos systèmes ?',
+            guidance: 'C’est un défi à la fois technique et organisationnel. Vous devez pouvoir honorer les droits de rectification et d’effacement.',
+            remediation: [
+                'Cartographier l’emplacement de chaque catégorie de données personnelles dans les systèmes et sauvegardes.',
+                'Mettre en place ou documenter des procédures de recherche, de correction et de suppression pour chaque système.',
+                'Tester une demande d’effacement de bout en bout et consigner le résultat.'
+            ],
+            evidence: [
+                'Cartographie des données ou inventaire des systèmes',
+                'Procédures d’effacement et de rectification par système',
+                'Compte rendu du test d’effacement'
+            ],
+            ownerRole: 'Exploitation informatique'
+        },
+        'gdpr-dpia-01': {
+            text: 'Tenez-vous un registre détaillé des activités de traitement conformément à l’article 30 ?',
+            guidance: 'Ce registre interne doit préciser quelles données vous traitez, pourquoi, pendant combien de temps et avec qui elles sont partagées.',
+            remediation: [
+                'Interroger les responsables de processus pour recenser toutes les activités de traitement.',
+                'Décrire chaque activité avec les champs de l’article 30 : finalités, catégories, destinataires, transferts, durées de conservation et sécurité.',
+                'Désigner un responsable chargé de tenir le registre à jour et de le revoir au moins une fois par an.'
+            ],
+            evidence: [
+                'Registre des activités de traitement',
+                'Journal des revues du registre',
+                'Liste des responsables du registre'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-dpia-02': {
+            text: 'Disposez-vous d’un processus pour réaliser des analyses d’impact relatives à la protection des données (AIPD) pour les traitements à risque élevé ?',
+            guidance: 'Une AIPD est requise avant de lancer des projets ou d’utiliser des technologies susceptibles d’engendrer un risque élevé pour les personnes.',
+            remediation: [
+                'Adopter une grille de pré-analyse AIPD fondée sur l’article 35 et les lignes directrices de l’autorité de contrôle.',
+                'Créer un modèle d’AIPD couvrant la nécessité, les risques pour les personnes et les mesures d’atténuation.',
+                'Faire de la pré-analyse AIPD une étape obligatoire des validations de projets et d’achats.'
+            ],
+            evidence: [
+                'Grille de pré-analyse AIPD',
+                'Rapports d’analyse d’impact relative à la protection des données (AIPD)',
+                'Circuit de validation des projets montrant l’étape AIPD'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-security-01': {
+            text: 'Avez-vous mis en œuvre des mesures techniques et organisationnelles garantissant un niveau de sécurité adapté au risque ?',
+            guidance: 'Cela inclut la pseudonymisation, le chiffrement, des tests réguliers et la garantie de la confidentialité, de l’intégrité, de la disponibilité et de la résilience.',
+            choices: { none: 'Aucune mesure définie', some: 'Certaines mesures en place', full: 'Mesures complètes fondées sur les risques' },
+            remediation: [
+                'Réaliser une analyse des risques liés aux traitements de données personnelles pour déterminer le niveau de sécurité requis.',
+                'Mettre en œuvre des mesures proportionnées au risque : chiffrement, pseudonymisation, contrôle d’accès, sauvegardes.',
+                'Documenter les mesures dans une politique de sécurité de l’information.',
+                'Désigner un responsable et une date de revue pour chaque mesure.'
+            ],
+            evidence: [
+                'Politique de sécurité de l’information',
+                'Analyse des risques des traitements de données personnelles',
+                'Liste des mesures techniques et organisationnelles'
+            ],
+            ownerRole: 'Responsable de la sécurité des systèmes d’information'
+        },
+        'gdpr-security-02': {
+            text: 'Quel est le niveau de maturité de votre processus pour tester, analyser et évaluer régulièrement l’efficacité de vos mesures de sécurité ?',
+            guidance: 'La sécurité n’est pas un projet ponctuel ; elle exige une vérification continue. Initial : au cas par cas. Documenté : formalisé par écrit mais pas encore appliqué. Mis en œuvre : appliqué en pratique. Testé : ses résultats sont contrôlés. Optimisé : amélioré à partir de ces résultats.',
+            remediation: [
+                'Planifier des analyses de vulnérabilités régulières et un test d’intrusion annuel.',
+                'Tester les restaurations de sauvegardes et la réponse aux incidents au moins une fois par an.',
+                'Suivre les constats jusqu’à leur clôture et présenter les résultats à la direction.'
+            ],
+            evidence: [
+                'Rapports d’analyse de vulnérabilités et de tests d’intrusion',
+                'Suivi des actions de remédiation',
+                'Comptes rendus de revue de direction'
+            ],
+            ownerRole: 'Responsable de la sécurité des systèmes d’information'
+        },
+        'gdpr-processors-01': {
+            text: 'Avez-vous conclu des contrats de sous-traitance juridiquement contraignants avec tous vos sous-traitants ?',
+            guidance: 'Un contrat de sous-traitance est obligatoire lorsqu’un tiers traite des données personnelles pour votre compte.',
+            remediation: [
+                'Identifier tous les tiers qui traitent des données personnelles pour votre compte.',
+                'Signer un contrat conforme à l’article 28 avec chaque sous-traitant qui n’en a pas.',
+                'Ajouter un contrôle du contrat aux achats pour qu’aucun sous-traitant ne reçoive de données avant signature.'
+            ],
+            evidence: [
+                'Inventaire des sous-traitants avec statut du contrat',
+                'Contrats de sous-traitance signés',
+                'Liste de contrôle achats incluant la revue du contrat'
+            ],
+            ownerRole: 'Juridique / Achats'
+        },
+        'gdpr-processors-02': {
+            text: 'Vos contrats de sous-traitance précisent-ils explicitement les obligations du sous-traitant, y compris en matière de sécurité et de notification des violations ?',
+            guidance: 'Le contrat doit contenir les clauses prévues à l’article 28, paragraphe 3.',
+            remediation: [
+                'Comparer les contrats existants à la liste des clauses de l’article 28, paragraphe 3.',
+                'Négocier des avenants pour les contrats dépourvus de clauses sur la sécurité, la sous-traitance ultérieure, l’audit ou la notification des violations.',
+                'Adopter un modèle de contrat type pour les nouveaux sous-traitants.'
+            ],
+            evidence: [
+                'Revue des clauses de l’article 28(3) pour chaque contrat',
+                'Avenants signés',
+                'Modèle de contrat de sous-traitance'
+            ],
+            ownerRole: 'Juridique'
+        },
+        'gdpr-breach-01': {
+            text: 'Disposez-vous d’un processus documenté pour détecter, analyser et notifier les violations de données personnelles à l’autorité de contrôle ?',
+            guidance: 'Les violations présentant un risque doivent être notifiées dans les meilleurs délais et, si possible, dans les 72 heures.',
+            remediation: [
+                'Rédiger une procédure de réponse aux incidents pour détecter, contenir et évaluer les violations de données personnelles.',
+                'Définir qui décide de la notification et comment le délai de 72 heures est respecté.',
+                'Tenir un registre des violations consignant chaque violation, y compris celles non notifiées.',
+                'Tester la procédure lors d’un exercice sur table.'
+            ],
+            evidence: [
+                'Procédure de réponse aux incidents et de notification des violations',
+                'Registre des violations',
+                'Compte rendu de l’exercice sur table'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-breach-02': {
+            text: 'Disposez-vous d’un processus pour informer les personnes concernées lorsqu’une violation présente un risque élevé pour leurs droits ?',
+            guidance: 'Cette communication doit intervenir dans les meilleurs délais.',
+            remediation: [
+                'Ajouter à la procédure des critères permettant de déterminer quand une violation présente un risque élevé pour les personnes.',
+                'Préparer des modèles de notification en langage clair destinés aux personnes concernées.',
+                'Définir les canaux (courriel, courrier, communication publique) utilisés pour joindre les personnes concernées.'
+            ],
+            evidence: [
+                'Critères d’évaluation du risque élevé',
+                'Modèles de notification aux personnes concernées',
+                'Entrées du registre montrant la décision'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-transfer-scope': {
+            text: 'Des données personnelles sont-elles transférées vers des pays hors UE/EEE, ou consultées depuis ces pays ?',
+            guidance: 'Tenez compte des accès à distance par des prestataires ou des sociétés du groupe, ainsi que des services cloud hébergés hors UE/EEE.'
+        },
+        'gdpr-transfer-01': {
+            text: 'Pour les transferts de données personnelles hors UE/EEE, avez-vous mis en place un mécanisme de transfert valable ?',
+            guidance: 'Les mécanismes comprennent les décisions d’adéquation, les clauses contractuelles types (CCT) ou les règles d’entreprise contraignantes (BCR).',
+            remediation: [
+                'Identifier tous les transferts de données personnelles hors UE/EEE.',
+                'Encadrer chaque transfert par un mécanisme valable : décision d’adéquation, CCT ou BCR.',
+                'Indiquer le mécanisme utilisé pour chaque transfert dans le registre des traitements.'
+            ],
+            evidence: [
+                'Inventaire des transferts avec le mécanisme de chacun',
+                'Clauses contractuelles types signées',
+                'Entrées du registre relatives aux transferts'
+            ],
+            ownerRole: 'Juridique'
+        },
+        'gdpr-transfer-sccs': {
+            text: 'Vous appuyez-vous sur des clauses contractuelles types (CCT) pour l’un de ces transferts ?',
+            guidance: 'Répondez « Non » si tous les transferts reposent sur des décisions d’adéquation, des BCR ou des dérogations de l’article 49.'
+        },
+        'gdpr-transfer-02': {
+            text: 'Si vous utilisez des CCT, avez-vous réalisé une analyse d’impact des transferts (AIT) pour garantir la protection des données dans le pays de destination ?',
+            guidance: 'Une AIT permet d’évaluer si les CCT peuvent être respectées en pratique dans le pays tiers.',
+            remediation: [
+                'Évaluer la législation et les pratiques de chaque pays de destination pour les transferts fondés sur des CCT.',
+                'Définir des mesures supplémentaires (par exemple un chiffrement dont les clés restent dans l’UE) lorsque la protection est insuffisante.',
+                'Documenter l’analyse d’impact des transferts et la revoir lorsque la législation ou les transferts évoluent.'
+            ],
+            evidence: [
+                'Analyses d’impact des transferts',
+                'Documentation des mesures supplémentaires',
+                'Journal des revues des AIT'
+            ],
+            ownerRole: 'Juridique'
+        },
+        'gdpr-lawful-04': {
+            text: 'Respectez-vous les principes de minimisation des données et de limitation des finalités ?',
+            guidance: 'Ne collectez et ne traitez que des données adéquates, pertinentes et limitées à ce qui est nécessaire à la finalité définie.',
+            remediation: [
+                'Revoir chaque point de collecte et supprimer les champs inutiles à la finalité annoncée.',
+                'Définir des durées de conservation pour chaque catégorie de données et planifier leur suppression.',
+                'Exiger une vérification de compatibilité avant toute réutilisation des données pour une nouvelle finalité.'
+            ],
+            evidence: [
+                'Référentiel des durées de conservation',
+                'Comptes rendus des revues de minimisation',
+                'Analyses de compatibilité des finalités'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-rights-03': {
+            text: 'Disposez-vous d’un processus pour traiter les demandes de limitation du traitement et les oppositions au traitement ?',
+            guidance: 'Les personnes ont le droit, dans certaines circonstances, de faire bloquer ou limiter le traitement de leurs données.',
+            remediation: [
+                'Étendre la procédure de traitement des demandes aux demandes de limitation et d’opposition.',
+                'Définir comment le traitement est techniquement limité ou signalé dans chaque système.',
+                'Former les personnes qui traitent les demandes aux critères des articles 18 et 21.'
+            ],
+            evidence: [
+                'Procédure de limitation et d’opposition',
+                'Exemples de demandes traitées',
+                'Attestations de formation des personnes traitant les demandes'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        },
+        'gdpr-security-dpo-scope': {
+            text: 'Votre organisation est-elle tenue de désigner un délégué à la protection des données (DPO) au titre de l’article 37 ?',
+            guidance: 'Un DPO est obligatoire pour les autorités publiques et pour les organismes dont les activités de base impliquent un suivi régulier et systématique à grande échelle ou le traitement de données sensibles.'
+        },
+        'gdpr-security-03': {
+            text: 'Avez-vous désigné un délégué à la protection des données (DPO) ?',
+            guidance: 'Le DPO doit être associé à toutes les questions de protection des données, rendre compte au plus haut niveau de la direction et être joignable par les personnes concernées.',
+            choices: { yes: 'Oui, DPO désigné', no: 'Non, aucun DPO désigné' },
+            remediation: [
+                'Désigner un DPO disposant d’une expertise en droit de la protection des données, en interne ou en externe.',
+                'Publier les coordonnées du DPO et les communiquer à l’autorité de contrôle.',
+                'Veiller à ce que le DPO rende compte au plus haut niveau de la direction et n’ait pas de conflit d’intérêts.'
+            ],
+            evidence: [
+                'Lettre de désignation du DPO',
+                'Notification du DPO à l’autorité de contrôle',
+                'Coordonnées publiées du DPO'
+            ],
+            ownerRole: 'Direction générale'
+        },
+        'gdpr-processors-03': {
+            text: 'Effectuez-vous des vérifications préalables sur vos sous-traitants pour vous assurer qu’ils disposent de mesures de sécurité adéquates ?',
+            guidance: 'Vous êtes responsable des actes de vos sous-traitants. Vous devez vérifier leur capacité à protéger les données que vous leur confiez.',
+            remediation: [
+                'Créer un questionnaire de sécurité fournisseur proportionné aux données partagées.',
+                'Évaluer chaque sous-traitant avant sa mise en service puis périodiquement.',
+                'Examiner les certifications (ISO 27001, SOC 2, etc.) et les rapports d’audit des sous-traitants.'
+            ],
+            evidence: [
+                'Questionnaires de sécurité fournisseurs complétés',
+                'Certifications et rapports d’audit des sous-traitants',
+                'Registre des risques fournisseurs'
+            ],
+            ownerRole: 'Responsable de la sécurité des systèmes d’information'
+        },
+        'gdpr-transfer-03': {
+            text: 'Connaissez-vous et documentez-vous les données transférées, la finalité et le pays destinataire ?',
+            guidance: 'Un inventaire clair des flux internationaux de données est indispensable à la conformité.',
+            remediation: [
+                'Établir un registre des flux internationaux indiquant catégories de données, finalités et pays destinataires.',
+                'Rattacher chaque flux à son mécanisme de transfert et à son AIT.',
+                'Revoir le registre à chaque changement de prestataire ou de système.'
+            ],
+            evidence: [
+                'Registre des flux internationaux de données',
+                'Schémas des flux de données',
+                'Journal des revues du registre'
+            ],
+            ownerRole: 'Délégué à la protection des données'
+        }
+    }
+};